@@ -6,10 +6,25 @@
  * Built for Stacks Builders Competition with enterprise architecture
  */
 
-const app = require('./src/app');
+const { loadNetworkConfig } = require('./src/utils/network');
+
+// Check the Stacks network configuration before any service is built from it
+let networkConfig;
+try {
+  networkConfig = loadNetworkConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const { createApp } = require('./src/app');
 const logger = require('./src/utils/logger');
 const { setupGlobalErrorHandlers } = require('./src/middleware/errorHandler');
 const { startPeriodicMonitoring, healthCheckManager } = require('./src/utils/monitoring');
+const { getDatabase, closeDatabase } = require('./src/database');
+const { getContainer } = require('./src/container');
+
+const app = createApp();
 
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -22,6 +37,30 @@ async function startServer() {
     // Setup global error handlers
     setupGlobalErrorHandlers();
 
+    logger.info('Stacks network configured', {
+      network: networkConfig.network,
+      nodeUrl: networkConfig.nodeUrl,
+      apiUrl: networkConfig.apiUrl,
+      contract: networkConfig.contractId,
+      sbtcToken: networkConfig.sbtcToken.contractId
+    });
+
+    // Connect to the database and apply pending migrations
+    logger.info('Connecting to database...');
+    const database = getDatabase();
+    await database.ready();
+    logger.info('Database ready', { dialect: database.dialect });
+
+    healthCheckManager.register('database', async () => {
+      await database.get('SELECT 1 AS ok');
+      return { dialect: database.dialect };
+    }, { critical: true });
+
+    // Expire unpaid intents, retry webhooks, reconcile with the chain and other
+    // periodic jobs run in the background
+    const { jobScheduler } = getContainer();
+    jobScheduler.start();
+
     // Initialize monitoring
     logger.info('Initializing monitoring systems...');
     startPeriodicMonitoring();
@@ -61,8 +100,8 @@ async function startServer() {
         port: PORT,
         host: HOST,
         environment: process.env.NODE_ENV || 'development',
-        network: process.env.NODE_ENV === 'production' ? 'mainnet' : 'testnet',
-        contract: `${process.env.CONTRACT_ADDRESS || 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM'}.sbtc-payment-gateway`,
+        network: networkConfig.network,
+        contract: networkConfig.contractId,
         demoMode: process.env.DEMO_MODE === 'true',
         configuredApiKeys: process.env.API_KEYS ? process.env.API_KEYS.split(',').length : 0,
         healthEndpoint: `http://localhost:${PORT}/health`,
@@ -109,7 +148,9 @@ async function startServer() {
           // Perform cleanup operations
           logger.info('Performing cleanup operations...');
           
-          // Add any cleanup logic here (close database connections, etc.)
+          jobScheduler.stop();
+          await closeDatabase();
+          logger.info('Database connection closed');
           
           logger.info('Cleanup completed successfully');
           process.exit(0);
@@ -0,0 +1,195 @@
+/**
+ * Service Container
+ * Builds one instance of each service so routes, controllers and middleware
+ * share state; tests pass overrides to inject fakes
+ */
+
+const logger = require('./utils/logger');
+const { getDatabase } = require('./database');
+const ApiKeyService = require('./services/apiKeyService');
+const PaymentService = require('./services/paymentService');
+const MerchantService = require('./services/merchantService');
+const ContractService = require('./services/contractService');
+const WebhookService = require('./services/webhookService');
+const IdempotencyService = require('./services/idempotencyService');
+const RefundService = require('./services/refundService');
+const ChainIndexer = require('./services/chainIndexer');
+const JobScheduler = require('./services/jobScheduler');
+const TransactionVerifier = require('./services/transactionVerifier');
+
+/**
+ * Create a container
+ *
+ * @param {object} overrides - Replace any dependency: database, stacksApi,
+ *   verifier, apiKeyService, paymentService, merchantService, contractService,
+ *   webhookService, idempotencyService, refundService, chainIndexer, jobScheduler
+ */
+function createContainer(overrides = {}) {
+  const database = overrides.database || getDatabase();
+  const contractService = overrides.contractService || new ContractService();
+  const verifier = overrides.verifier || new TransactionVerifier({
+    stacksApi: overrides.stacksApi,
+    nonceManager: contractService.nonceManager
+  });
+
+  const apiKeyService = overrides.apiKeyService || new ApiKeyService({ database });
+  const paymentService = overrides.paymentService || new PaymentService({ database, verifier, contractService });
+  const merchantService = overrides.merchantService || new MerchantService({ database, apiKeyService, paymentService });
+  const webhookService = overrides.webhookService || new WebhookService({ database });
+  const idempotencyService = overrides.idempotencyService || new IdempotencyService({ database });
+  const refundService = overrides.refundService || new RefundService({ database, paymentService, verifier });
+  const chainIndexer = overrides.chainIndexer || new ChainIndexer({
+    database,
+    stacksApi: verifier.stacksApi,
+    contractId: verifier.contractId,
+    paymentService,
+    merchantService,
+    refundService
+  });
+
+  // Credit merchant stats once a payment is verified on-chain
+  paymentService.on('payment.succeeded', async (payment) => {
+    try {
+      await merchantService.updateStats(payment.merchantId, {
+        totalProcessed: payment.amount,
+        feeCollected: payment.fee,
+        paymentsCount: 1
+      }, Boolean(payment.livemode));
+
+      logger.merchant('stats_updated', payment.merchantId, {
+        paymentId: payment.paymentId,
+        amount: payment.amount,
+        fee: payment.fee
+      });
+    } catch (error) {
+      logger.error('Error updating merchant stats', error, {
+        paymentId: payment.id,
+        merchantId: payment.merchantId
+      });
+    }
+  });
+
+  // Track refunded volume separately so totalProcessed stays the gross amount
+  paymentService.on('payment.refunded', async (payment, { refund }) => {
+    try {
+      await merchantService.updateStats(payment.merchantId, { totalRefunded: refund.amount }, Boolean(payment.livemode));
+    } catch (error) {
+      logger.error('Error updating merchant refund stats', error, {
+        paymentId: payment.id,
+        refundId: refund.id,
+        merchantId: payment.merchantId
+      });
+    }
+  });
+
+  // Send payment and merchant events to merchant webhook endpoints
+  webhookService.subscribe(paymentService, merchantService);
+
+  const jobScheduler = overrides.jobScheduler || createJobScheduler({
+    database,
+    apiKeyService,
+    contractService,
+    paymentService,
+    webhookService,
+    idempotencyService,
+    refundService,
+    chainIndexer
+  });
+
+  return {
+    database,
+    verifier,
+    apiKeyService,
+    paymentService,
+    merchantService,
+    contractService,
+    webhookService,
+    idempotencyService,
+    refundService,
+    chainIndexer,
+    jobScheduler
+  };
+}
+
+const intervalFromEnv = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+/**
+ * Scheduler with the gateway's background jobs; intervals come from the environment and 0 disables a job
+ */
+function createJobScheduler({ database, apiKeyService, contractService, paymentService, webhookService, idempotencyService, refundService, chainIndexer }) {
+  const scheduler = new JobScheduler({ database });
+
+  return scheduler
+    .register('expire-payments', {
+      interval: intervalFromEnv('PAYMENT_EXPIRY_INTERVAL_MS', 60 * 1000),
+      run: async () => ({ expired: await paymentService.markExpiredPayments() })
+    })
+    .register('expire-refunds', {
+      interval: intervalFromEnv('REFUND_EXPIRY_INTERVAL_MS', 60 * 1000),
+      run: async () => ({ expired: await refundService.expirePendingRefunds() })
+    })
+    .register('retry-webhooks', {
+      interval: intervalFromEnv('WEBHOOK_RETRY_INTERVAL_MS', 10 * 1000),
+      run: async () => ({ retried: await webhookService.processDueRetries() })
+    })
+    .register('reconcile-payments', {
+      interval: intervalFromEnv('RECONCILIATION_INTERVAL_MS', 60 * 1000),
+      run: async () => ({
+        payments: await paymentService.verifyProcessingPayments(),
+        refunds: await refundService.verifyProcessingRefunds()
+      })
+    })
+    .register('index-chain-events', {
+      interval: intervalFromEnv('CHAIN_INDEXER_POLL_INTERVAL_MS', 30 * 1000),
+      run: () => chainIndexer.poll()
+    })
+    .register('rebroadcast-stuck-transactions', {
+      interval: intervalFromEnv('STACKS_TX_REBROADCAST_INTERVAL_MS', 60 * 1000),
+      run: () => contractService.nonceManager.rebroadcastStuck()
+    })
+    .register('purge-idempotency-keys', {
+      interval: intervalFromEnv('IDEMPOTENCY_PURGE_INTERVAL_MS', 60 * 60 * 1000),
+      run: async () => ({ purged: await idempotencyService.purgeExpired() })
+    })
+    .register('purge-expired-api-keys', {
+      interval: intervalFromEnv('API_KEY_PURGE_INTERVAL_MS', 60 * 60 * 1000),
+      run: async () => ({ purged: await apiKeyService.purgeExpired() })
+    })
+    .register('prune-job-runs', {
+      interval: intervalFromEnv('JOB_RUN_PRUNE_INTERVAL_MS', 60 * 60 * 1000),
+      run: async () => ({ pruned: await scheduler.pruneRuns() })
+    });
+}
+
+let defaultContainer = null;
+
+/**
+ * Get the process-wide container used by the default app, routes and middleware
+ */
+function getContainer() {
+  if (!defaultContainer) {
+    defaultContainer = createContainer();
+  }
+  return defaultContainer;
+}
+
+/**
+ * Wrap a handler built from the default container so that it is only built on
+ * its first request; requiring a route or middleware module then leaves the
+ * database closed
+ */
+function withDefaultContainer(build) {
+  let handler = null;
+  return (req, res, next) => {
+    if (!handler) {
+      handler = build(getContainer());
+    }
+    return handler(req, res, next);
+  };
+}
+
+module.exports = {
+  createContainer,
+  getContainer,
+  withDefaultContainer
+};
@@ -0,0 +1,158 @@
+/**
+ * Admin Controller
+ * Operator endpoints for the background job scheduler, transaction nonces and merchant status
+ */
+
+const { getContainer } = require('../container');
+const logger = require('../utils/logger');
+const { Validator } = require('../utils/validation');
+const { ErrorFactory } = require('../utils/errors');
+
+class AdminController {
+  constructor(container = getContainer()) {
+    this.jobScheduler = container.jobScheduler;
+    this.merchantService = container.merchantService;
+    this.contractService = container.contractService;
+  }
+
+  /**
+   * Registered jobs with their interval and latest run
+   */
+  async listJobs(req, res) {
+    try {
+      res.json({ data: await this.jobScheduler.listJobs() });
+    } catch (error) {
+      this.sendError(res, req, error, 'Failed to list jobs');
+    }
+  }
+
+  /**
+   * Job run history, newest first
+   */
+  async listJobRuns(req, res) {
+    try {
+      const { job, status } = req.query;
+      const { limit = 50, offset = 0 } = Validator.validatePagination({
+        ...(req.query.limit !== undefined && { limit: Number(req.query.limit) }),
+        ...(req.query.offset !== undefined && { offset: Number(req.query.offset) })
+      });
+
+      res.json({ data: await this.jobScheduler.listRuns({ job, status, limit, offset }) });
+    } catch (error) {
+      this.sendError(res, req, error, 'Failed to list job runs');
+    }
+  }
+
+  /**
+   * Run a job now; answers 409 when it is already running
+   */
+  async runJob(req, res) {
+    const { name } = req.params;
+
+    try {
+      const run = await this.jobScheduler.runJob(name);
+      if (!run) {
+        const busy = ErrorFactory.conflict(`Job ${name} is already running`);
+        return res.status(busy.statusCode).json({
+          ...busy.toJSON(),
+          requestId: req.requestId
+        });
+      }
+
+      logger.info('Job run triggered by admin', { requestId: req.requestId, job: name, status: run.status });
+      res.json(run);
+    } catch (error) {
+      const appError = error.message?.startsWith('Job not found') ? ErrorFactory.notFound('Job', name) : error;
+      this.sendError(res, req, appError, 'Failed to run job');
+    }
+  }
+
+  /**
+   * Next nonce and pending transactions of each key the backend has signed with
+   */
+  async getNonceState(req, res) {
+    try {
+      res.json(this.contractService.nonceManager.getState());
+    } catch (error) {
+      this.sendError(res, req, error, 'Failed to get nonce state');
+    }
+  }
+
+  /**
+   * Stop a merchant from creating payment intents
+   */
+  async deactivateMerchant(req, res) {
+    return this.setMerchantActive(req, res, false);
+  }
+
+  /**
+   * Let a deactivated merchant create payment intents again
+   */
+  async reactivateMerchant(req, res) {
+    return this.setMerchantActive(req, res, true);
+  }
+
+  /**
+   * Change a merchant's status, on-chain too when the contract owner's key is supplied
+   *
+   * The contract call goes first, so a failed broadcast leaves the status as it was.
+   * With the owner wallet's publicKey instead, the status changes here and the
+   * response carries the unsigned contract call for the wallet to sign and broadcast.
+   */
+  async setMerchantActive(req, res, isActive) {
+    const { id } = req.params;
+    const action = isActive ? 'reactivate' : 'deactivate';
+
+    try {
+      const { reason, ownerPrivateKey, publicKey, nonce, fee } = Validator.validateMerchantStatusChange(req.body || {});
+
+      const merchant = await this.merchantService.findById(id);
+      if (!merchant) {
+        throw ErrorFactory.notFound('Merchant', id);
+      }
+
+      let transactionId = null;
+      let unsignedTransaction;
+      if (ownerPrivateKey || publicKey) {
+        ({ transactionId = null, unsignedTransaction } = await this.contractService.setMerchantActive({
+          merchantAddress: merchant.stacksAddress,
+          isActive,
+          ownerPrivateKey,
+          publicKey,
+          nonce,
+          fee
+        }));
+      }
+
+      const updated = await this.merchantService.setActive(id, isActive, { reason, transactionId });
+
+      logger.info(`Merchant ${action}d by admin`, { requestId: req.requestId, merchantId: id, transactionId });
+      res.json({
+        ...this.merchantService.toView(updated),
+        deactivationReason: updated.deactivationReason || null,
+        transactionId,
+        ...(unsignedTransaction && { unsignedTransaction })
+      });
+    } catch (error) {
+      let appError = error;
+      if (error.message?.includes('only be sent to the API on devnet')) {
+        appError = ErrorFactory.authorization(error.message);
+      } else if (error.message?.includes('on blockchain')) {
+        appError = ErrorFactory.blockchain(error.message);
+      }
+      this.sendError(res, req, appError, `Failed to ${action} merchant`);
+    }
+  }
+
+  sendError(res, req, error, fallbackMessage) {
+    logger.error(fallbackMessage, error, { requestId: req.requestId });
+
+    const appError = error.statusCode ? error : ErrorFactory.internal(fallbackMessage);
+    res.status(appError.statusCode).json({
+      ...appError.toJSON(),
+      requestId: req.requestId
+    });
+  }
+}
+
+module.exports = AdminController;
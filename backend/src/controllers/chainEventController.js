@@ -0,0 +1,56 @@
+/**
+ * Chain Event Controller
+ * Receives stacks-node event observer posts for the chain indexer
+ */
+
+const { getContainer } = require('../container');
+const logger = require('../utils/logger');
+const { ErrorFactory } = require('../utils/errors');
+
+class ChainEventController {
+  constructor(container = getContainer()) {
+    this.chainIndexer = container.chainIndexer;
+  }
+
+  /**
+   * Index the gateway contract's events in a newly processed block
+   *
+   * A failure answers 500 so the node posts the block again.
+   */
+  async newBlock(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { block_height: blockHeight, block_hash: blockHash } = req.body || {};
+
+    try {
+      if (!Number.isInteger(blockHeight) || !blockHash) {
+        throw ErrorFactory.validation('block_height and block_hash are required');
+      }
+
+      const result = await this.chainIndexer.ingestBlock(req.body);
+
+      if (result.indexed > 0 || result.orphaned > 0) {
+        logger.info('Indexed chain events from event observer', { requestId, blockHeight, blockHash, ...result });
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Failed to index block from event observer', error, { requestId, blockHeight, blockHash });
+
+      const appError = error.statusCode ? error : ErrorFactory.internal('Failed to index block');
+      res.status(appError.statusCode).json({
+        ...appError.toJSON(),
+        requestId
+      });
+    }
+  }
+
+  /**
+   * Acknowledge observer payloads the indexer does not need (burn blocks, mempool, ...)
+   */
+  acknowledge(req, res) {
+    res.json({ received: true });
+  }
+}
+
+module.exports = ChainEventController;
@@ -3,15 +3,15 @@
  * Production-ready Stacks blockchain contract interactions with monitoring
  */
 
-const ContractService = require('../services/contractService');
+const { getContainer } = require('../container');
 const logger = require('../utils/logger');
 const { Validator } = require('../utils/validation');
 const { ErrorFactory } = require('../utils/errors');
 const { performanceMonitor } = require('../utils/monitoring');
 
 class ContractController {
-  constructor() {
-    this.contractService = new ContractService();
+  constructor(container = getContainer()) {
+    this.contractService = container.contractService;
   }
 
   /**
@@ -100,7 +100,10 @@ class ContractController {
       const validatedData = Validator.validateContractPayment(req.body);
       
       // Create contract payment
-      const result = await this.contractService.createPayment(validatedData);
+      const result = await this.contractService.createPayment({
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
       
       // Log successful creation
       logger.contract('create_payment_success', result.id, {
@@ -124,10 +127,9 @@ class ContractController {
       // End performance monitoring
       performanceMonitor.end('contract_payment_creation');
       
-      // Log error with context
+      // The body may carry the merchant's private key, so it is not logged
       logger.error('Contract payment creation failed', error, {
         requestId,
-        body: req.body,
         ip: req.ip
       });
 
@@ -147,6 +149,30 @@ class ContractController {
       }
 
       // Handle legacy error messages
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('only be sent to the API on devnet')) {
+        const signingError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...signingError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
       if (error.message?.includes('Missing required fields')) {
         const validationError = ErrorFactory.validation('Missing required fields for contract payment');
         return res.status(400).json({
@@ -187,7 +213,10 @@ class ContractController {
       const validatedData = Validator.validateContractPaymentProcessing(req.body);
       
       // Process contract payment
-      const result = await this.contractService.processPayment(validatedData);
+      const result = await this.contractService.processPayment({
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
       
       // Log successful processing
       logger.contract('process_payment_success', result.paymentId, {
@@ -212,10 +241,9 @@ class ContractController {
       // End performance monitoring
       performanceMonitor.end('contract_payment_processing');
       
-      // Log error with context
+      // The body may carry the customer's private key, so it is not logged
       logger.error('Contract payment processing failed', error, {
         requestId,
-        body: req.body,
         ip: req.ip
       });
 
@@ -235,6 +263,30 @@ class ContractController {
       }
 
       // Handle legacy error messages
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('only be sent to the API on devnet')) {
+        const signingError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...signingError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
       if (error.message?.includes('Missing required fields')) {
         const validationError = ErrorFactory.validation('Missing required fields for payment processing');
         return res.status(400).json({
@@ -275,7 +327,10 @@ class ContractController {
       const validatedData = Validator.validateContractMerchantRegistration(req.body);
       
       // Register merchant on contract
-      const result = await this.contractService.registerMerchant(validatedData);
+      const result = await this.contractService.registerMerchant({
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
       
       // Log successful registration
       logger.contract('register_merchant_success', result.merchantId, {
@@ -300,10 +355,9 @@ class ContractController {
       // End performance monitoring
       performanceMonitor.end('contract_merchant_registration');
       
-      // Log error with context
+      // The body may carry the merchant's private key, so it is not logged
       logger.error('Contract merchant registration failed', error, {
         requestId,
-        body: req.body,
         ip: req.ip
       });
 
@@ -323,6 +377,30 @@ class ContractController {
       }
 
       // Handle legacy error messages
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('only be sent to the API on devnet')) {
+        const signingError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...signingError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
       if (error.message?.includes('Missing required fields')) {
         const validationError = ErrorFactory.validation('Missing required fields for merchant registration');
         return res.status(400).json({
@@ -340,6 +418,157 @@ class ContractController {
       });
     }
   }
+
+  /**
+   * Broadcast a gateway contract call signed by a wallet
+   */
+  async broadcastTransaction(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const { transaction } = Validator.validateSignedTransaction(req.body);
+
+      const result = await this.contractService.broadcastSignedTransaction(transaction, {
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+
+      logger.contract('broadcast_success', null, {
+        requestId,
+        functionName: result.functionName,
+        transactionId: result.transactionId
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Contract transaction broadcast failed', error, {
+        requestId,
+        ip: req.ip
+      });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.startsWith('Invalid signed transaction')) {
+        const validationError = ErrorFactory.validation(error.message, 'transaction');
+        return res.status(400).json({
+          ...validationError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal('Failed to broadcast transaction');
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
+  }
+
+  /**
+   * Get a payment as recorded on the contract
+   */
+  async getPayment(req, res) {
+    await this.query(req, res, 'payment', () => {
+      const { id } = Validator.validateContractPaymentLookup(req.params);
+      return this.contractService.getPayment(id);
+    });
+  }
+
+  /**
+   * Get a merchant as registered on the contract
+   */
+  async getMerchant(req, res) {
+    await this.query(req, res, 'merchant', () => {
+      const { address } = Validator.validateContractMerchantLookup(req.params);
+      return this.contractService.getMerchant(address);
+    });
+  }
+
+  /**
+   * Get the payment count and volume the contract has processed
+   */
+  async getStats(req, res) {
+    await this.query(req, res, 'platform stats', () => this.contractService.getPlatformStats());
+  }
+
+  /**
+   * Get the platform fee the contract charges
+   */
+  async getFee(req, res) {
+    await this.query(req, res, 'fee', () => this.contractService.getFee());
+  }
+
+  /**
+   * Answer with a read-only lookup, 404 when it finds nothing; results are
+   * cached by the service, so clients may cache them as long
+   */
+  async query(req, res, resource, lookup) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const result = await lookup();
+      if (result === null) {
+        const notFoundError = ErrorFactory.notFound(`Contract ${resource}`, Object.values(req.params)[0]);
+        return res.status(404).json({
+          ...notFoundError.toJSON(),
+          requestId
+        });
+      }
+
+      res.set('Cache-Control', `public, max-age=${Math.floor(this.contractService.readCacheTtl / 1000)}`);
+      res.json(result);
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      logger.error(`Contract ${resource} lookup failed`, error, {
+        requestId,
+        ip: req.ip
+      });
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal(`Failed to read ${resource} from the contract`);
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
+  }
 }
 
 module.exports = ContractController;
\ No newline at end of file
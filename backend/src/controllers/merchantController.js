@@ -3,17 +3,17 @@
  * Production-ready merchant operations with comprehensive error handling and monitoring
  */
 
-const MerchantService = require('../services/merchantService');
-const ApiKeyService = require('../services/apiKeyService');
+const { getContainer } = require('../container');
 const logger = require('../utils/logger');
 const { Validator } = require('../utils/validation');
 const { ErrorFactory } = require('../utils/errors');
+const { API_KEY_SCOPES, keyPrefix } = require('../utils/apiKeys');
 const { performanceMonitor } = require('../utils/monitoring');
 
 class MerchantController {
-  constructor() {
-    this.merchantService = new MerchantService();
-    this.apiKeyService = new ApiKeyService();
+  constructor(container = getContainer()) {
+    this.merchantService = container.merchantService;
+    this.apiKeyService = container.apiKeyService;
   }
 
   /**
@@ -123,7 +123,7 @@ class MerchantController {
       
       // Get merchant information from API key
       const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
-      const merchantId = this.apiKeyService.getMerchantFromApiKey(apiKey);
+      const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
       
       if (!merchantId) {
         throw ErrorFactory.authentication('Invalid API key or merchant not found');
@@ -137,7 +137,10 @@ class MerchantController {
       });
       
       // Get dashboard statistics
-      const stats = await this.merchantService.getDashboardStats(merchantId);
+      // Test and live keys each see their own mode's data
+      const stats = await this.merchantService.getDashboardStats(merchantId, {
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
       
       // Log successful retrieval
       logger.merchant('dashboard_success', merchantId, {
@@ -186,6 +189,228 @@ class MerchantController {
     }
   }
 
+  /**
+   * Get the calling merchant's profile
+   */
+  async getProfile(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const merchant = await this.merchantService.findById(merchantId);
+      if (!merchant) {
+        throw ErrorFactory.notFound('Merchant', merchantId);
+      }
+
+      res.json(this.merchantService.toView(merchant));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to retrieve merchant profile');
+    }
+  }
+
+  /**
+   * Change the calling merchant's profile; only a secret key can change the payout address
+   */
+  async updateProfile(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const changes = Validator.validateMerchantUpdate(req.body);
+      const merchantId = await this.getMerchantId(req);
+
+      // A leaked restricted key must not be able to redirect payouts
+      const { keyType } = req.apiKeyInfo;
+      if (changes.stacksAddress !== undefined && keyType && keyType !== 'secret') {
+        throw ErrorFactory.authorization('Changing the payout address requires a secret key (sk_test_... or sk_live_...)', {
+          field: 'stacksAddress',
+          keyType
+        });
+      }
+
+      const merchant = await this.merchantService.updateProfile(merchantId, changes);
+      if (!merchant) {
+        throw ErrorFactory.notFound('Merchant', merchantId);
+      }
+
+      if (changes.stacksAddress !== undefined) {
+        logger.security('Merchant Payout Address Changed', { requestId, merchantId, keyId: req.apiKeyInfo.keyId });
+      }
+      logger.merchant('profile_updated', merchantId, { requestId, fields: Object.keys(changes) });
+
+      res.json(this.merchantService.toView(merchant));
+
+    } catch (error) {
+      const conflict = error.message?.includes('already registered')
+        && ErrorFactory.conflict('Another merchant is already registered with this Stacks address', { field: 'stacksAddress' });
+      this.sendError(res, conflict || error, requestId, 'Failed to update merchant profile');
+    }
+  }
+
+  /**
+   * Mint a restricted key for the calling merchant, in the calling key's mode
+   */
+  async createApiKey(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const { name, scopes } = Validator.validateApiKeyCreation(req.body || {});
+
+      const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+      const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+      if (!merchantId) {
+        throw ErrorFactory.authentication('Invalid API key or merchant not found');
+      }
+
+      // A key can only hand out scopes it holds itself
+      const granted = req.apiKeyInfo.scopes || API_KEY_SCOPES;
+      const missing = scopes.filter(scope => !granted.includes(scope));
+      if (missing.length > 0) {
+        throw ErrorFactory.authorization(`This API key cannot grant: ${missing.join(', ')}`, { scopes: missing });
+      }
+
+      const key = await this.apiKeyService.createRestrictedKey(merchantId, {
+        name,
+        scopes: [...new Set(scopes)],
+        livemode: Boolean(req.apiKeyInfo.livemode),
+        actor: this.getActor(req)
+      });
+
+      logger.merchant('api_key_created', merchantId, {
+        requestId,
+        keyId: key.id,
+        scopes: key.scopes
+      });
+
+      res.status(201).json(key);
+
+    } catch (error) {
+      logger.error('API key creation failed', error, {
+        requestId,
+        ip: req.ip
+      });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal('Failed to create API key');
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
+  }
+
+  /**
+   * List the calling merchant's keys in the calling key's mode
+   */
+  async listApiKeys(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const keys = await this.apiKeyService.listKeys(merchantId, { livemode: Boolean(req.apiKeyInfo.livemode) });
+
+      res.json({ data: keys });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to list API keys');
+    }
+  }
+
+  /**
+   * Replace a key (the calling key unless a prefix is given), optionally keeping the old one valid for a grace period
+   *
+   * Not idempotent for the same reason as creating a key.
+   */
+  async rollApiKey(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const { prefix, gracePeriodSeconds = 0 } = Validator.validateApiKeyRoll(req.body || {});
+      const merchantId = await this.getMerchantId(req);
+
+      const record = await this.findManagedKey(req, merchantId, prefix || keyPrefix(req.apiKeyInfo.key));
+
+      const { key, previous } = await this.apiKeyService.roll(record, { gracePeriodSeconds, actor: this.getActor(req) });
+
+      logger.security('API Key Rolled', {
+        requestId,
+        merchantId,
+        keyId: record.id,
+        replacedBy: key.id,
+        gracePeriodSeconds
+      });
+
+      res.status(201).json({ ...key, previousKey: previous });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to roll API key');
+    }
+  }
+
+  /**
+   * Revoke a key by its prefix; it stops working at once, grace period or not
+   */
+  async revokeApiKey(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { prefix } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const record = await this.findManagedKey(req, merchantId, prefix);
+
+      if (!await this.apiKeyService.revokeRecord(record, { actor: this.getActor(req) })) {
+        throw ErrorFactory.notFound('API key', prefix);
+      }
+
+      logger.security('API Key Revoked', { requestId, merchantId, keyId: record.id });
+
+      res.json({ id: record.id, prefix: record.prefix, revoked: true });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to revoke API key', { prefix });
+    }
+  }
+
+  /**
+   * The audit trail of key creation, rolls, revocations and expiries in the calling key's mode
+   */
+  async listApiKeyEvents(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const { limit = 50, offset = 0 } = Validator.validatePagination({
+        ...(req.query.limit !== undefined && { limit: Number(req.query.limit) }),
+        ...(req.query.offset !== undefined && { offset: Number(req.query.offset) })
+      });
+
+      const events = await this.apiKeyService.listEvents(merchantId, {
+        livemode: Boolean(req.apiKeyInfo.livemode),
+        limit,
+        offset
+      });
+
+      res.json({ data: events, limit, offset });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to list API key events');
+    }
+  }
+
   /**
    * Validate API key endpoint for debugging with comprehensive logging
    */
@@ -211,11 +436,13 @@ class MerchantController {
       }
 
       // Validate the API key
-      const validation = this.apiKeyService.validateApiKey(apiKey);
+      const validation = await this.apiKeyService.validateApiKey(apiKey);
       
       const response = {
         valid: validation.valid,
         type: validation.type,
+        ...(validation.valid && { livemode: validation.livemode }),
+        ...(validation.keyType && { keyType: validation.keyType }),
         timestamp: new Date().toISOString(),
         requestId
       };
@@ -290,6 +517,78 @@ class MerchantController {
       });
     }
   }
+
+  /**
+   * Resolve the merchant behind the request's API key
+   */
+  async getMerchantId(req) {
+    const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+    const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+
+    if (!merchantId) {
+      throw ErrorFactory.authentication('Invalid API key or merchant not found');
+    }
+
+    return merchantId;
+  }
+
+  /**
+   * Find a key the calling key may roll or revoke: one of the merchant's, in
+   * the same mode, holding no scope the calling key lacks
+   */
+  async findManagedKey(req, merchantId, prefix) {
+    const livemode = Boolean(req.apiKeyInfo.livemode);
+    const records = (await this.apiKeyService.findByPrefix(merchantId, prefix))
+      .filter(record => Boolean(record.livemode) === livemode);
+
+    if (records.length === 0) {
+      throw ErrorFactory.notFound('API key', prefix);
+    }
+    if (records.length > 1) {
+      throw ErrorFactory.conflict('More than one API key starts with this prefix', { prefix });
+    }
+
+    const [record] = records;
+    const granted = req.apiKeyInfo.scopes || API_KEY_SCOPES;
+    const missing = record.scopes.filter(scope => !granted.includes(scope));
+    if (missing.length > 0) {
+      throw ErrorFactory.authorization(`This API key cannot manage a key with: ${missing.join(', ')}`, { scopes: missing });
+    }
+
+    return record;
+  }
+
+  /**
+   * Who made a key change, for the audit trail
+   */
+  getActor(req) {
+    return { keyId: req.apiKeyInfo?.keyId || null, ip: req.ip };
+  }
+
+  sendError(res, error, requestId, message, meta = {}) {
+    logger.error(message, error, { requestId, ...meta });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    const genericError = ErrorFactory.internal(message);
+    res.status(500).json({
+      ...genericError.toJSON(),
+      requestId,
+      ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+    });
+  }
 }
 
 module.exports = MerchantController;
\ No newline at end of file
@@ -3,19 +3,17 @@
  * Production-ready payment operations with comprehensive error handling and monitoring
  */
 
-const PaymentService = require('../services/paymentService');
-const MerchantService = require('../services/merchantService');
-const ApiKeyService = require('../services/apiKeyService');
+const { getContainer } = require('../container');
 const logger = require('../utils/logger');
 const { Validator } = require('../utils/validation');
 const { ErrorFactory } = require('../utils/errors');
 const { performanceMonitor } = require('../utils/monitoring');
 
 class PaymentController {
-  constructor() {
-    this.paymentService = new PaymentService();
-    this.merchantService = new MerchantService();
-    this.apiKeyService = new ApiKeyService();
+  constructor(container = getContainer()) {
+    this.paymentService = container.paymentService;
+    this.merchantService = container.merchantService;
+    this.apiKeyService = container.apiKeyService;
   }
 
   /**
@@ -40,7 +38,7 @@ class PaymentController {
       
       // Get merchant information from API key
       const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
-      const merchantId = this.apiKeyService.getMerchantFromApiKey(apiKey);
+      const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
       
       if (!merchantId) {
         throw ErrorFactory.authentication('Invalid API key or merchant not found');
@@ -56,8 +54,16 @@ class PaymentController {
         throw ErrorFactory.notFound('Merchant', merchantId);
       }
 
+      if (merchant.isActive === false) {
+        throw ErrorFactory.payment('Merchant account is deactivated', 'MERCHANT_INACTIVE', { merchantId });
+      }
+
       // Create payment intent
-      const result = await this.paymentService.createPaymentIntent(merchantId, validatedData);
+      // The intent takes the mode of the key that created it
+      const result = await this.paymentService.createPaymentIntent(merchantId, {
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
       
       // Log successful creation
       logger.payment('create_intent_success', result.id, {
@@ -137,18 +143,14 @@ class PaymentController {
         throw ErrorFactory.validation('Payment ID is required');
       }
 
-      // Validate confirmation data if present
-      let validatedData = {};
-      if (req.body && Object.keys(req.body).length > 0) {
-        validatedData = Validator.validatePaymentConfirmation(req.body);
-      }
+      // Validate confirmation data
+      const { clientSecret, ...confirmation } = Validator.validatePaymentConfirmation(req.body || {});
 
-      // Confirm the payment
-      const result = await this.paymentService.confirmPayment(id, validatedData);
-      
-      // Update merchant stats asynchronously after successful payment processing
-      const paymentIntent = await this.paymentService.getPaymentIntent(id);
-      this.updateMerchantStatsAsync(paymentIntent);
+      // Only the holder of the intent's client secret may confirm it
+      await this.paymentService.authorizeClientSecret(id, clientSecret);
+
+      // Confirm the payment and verify its transaction on-chain
+      const result = await this.paymentService.confirmPayment(id, confirmation);
       
       // Log successful confirmation
       logger.payment('confirm_payment_success', id, {
@@ -176,7 +178,7 @@ class PaymentController {
       logger.error('Payment confirmation failed', error, {
         requestId,
         paymentId: id,
-        body: req.body,
+        body: { ...req.body, clientSecret: req.body?.clientSecret && '[REDACTED]' },
         ip: req.ip
       });
 
@@ -211,7 +213,23 @@ class PaymentController {
           requestId
         });
       }
-      
+
+      if (error.message?.includes('has been canceled')) {
+        const canceledError = ErrorFactory.validation('Payment has been canceled');
+        return res.status(400).json({
+          ...canceledError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('already processed')) {
+        const confirmError = ErrorFactory.payment(error.message, 'PAYMENT_NOT_CONFIRMABLE');
+        return res.status(400).json({
+          ...confirmError.toJSON(),
+          requestId
+        });
+      }
+
       // Generic error response
       const genericError = ErrorFactory.internal('Failed to confirm payment');
       res.status(500).json({
@@ -222,8 +240,98 @@ class PaymentController {
     }
   }
 
+  /**
+   * Get the process-payment contract call for the customer's wallet to sign
+   */
+  async getProcessPaymentCall(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      logger.payment('contract_call_start', id, {
+        requestId,
+        ip: req.ip
+      });
+
+      const validatedData = Validator.validatePaymentContractCall(req.body || {});
+      const contractCall = await this.paymentService.getProcessPaymentCall(id, validatedData);
+
+      logger.payment('contract_call_success', id, {
+        requestId,
+        customer: contractCall.customerAddress
+      });
+
+      res.json(contractCall);
+
+    } catch (error) {
+      logger.error('Payment contract call failed', error, {
+        requestId,
+        paymentId: id,
+        ip: req.ip
+      });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      // Handle legacy error messages
+      if (error.message?.includes('not found')) {
+        const notFoundError = ErrorFactory.notFound('Payment intent', id);
+        return res.status(404).json({
+          ...notFoundError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('cannot be paid')) {
+        const payError = ErrorFactory.payment(error.message, 'PAYMENT_NOT_PAYABLE');
+        return res.status(400).json({
+          ...payError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('expired')) {
+        const expiredError = ErrorFactory.validation('Payment has expired');
+        return res.status(400).json({
+          ...expiredError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal('Failed to build the payment contract call');
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
+  }
+
   /**
    * Get payment intent details with comprehensive logging and error handling
+   *
+   * With `?client_secret=` this is the browser-side read and returns the public
+   * view; otherwise the route has checked for a secret key and the merchant gets
+   * the full intent.
    */
   async getPaymentIntent(req, res) {
     const requestId = req.requestId || 'unknown';
@@ -246,13 +354,28 @@ class PaymentController {
       }
 
       // Retrieve payment intent
-      const paymentIntent = await this.paymentService.getPaymentIntent(id);
+      const clientSecret = req.query?.client_secret;
+      let paymentIntent;
+      if (clientSecret !== undefined) {
+        paymentIntent = await this.paymentService.getPublicPaymentIntent(id, clientSecret);
+      } else {
+        const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+        const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+        if (!merchantId) {
+          throw ErrorFactory.authentication('Invalid API key or merchant not found');
+        }
+
+        paymentIntent = await this.paymentService.getPaymentIntent(id, {
+          merchantId,
+          livemode: Boolean(req.apiKeyInfo?.livemode)
+        });
+      }
       
       // Log successful retrieval
       logger.payment('get_payment_intent_success', id, {
         requestId,
         status: paymentIntent.status,
-        merchantId: paymentIntent.merchantId
+        publicView: clientSecret !== undefined
       });
 
       // Record performance metrics
@@ -312,43 +435,168 @@ class PaymentController {
   }
 
   /**
-   * Update merchant stats asynchronously after payment success
+   * List the merchant's payment intents with filters and cursor pagination
    */
-  async updateMerchantStatsAsync(paymentIntent) {
-    // Wait for payment to succeed before updating stats
-    setTimeout(async () => {
-      try {
-        logger.info('Starting merchant stats update', {
-          paymentId: paymentIntent.id,
-          merchantId: paymentIntent.merchantId
-        });
-
-        const updatedPayment = await this.paymentService.getPaymentIntent(paymentIntent.id);
-        if (updatedPayment && updatedPayment.status === 'succeeded') {
-          await this.merchantService.updateStats(updatedPayment.merchantId, {
-            totalProcessed: updatedPayment.amount,
-            feeCollected: updatedPayment.fee,
-            paymentsCount: 1
-          });
-
-          logger.merchant('stats_updated', updatedPayment.merchantId, {
-            paymentId: updatedPayment.paymentId,
-            amount: updatedPayment.amount,
-            fee: updatedPayment.fee
-          });
-        } else {
-          logger.warn('Payment not succeeded, skipping merchant stats update', {
-            paymentId: paymentIntent.id,
-            status: updatedPayment?.status
-          });
-        }
-      } catch (error) {
-        logger.error('Error updating merchant stats', error, {
-          paymentId: paymentIntent.id,
-          merchantId: paymentIntent.merchantId
+  async listPaymentIntents(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const filters = Validator.validatePaymentListQuery(req.query || {});
+
+      const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+      const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+      if (!merchantId) {
+        throw ErrorFactory.authentication('Invalid API key or merchant not found');
+      }
+
+      const page = await this.paymentService.listPaymentIntents(merchantId, {
+        ...filters,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+      res.json(page);
+
+    } catch (error) {
+      logger.error('Payment intent listing failed', error, {
+        requestId,
+        query: req.query,
+        ip: req.ip
+      });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
         });
       }
-    }, 4000); // Wait a bit after payment processing completes
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('cursor')) {
+        const cursorError = ErrorFactory.validation(error.message, 'cursor');
+        return res.status(400).json({
+          ...cursorError.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal('Failed to list payment intents');
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
+  }
+
+  /**
+   * Cancel an unpaid payment intent, on-chain too when the merchant key is supplied
+   */
+  async cancelPaymentIntent(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      logger.payment('cancel_payment_start', id, {
+        requestId,
+        ip: req.ip
+      });
+
+      const validatedData = Validator.validatePaymentCancellation(req.body || {});
+
+      const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+      const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+      if (!merchantId) {
+        throw ErrorFactory.authentication('Invalid API key or merchant not found');
+      }
+
+      const paymentIntent = await this.paymentService.cancelPaymentIntent(merchantId, id, {
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+
+      logger.payment('cancel_payment_success', id, {
+        requestId,
+        merchantId,
+        onChain: Boolean(paymentIntent.cancellationTransactionId)
+      });
+
+      res.json(paymentIntent);
+
+    } catch (error) {
+      // The body may carry the merchant's private key, so it is not logged
+      logger.error('Payment cancellation failed', error, {
+        requestId,
+        paymentId: id,
+        ip: req.ip
+      });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          ...error.toJSON(),
+          requestId
+        });
+      }
+
+      // Handle legacy error messages
+      if (error.message?.includes('not found')) {
+        const notFoundError = ErrorFactory.notFound('Payment intent', id);
+        return res.status(404).json({
+          ...notFoundError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('cannot be canceled')) {
+        const cancelError = ErrorFactory.payment(error.message, 'PAYMENT_NOT_CANCELABLE');
+        return res.status(400).json({
+          ...cancelError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('mode keys can only call')) {
+        const modeError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...modeError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('only be sent to the API on devnet')) {
+        const signingError = ErrorFactory.authorization(error.message);
+        return res.status(403).json({
+          ...signingError.toJSON(),
+          requestId
+        });
+      }
+
+      if (error.message?.includes('on blockchain')) {
+        const blockchainError = ErrorFactory.blockchain(error.message);
+        return res.status(502).json({
+          ...blockchainError.toJSON(),
+          requestId
+        });
+      }
+
+      const genericError = ErrorFactory.internal('Failed to cancel payment intent');
+      res.status(500).json({
+        ...genericError.toJSON(),
+        requestId,
+        ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+      });
+    }
   }
 }
 
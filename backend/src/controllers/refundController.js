@@ -0,0 +1,203 @@
+/**
+ * Refund Controller
+ * Refunds of settled payments and their on-chain confirmation
+ */
+
+const { getContainer } = require('../container');
+const logger = require('../utils/logger');
+const { Validator } = require('../utils/validation');
+const { ErrorFactory } = require('../utils/errors');
+
+// Refund service messages that describe a request the payment's state does not allow
+const REFUND_ERRORS = [
+  ['cannot be refunded', 'PAYMENT_NOT_REFUNDABLE'],
+  ['left to refund', 'REFUND_EXCEEDS_PAYMENT'],
+  ['cannot be confirmed', 'REFUND_NOT_PENDING'],
+  ['cannot be canceled', 'REFUND_NOT_PENDING']
+];
+
+class RefundController {
+  constructor(container = getContainer()) {
+    this.refundService = container.refundService;
+    this.apiKeyService = container.apiKeyService;
+  }
+
+  /**
+   * Refund a payment in full or in part
+   */
+  async createRefund(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const validatedData = Validator.validateRefund(req.body || {});
+
+      const refund = await this.refundService.createRefund(merchantId, id, validatedData);
+
+      logger.payment('refund_created', id, {
+        requestId,
+        merchantId,
+        refundId: refund.id,
+        amount: refund.amount,
+        status: refund.status
+      });
+
+      res.status(201).json(this.refundService.toView(refund));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to create refund', { paymentId: id, body: req.body });
+    }
+  }
+
+  /**
+   * List a payment's refunds
+   */
+  async listRefunds(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const refunds = await this.refundService.listRefunds(merchantId, id);
+
+      res.json({ data: refunds.map(refund => this.refundService.toView(refund)) });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to list refunds', { paymentId: id });
+    }
+  }
+
+  /**
+   * Get a single refund
+   */
+  async getRefund(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id, refundId } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const refund = await this.refundService.getRefund(merchantId, id, refundId);
+
+      if (!refund) {
+        throw ErrorFactory.notFound('Refund', refundId);
+      }
+
+      res.json(this.refundService.toView(refund));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to get refund', { paymentId: id, refundId });
+    }
+  }
+
+  /**
+   * Submit the refund-payment transaction for a pending refund
+   */
+  async confirmRefund(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id, refundId } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const { transactionId } = Validator.validateRefundConfirmation(req.body || {});
+
+      const refund = await this.refundService.confirmRefund(merchantId, id, refundId, { transactionId });
+
+      logger.payment('refund_confirmed', id, {
+        requestId,
+        merchantId,
+        refundId,
+        transactionId,
+        status: refund.status
+      });
+
+      res.json(this.refundService.toView(refund));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to confirm refund', { paymentId: id, refundId });
+    }
+  }
+
+  /**
+   * Cancel a pending refund
+   */
+  async cancelRefund(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id, refundId } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const refund = await this.refundService.cancelRefund(merchantId, id, refundId);
+
+      logger.payment('refund_canceled', id, {
+        requestId,
+        merchantId,
+        refundId
+      });
+
+      res.json(this.refundService.toView(refund));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to cancel refund', { paymentId: id, refundId });
+    }
+  }
+
+  /**
+   * Resolve the merchant behind the request's API key
+   */
+  async getMerchantId(req) {
+    const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+    const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+
+    if (!merchantId) {
+      throw ErrorFactory.authentication('Invalid API key or merchant not found');
+    }
+
+    return merchantId;
+  }
+
+  sendError(res, error, requestId, message, meta = {}) {
+    logger.error(message, error, { requestId, ...meta });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    // Handle legacy error messages
+    if (error.message?.includes('not found')) {
+      const notFoundError = ErrorFactory.notFound(error.message.replace(' not found', ''));
+      return res.status(404).json({
+        ...notFoundError.toJSON(),
+        requestId
+      });
+    }
+
+    const refundError = REFUND_ERRORS.find(([text]) => error.message?.includes(text));
+    if (refundError) {
+      const paymentError = ErrorFactory.payment(error.message, refundError[1]);
+      return res.status(400).json({
+        ...paymentError.toJSON(),
+        requestId
+      });
+    }
+
+    const genericError = ErrorFactory.internal(message);
+    res.status(500).json({
+      ...genericError.toJSON(),
+      requestId,
+      ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+    });
+  }
+}
+
+module.exports = RefundController;
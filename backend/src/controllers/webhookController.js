@@ -0,0 +1,355 @@
+/**
+ * Webhook Controller
+ * Webhook endpoint management, delivery log and replay
+ */
+
+const { getContainer } = require('../container');
+const logger = require('../utils/logger');
+const { Validator } = require('../utils/validation');
+const { ErrorFactory } = require('../utils/errors');
+const { performanceMonitor } = require('../utils/monitoring');
+
+class WebhookController {
+  constructor(container = getContainer()) {
+    this.webhookService = container.webhookService;
+    this.apiKeyService = container.apiKeyService;
+  }
+
+  /**
+   * Register a webhook endpoint; the signing secret is only returned here and on rotation
+   */
+  async createEndpoint(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      performanceMonitor.start('webhook_endpoint_creation');
+
+      const merchantId = await this.getMerchantId(req);
+      const validatedData = Validator.validateWebhook(req.body);
+
+      const endpoint = await this.webhookService.createEndpoint(merchantId, {
+        ...validatedData,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+
+      logger.merchant('webhook_endpoint_created', merchantId, {
+        requestId,
+        endpointId: endpoint.id,
+        url: endpoint.url,
+        events: endpoint.events
+      });
+
+      performanceMonitor.end('webhook_endpoint_creation');
+      res.status(201).json({
+        ...this.webhookService.toView(endpoint),
+        secret: endpoint.secret
+      });
+
+    } catch (error) {
+      performanceMonitor.end('webhook_endpoint_creation');
+      this.sendError(res, error, requestId, 'Failed to create webhook endpoint', { body: req.body });
+    }
+  }
+
+  /**
+   * List the merchant's webhook endpoints
+   */
+  async listEndpoints(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const endpoints = await this.webhookService.listEndpoints(merchantId, { livemode: Boolean(req.apiKeyInfo?.livemode) });
+
+      res.json({ data: endpoints.map(endpoint => this.webhookService.toView(endpoint)) });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to list webhook endpoints');
+    }
+  }
+
+  /**
+   * Get a single webhook endpoint
+   */
+  async getEndpoint(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const endpoint = await this.webhookService.getEndpoint(merchantId, id, { livemode: Boolean(req.apiKeyInfo?.livemode) });
+
+      if (!endpoint) {
+        throw ErrorFactory.notFound('Webhook endpoint', id);
+      }
+
+      res.json(this.webhookService.toView(endpoint));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to get webhook endpoint', { endpointId: id });
+    }
+  }
+
+  /**
+   * Update an endpoint's URL, events or description, or disable/enable it
+   */
+  async updateEndpoint(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const validatedData = Validator.validateWebhook(req.body, { partial: true });
+
+      if (Object.keys(validatedData).length === 0) {
+        throw ErrorFactory.validation('Provide at least one of: url, events, description, status');
+      }
+
+      const endpoint = await this.webhookService.updateEndpoint(merchantId, id, validatedData, {
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+      if (!endpoint) {
+        throw ErrorFactory.notFound('Webhook endpoint', id);
+      }
+
+      logger.merchant('webhook_endpoint_updated', merchantId, {
+        requestId,
+        endpointId: id,
+        fields: Object.keys(validatedData)
+      });
+
+      res.json(this.webhookService.toView(endpoint));
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to update webhook endpoint', { endpointId: id, body: req.body });
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint
+   */
+  async deleteEndpoint(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const deleted = await this.webhookService.deleteEndpoint(merchantId, id, { livemode: Boolean(req.apiKeyInfo?.livemode) });
+
+      if (!deleted) {
+        throw ErrorFactory.notFound('Webhook endpoint', id);
+      }
+
+      logger.merchant('webhook_endpoint_deleted', merchantId, { requestId, endpointId: id });
+
+      res.json({ id, deleted: true });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to delete webhook endpoint', { endpointId: id });
+    }
+  }
+
+  /**
+   * Send a sample event to an endpoint and return the delivery
+   */
+  async sendTestEvent(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const { type } = Validator.validateWebhookTestEvent(req.body || {});
+
+      const delivery = await this.webhookService.sendTestEvent(merchantId, id, type, {
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+
+      logger.webhook('test_event_sent', delivery.id, {
+        requestId,
+        merchantId,
+        endpointId: id,
+        status: delivery.status
+      });
+
+      res.status(201).json(delivery);
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to send webhook test event', { endpointId: id });
+    }
+  }
+
+  /**
+   * Rotate an endpoint's signing secret, keeping the old one valid for an overlap window
+   */
+  async rotateSecret(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const { overlapSeconds } = Validator.validateWebhookSecretRotation(req.body || {});
+
+      const endpoint = await this.webhookService.rotateSecret(merchantId, id, {
+        overlapSeconds,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+      if (!endpoint) {
+        throw ErrorFactory.notFound('Webhook endpoint', id);
+      }
+
+      logger.security('Webhook Secret Rotated', { requestId, merchantId, endpointId: id });
+
+      const [rotatedOut] = endpoint.previousSecrets.slice(-1);
+      res.json({
+        ...this.webhookService.toView(endpoint),
+        secret: endpoint.secret,
+        previousSecretExpiresAt: overlapSeconds === 0 ? null : rotatedOut?.expiresAt || null
+      });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to rotate webhook secret', { endpointId: id });
+    }
+  }
+
+  /**
+   * List webhook deliveries, optionally filtered by status (`dead` for the dead-letter queue) or endpoint
+   */
+  async listDeliveries(req, res) {
+    const requestId = req.requestId || 'unknown';
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const { status, endpointId } = req.query;
+      const { limit = 50, offset = 0 } = Validator.validatePagination({
+        ...(req.query.limit !== undefined && { limit: Number(req.query.limit) }),
+        ...(req.query.offset !== undefined && { offset: Number(req.query.offset) })
+      });
+
+      const deliveries = await this.webhookService.listDeliveries(merchantId, {
+        status,
+        endpointId,
+        limit,
+        offset,
+        livemode: Boolean(req.apiKeyInfo?.livemode)
+      });
+
+      res.json({ data: deliveries, limit, offset });
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to list webhook deliveries');
+    }
+  }
+
+  /**
+   * Get a single delivery with its attempt history
+   */
+  async getDelivery(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const delivery = await this.webhookService.getDelivery(merchantId, id, { livemode: Boolean(req.apiKeyInfo?.livemode) });
+
+      if (!delivery) {
+        throw ErrorFactory.notFound('Webhook delivery', id);
+      }
+
+      res.json(delivery);
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to get webhook delivery', { deliveryId: id });
+    }
+  }
+
+  /**
+   * Re-send a delivery's event to its endpoint
+   */
+  async replayDelivery(req, res) {
+    const requestId = req.requestId || 'unknown';
+    const { id } = req.params;
+
+    try {
+      const merchantId = await this.getMerchantId(req);
+      const delivery = await this.webhookService.replayDelivery(merchantId, id, { livemode: Boolean(req.apiKeyInfo?.livemode) });
+
+      logger.webhook('replayed', delivery.id, {
+        requestId,
+        merchantId,
+        replayOf: id,
+        status: delivery.status
+      });
+
+      res.status(201).json(delivery);
+
+    } catch (error) {
+      this.sendError(res, error, requestId, 'Failed to replay webhook delivery', { deliveryId: id });
+    }
+  }
+
+  /**
+   * Resolve the merchant behind the request's API key
+   */
+  async getMerchantId(req) {
+    const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+    const merchantId = await this.apiKeyService.getMerchantFromApiKey(apiKey);
+
+    if (!merchantId) {
+      throw ErrorFactory.authentication('Invalid API key or merchant not found');
+    }
+
+    return merchantId;
+  }
+
+  sendError(res, error, requestId, message, meta = {}) {
+    logger.error(message, error, { requestId, ...meta });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        ...error.toJSON(),
+        requestId
+      });
+    }
+
+    // Handle legacy error messages
+    if (error.message?.includes('not found')) {
+      const notFoundError = ErrorFactory.notFound(error.message.replace(' not found', ''));
+      return res.status(404).json({
+        ...notFoundError.toJSON(),
+        requestId
+      });
+    }
+
+    if (error.message?.startsWith('Webhook URL')) {
+      const validationError = ErrorFactory.validation(error.message, 'url');
+      return res.status(400).json({
+        ...validationError.toJSON(),
+        requestId
+      });
+    }
+
+    if (error.message?.includes('Unsupported webhook event type')) {
+      const validationError = ErrorFactory.validation(error.message, 'events');
+      return res.status(400).json({
+        ...validationError.toJSON(),
+        requestId
+      });
+    }
+
+    const genericError = ErrorFactory.internal(message);
+    res.status(500).json({
+      ...genericError.toJSON(),
+      requestId,
+      ...(process.env.NODE_ENV === 'development' && { originalError: error.message })
+    });
+  }
+}
+
+module.exports = WebhookController;
@@ -0,0 +1,324 @@
+/**
+ * Schema Migrations
+ * Ordered, append-only list of schema changes applied at startup
+ *
+ * Each record table stores the full document as JSON in `data` and copies the
+ * fields we filter on into indexed columns. SQL here must run on both SQLite
+ * and Postgres. A migration that also has to rewrite rows gives `up` as a
+ * function of the transaction instead of a SQL string.
+ */
+
+const crypto = require('crypto');
+
+const migrations = [
+  {
+    id: 1,
+    name: 'create_payments_merchants_api_keys',
+    up: `
+      CREATE TABLE IF NOT EXISTS merchants (
+        id TEXT PRIMARY KEY,
+        stacks_address TEXT NOT NULL UNIQUE,
+        email TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_merchants_email ON merchants (email);
+
+      CREATE TABLE IF NOT EXISTS payments (
+        id TEXT PRIMARY KEY,
+        payment_id TEXT NOT NULL UNIQUE,
+        merchant_id TEXT,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_payments_merchant_id ON payments (merchant_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_payments_status ON payments (status);
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_keys_merchant_id ON api_keys (merchant_id);
+    `
+  },
+  {
+    id: 2,
+    name: 'create_webhook_endpoints_and_deliveries',
+    up: `
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_merchant_id ON webhook_endpoints (merchant_id, status);
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        endpoint_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_merchant_id ON webhook_deliveries (merchant_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries (endpoint_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status);
+    `
+  },
+  {
+    id: 3,
+    name: 'create_idempotency_keys',
+    up: `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
+    `
+  },
+  {
+    id: 4,
+    name: 'create_refunds',
+    up: `
+      CREATE TABLE IF NOT EXISTS refunds (
+        id TEXT PRIMARY KEY,
+        payment_id TEXT NOT NULL,
+        merchant_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds (payment_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds (status);
+    `
+  },
+  {
+    id: 5,
+    name: 'create_chain_events',
+    up: `
+      CREATE TABLE IF NOT EXISTS chain_events (
+        id TEXT PRIMARY KEY,
+        tx_id TEXT NOT NULL,
+        payment_id TEXT,
+        block_height INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_chain_events_payment_id ON chain_events (payment_id);
+      CREATE INDEX IF NOT EXISTS idx_chain_events_status ON chain_events (status, block_height);
+    `
+  },
+  {
+    id: 6,
+    name: 'add_payment_list_filter_columns',
+    up: async (tx) => {
+      await tx.exec(`
+        ALTER TABLE payments ADD COLUMN amount BIGINT;
+        ALTER TABLE payments ADD COLUMN customer_address TEXT;
+        ALTER TABLE payments ADD COLUMN description TEXT;
+        CREATE INDEX IF NOT EXISTS idx_payments_merchant_status ON payments (merchant_id, status, created_at);
+      `);
+
+      // Copy the new columns out of existing documents
+      const rows = await tx.query('SELECT id, data FROM payments');
+      for (const row of rows) {
+        const payment = JSON.parse(row.data);
+        await tx.run(
+          'UPDATE payments SET amount = ?, customer_address = ?, description = ? WHERE id = ?',
+          [payment.amount ?? null, payment.customerAddress ?? null, payment.description ?? null, row.id]
+        );
+      }
+    }
+  },
+  {
+    id: 7,
+    name: 'create_job_locks_and_runs',
+    up: `
+      CREATE TABLE IF NOT EXISTS job_locks (
+        id TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        locked_until TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id TEXT PRIMARY KEY,
+        job TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job, created_at);
+      CREATE INDEX IF NOT EXISTS idx_job_runs_created_at ON job_runs (created_at);
+    `
+  },
+  {
+    id: 8,
+    name: 'add_livemode',
+    up: async (tx) => {
+      await tx.exec(`
+        ALTER TABLE payments ADD COLUMN livemode INTEGER;
+        CREATE INDEX IF NOT EXISTS idx_payments_merchant_livemode ON payments (merchant_id, livemode, created_at);
+        ALTER TABLE webhook_endpoints ADD COLUMN livemode INTEGER;
+        CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_merchant_livemode ON webhook_endpoints (merchant_id, livemode, status);
+        ALTER TABLE webhook_deliveries ADD COLUMN livemode INTEGER;
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_merchant_livemode ON webhook_deliveries (merchant_id, livemode, created_at);
+      `);
+
+      // Only test keys existed before, so every stored payment, endpoint and delivery is in test mode
+      for (const table of ['payments', 'webhook_endpoints', 'webhook_deliveries']) {
+        const rows = await tx.query(`SELECT id, data FROM ${table}`);
+        for (const row of rows) {
+          const record = { ...JSON.parse(row.data), livemode: false };
+          await tx.run(`UPDATE ${table} SET livemode = ?, data = ? WHERE id = ?`, [0, JSON.stringify(record), row.id]);
+        }
+      }
+    }
+  },
+  {
+    id: 9,
+    name: 'hash_api_keys',
+    up: async (tx) => {
+      await tx.exec(`
+        ALTER TABLE api_keys ADD COLUMN prefix TEXT;
+        CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys (prefix);
+      `);
+
+      // The record ApiKeyService.store wrote when this migration was added, kept
+      // here as it was then: keys from before scopes get every scope of the time
+      const scopes = ['payments:read', 'payments:write', 'webhooks:manage', 'contracts:call', 'keys:manage'];
+      const insertHashedKey = async (key, merchantId, createdAt) => {
+        const type = key.startsWith('sk_') ? 'secret' : 'publishable';
+        const salt = crypto.randomBytes(16).toString('hex');
+        const record = {
+          id: `key_${crypto.randomBytes(12).toString('hex')}`,
+          merchantId,
+          type,
+          livemode: /^[psr]k_live_/.test(key),
+          name: `Default ${type} key`,
+          scopes,
+          prefix: key.slice(0, 16),
+          salt,
+          keyHash: crypto.createHmac('sha256', salt).update(key).digest('hex'),
+          lastUsedAt: null,
+          createdAt
+        };
+        await tx.run(
+          'INSERT INTO api_keys (id, merchant_id, prefix, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [record.id, merchantId, record.prefix, JSON.stringify(record), createdAt, new Date().toISOString()]
+        );
+      };
+
+      // Registered keys were stored with the key itself as the ID
+      const keys = await tx.query('SELECT id, merchant_id, created_at FROM api_keys WHERE prefix IS NULL');
+      for (const row of keys) {
+        await insertHashedKey(row.id, row.merchant_id, row.created_at);
+        await tx.run('DELETE FROM api_keys WHERE id = ?', [row.id]);
+      }
+
+      // Merchant records held their keys too; secret keys were never looked up, so they move to api_keys
+      const merchants = await tx.query('SELECT id, data, created_at FROM merchants');
+      for (const row of merchants) {
+        const merchant = JSON.parse(row.data);
+        if (row.id !== 'demo-merchant-id') {
+          for (const key of [merchant.secretKey, merchant.liveSecretKey].filter(Boolean)) {
+            await insertHashedKey(key, row.id, row.created_at);
+          }
+        }
+        for (const field of ['apiKey', 'secretKey', 'liveApiKey', 'liveSecretKey']) {
+          delete merchant[field];
+        }
+        await tx.run('UPDATE merchants SET data = ? WHERE id = ?', [JSON.stringify(merchant), row.id]);
+      }
+    }
+  },
+  {
+    id: 10,
+    name: 'add_api_key_expiry_and_events',
+    up: `
+      ALTER TABLE api_keys ADD COLUMN expires_at TEXT;
+      CREATE INDEX IF NOT EXISTS idx_api_keys_expires_at ON api_keys (expires_at);
+
+      CREATE TABLE IF NOT EXISTS api_key_events (
+        id TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_key_events_merchant_id ON api_key_events (merchant_id, created_at);
+    `
+  },
+  {
+    id: 11,
+    name: 'grant_account_write_scope',
+    up: async (tx) => {
+      // Registration keys hold every scope, including ones added after they were issued
+      const rows = await tx.query('SELECT id, data FROM api_keys');
+      for (const row of rows) {
+        const key = JSON.parse(row.data);
+        if (key.type !== 'restricted' && !key.scopes.includes('account:write')) {
+          key.scopes = [...key.scopes, 'account:write'];
+          await tx.run('UPDATE api_keys SET data = ? WHERE id = ?', [JSON.stringify(key), row.id]);
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Apply every migration newer than the last recorded one, each in its own transaction
+ */
+async function migrate(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set((await db.query('SELECT id FROM schema_migrations')).map(row => Number(row.id)));
+  const pending = migrations.filter(migration => !applied.has(migration.id));
+
+  for (const migration of pending) {
+    await db.transaction(async (tx) => {
+      if (typeof migration.up === 'function') {
+        await migration.up(tx);
+      } else {
+        await tx.exec(migration.up);
+      }
+      await tx.run(
+        'INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)',
+        [migration.id, migration.name, new Date().toISOString()]
+      );
+    });
+  }
+
+  return pending.map(migration => migration.name);
+}
+
+module.exports = {
+  migrations,
+  migrate
+};
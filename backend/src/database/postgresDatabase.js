@@ -0,0 +1,106 @@
+/**
+ * Postgres Database Driver
+ * Async wrapper around a pg connection pool exposing the shared database interface
+ */
+
+const { Pool } = require('pg');
+const { migrate } = require('./migrations');
+
+/**
+ * Convert the `?` placeholders used throughout the repositories to `$1, $2, ...`
+ */
+const toPostgresPlaceholders = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+class PostgresDatabase {
+  constructor(connectionString, options = {}) {
+    this.dialect = 'postgres';
+    this.pool = new Pool({
+      connectionString,
+      max: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10),
+      ...options
+    });
+    this.readyPromise = null;
+  }
+
+  /**
+   * Run pending migrations once; every query waits for this
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = migrate({
+        ...this.handle(this.pool),
+        transaction: (fn) => this.runTransaction(fn)
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async query(sql, params = []) {
+    await this.ready();
+    return this.handle(this.pool).query(sql, params);
+  }
+
+  async get(sql, params = []) {
+    await this.ready();
+    return this.handle(this.pool).get(sql, params);
+  }
+
+  async run(sql, params = []) {
+    await this.ready();
+    return this.handle(this.pool).run(sql, params);
+  }
+
+  async exec(sql) {
+    await this.ready();
+    return this.handle(this.pool).exec(sql);
+  }
+
+  /**
+   * Run fn(tx) on a dedicated client inside BEGIN/COMMIT, rolling back if it throws
+   */
+  async transaction(fn) {
+    await this.ready();
+    return this.runTransaction(fn);
+  }
+
+  async runTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(this.handle(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  /**
+   * Statement executor bound to the pool or to a transaction's client
+   */
+  handle(client) {
+    const tx = {
+      dialect: this.dialect,
+      query: async (sql, params = []) => (await client.query(toPostgresPlaceholders(sql), params)).rows,
+      get: async (sql, params = []) => (await client.query(toPostgresPlaceholders(sql), params)).rows[0] || null,
+      run: async (sql, params = []) => ({ changes: (await client.query(toPostgresPlaceholders(sql), params)).rowCount }),
+      exec: async (sql) => { await client.query(sql); },
+      // Nested transactions join the outer one
+      transaction: async (fn) => fn(tx)
+    };
+    return tx;
+  }
+}
+
+module.exports = PostgresDatabase;
+module.exports.toPostgresPlaceholders = toPostgresPlaceholders;
@@ -0,0 +1,232 @@
+/**
+ * Repository
+ * Generic document store over a single table: records are kept as JSON in
+ * `data`, with selected fields mirrored into indexed columns for lookups
+ */
+
+/**
+ * Indexed columns hold plain scalars; booleans are stored as 0/1 on both drivers
+ */
+const toColumnValue = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+};
+
+// Operators accepted in an object filter value, e.g. { amount: { gte: 1000 } }
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, match => `\\${match}`);
+
+class Repository {
+  /**
+   * @param {object} db - SqliteDatabase or PostgresDatabase
+   * @param {object} options
+   * @param {string} options.table - Table name
+   * @param {object} options.columns - Record field -> indexed column name
+   */
+  constructor(db, { table, columns = {} }) {
+    this.db = db;
+    this.table = table;
+    this.columns = { id: 'id', createdAt: 'created_at', ...columns };
+  }
+
+  /**
+   * Insert a new record
+   */
+  async create(record, executor = this.db) {
+    const row = this.toRow(record);
+    const names = Object.keys(row);
+    await executor.run(
+      `INSERT INTO ${this.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+    return record;
+  }
+
+  /**
+   * Insert a record unless one with the same ID exists; resolves to whether it was inserted
+   */
+  async createIfMissing(record) {
+    const row = this.toRow(record);
+    const names = Object.keys(row);
+    const result = await this.db.run(
+      `INSERT INTO ${this.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+       ON CONFLICT (id) DO NOTHING`,
+      Object.values(row)
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  async save(record, executor = this.db) {
+    const row = this.toRow(record);
+    const names = Object.keys(row);
+    const assignments = names
+      .filter(name => name !== 'id' && name !== 'created_at')
+      .map(name => `${name} = excluded.${name}`);
+
+    await executor.run(
+      `INSERT INTO ${this.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+       ON CONFLICT (id) DO UPDATE SET ${assignments.join(', ')}`,
+      Object.values(row)
+    );
+    return record;
+  }
+
+  /**
+   * Fetch a record by ID
+   *
+   * With `lock`, a read inside a Postgres transaction takes a row lock so
+   * concurrent read-modify-write callers wait for each other. SQLite runs
+   * transactions one at a time and needs none.
+   */
+  async findById(id, executor = this.db, { lock = false } = {}) {
+    const forUpdate = lock && executor.dialect === 'postgres' ? ' FOR UPDATE' : '';
+    const row = await executor.get(`SELECT data FROM ${this.table} WHERE id = ?${forUpdate}`, [id]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findOne(where = {}) {
+    const [record] = await this.findBy(where, { limit: 1 });
+    return record || null;
+  }
+
+  /**
+   * Find records matching every field in `where`, newest first
+   *
+   * Array values match any of their items; object values hold range operators
+   * (gt, gte, lt, lte) or a case-insensitive `contains`. `after` is a record
+   * from a previous page: only records ordered after it are returned, which
+   * keeps pages stable while new records are inserted. `executor` runs the
+   * query inside a caller's transaction.
+   */
+  async findBy(where = {}, { limit, offset = 0, after, executor = this.db } = {}) {
+    const { clause, params } = this.buildWhere(where);
+    let sql = `SELECT data FROM ${this.table}${clause}`;
+
+    if (after) {
+      sql += `${clause ? ' AND' : ' WHERE'} (created_at < ? OR (created_at = ? AND id > ?))`;
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+
+    sql += ' ORDER BY created_at DESC, id';
+
+    if (limit !== undefined) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+
+    const rows = await executor.query(sql, params);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async findAll(options = {}) {
+    return this.findBy({}, options);
+  }
+
+  async count(where = {}) {
+    const { clause, params } = this.buildWhere(where);
+    const row = await this.db.get(`SELECT COUNT(*) AS count FROM ${this.table}${clause}`, params);
+    return Number(row.count);
+  }
+
+  /**
+   * Merge changes into a record inside a transaction
+   *
+   * `changes` may be a function of the current record; returning null from it
+   * leaves the record untouched. Resolves to the updated record, or null if the
+   * record does not exist or was left untouched.
+   */
+  async update(id, changes) {
+    return this.db.transaction(async (tx) => {
+      const current = await this.findById(id, tx, { lock: true });
+      if (!current) {
+        return null;
+      }
+
+      const patch = typeof changes === 'function' ? changes(current) : changes;
+      if (!patch) {
+        return null;
+      }
+
+      const updated = { ...current, ...patch };
+      await this.save(updated, tx);
+      return updated;
+    });
+  }
+
+  async delete(id, executor = this.db) {
+    const result = await executor.run(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Map a record to its table row
+   */
+  toRow(record) {
+    const now = new Date().toISOString();
+    const row = {};
+
+    for (const [field, column] of Object.entries(this.columns)) {
+      row[column] = toColumnValue(record[field]);
+    }
+
+    row.data = JSON.stringify(record);
+    row.created_at = record.createdAt || now;
+    row.updated_at = now;
+    return row;
+  }
+
+  buildWhere(where) {
+    const conditions = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(where)) {
+      const column = this.columns[field];
+      if (!column) {
+        throw new Error(`Cannot filter ${this.table} by unindexed field: ${field}`);
+      }
+
+      if (Array.isArray(value) && value.length === 0) {
+        conditions.push('1 = 0');
+      } else if (Array.isArray(value)) {
+        conditions.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+        params.push(...value.map(toColumnValue));
+      } else if (value === null) {
+        conditions.push(`${column} IS NULL`);
+      } else if (typeof value === 'object') {
+        for (const [operator, operand] of Object.entries(value)) {
+          if (operand === undefined) {
+            continue;
+          }
+          if (operator === 'contains') {
+            conditions.push(`LOWER(${column}) LIKE ? ESCAPE '\\'`);
+            params.push(`%${escapeLike(String(operand).toLowerCase())}%`);
+          } else if (RANGE_OPERATORS[operator]) {
+            conditions.push(`${column} ${RANGE_OPERATORS[operator]} ?`);
+            params.push(toColumnValue(operand));
+          } else {
+            throw new Error(`Unsupported filter on ${this.table}.${field}: ${operator}`);
+          }
+        }
+      } else {
+        conditions.push(`${column} = ?`);
+        params.push(toColumnValue(value));
+      }
+    }
+
+    return {
+      clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+}
+
+module.exports = Repository;
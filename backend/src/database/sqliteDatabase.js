@@ -0,0 +1,118 @@
+/**
+ * SQLite Database Driver
+ * Async wrapper around better-sqlite3 exposing the shared database interface
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate } = require('./migrations');
+
+class SqliteDatabase {
+  constructor(filename = ':memory:') {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    // Statements and transactions run one at a time, in the order they were
+    // issued: a statement never runs inside another caller's open transaction.
+    this.queue = Promise.resolve();
+    this.readyPromise = null;
+  }
+
+  /**
+   * Run pending migrations once; every query waits for this
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = migrate({
+        ...this.handle(),
+        transaction: (fn) => this.runTransaction(fn)
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async query(sql, params = []) {
+    return this.statement(tx => tx.query(sql, params));
+  }
+
+  async get(sql, params = []) {
+    return this.statement(tx => tx.get(sql, params));
+  }
+
+  async run(sql, params = []) {
+    return this.statement(tx => tx.run(sql, params));
+  }
+
+  async exec(sql) {
+    return this.statement(tx => tx.exec(sql));
+  }
+
+  /**
+   * Run fn(tx) inside BEGIN/COMMIT, rolling back if it throws
+   */
+  async transaction(fn) {
+    await this.ready();
+    return this.runTransaction(fn);
+  }
+
+  runTransaction(fn) {
+    return this.enqueue(async () => {
+      const tx = this.handle();
+      this.db.exec('BEGIN');
+      try {
+        const result = await fn(tx);
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run a single statement once migrations and everything queued before it have finished
+   */
+  async statement(fn) {
+    await this.ready();
+    return this.enqueue(() => fn(this.handle()));
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async close() {
+    await this.queue;
+    this.db.close();
+  }
+
+  /**
+   * Statement executor bound to the connection, used directly inside transactions
+   */
+  handle() {
+    const db = this.db;
+    const tx = {
+      dialect: this.dialect,
+      query: async (sql, params = []) => db.prepare(sql).all(...params),
+      get: async (sql, params = []) => db.prepare(sql).get(...params) || null,
+      run: async (sql, params = []) => ({ changes: db.prepare(sql).run(...params).changes }),
+      exec: async (sql) => { db.exec(sql); },
+      // Nested transactions join the outer one
+      transaction: async (fn) => fn(tx)
+    };
+    return tx;
+  }
+}
+
+module.exports = SqliteDatabase;
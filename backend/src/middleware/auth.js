@@ -3,87 +3,162 @@
  * Handles API key validation and authentication with enhanced error handling
  */
 
-const ApiKeyService = require('../services/apiKeyService');
-const apiKeyService = new ApiKeyService();
+const crypto = require('crypto');
+const { getContainer, withDefaultContainer } = require('../container');
+const { ErrorFactory } = require('../utils/errors');
 
 /**
- * API Key validation middleware with comprehensive error handling
+ * Create the API key middlewares bound to an ApiKeyService
  */
-const requireApiKey = (req, res, next) => {
-  const apiKey = req.headers.authorization?.replace('Bearer ', '');
-  const validation = apiKeyService.validateApiKey(apiKey);
+const createAuthMiddleware = (apiKeyService) => {
+  /**
+   * API Key validation middleware with comprehensive error handling
+   */
+  const requireApiKey = async (req, res, next) => {
+    const apiKey = req.headers.authorization?.replace('Bearer ', '');
+
+    let validation;
+    try {
+      validation = await apiKeyService.validateApiKey(apiKey);
+    } catch (error) {
+      console.error('API key validation error:', error);
+      return res.status(500).json({
+        error: 'Internal server error during authentication'
+      });
+    }
   
-  if (!validation.valid) {
-    const errorResponse = {
-      error: validation.error,
-      code: validation.code,
-      hint: validation.code === 'MISSING_API_KEY' 
-        ? 'Include your API key in the Authorization header as "Bearer your_api_key"'
-        : apiKeyService.DEMO_MODE 
-          ? `Try one of the demo keys: ${apiKeyService.DEMO_KEYS.join(', ')}` 
-          : 'Contact support for a valid API key'
-    };
+    if (!validation.valid) {
+      const error = ErrorFactory.authentication(validation.error, {
+        code: validation.code,
+        hint: validation.code === 'MISSING_API_KEY' 
+          ? 'Include your API key in the Authorization header as "Bearer your_api_key"'
+          : apiKeyService.DEMO_MODE 
+            ? `Try one of the demo keys: ${apiKeyService.DEMO_KEYS.join(', ')}` 
+            : 'Contact support for a valid API key'
+      });
     
-    console.log(`[API_KEY] Request rejected from ${req.ip}: ${validation.error}`);
-    return res.status(401).json(errorResponse);
-  }
+      console.log(`[API_KEY] Request rejected from ${req.ip}: ${validation.error}`);
+      return res.status(error.statusCode).json({ ...error.toJSON(), requestId: req.requestId || 'unknown' });
+    }
 
-  // Add validation info to request for debugging
-  req.apiKeyInfo = validation;
-  console.log(`[API_KEY] Request authorized with ${validation.type} key from ${req.ip}`);
-  next();
-};
+    // Add validation info to request for debugging
+    req.apiKeyInfo = validation;
+    console.log(`[API_KEY] Request authorized with ${validation.type} key from ${req.ip}`);
+    next();
+  };
 
-/**
- * Legacy validate API key middleware (for backward compatibility)
- */
-const validateApiKey = (req, res, next) => {
-  try {
-    const apiKey = req.headers.authorization?.replace('Bearer ', '');
+  /**
+   * Legacy validate API key middleware (for backward compatibility)
+   */
+  const validateApiKey = async (req, res, next) => {
+    try {
+      const apiKey = req.headers.authorization?.replace('Bearer ', '');
     
-    if (!apiKey) {
-      return res.status(401).json({
-        error: 'Missing API key in Authorization header'
-      });
-    }
+      if (!apiKey) {
+        return res.status(401).json({
+          error: 'Missing API key in Authorization header'
+        });
+      }
 
-    if (!apiKeyService.validate(apiKey)) {
-      return res.status(401).json({
-        error: 'Invalid API key'
+      if (!(await apiKeyService.validate(apiKey))) {
+        return res.status(401).json({
+          error: 'Invalid API key'
+        });
+      }
+
+      // Add merchant ID to request
+      req.merchantId = await apiKeyService.getMerchantId(apiKey);
+      req.apiKey = apiKey;
+    
+      next();
+    } catch (error) {
+      console.error('API key validation error:', error);
+      res.status(500).json({
+        error: 'Internal server error during authentication'
       });
     }
+  };
 
-    // Add merchant ID to request
-    req.merchantId = apiKeyService.getMerchantId(apiKey);
-    req.apiKey = apiKey;
+  /**
+   * Optional API key middleware (for endpoints that work with or without auth)
+   */
+  const optionalApiKey = async (req, res, next) => {
+    try {
+      const apiKey = req.headers.authorization?.replace('Bearer ', '');
+    
+      if (apiKey && await apiKeyService.validate(apiKey)) {
+        req.merchantId = await apiKeyService.getMerchantId(apiKey);
+        req.apiKey = apiKey;
+      }
     
+      next();
+    } catch (error) {
+      console.error('Optional API key validation error:', error);
+      // Don't fail the request, just continue without auth
+      next();
+    }
+  };
+
+  /**
+   * Place after requireApiKey: only keys granted `scope` get through; a key
+   * validated without a scope list is unrestricted
+   */
+  const requireScope = scope => (req, res, next) => {
+    const scopes = req.apiKeyInfo?.scopes;
+    if (!req.apiKeyInfo || (scopes && !scopes.includes(scope))) {
+      console.log(`[API_KEY] Request without the ${scope} scope rejected from ${req.ip}`);
+      return next(ErrorFactory.authorization(`This API key does not have the ${scope} scope`, { requiredScope: scope }));
+    }
+
     next();
-  } catch (error) {
-    console.error('API key validation error:', error);
-    res.status(500).json({
-      error: 'Internal server error during authentication'
-    });
-  }
+  };
+
+  /**
+   * Place after requireApiKey on server-side routes: publishable keys are meant
+   * for browsers and may only create payment intents, so they are turned away.
+   * Demo and configured keys carry no key type and get through
+   */
+  const requireSecretKey = (req, res, next) => {
+    if (!req.apiKeyInfo) {
+      return next(ErrorFactory.authentication('API key is required'));
+    }
+
+    if (req.apiKeyInfo.keyType === 'publishable') {
+      console.log(`[API_KEY] Publishable key rejected on a secret key route from ${req.ip}`);
+      return next(ErrorFactory.authorization(
+        'This endpoint requires a secret key (sk_test_... or sk_live_...); publishable keys can only create payment intents',
+        { keyType: 'publishable' }
+      ));
+    }
+
+    next();
+  };
+
+  return {
+    requireApiKey,
+    requireScope,
+    requireSecretKey,
+    validateApiKey,
+    optionalApiKey
+  };
 };
 
 /**
- * Optional API key middleware (for endpoints that work with or without auth)
+ * Operator-only routes take `Authorization: Bearer <ADMIN_API_KEY>`; without a
+ * configured key they stay closed
  */
-const optionalApiKey = (req, res, next) => {
-  try {
-    const apiKey = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (apiKey && apiKeyService.validate(apiKey)) {
-      req.merchantId = apiKeyService.getMerchantId(apiKey);
-      req.apiKey = apiKey;
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Optional API key validation error:', error);
-    // Don't fail the request, just continue without auth
-    next();
+const requireAdminKey = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return next(ErrorFactory.notFound('Route'));
+  }
+
+  const given = Buffer.from(req.headers.authorization?.replace('Bearer ', '') || '');
+  if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return next(ErrorFactory.authentication('Invalid admin key'));
   }
+
+  next();
 };
 
 /**
@@ -119,10 +194,19 @@ const rateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
   };
 };
 
+// Default middlewares share the app-wide ApiKeyService, resolved on first use
+const requireApiKey = withDefaultContainer(({ apiKeyService }) => createAuthMiddleware(apiKeyService).requireApiKey);
+const validateApiKey = withDefaultContainer(({ apiKeyService }) => createAuthMiddleware(apiKeyService).validateApiKey);
+const optionalApiKey = withDefaultContainer(({ apiKeyService }) => createAuthMiddleware(apiKeyService).optionalApiKey);
+
 module.exports = {
   validateApiKey,
   requireApiKey,
   optionalApiKey,
+  requireAdminKey,
   rateLimit,
-  apiKeyService
+  get apiKeyService() {
+    return getContainer().apiKeyService;
+  },
+  createAuthMiddleware
 };
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger');
+const { redactUrl } = logger;
 const { APIError, ErrorFactory } = require('../utils/errors');
 
 /**
@@ -20,7 +21,7 @@ const errorHandler = (error, req, res, next) => {
   const errorContext = {
     requestId,
     method: req.method,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     userAgent: req.get('User-Agent'),
     ip: req.ip || req.connection.remoteAddress,
     body: req.body,
@@ -79,7 +80,7 @@ const notFoundHandler = (req, res, next) => {
   logger.warn('Route Not Found', {
     requestId,
     method: req.method,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     ip: req.ip || req.connection.remoteAddress
   });
 
@@ -115,7 +116,7 @@ const validationErrorHandler = (error, req, res, next) => {
     logger.warn('Validation Error', {
       requestId,
       method: req.method,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       errors: error.details,
       body: req.body
     });
@@ -153,7 +154,7 @@ const securityErrorHandler = (error, req, res, next) => {
     logger.security('Authentication Failure', {
       requestId,
       method: req.method,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       ip: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
       error: error.message
@@ -184,7 +185,7 @@ const rateLimitErrorHandler = (error, req, res, next) => {
     logger.security('Rate Limit Exceeded', {
       requestId,
       method: req.method,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       ip: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
       retryAfter
@@ -221,7 +222,7 @@ const developmentErrorHandler = (error, req, res, next) => {
     console.error('Stack:', error.stack);
     console.error('Request:', {
       method: req.method,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       body: req.body,
       query: req.query,
       params: req.params
@@ -0,0 +1,118 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key header on mutating routes: the first response
+ * for a merchant's key is stored and replayed when the request is retried
+ */
+
+const logger = require('../utils/logger');
+const { ErrorFactory } = require('../utils/errors');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const MAX_KEY_LENGTH = 255;
+
+// Scope for routes called without an API key, such as confirming with a client secret
+const PUBLIC_SCOPE = 'public';
+
+/**
+ * Create the idempotency middleware bound to an IdempotencyService and ApiKeyService
+ */
+const createIdempotencyMiddleware = ({ idempotencyService, apiKeyService }) => {
+  const getScope = async (req) => {
+    const apiKey = req.apiKeyInfo?.key || req.headers.authorization?.replace('Bearer ', '');
+    const merchantId = apiKey ? await apiKeyService.getMerchantFromApiKey(apiKey) : null;
+    return merchantId || PUBLIC_SCOPE;
+  };
+
+  /**
+   * Place after authentication so a replay is only served to the same merchant
+   */
+  const idempotent = async (req, res, next) => {
+    const key = req.headers[IDEMPOTENCY_HEADER];
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return next(ErrorFactory.validation(
+        `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        'Idempotency-Key'
+      ));
+    }
+
+    let scope;
+    let claim;
+    try {
+      scope = await getScope(req);
+      const fingerprint = idempotencyService.fingerprint({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body
+      });
+      claim = await idempotencyService.begin(scope, key, fingerprint);
+    } catch (error) {
+      logger.error('Idempotency key lookup failed', error, { requestId: req.requestId });
+      return next(ErrorFactory.internal('Unable to process Idempotency-Key'));
+    }
+
+    if (claim.state === 'mismatch') {
+      return next(ErrorFactory.idempotency(
+        'Idempotency-Key was already used for a different request',
+        'IDEMPOTENCY_KEY_REUSED',
+        422
+      ));
+    }
+
+    if (claim.state === 'in_progress') {
+      return next(ErrorFactory.idempotency(
+        'A request with this Idempotency-Key is still being processed; retry shortly',
+        'IDEMPOTENCY_KEY_IN_USE',
+        409
+      ));
+    }
+
+    if (claim.state === 'replay') {
+      logger.info('Idempotent request replayed', { requestId: req.requestId, merchantId: scope, path: req.originalUrl });
+      res.set(REPLAYED_HEADER, 'true');
+      return res.status(claim.record.statusCode).json(claim.record.body);
+    }
+
+    // Store the response before sending it so an immediate retry sees the result
+    let settled = false;
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      res.json = sendJson;
+      settled = true;
+
+      // Server errors are not stored so the client's retry runs the request again
+      const store = res.statusCode >= 500
+        ? idempotencyService.release(scope, key)
+        : idempotencyService.complete(scope, key, { statusCode: res.statusCode, body });
+
+      store
+        .catch(error => logger.error('Failed to store idempotent response', error, { requestId: req.requestId }))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    // Responses sent without res.json() are not replayable; free the key
+    res.on('finish', () => {
+      if (!settled) {
+        settled = true;
+        idempotencyService.release(scope, key)
+          .catch(error => logger.error('Failed to release idempotency key', error, { requestId: req.requestId }));
+      }
+    });
+
+    next();
+  };
+
+  return { idempotent };
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+  createIdempotencyMiddleware
+};
@@ -7,7 +7,9 @@ const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const logger = require('../utils/logger');
+const { redactUrl } = logger;
 const { AuthenticationError, AuthorizationError, RateLimitError } = require('../utils/errors');
+const { SIGNATURE_HEADER, verifySignature } = require('../utils/webhooks');
 
 /**
  * Generate request ID middleware
@@ -64,7 +66,7 @@ const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too ma
       logger.security('Rate Limit Exceeded', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         method: req.method,
         requestId: req.requestId
       });
@@ -94,7 +96,7 @@ const authenticateApiKey = (req, res, next) => {
     logger.security('Missing API Key', {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       method: req.method,
       requestId: req.requestId
     });
@@ -107,7 +109,7 @@ const authenticateApiKey = (req, res, next) => {
     logger.security('Invalid API Key Format', {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       method: req.method,
       requestId: req.requestId,
       apiKeyPrefix: apiKey.substring(0, 10) + '...'
@@ -214,9 +216,9 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID'],
-  exposedHeaders: ['X-Request-ID', 'X-Total-Count']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-ID', 'X-Total-Count', 'Idempotent-Replayed']
 };
 
 /**
@@ -229,7 +231,7 @@ const requestLogger = (req, res, next) => {
   logger.info('Incoming Request', {
     requestId: req.requestId,
     method: req.method,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     ip: req.ip || req.connection.remoteAddress,
     userAgent: req.get('User-Agent'),
     referer: req.get('Referer'),
@@ -245,7 +247,7 @@ const requestLogger = (req, res, next) => {
     logger.info('Outgoing Response', {
       requestId: req.requestId,
       method: req.method,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       statusCode: res.statusCode,
       responseTime,
       contentType: res.get('Content-Type'),
@@ -268,7 +270,7 @@ const ipWhitelist = (allowedIPs = []) => {
     if (allowedIPs.length > 0 && !allowedIPs.includes(clientIP)) {
       logger.security('IP Whitelist Violation', {
         ip: clientIP,
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         method: req.method,
         requestId: req.requestId
       });
@@ -282,24 +284,22 @@ const ipWhitelist = (allowedIPs = []) => {
 
 /**
  * Webhook Signature Verification
+ * Checks the `t=...,v1=...` signature against the raw request body
  */
 const verifyWebhookSignature = (secret) => {
   return (req, res, next) => {
-    const signature = req.headers['x-sbtcpay-signature'];
+    const signature = req.headers[SIGNATURE_HEADER];
     
     if (!signature) {
       return next(new AuthenticationError('Missing webhook signature'));
     }
     
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(req.body, 'utf8')
-      .digest('hex');
+    const payload = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
     
-    if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expectedSignature, 'hex'))) {
+    if (!verifySignature(payload, signature, secret)) {
       logger.security('Invalid Webhook Signature', {
         ip: req.ip,
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         requestId: req.requestId
       });
       
@@ -328,7 +328,7 @@ const preventSqlInjection = (req, res, next) => {
         if (pattern.test(value)) {
           logger.security('SQL Injection Attempt', {
             ip: req.ip,
-            url: req.originalUrl,
+            url: redactUrl(req.originalUrl),
             method: req.method,
             requestId: req.requestId,
             path,
@@ -373,7 +373,7 @@ const performanceMonitor = (req, res, next) => {
       logger.performance('Slow Request', responseTime, {
         requestId: req.requestId,
         method: req.method,
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         statusCode: res.statusCode,
         cpuUser: cpuUsage.user / 1000,
         cpuSystem: cpuUsage.system / 1000
@@ -384,7 +384,7 @@ const performanceMonitor = (req, res, next) => {
     logger.performance('Response Time', responseTime, {
       requestId: req.requestId,
       method: req.method,
-      endpoint: req.route?.path || req.originalUrl,
+      endpoint: req.route?.path || redactUrl(req.originalUrl),
       statusCode: res.statusCode
     });
   });
@@ -0,0 +1,67 @@
+/**
+ * Admin Routes
+ * Operator endpoints, authenticated with ADMIN_API_KEY rather than a merchant key
+ */
+
+const express = require('express');
+
+const AdminController = require('../controllers/adminController');
+const { requireAdminKey } = require('../middleware/auth');
+const { getContainer, withDefaultContainer } = require('../container');
+
+/**
+ * Build the router against a service container
+ */
+function createAdminRoutes(container = getContainer()) {
+  const router = express.Router();
+  const adminController = new AdminController(container);
+
+  router.use(requireAdminKey);
+
+  /**
+   * @route GET /api/admin/jobs
+   * @desc List background jobs with their interval and latest run
+   * @access Private (admin key)
+   */
+  router.get('/jobs', (req, res) => adminController.listJobs(req, res));
+
+  /**
+   * @route GET /api/admin/jobs/runs
+   * @desc Job run history, filtered by job and status
+   * @access Private (admin key)
+   */
+  router.get('/jobs/runs', (req, res) => adminController.listJobRuns(req, res));
+
+  /**
+   * @route POST /api/admin/jobs/:name/run
+   * @desc Run a job now instead of waiting for its next tick
+   * @access Private (admin key)
+   */
+  router.post('/jobs/:name/run', (req, res) => adminController.runJob(req, res));
+
+  /**
+   * @route GET /api/admin/nonces
+   * @desc Nonces, fees and pending transactions of the keys the backend signs with
+   * @access Private (admin key)
+   */
+  router.get('/nonces', (req, res) => adminController.getNonceState(req, res));
+
+  /**
+   * @route POST /api/admin/merchants/:id/deactivate
+   * @desc Stop a merchant from creating payment intents, on-chain too with the owner key
+   * @access Private (admin key)
+   */
+  router.post('/merchants/:id/deactivate', (req, res) => adminController.deactivateMerchant(req, res));
+
+  /**
+   * @route POST /api/admin/merchants/:id/reactivate
+   * @desc Let a deactivated merchant create payment intents again
+   * @access Private (admin key)
+   */
+  router.post('/merchants/:id/reactivate', (req, res) => adminController.reactivateMerchant(req, res));
+
+  return router;
+}
+
+module.exports = withDefaultContainer(createAdminRoutes);
+module.exports.createAdminRoutes = createAdminRoutes;
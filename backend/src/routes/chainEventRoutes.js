@@ -0,0 +1,57 @@
+/**
+ * Chain Event Routes
+ * stacks-node event observer endpoint: configure the node's events_observer
+ * endpoint as `<host>:<port>/api/chain-events/<CHAIN_OBSERVER_TOKEN>`
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const ChainEventController = require('../controllers/chainEventController');
+const { ErrorFactory } = require('../utils/errors');
+const { getContainer, withDefaultContainer } = require('../container');
+
+/**
+ * The node cannot send headers, so the shared token travels in the path;
+ * without a configured token the observer endpoint stays closed
+ */
+const requireObserverToken = (req, res, next) => {
+  const expected = process.env.CHAIN_OBSERVER_TOKEN;
+  if (!expected) {
+    return next(ErrorFactory.notFound('Route'));
+  }
+
+  const given = Buffer.from(req.params.token || '');
+  if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return next(ErrorFactory.authentication('Invalid event observer token'));
+  }
+
+  next();
+};
+
+/**
+ * Build the router against a service container
+ */
+function createChainEventRoutes(container = getContainer()) {
+  const router = express.Router();
+  const chainEventController = new ChainEventController(container);
+
+  /**
+   * @route POST /api/chain-events/:token/new_block
+   * @desc Index the gateway contract's events in a block processed by the node
+   * @access Private (event observer token)
+   */
+  router.post('/:token/new_block', requireObserverToken, (req, res) => chainEventController.newBlock(req, res));
+
+  /**
+   * @route POST /api/chain-events/:token/*
+   * @desc Acknowledge the node's other observer payloads
+   * @access Private (event observer token)
+   */
+  router.post('/:token/*', requireObserverToken, (req, res) => chainEventController.acknowledge(req, res));
+
+  return router;
+}
+
+module.exports = withDefaultContainer(createChainEventRoutes);
+module.exports.createChainEventRoutes = createChainEventRoutes;
@@ -4,39 +4,86 @@
  */
 
 const express = require('express');
-const router = express.Router();
 
 const ContractController = require('../controllers/contractController');
-
-// Initialize controller
-const contractController = new ContractController();
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createIdempotencyMiddleware } = require('../middleware/idempotency');
+const { getContainer, withDefaultContainer } = require('../container');
 
 /**
- * @route GET /api/contract/info
- * @desc Get contract information
- * @access Public
+ * Build the router against a service container
  */
-router.get('/info', (req, res) => contractController.getInfo(req, res));
+function createContractRoutes(container = getContainer()) {
+  const router = express.Router();
+  const contractController = new ContractController(container);
+  const { requireApiKey, requireScope, requireSecretKey } = createAuthMiddleware(container.apiKeyService);
+  const { idempotent } = createIdempotencyMiddleware(container);
 
-/**
- * @route POST /api/contract/create-payment
- * @desc Create smart contract payment intent
- * @access Private
- */
-router.post('/create-payment', (req, res) => contractController.createPayment(req, res));
+  /**
+   * @route GET /api/contract/info
+   * @desc Get contract information
+   * @access Public
+   */
+  router.get('/info', (req, res) => contractController.getInfo(req, res));
 
-/**
- * @route POST /api/contract/process-payment
- * @desc Process smart contract payment
- * @access Private
- */
-router.post('/process-payment', (req, res) => contractController.processPayment(req, res));
+  /**
+   * @route GET /api/contract/payments/:id
+   * @desc Get a payment as recorded on the contract
+   * @access Public
+   */
+  router.get('/payments/:id', (req, res) => contractController.getPayment(req, res));
 
-/**
- * @route POST /api/contract/register-merchant
- * @desc Register merchant on smart contract
- * @access Private
- */
-router.post('/register-merchant', (req, res) => contractController.registerMerchant(req, res));
+  /**
+   * @route GET /api/contract/merchants/:address
+   * @desc Get a merchant as registered on the contract
+   * @access Public
+   */
+  router.get('/merchants/:address', (req, res) => contractController.getMerchant(req, res));
+
+  /**
+   * @route GET /api/contract/stats
+   * @desc Get the payment count and volume the contract has processed
+   * @access Public
+   */
+  router.get('/stats', (req, res) => contractController.getStats(req, res));
+
+  /**
+   * @route GET /api/contract/fee
+   * @desc Get the platform fee the contract charges
+   * @access Public
+   */
+  router.get('/fee', (req, res) => contractController.getFee(req, res));
+
+  /**
+   * @route POST /api/contract/create-payment
+   * @desc Create smart contract payment intent, or the unsigned transaction for it when given publicKey
+   * @access Private (requires a secret key with the contracts:call scope)
+   */
+  router.post('/create-payment', requireApiKey, requireSecretKey, requireScope('contracts:call'), idempotent, (req, res) => contractController.createPayment(req, res));
+
+  /**
+   * @route POST /api/contract/process-payment
+   * @desc Process smart contract payment signed by the customer, or build the unsigned transaction for their publicKey
+   * @access Private (requires a secret key with the contracts:call scope)
+   */
+  router.post('/process-payment', requireApiKey, requireSecretKey, requireScope('contracts:call'), idempotent, (req, res) => contractController.processPayment(req, res));
+
+  /**
+   * @route POST /api/contract/register-merchant
+   * @desc Register merchant on smart contract, or build the unsigned transaction for it when given publicKey
+   * @access Private (requires a secret key with the contracts:call scope)
+   */
+  router.post('/register-merchant', requireApiKey, requireSecretKey, requireScope('contracts:call'), idempotent, (req, res) => contractController.registerMerchant(req, res));
+
+  /**
+   * @route POST /api/contract/broadcast
+   * @desc Broadcast a gateway contract call signed by a wallet
+   * @access Private (requires a secret key with the contracts:call scope)
+   */
+  router.post('/broadcast', requireApiKey, requireSecretKey, requireScope('contracts:call'), idempotent, (req, res) => contractController.broadcastTransaction(req, res));
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = withDefaultContainer(createContractRoutes);
+module.exports.createContractRoutes = createContractRoutes;
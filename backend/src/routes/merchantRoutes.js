@@ -4,33 +4,99 @@
  */
 
 const express = require('express');
-const router = express.Router();
 
 const MerchantController = require('../controllers/merchantController');
-const { requireApiKey } = require('../middleware/auth');
-
-// Initialize controller
-const merchantController = new MerchantController();
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createIdempotencyMiddleware } = require('../middleware/idempotency');
+const { getContainer, withDefaultContainer } = require('../container');
 
 /**
- * @route POST /api/merchants/register
- * @desc Register a new merchant
- * @access Public
+ * Build the router against a service container
  */
-router.post('/register', (req, res) => merchantController.register(req, res));
+function createMerchantRoutes(container = getContainer()) {
+  const router = express.Router();
+  const merchantController = new MerchantController(container);
+  const { requireApiKey, requireScope, requireSecretKey } = createAuthMiddleware(container.apiKeyService);
+  const { idempotent } = createIdempotencyMiddleware(container);
 
-/**
- * @route GET /api/merchants/dashboard
- * @desc Get merchant dashboard statistics
- * @access Private (requires API key)
- */
-router.get('/dashboard', requireApiKey, (req, res) => merchantController.getDashboard(req, res));
+  /**
+   * @route POST /api/merchants/register
+   * @desc Register a new merchant
+   * @access Public
+   *
+   * Not idempotent, like POST /keys: the response holds the new secret keys.
+   */
+  router.post('/register', (req, res) => merchantController.register(req, res));
 
-/**
- * @route POST /api/merchants/validate-key
- * @desc Validate API key for debugging
- * @access Public
- */
-router.post('/validate-key', (req, res) => merchantController.validateKey(req, res));
+  /**
+   * @route GET /api/merchants/dashboard
+   * @desc Get merchant dashboard statistics
+   * @access Private (requires a secret key)
+   */
+  router.get('/dashboard', requireApiKey, requireSecretKey, requireScope('payments:read'), (req, res) => merchantController.getDashboard(req, res));
+
+  /**
+   * @route GET /api/merchants/me
+   * @desc Get the merchant's profile
+   * @access Private (requires a secret key)
+   */
+  router.get('/me', requireApiKey, requireSecretKey, (req, res) => merchantController.getProfile(req, res));
+
+  /**
+   * @route PATCH /api/merchants/me
+   * @desc Change the merchant's profile
+   * @access Private (requires a secret key with the account:write scope; a restricted key cannot change the payout address)
+   */
+  router.patch('/me', requireApiKey, requireSecretKey, requireScope('account:write'), idempotent, (req, res) => merchantController.updateProfile(req, res));
+
+  /**
+   * @route POST /api/merchants/keys
+   * @desc Create a restricted API key limited to some scopes
+   * @access Private (requires a secret key with the keys:manage scope)
+   *
+   * Not idempotent: a stored response would keep the new key in plaintext.
+   */
+  router.post('/keys', requireApiKey, requireSecretKey, requireScope('keys:manage'), (req, res) => merchantController.createApiKey(req, res));
+
+  /**
+   * @route GET /api/merchants/keys
+   * @desc List the merchant's API keys in the calling key's mode
+   * @access Private (requires a secret key with the keys:manage scope)
+   */
+  router.get('/keys', requireApiKey, requireSecretKey, requireScope('keys:manage'), (req, res) => merchantController.listApiKeys(req, res));
+
+  /**
+   * @route POST /api/merchants/keys/roll
+   * @desc Replace a key, optionally keeping the old one valid for a grace period
+   * @access Private (requires a secret key with the keys:manage scope)
+   *
+   * Not idempotent, like POST /keys.
+   */
+  router.post('/keys/roll', requireApiKey, requireSecretKey, requireScope('keys:manage'), (req, res) => merchantController.rollApiKey(req, res));
+
+  /**
+   * @route GET /api/merchants/keys/events
+   * @desc Audit trail of key creation, rolls, revocations and expiries
+   * @access Private (requires a secret key with the keys:manage scope)
+   */
+  router.get('/keys/events', requireApiKey, requireSecretKey, requireScope('keys:manage'), (req, res) => merchantController.listApiKeyEvents(req, res));
+
+  /**
+   * @route DELETE /api/merchants/keys/:prefix
+   * @desc Revoke a key by its prefix
+   * @access Private (requires a secret key with the keys:manage scope)
+   */
+  router.delete('/keys/:prefix', requireApiKey, requireSecretKey, requireScope('keys:manage'), (req, res) => merchantController.revokeApiKey(req, res));
+
+  /**
+   * @route POST /api/merchants/validate-key
+   * @desc Validate API key for debugging
+   * @access Public
+   */
+  router.post('/validate-key', (req, res) => merchantController.validateKey(req, res));
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = withDefaultContainer(createMerchantRoutes);
+module.exports.createMerchantRoutes = createMerchantRoutes;
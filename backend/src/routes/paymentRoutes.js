@@ -4,33 +4,110 @@
  */
 
 const express = require('express');
-const router = express.Router();
 
 const PaymentController = require('../controllers/paymentController');
-const { requireApiKey } = require('../middleware/auth');
-
-// Initialize controller
-const paymentController = new PaymentController();
+const RefundController = require('../controllers/refundController');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createIdempotencyMiddleware } = require('../middleware/idempotency');
+const { getContainer, withDefaultContainer } = require('../container');
 
 /**
- * @route POST /api/payment-intents
- * @desc Create a new payment intent
- * @access Private (requires API key)
+ * Build the router against a service container
  */
-router.post('/', requireApiKey, (req, res) => paymentController.createIntent(req, res));
+function createPaymentRoutes(container = getContainer()) {
+  const router = express.Router();
+  const paymentController = new PaymentController(container);
+  const refundController = new RefundController(container);
+  const { requireApiKey, requireScope, requireSecretKey } = createAuthMiddleware(container.apiKeyService);
+  const { idempotent } = createIdempotencyMiddleware(container);
 
-/**
- * @route GET /api/payment-intents/:id
- * @desc Get payment intent details
- * @access Public
- */
-router.get('/:id', (req, res) => paymentController.getPaymentIntent(req, res));
+  /**
+   * @route POST /api/payments
+   * @desc Create a new payment intent
+   * @access Private (requires a publishable or secret key)
+   */
+  router.post('/', requireApiKey, requireScope('payments:write'), idempotent, (req, res) => paymentController.createIntent(req, res));
 
-/**
- * @route POST /api/payment-intents/:id/confirm
- * @desc Confirm and process a payment
- * @access Public
- */
-router.post('/:id/confirm', (req, res) => paymentController.confirmPayment(req, res));
+  /**
+   * @route GET /api/payments
+   * @desc List the merchant's payment intents, filtered and paginated with a cursor
+   * @access Private (requires a secret key)
+   */
+  router.get('/', requireApiKey, requireSecretKey, requireScope('payments:read'), (req, res) => paymentController.listPaymentIntents(req, res));
+
+  // Browsers read an intent with its client secret instead of an API key
+  const unlessClientSecret = middleware => (req, res, next) =>
+    (req.query.client_secret !== undefined ? next() : middleware(req, res, next));
+
+  /**
+   * @route GET /api/payments/:id
+   * @desc Get payment intent details: the public view with `?client_secret=`, the full intent with a secret key
+   * @access Public with the client secret, otherwise private (requires a secret key)
+   */
+  router.get('/:id',
+    unlessClientSecret(requireApiKey),
+    unlessClientSecret(requireSecretKey),
+    unlessClientSecret(requireScope('payments:read')),
+    (req, res) => paymentController.getPaymentIntent(req, res));
+
+  /**
+   * @route POST /api/payments/:id/confirm
+   * @desc Confirm and process a payment
+   * @access Public (requires the intent's client secret)
+   */
+  router.post('/:id/confirm', idempotent, (req, res) => paymentController.confirmPayment(req, res));
+
+  /**
+   * @route POST /api/payments/:id/contract-call
+   * @desc Get the process-payment call and sBTC post-conditions for the customer's wallet to sign
+   * @access Public (requires the intent's client secret)
+   */
+  router.post('/:id/contract-call', (req, res) => paymentController.getProcessPaymentCall(req, res));
+
+  /**
+   * @route POST /api/payments/:id/cancel
+   * @desc Cancel an unpaid payment intent, and its on-chain payment when given the merchant key
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/cancel', requireApiKey, requireSecretKey, requireScope('payments:write'), idempotent, (req, res) => paymentController.cancelPaymentIntent(req, res));
+
+  /**
+   * @route POST /api/payments/:id/refunds
+   * @desc Refund a settled payment in full or in part
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/refunds', requireApiKey, requireSecretKey, requireScope('payments:write'), idempotent, (req, res) => refundController.createRefund(req, res));
+
+  /**
+   * @route GET /api/payments/:id/refunds
+   * @desc List a payment's refunds
+   * @access Private (requires a secret key)
+   */
+  router.get('/:id/refunds', requireApiKey, requireSecretKey, requireScope('payments:read'), (req, res) => refundController.listRefunds(req, res));
+
+  /**
+   * @route GET /api/payments/:id/refunds/:refundId
+   * @desc Get a refund
+   * @access Private (requires a secret key)
+   */
+  router.get('/:id/refunds/:refundId', requireApiKey, requireSecretKey, requireScope('payments:read'), (req, res) => refundController.getRefund(req, res));
+
+  /**
+   * @route POST /api/payments/:id/refunds/:refundId/confirm
+   * @desc Submit the refund-payment transaction of a pending refund for verification
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/refunds/:refundId/confirm', requireApiKey, requireSecretKey, requireScope('payments:write'), idempotent, (req, res) => refundController.confirmRefund(req, res));
+
+  /**
+   * @route POST /api/payments/:id/refunds/:refundId/cancel
+   * @desc Cancel a pending refund
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/refunds/:refundId/cancel', requireApiKey, requireSecretKey, requireScope('payments:write'), idempotent, (req, res) => refundController.cancelRefund(req, res));
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = withDefaultContainer(createPaymentRoutes);
+module.exports.createPaymentRoutes = createPaymentRoutes;
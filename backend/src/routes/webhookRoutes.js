@@ -0,0 +1,96 @@
+/**
+ * Webhook Routes
+ * API routes for webhook endpoint management and deliveries
+ */
+
+const express = require('express');
+
+const WebhookController = require('../controllers/webhookController');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createIdempotencyMiddleware } = require('../middleware/idempotency');
+const { getContainer, withDefaultContainer } = require('../container');
+
+/**
+ * Build the router against a service container
+ */
+function createWebhookRoutes(container = getContainer()) {
+  const router = express.Router();
+  const webhookController = new WebhookController(container);
+  const { requireApiKey, requireScope, requireSecretKey } = createAuthMiddleware(container.apiKeyService);
+  const { idempotent } = createIdempotencyMiddleware(container);
+
+  /**
+   * @route POST /api/webhooks
+   * @desc Register a webhook endpoint for a set of payment events
+   * @access Private (requires a secret key)
+   */
+  router.post('/', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.createEndpoint(req, res));
+
+  /**
+   * @route GET /api/webhooks
+   * @desc List webhook endpoints
+   * @access Private (requires a secret key)
+   */
+  router.get('/', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), (req, res) => webhookController.listEndpoints(req, res));
+
+  /**
+   * @route GET /api/webhooks/deliveries
+   * @desc List webhook deliveries (?status=dead for the dead-letter queue)
+   * @access Private (requires a secret key)
+   */
+  router.get('/deliveries', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), (req, res) => webhookController.listDeliveries(req, res));
+
+  /**
+   * @route GET /api/webhooks/deliveries/:id
+   * @desc Get a webhook delivery and its attempts
+   * @access Private (requires a secret key)
+   */
+  router.get('/deliveries/:id', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), (req, res) => webhookController.getDelivery(req, res));
+
+  /**
+   * @route POST /api/webhooks/deliveries/:id/replay
+   * @desc Re-send a delivery's event to its endpoint
+   * @access Private (requires a secret key)
+   */
+  router.post('/deliveries/:id/replay', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.replayDelivery(req, res));
+
+  /**
+   * @route GET /api/webhooks/:id
+   * @desc Get a webhook endpoint
+   * @access Private (requires a secret key)
+   */
+  router.get('/:id', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), (req, res) => webhookController.getEndpoint(req, res));
+
+  /**
+   * @route PATCH /api/webhooks/:id
+   * @desc Update a webhook endpoint's URL, events or description, or disable/enable it
+   * @access Private (requires a secret key)
+   */
+  router.patch('/:id', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.updateEndpoint(req, res));
+
+  /**
+   * @route DELETE /api/webhooks/:id
+   * @desc Delete a webhook endpoint
+   * @access Private (requires a secret key)
+   */
+  router.delete('/:id', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.deleteEndpoint(req, res));
+
+  /**
+   * @route POST /api/webhooks/:id/test
+   * @desc Send a sample event to a webhook endpoint
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/test', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.sendTestEvent(req, res));
+
+  /**
+   * @route POST /api/webhooks/:id/rotate-secret
+   * @desc Rotate a webhook endpoint's signing secret with an overlap window
+   * @access Private (requires a secret key)
+   */
+  router.post('/:id/rotate-secret', requireApiKey, requireSecretKey, requireScope('webhooks:manage'), idempotent, (req, res) => webhookController.rotateSecret(req, res));
+
+  return router;
+}
+
+module.exports = withDefaultContainer(createWebhookRoutes);
+module.exports.createWebhookRoutes = createWebhookRoutes;
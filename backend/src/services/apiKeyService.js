@@ -1,14 +1,39 @@
 /**
  * API Key Service
  * Business logic for API key management with enhanced validation
+ *
+ * Registered keys are stored as a salted hash with a short lookup prefix (see
+ * utils/apiKeys.js), each with a name, its scopes and when it was last used.
+ * A rolled key can stay valid until its `expiresAt`; creating, rolling,
+ * revoking and expiring keys is recorded in the merchant's audit trail.
  */
 
 const crypto = require('crypto');
+const { getDatabase, Repository } = require('../database');
+const { isLiveKey } = require('../utils/livemode');
+const { API_KEY_SCOPES, keyPrefix, createKeyDigest, matchesKeyDigest } = require('../utils/apiKeys');
+
+const keyMode = livemode => (livemode ? 'live' : 'test');
+
+// Key type by the first two characters of the key
+const KEY_TYPES = { pk: 'publishable', sk: 'secret', rk: 'restricted' };
+
+// lastUsedAt is refreshed at most this often, so busy keys do not write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isExpired = (record, now = new Date()) => Boolean(record.expiresAt) && new Date(record.expiresAt) <= now;
 
 class ApiKeyService {
-  constructor() {
-    // In-memory storage (replace with database in production)
-    this.apiKeys = new Map();
+  constructor({ database } = {}) {
+    this.database = database || getDatabase();
+    this.apiKeys = new Repository(this.database, {
+      table: 'api_keys',
+      columns: { merchantId: 'merchant_id', prefix: 'prefix', expiresAt: 'expires_at' }
+    });
+    this.events = new Repository(this.database, {
+      table: 'api_key_events',
+      columns: { merchantId: 'merchant_id', action: 'action' }
+    });
     
     // Configuration from environment
     this.DEMO_MODE = process.env.DEMO_MODE === 'true';
@@ -17,57 +42,170 @@ class ApiKeyService {
   }
 
   /**
-   * Generate a test API key for merchants
+   * Generate a publishable API key for merchants, `pk_live_` in live mode and `pk_test_` otherwise
+   */
+  generateApiKey(livemode = false) {
+    return `pk_${keyMode(livemode)}_` + crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Generate a secret key for merchants, `sk_live_` in live mode and `sk_test_` otherwise
+   */
+  generateSecretKey(livemode = false) {
+    return `sk_${keyMode(livemode)}_` + crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Generate a restricted key, limited to the scopes it is stored with
+   */
+  generateRestrictedKey(livemode = false) {
+    return `rk_${keyMode(livemode)}_` + crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Generate a key of a stored key's type and mode
+   */
+  generateKeyLike(record) {
+    const generate = {
+      publishable: livemode => this.generateApiKey(livemode),
+      secret: livemode => this.generateSecretKey(livemode),
+      restricted: livemode => this.generateRestrictedKey(livemode)
+    }[record.type];
+    return generate(Boolean(record.livemode));
+  }
+
+  /**
+   * Store a merchant's key as a salted hash; its type and mode follow its prefix
+   *
+   * Resolves to the stored key's public view, which never includes the key itself.
+   * `actor` (the key ID and IP behind the request) is kept on the audit event.
+   */
+  async store(apiKey, merchantId, executor, { name, scopes = API_KEY_SCOPES, actor } = {}) {
+    const type = KEY_TYPES[apiKey.slice(0, 2)];
+    const record = await this.apiKeys.create({
+      id: `key_${crypto.randomBytes(12).toString('hex')}`,
+      merchantId,
+      type,
+      livemode: isLiveKey(apiKey),
+      name: name || `Default ${type} key`,
+      scopes,
+      ...createKeyDigest(apiKey),
+      lastUsedAt: null,
+      expiresAt: null,
+      createdAt: new Date().toISOString()
+    }, executor);
+    await this.recordEvent('created', record, { actor }, executor);
+    return this.toView(record);
+  }
+
+  /**
+   * Find the stored record of a key by its prefix and hash; expired keys are not found
+   */
+  async findByKey(apiKey) {
+    if (typeof apiKey !== 'string') {
+      return null;
+    }
+
+    const candidates = await this.apiKeys.findBy({ prefix: keyPrefix(apiKey) });
+    return candidates.find(record => !isExpired(record) && matchesKeyDigest(apiKey, record)) || null;
+  }
+
+  /**
+   * Find a merchant's unexpired keys with a prefix; prefixes are short, so more than one may match
+   */
+  async findByPrefix(merchantId, prefix) {
+    const records = await this.apiKeys.findBy({ merchantId, prefix });
+    return records.filter(record => !isExpired(record));
+  }
+
+  /**
+   * A merchant's unexpired keys in one mode, newest first
+   */
+  async listKeys(merchantId, { livemode = false } = {}) {
+    const records = await this.apiKeys.findBy({ merchantId });
+    return records
+      .filter(record => Boolean(record.livemode) === livemode && !isExpired(record))
+      .map(record => this.toView(record));
+  }
+
+  /**
+   * Record that a key was used
    */
-  generateApiKey() {
-    return 'pk_test_' + crypto.randomBytes(32).toString('hex');
+  async touch(record, now = new Date()) {
+    if (record.lastUsedAt && now - new Date(record.lastUsedAt) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+    await this.apiKeys.update(record.id, { lastUsedAt: now.toISOString() });
   }
 
   /**
-   * Generate a secret key for merchants
+   * Mint a key limited to some scopes; the only time the key itself is returned
    */
-  generateSecretKey() {
-    return 'sk_test_' + crypto.randomBytes(32).toString('hex');
+  async createRestrictedKey(merchantId, { name, scopes, livemode = false, actor }) {
+    const key = this.generateRestrictedKey(livemode);
+    const view = await this.store(key, merchantId, undefined, { name, scopes, actor });
+    console.log(`[API_KEY] Restricted key ${view.prefix}... created for merchant ${merchantId}`);
+    return { ...view, key };
   }
 
   /**
-   * Store API key mapping
+   * Public representation of a stored key
    */
-  async store(apiKey, merchantId) {
-    this.apiKeys.set(apiKey, merchantId);
-    return true;
+  toView(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      type: record.type,
+      prefix: record.prefix,
+      scopes: record.scopes,
+      livemode: Boolean(record.livemode),
+      createdAt: record.createdAt,
+      lastUsedAt: record.lastUsedAt,
+      expiresAt: record.expiresAt || null
+    };
   }
 
   /**
    * Professional API key validation with comprehensive error handling
    */
-  validateApiKey(apiKey) {
+  async validateApiKey(apiKey) {
     if (!apiKey) {
       return { valid: false, error: 'API key is required', code: 'MISSING_API_KEY' };
     }
 
     // Demo mode check
     if (this.DEMO_MODE && this.DEMO_KEYS.includes(apiKey)) {
-      console.log(`[API_KEY] Demo key accepted in demo mode: ${apiKey}`);
-      return { valid: true, type: 'demo', key: apiKey };
+      console.log('[API_KEY] Demo key accepted in demo mode');
+      return { valid: true, type: 'demo', key: apiKey, livemode: isLiveKey(apiKey), scopes: API_KEY_SCOPES };
     }
 
     // Check configured API keys from environment
     if (this.CONFIGURED_API_KEYS.length > 0 && this.CONFIGURED_API_KEYS.includes(apiKey)) {
       console.log(`[API_KEY] Configured key accepted: ${apiKey.substring(0, 12)}...`);
-      return { valid: true, type: 'configured', key: apiKey };
+      return { valid: true, type: 'configured', key: apiKey, livemode: isLiveKey(apiKey), scopes: API_KEY_SCOPES };
     }
 
     // Check dynamically registered API keys
-    if (this.apiKeys.has(apiKey)) {
-      console.log(`[API_KEY] Registered key accepted: ${apiKey.substring(0, 12)}...`);
-      return { valid: true, type: 'registered', key: apiKey };
+    const record = await this.findByKey(apiKey);
+    if (record) {
+      console.log(`[API_KEY] Registered key accepted: ${record.prefix}...`);
+      await this.touch(record);
+      return {
+        valid: true,
+        type: 'registered',
+        key: apiKey,
+        keyId: record.id,
+        keyType: record.type,
+        merchantId: record.merchantId,
+        livemode: Boolean(record.livemode),
+        scopes: record.scopes
+      };
     }
 
     // Fallback to demo keys if no configuration is set and not in strict mode
     if (this.CONFIGURED_API_KEYS.length === 0 && !process.env.STRICT_API_MODE && this.DEMO_KEYS.includes(apiKey)) {
-      console.log(`[API_KEY] Demo key accepted as fallback: ${apiKey}`);
-      return { valid: true, type: 'demo_fallback', key: apiKey };
+      console.log('[API_KEY] Demo key accepted as fallback');
+      return { valid: true, type: 'demo_fallback', key: apiKey, livemode: isLiveKey(apiKey), scopes: API_KEY_SCOPES };
     }
 
     console.log(`[API_KEY] Invalid key rejected: ${apiKey ? apiKey.substring(0, 12) + '...' : 'undefined'}`);
@@ -77,16 +215,16 @@ class ApiKeyService {
   /**
    * Validate if an API key exists and is valid (legacy method)
    */
-  validate(apiKey) {
-    const validation = this.validateApiKey(apiKey);
+  async validate(apiKey) {
+    const validation = await this.validateApiKey(apiKey);
     return validation.valid;
   }
 
   /**
    * Get merchant ID from API key with validation
    */
-  getMerchantFromApiKey(apiKey) {
-    const validation = this.validateApiKey(apiKey);
+  async getMerchantFromApiKey(apiKey) {
+    const validation = await this.validateApiKey(apiKey);
     
     if (!validation.valid) {
       return null;
@@ -102,25 +240,25 @@ class ApiKeyService {
       return 'demo-merchant-id'; // TODO: Implement proper merchant mapping for configured keys
     }
 
-    // For registered keys, use the mapping
-    return this.apiKeys.get(apiKey);
+    // Registered keys carry their merchant
+    return validation.merchantId;
   }
 
   /**
    * Get merchant ID from API key (legacy method)
    */
-  getMerchantId(apiKey) {
+  async getMerchantId(apiKey) {
     return this.getMerchantFromApiKey(apiKey);
   }
 
   /**
    * Get API key system status
    */
-  getSystemStatus() {
+  async getSystemStatus() {
     return {
       demoMode: this.DEMO_MODE,
       configuredKeysCount: this.CONFIGURED_API_KEYS.length,
-      registeredKeysCount: this.apiKeys.size,
+      registeredKeysCount: await this.apiKeys.count(),
       demoKeysAvailable: this.DEMO_MODE || (!this.CONFIGURED_API_KEYS.length && !process.env.STRICT_API_MODE),
       demoKeys: this.DEMO_MODE ? this.DEMO_KEYS : []
     };
@@ -129,48 +267,130 @@ class ApiKeyService {
   /**
    * Revoke API key
    */
-  async revoke(apiKey) {
-    return this.apiKeys.delete(apiKey);
+  async revoke(apiKey, options = {}) {
+    const record = await this.findByKey(apiKey);
+    return record ? this.revokeRecord(record, options) : false;
   }
 
   /**
-   * List all API keys for a merchant (admin function)
+   * Delete a stored key at once, even one still in a roll's grace period
    */
-  async findByMerchantId(merchantId) {
-    const keys = [];
-    for (const [apiKey, mId] of this.apiKeys.entries()) {
-      if (mId === merchantId) {
-        keys.push({
-          apiKey,
-          merchantId: mId,
-          isTest: apiKey.startsWith('pk_test_'),
-          createdAt: new Date().toISOString() // In production, store actual creation date
-        });
+  async revokeRecord(record, { actor } = {}) {
+    const revoked = await this.database.transaction(async (tx) => {
+      const deleted = await this.apiKeys.delete(record.id, tx);
+      if (deleted) {
+        await this.recordEvent('revoked', record, { actor }, tx);
       }
+      return deleted;
+    });
+
+    if (revoked) {
+      console.log(`[API_KEY] Key ${record.prefix}... revoked for merchant ${record.merchantId}`);
+    }
+    return revoked;
+  }
+
+  /**
+   * Replace a stored key with a new one of the same type, mode, name and scopes
+   *
+   * With a grace period the old key keeps working until it expires, so the
+   * merchant can deploy the new key first; otherwise it stops at once.
+   * Resolves to the new key's view with the key itself, and the old key's view.
+   */
+  async roll(record, { gracePeriodSeconds = 0, actor } = {}) {
+    const newApiKey = this.generateKeyLike(record);
+    const expiresAt = gracePeriodSeconds > 0
+      ? new Date(Date.now() + gracePeriodSeconds * 1000).toISOString()
+      : new Date().toISOString();
+
+    const previous = { ...record, expiresAt };
+    const view = await this.database.transaction(async (tx) => {
+      if (gracePeriodSeconds > 0) {
+        await this.apiKeys.save(previous, tx);
+      } else {
+        await this.apiKeys.delete(record.id, tx);
+      }
+
+      const created = await this.store(newApiKey, record.merchantId, tx, { name: record.name, scopes: record.scopes, actor });
+      await this.recordEvent('rolled', record, { actor, replacedBy: created.id, expiresAt }, tx);
+      return created;
+    });
+
+    console.log(`[API_KEY] Key ${record.prefix}... rolled to ${view.prefix}... for merchant ${record.merchantId} (grace ${gracePeriodSeconds}s)`);
+    return { key: { ...view, key: newApiKey }, previous: this.toView(previous) };
+  }
+
+  /**
+   * Delete keys whose grace period is over
+   */
+  async purgeExpired(now = new Date()) {
+    const expired = await this.apiKeys.findBy({ expiresAt: { lte: now.toISOString() } });
+
+    for (const record of expired) {
+      await this.database.transaction(async (tx) => {
+        if (await this.apiKeys.delete(record.id, tx)) {
+          await this.recordEvent('expired', record, {}, tx);
+        }
+      });
     }
-    return keys;
+
+    if (expired.length > 0) {
+      console.log(`[API_KEY] Purged ${expired.length} expired keys`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Append to a merchant's key audit trail; events name keys by ID and prefix, never the key
+   */
+  async recordEvent(action, record, { actor, ...details } = {}, executor) {
+    return this.events.create({
+      id: `kev_${crypto.randomBytes(12).toString('hex')}`,
+      merchantId: record.merchantId,
+      action,
+      keyId: record.id,
+      prefix: record.prefix,
+      type: record.type,
+      livemode: Boolean(record.livemode),
+      actor: actor || null,
+      ...details,
+      createdAt: new Date().toISOString()
+    }, executor);
+  }
+
+  /**
+   * A merchant's key audit trail in one mode, newest first
+   */
+  async listEvents(merchantId, { livemode = false, limit = 50, offset = 0 } = {}) {
+    const events = await this.events.findBy({ merchantId });
+    return events
+      .filter(event => event.livemode === livemode)
+      .slice(offset, offset + limit);
+  }
+
+  /**
+   * List all API keys for a merchant (admin function)
+   */
+  async findByMerchantId(merchantId) {
+    const records = await this.apiKeys.findBy({ merchantId });
+    return records.map(record => this.toView(record));
   }
 
   /**
    * Regenerate API key for a merchant
    */
-  async regenerate(oldApiKey) {
-    const merchantId = this.getMerchantId(oldApiKey);
-    if (!merchantId) {
+  async regenerate(oldApiKey, options = {}) {
+    const record = await this.findByKey(oldApiKey);
+    if (!record) {
       throw new Error('API key not found');
     }
 
-    // Remove old key
-    this.apiKeys.delete(oldApiKey);
-    
-    // Generate new key
-    const newApiKey = this.generateApiKey();
-    this.apiKeys.set(newApiKey, merchantId);
+    const { key } = await this.roll(record, options);
     
     return {
       oldApiKey,
-      newApiKey,
-      merchantId
+      newApiKey: key.key,
+      merchantId: record.merchantId
     };
   }
 
@@ -178,9 +398,10 @@ class ApiKeyService {
    * Get API key statistics
    */
   async getStats() {
-    const totalKeys = this.apiKeys.size;
-    const testKeys = [...this.apiKeys.keys()].filter(key => key.startsWith('pk_test_')).length;
-    const liveKeys = totalKeys - testKeys;
+    const keys = await this.apiKeys.findAll();
+    const totalKeys = keys.length;
+    const liveKeys = keys.filter(key => key.livemode).length;
+    const testKeys = totalKeys - liveKeys;
 
     return {
       totalKeys,
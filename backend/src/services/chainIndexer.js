@@ -0,0 +1,407 @@
+/**
+ * Chain Indexer
+ * Reads the gateway contract's print events from the Stacks chain, stores them
+ * with their block and reconciles them into payments, refunds and merchant stats
+ *
+ * Events arrive either by polling the Stacks API or from a stacks-node event
+ * observer. Events stay `applied` until they are `finalityDepth` blocks deep and
+ * become `finalized`; until then a block that leaves the canonical chain rolls
+ * its events back and marks them `orphaned`. Polled events whose transaction is
+ * not yet confirmed wait as `pending` and are retried on the next poll.
+ */
+
+const { hexToCV } = require('@stacks/transactions');
+const StacksApiClient = require('./stacksApiClient');
+const { getDatabase, Repository } = require('../database');
+const { isMainnetAddress } = require('../utils/livemode');
+const { decodeClarityValue } = require('../utils/clarity');
+
+const getEventId = (txId, eventIndex) => `${txId}:${eventIndex}`;
+
+class ChainIndexer {
+  constructor({
+    database,
+    stacksApi,
+    contractId,
+    paymentService,
+    merchantService,
+    refundService,
+    finalityDepth,
+    pageSize = 50
+  } = {}) {
+    this.events = new Repository(database || getDatabase(), {
+      table: 'chain_events',
+      columns: { txId: 'tx_id', paymentId: 'payment_id', blockHeight: 'block_height', status: 'status' }
+    });
+    this.stacksApi = stacksApi || new StacksApiClient();
+    this.contractId = contractId;
+    // Events of a mainnet contract count towards live mode stats
+    this.livemode = isMainnetAddress(contractId);
+    this.paymentService = paymentService;
+    this.merchantService = merchantService;
+    this.refundService = refundService;
+    this.finalityDepth = finalityDepth || parseInt(process.env.CHAIN_INDEXER_FINALITY_DEPTH || '6', 10);
+    this.pageSize = pageSize;
+    this.polling = false;
+  }
+
+  /**
+   * Catch up with the Stacks API: roll back orphaned blocks, then index new contract events
+   *
+   * Resolves to the number of events indexed and rolled back.
+   */
+  async poll() {
+    if (this.polling) {
+      return { indexed: 0, orphaned: 0 };
+    }
+
+    this.polling = true;
+    try {
+      const tipHeight = await this.stacksApi.getTipHeight();
+      const orphaned = await this.rollbackNonCanonical();
+
+      // Events put off on earlier polls come first: paging stops before reaching them again
+      const pending = await this.events.findBy({ status: 'pending' });
+      const entries = [
+        ...pending.reverse().map(({ txId, eventIndex, hex }) => ({ txId, eventIndex, hex })),
+        ...(await this.fetchNewEvents()).map(entry => ({
+          txId: entry.tx_id,
+          eventIndex: entry.event_index,
+          hex: entry.contract_log.value.hex
+        }))
+      ];
+
+      let indexed = 0;
+      for (const entry of entries) {
+        const tx = await this.stacksApi.getTransaction(entry.txId);
+        if (!tx || tx.tx_status !== 'success' || tx.canonical === false) {
+          await this.deferEvent(entry, tx);
+          continue;
+        }
+
+        const event = await this.ingestEvent({ ...entry, blockHeight: tx.block_height, blockHash: tx.block_hash });
+        if (event) {
+          indexed++;
+        }
+      }
+
+      await this.finalize(tipHeight);
+      return { indexed, orphaned };
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Index a block posted by a stacks-node event observer
+   *
+   * A block at a height we already indexed under another hash means the chain
+   * reorganised, so events from that height up are rolled back first.
+   */
+  async ingestBlock(block) {
+    const blockHeight = block.block_height;
+    const blockHash = block.block_hash;
+
+    const applied = await this.events.findBy({ status: 'applied' });
+    const orphaned = applied.filter(event => event.blockHeight >= blockHeight && event.blockHash !== blockHash);
+    await this.rollbackEvents(orphaned);
+
+    const failedTxIds = new Set((block.transactions || [])
+      .filter(tx => tx.status !== 'success')
+      .map(tx => tx.txid));
+
+    // The node numbers events across the block, the Stacks API within their
+    // transaction; count per transaction so both sources give an event the same ID
+    const txEventCounts = new Map();
+
+    let indexed = 0;
+    for (const entry of block.events || []) {
+      const eventIndex = txEventCounts.get(entry.txid) || 0;
+      txEventCounts.set(entry.txid, eventIndex + 1);
+
+      if (entry.type !== 'contract_event' || entry.committed === false || failedTxIds.has(entry.txid)) {
+        continue;
+      }
+
+      const { contract_identifier: contractId, topic, raw_value: hex } = entry.contract_event;
+      if (contractId !== this.contractId || topic !== 'print') {
+        continue;
+      }
+
+      const event = await this.ingestEvent({ txId: entry.txid, eventIndex, blockHeight, blockHash, hex });
+      if (event) {
+        indexed++;
+      }
+    }
+
+    await this.finalize(blockHeight);
+    return { indexed, orphaned: orphaned.length };
+  }
+
+  /**
+   * Store one print event and apply it; events already indexed are skipped
+   */
+  async ingestEvent({ txId, eventIndex, blockHeight, blockHash, hex }) {
+    const id = getEventId(txId, eventIndex);
+    const existing = await this.events.findById(id);
+    if (existing && !['orphaned', 'pending'].includes(existing.status)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = decodeClarityValue(hexToCV(hex));
+    } catch (error) {
+      console.error('[INDEXER] Could not decode event:', { id, error: error.message });
+      return null;
+    }
+
+    if (!payload || typeof payload.event !== 'string') {
+      return null;
+    }
+
+    const event = {
+      id,
+      txId,
+      eventIndex,
+      blockHeight,
+      blockHash,
+      type: payload.event,
+      paymentId: payload.paymentId || null,
+      payload,
+      status: 'applied',
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      indexedAt: new Date().toISOString()
+    };
+
+    const effect = await this.applyEvent(event);
+    const stored = await this.events.save({ ...event, ...effect });
+
+    console.log(`[INDEXER] Indexed ${event.type} for ${event.paymentId} at block ${blockHeight} (${effect.effect})`);
+    return stored;
+  }
+
+  /**
+   * Store an event whose transaction is not confirmed on the canonical chain yet
+   *
+   * It stays `pending`, and is checked again on every poll, until the Stacks API
+   * reports its transaction in a canonical block; events of transactions that
+   * failed are kept as `failed` and never applied.
+   */
+  async deferEvent({ txId, eventIndex, hex }, tx) {
+    const failed = Boolean(tx) && tx.canonical !== false && !['success', 'pending'].includes(tx.tx_status);
+    const status = failed ? 'failed' : 'pending';
+    const id = getEventId(txId, eventIndex);
+
+    const existing = await this.events.findById(id);
+    if (existing?.status === status) {
+      return;
+    }
+
+    await this.events.save({
+      id,
+      txId,
+      eventIndex,
+      // No block yet, or one that is not canonical
+      blockHeight: 0,
+      blockHash: null,
+      paymentId: null,
+      hex,
+      status,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    });
+    console.warn(`[INDEXER] Event ${id} is ${status}: transaction ${tx ? tx.tx_status : 'not found'}`);
+  }
+
+  /**
+   * Reconcile an event into payments, refunds and merchant stats
+   *
+   * Resolves to the fields recording what was changed, so the event can be rolled back.
+   */
+  async applyEvent(event) {
+    const { payload } = event;
+    const payment = event.paymentId ? await this.paymentService.findByPaymentId(event.paymentId) : null;
+
+    if (!payment) {
+      return this.applyToMerchantStats(event);
+    }
+
+    switch (event.type) {
+    case 'payment-completed': {
+      const settled = await this.paymentService.settleFromChain(payment.id, {
+        transactionId: event.txId,
+        merchantAddress: payload.merchant,
+        amount: payload.amount,
+        customerAddress: payload.customer,
+        blockHeight: event.blockHeight
+      });
+      return { effect: settled ? 'settled' : 'none', paymentRecordId: payment.id };
+    }
+
+    case 'payment-cancelled': {
+      const canceled = await this.paymentService.cancelFromChain(payment.id, {
+        transactionId: event.txId,
+        merchantAddress: payload.merchant
+      });
+      return { effect: canceled ? 'canceled' : 'none', paymentRecordId: payment.id };
+    }
+
+    case 'payment-refunded': {
+      const refund = await this.refundService.recordChainRefund(payment, {
+        transactionId: event.txId,
+        merchantAddress: payload.merchant,
+        amount: payload.amount,
+        blockHeight: event.blockHeight
+      });
+      return { effect: refund ? 'refunded' : 'none', paymentRecordId: payment.id, refundId: refund?.id };
+    }
+
+    default:
+      return { effect: 'none', paymentRecordId: payment.id };
+    }
+  }
+
+  /**
+   * Payments created straight on the contract have no intent here, but still count
+   * towards the stats of a merchant registered with the same address
+   */
+  async applyToMerchantStats(event) {
+    const { payload } = event;
+    const stats = {
+      'payment-completed': { totalProcessed: payload.amount, feeCollected: payload.fee, paymentsCount: 1 },
+      'payment-refunded': { totalRefunded: payload.amount }
+    }[event.type];
+
+    const merchant = stats && payload.merchant ? await this.merchantService.findByAddress(payload.merchant) : null;
+    if (!merchant) {
+      return { effect: 'none' };
+    }
+
+    await this.merchantService.updateStats(merchant.id, stats, this.livemode);
+    return { effect: 'merchant_stats', merchantId: merchant.id, stats };
+  }
+
+  /**
+   * Undo what applying an event changed
+   */
+  async revertEvent(event) {
+    if (event.effect === 'merchant_stats') {
+      const reversed = Object.fromEntries(Object.entries(event.stats).map(([key, value]) => [key, -value]));
+      await this.merchantService.updateStats(event.merchantId, reversed, this.livemode);
+      return;
+    }
+
+    if (!event.paymentRecordId) {
+      return;
+    }
+
+    if (event.type === 'payment-completed') {
+      // Payments verified through the API may have settled with this transaction too
+      const payment = await this.paymentService.revertSettlement(event.paymentRecordId, event.txId);
+      if (payment) {
+        await this.merchantService.updateStats(payment.merchantId, {
+          totalProcessed: -payment.amount,
+          feeCollected: -payment.fee,
+          paymentsCount: -1
+        }, Boolean(payment.livemode));
+      }
+    } else if (event.effect === 'canceled') {
+      await this.paymentService.revertCancellation(event.paymentRecordId, event.txId);
+    } else if (event.effect === 'refunded') {
+      const refund = await this.refundService.revertChainRefund(event.refundId);
+      if (refund) {
+        const payment = await this.paymentService.findById(refund.paymentId);
+        await this.merchantService.updateStats(refund.merchantId, { totalRefunded: -refund.amount }, Boolean(payment?.livemode));
+      }
+    }
+  }
+
+  /**
+   * Roll back applied events whose block is no longer the canonical block at its height
+   */
+  async rollbackNonCanonical() {
+    const applied = await this.events.findBy({ status: 'applied' });
+    const heights = [...new Set(applied.map(event => event.blockHeight))];
+
+    const orphaned = [];
+    for (const height of heights) {
+      const block = await this.stacksApi.getBlockByHeight(height);
+      orphaned.push(...applied.filter(event => event.blockHeight === height && event.blockHash !== block?.hash));
+    }
+
+    await this.rollbackEvents(orphaned);
+    return orphaned.length;
+  }
+
+  /**
+   * Revert and mark events orphaned, newest first
+   */
+  async rollbackEvents(events) {
+    const ordered = [...events].sort((a, b) => b.blockHeight - a.blockHeight || b.eventIndex - a.eventIndex);
+
+    for (const event of ordered) {
+      const orphaned = await this.events.update(event.id, (current) =>
+        current.status === 'applied' ? { status: 'orphaned', orphanedAt: new Date().toISOString() } : null
+      );
+      if (!orphaned) {
+        continue;
+      }
+
+      try {
+        await this.revertEvent(orphaned);
+      } catch (error) {
+        console.error('[INDEXER] Failed to roll back event:', { id: event.id, error: error.message });
+      }
+      console.log(`[INDEXER] Rolled back ${event.type} for ${event.paymentId} from orphaned block ${event.blockHeight}`);
+    }
+  }
+
+  /**
+   * Page through the contract's events, newest first, until reaching one already indexed
+   *
+   * Resolves to the new events oldest first.
+   */
+  async fetchNewEvents() {
+    const fresh = [];
+
+    for (let offset = 0; ; offset += this.pageSize) {
+      const page = await this.stacksApi.getContractEvents(this.contractId, { limit: this.pageSize, offset });
+      const results = page?.results || [];
+
+      for (const entry of results) {
+        if (entry.event_type !== 'smart_contract_log' || entry.contract_log?.topic !== 'print') {
+          continue;
+        }
+
+        const existing = await this.events.findById(getEventId(entry.tx_id, entry.event_index));
+        if (existing && existing.status !== 'orphaned') {
+          return fresh.reverse();
+        }
+        fresh.push(entry);
+      }
+
+      if (results.length < this.pageSize) {
+        return fresh.reverse();
+      }
+    }
+  }
+
+  /**
+   * Stop watching events that are buried deep enough to be final
+   */
+  async finalize(tipHeight) {
+    const applied = await this.events.findBy({ status: 'applied' });
+    for (const event of applied.filter(candidate => tipHeight - candidate.blockHeight + 1 >= this.finalityDepth)) {
+      await this.events.update(event.id, { status: 'finalized', finalizedAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Indexed events of an on-chain payment ID, newest first
+   */
+  async listEvents(paymentId) {
+    return this.events.findBy({ paymentId });
+  }
+}
+
+module.exports = ChainIndexer;
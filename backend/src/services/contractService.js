@@ -5,46 +5,197 @@
 
 const { 
   makeContractCall,
+  makeUnsignedContractCall,
+  callReadOnlyFunction,
   broadcastTransaction,
+  deserializeTransaction,
+  addressToString,
+  PayloadType,
   AnchorMode,
   PostConditionMode,
+  FungibleConditionCode,
+  makeStandardFungiblePostCondition,
+  createAssetInfo,
+  serializePostCondition,
+  getAddressFromPublicKey,
+  getAddressFromPrivateKey,
+  TransactionVersion,
+  cvToHex,
   stringAsciiCV,
   uintCV,
   principalCV,
+  contractPrincipalCV,
   someCV,
-  noneCV
+  noneCV,
+  ClarityType
 } = require('@stacks/transactions');
-const { StacksTestnet, StacksMainnet } = require('@stacks/network');
+const { StacksDevnet, StacksTestnet, StacksMainnet } = require('@stacks/network');
+const { loadNetworkConfig } = require('../utils/network');
+const NonceManager = require('./nonceManager');
+const StacksApiClient = require('./stacksApiClient');
+const { decodeClarityValue } = require('../utils/clarity');
+
+const STACKS_NETWORKS = {
+  devnet: StacksDevnet,
+  testnet: StacksTestnet,
+  mainnet: StacksMainnet
+};
 
 class ContractService {
-  constructor() {
-    // Stacks network configuration
-    this.network = process.env.NODE_ENV === 'production' 
-      ? new StacksMainnet() 
-      : new StacksTestnet();
-    
-    this.contractAddress = process.env.CONTRACT_ADDRESS || 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
-    this.contractName = 'sbtc-payment-gateway';
+  constructor({ fetchImpl, networkConfig = loadNetworkConfig(), readCacheTtl, nonceManager } = {}) {
+    // Used for every call to the Stacks node; the library's fetch when not given
+    this.fetch = fetchImpl;
+    // Nonces and fees of the transactions signed here with a private key
+    this.nonceManager = nonceManager || new NonceManager({
+      stacksApi: new StacksApiClient({ baseUrl: networkConfig.apiUrl, ...(fetchImpl && { fetchImpl }) })
+    });
+    // How long a read-only call's result is served without asking the node again
+    this.readCacheTtl = readCacheTtl ?? parseInt(process.env.CONTRACT_READ_CACHE_TTL_MS || '5000', 10);
+    this.readCache = new Map();
+    this.networkConfig = networkConfig;
+    this.contractAddress = networkConfig.contractAddress;
+    this.contractName = networkConfig.contractName;
+
+    // SIP-010 sBTC token moved by process-payment
+    this.sbtcToken = {
+      contractAddress: networkConfig.sbtcToken.contractAddress,
+      contractName: networkConfig.sbtcToken.contractName,
+      assetName: networkConfig.sbtcToken.assetName
+    };
   }
 
   /**
    * Get contract information
    */
   getContractInfo() {
+    const { network, nodeUrl, apiUrl, explorerUrl } = this.networkConfig;
     return {
       contractAddress: this.contractAddress,
       contractName: this.contractName,
-      network: process.env.NODE_ENV === 'production' ? 'mainnet' : 'testnet',
-      explorerUrl: process.env.NODE_ENV === 'production' 
-        ? 'https://explorer.stacks.co/txid/' 
-        : 'https://explorer.stacks.co/txid/?chain=testnet'
+      contractId: `${this.contractAddress}.${this.contractName}`,
+      network,
+      nodeUrl,
+      apiUrl,
+      sbtcToken: `${this.sbtcToken.contractAddress}.${this.sbtcToken.contractName}`,
+      sbtcTokenAsset: this.sbtcToken.assetName,
+      explorerUrl
+    };
+  }
+
+  /**
+   * Whether calls go to mainnet, which only live mode keys may reach
+   */
+  isMainnet() {
+    return this.networkConfig.network === 'mainnet';
+  }
+
+  /**
+   * Network for a call made with a test or live key
+   *
+   * Live keys only reach mainnet and test keys only testnet or devnet, so a call
+   * whose mode does not match the configured network is refused.
+   */
+  networkFor(livemode = false) {
+    if (livemode !== this.isMainnet()) {
+      throw new Error(livemode
+        ? 'Live mode keys can only call a mainnet contract'
+        : 'Test mode keys can only call a testnet or devnet contract');
+    }
+
+    const StacksNetwork = STACKS_NETWORKS[this.networkConfig.network];
+    return new StacksNetwork({
+      url: this.networkConfig.nodeUrl,
+      ...(this.fetch && { fetchFn: this.fetch })
+    });
+  }
+
+  /**
+   * Whether the backend may sign with a private key sent in a request
+   *
+   * Only on devnet, whose keys hold nothing; elsewhere the wallet signs an
+   * unsigned transaction built by createUnsignedContractTransaction.
+   */
+  allowsServerSigning() {
+    return this.networkConfig.network === 'devnet';
+  }
+
+  /**
+   * Post-conditions in a form a wallet can show before signing
+   */
+  describePostConditions(postConditions) {
+    return postConditions.map(condition => ({
+      type: 'fungible',
+      principal: addressToString(condition.principal.address),
+      conditionCode: FungibleConditionCode[condition.conditionCode],
+      amount: condition.amount.toString(),
+      asset: `${addressToString(condition.assetInfo.address)}.${condition.assetInfo.contractName.content}::${condition.assetInfo.assetName.content}`
+    }));
+  }
+
+  /**
+   * Build post-conditions for process-payment: the customer sends exactly
+   * the payment amount in sBTC (net amount to the merchant plus the fee)
+   */
+  buildPaymentPostConditions(customerAddress, amount) {
+    const assetInfo = createAssetInfo(
+      this.sbtcToken.contractAddress,
+      this.sbtcToken.contractName,
+      this.sbtcToken.assetName
+    );
+
+    return [
+      makeStandardFungiblePostCondition(
+        customerAddress,
+        FungibleConditionCode.Equal,
+        BigInt(amount),
+        assetInfo
+      )
+    ];
+  }
+
+  /**
+   * Arguments of process-payment; the customer is whoever signs it
+   */
+  buildProcessPaymentArgs(paymentId) {
+    return [
+      stringAsciiCV(paymentId),
+      contractPrincipalCV(this.sbtcToken.contractAddress, this.sbtcToken.contractName)
+    ];
+  }
+
+  /**
+   * Contract call a customer's wallet signs to pay a payment intent
+   *
+   * Arguments and post-conditions are hex encoded, the form Stacks wallets take
+   * them in, so the widget can hand the payload over as is.
+   */
+  buildProcessPaymentCall({ paymentId, customerAddress, amount, livemode = false }) {
+    this.networkFor(livemode);
+
+    return {
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName: 'process-payment',
+      functionArgs: this.buildProcessPaymentArgs(paymentId).map(arg => cvToHex(arg)),
+      postConditionMode: 'deny',
+      postConditions: this.buildPaymentPostConditions(customerAddress, amount)
+        .map(condition => Buffer.from(serializePostCondition(condition)).toString('hex')),
+      network: this.networkConfig.network,
+      customerAddress,
+      amount
     };
   }
 
   /**
    * Create smart contract transaction
+   * Runs in deny mode whenever post-conditions are supplied
    */
-  async createContractTransaction(functionName, functionArgs, senderKey) {
+  async createContractTransaction(functionName, functionArgs, senderKey, postConditions = [], { livemode = false } = {}) {
+    const network = this.networkFor(livemode);
+    if (!this.allowsServerSigning()) {
+      throw new Error('Private keys can only be sent to the API on devnet; sign the transaction in a wallet instead');
+    }
+
     try {
       const txOptions = {
         contractAddress: this.contractAddress,
@@ -53,17 +204,25 @@ class ContractService {
         functionArgs,
         senderKey,
         validateWithAbi: true,
-        network: this.network,
+        network,
         anchorMode: AnchorMode.Any,
-        postConditionMode: PostConditionMode.Allow,
+        postConditions,
+        postConditionMode: postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow,
       };
 
-      const transaction = await makeContractCall(txOptions);
-      const broadcastResponse = await broadcastTransaction(transaction, this.network);
-      
+      // The nonce manager picks the nonce and fee, and rebuilds with a higher fee if the call gets stuck
+      const { txId, nonce, fee, transaction } = await this.nonceManager.send({
+        address: getAddressFromPrivateKey(senderKey, network.version),
+        network,
+        functionName,
+        build: ({ nonce, fee }) => makeContractCall({ ...txOptions, nonce: BigInt(nonce), fee: BigInt(fee) })
+      });
+
       return {
         success: true,
-        txId: broadcastResponse.txid,
+        txId,
+        nonce,
+        fee,
         transaction
       };
     } catch (error) {
@@ -76,13 +235,94 @@ class ContractService {
   }
 
   /**
-   * Create smart contract payment intent
+   * Build an unsigned contract call for the wallet holding publicKey to sign
+   *
+   * The nonce and fee are looked up on the node unless given. The transaction
+   * is serialized with its post-conditions, so the wallet signs exactly what is
+   * described here, and is then sent to broadcastTransaction.
+   */
+  async createUnsignedContractTransaction(functionName, functionArgs, publicKey, postConditions = [], { livemode = false, nonce, fee } = {}) {
+    const network = this.networkFor(livemode);
+    const postConditionMode = postConditions.length > 0 ? PostConditionMode.Deny : PostConditionMode.Allow;
+
+    let transaction;
+    try {
+      transaction = await makeUnsignedContractCall({
+        contractAddress: this.contractAddress,
+        contractName: this.contractName,
+        functionName,
+        functionArgs,
+        publicKey,
+        ...(nonce !== undefined && { nonce: BigInt(nonce) }),
+        ...(fee !== undefined && { fee: BigInt(fee) }),
+        validateWithAbi: true,
+        network,
+        anchorMode: AnchorMode.Any,
+        postConditions,
+        postConditionMode
+      });
+    } catch (error) {
+      throw new Error(`Failed to build ${functionName} transaction on blockchain: ${error.message}`);
+    }
+
+    return {
+      transaction: Buffer.from(transaction.serialize()).toString('hex'),
+      txId: `0x${transaction.txid()}`,
+      functionName,
+      nonce: Number(transaction.auth.spendingCondition.nonce),
+      fee: Number(transaction.auth.spendingCondition.fee),
+      postConditionMode: postConditionMode === PostConditionMode.Deny ? 'deny' : 'allow',
+      postConditions: this.describePostConditions(postConditions)
+    };
+  }
+
+  /**
+   * Broadcast a transaction the wallet signed
+   *
+   * Only calls to the gateway contract are relayed, on the network of the key's mode.
+   */
+  async broadcastSignedTransaction(signedHex, { livemode = false } = {}) {
+    const network = this.networkFor(livemode);
+
+    let transaction;
+    try {
+      transaction = deserializeTransaction(signedHex.replace(/^0x/, ''));
+    } catch (error) {
+      throw new Error(`Invalid signed transaction: ${error.message}`);
+    }
+
+    const { payload } = transaction;
+    if (payload.payloadType !== PayloadType.ContractCall
+      || addressToString(payload.contractAddress) !== this.contractAddress
+      || payload.contractName.content !== this.contractName) {
+      throw new Error(`Invalid signed transaction: only calls to ${this.contractAddress}.${this.contractName} are broadcast`);
+    }
+
+    let broadcastResponse;
+    try {
+      broadcastResponse = await broadcastTransaction(transaction, network);
+    } catch (error) {
+      throw new Error(`Failed to broadcast transaction on blockchain: ${error.message}`);
+    }
+    if (broadcastResponse.error) {
+      throw new Error(`Failed to broadcast transaction on blockchain: ${broadcastResponse.reason || broadcastResponse.error}`);
+    }
+
+    return {
+      success: true,
+      transactionId: `0x${broadcastResponse.txid.replace(/^0x/, '')}`,
+      functionName: payload.functionName.content
+    };
+  }
+
+  /**
+   * Create smart contract payment intent, or the unsigned transaction for it when given publicKey
    */
   async createPayment(paymentData) {
-    const { paymentId, amount, description, expiresInBlocks, merchantPrivateKey } = paymentData;
+    const { paymentId, amount, description, expiresInBlocks, merchantPrivateKey, publicKey, nonce, fee, livemode } = paymentData;
 
-    if (!paymentId || !amount || !merchantPrivateKey) {
-      throw new Error('Missing required fields: paymentId, amount, merchantPrivateKey');
+    if (!paymentId || !amount || !(merchantPrivateKey || publicKey)) {
+      throw new Error('Missing required fields: paymentId, amount, merchantPrivateKey or publicKey');
     }
 
     const functionArgs = [
@@ -92,10 +332,24 @@ class ContractService {
       uintCV(expiresInBlocks || 144) // Default 144 blocks (~24 hours)
     ];
 
+    if (publicKey) {
+      return {
+        success: true,
+        unsignedTransaction: await this.createUnsignedContractTransaction(
+          'create-payment-intent', functionArgs, publicKey, [], { livemode, nonce, fee }
+        ),
+        paymentId,
+        amount,
+        expiresInBlocks: expiresInBlocks || 144
+      };
+    }
+
     const result = await this.createContractTransaction(
       'create-payment-intent',
       functionArgs,
-      merchantPrivateKey
+      merchantPrivateKey,
+      [],
+      { livemode }
     );
 
     if (result.success) {
@@ -112,24 +366,44 @@ class ContractService {
   }
 
   /**
-   * Process smart contract payment
+   * Process smart contract payment, or build the unsigned transaction for it when given publicKey
+   *
+   * The contract charges and records whoever signs, so the key is the customer's
+   * and the customer address is derived from it.
    */
   async processPayment(paymentData) {
-    const { paymentId, customerAddress, merchantPrivateKey } = paymentData;
+    const { paymentId, amount, customerPrivateKey, publicKey, nonce, fee, livemode } = paymentData;
 
-    if (!paymentId || !customerAddress || !merchantPrivateKey) {
-      throw new Error('Missing required fields: paymentId, customerAddress, merchantPrivateKey');
+    if (!paymentId || !amount || !(customerPrivateKey || publicKey)) {
+      throw new Error('Missing required fields: paymentId, amount, customerPrivateKey or publicKey');
     }
 
-    const functionArgs = [
-      stringAsciiCV(paymentId),
-      principalCV(customerAddress)
-    ];
+    const version = livemode ? TransactionVersion.Mainnet : TransactionVersion.Testnet;
+    const customerAddress = publicKey
+      ? getAddressFromPublicKey(publicKey, version)
+      : getAddressFromPrivateKey(customerPrivateKey, version);
+    const functionArgs = this.buildProcessPaymentArgs(paymentId);
+    const postConditions = this.buildPaymentPostConditions(customerAddress, amount);
+
+    if (publicKey) {
+      return {
+        success: true,
+        unsignedTransaction: await this.createUnsignedContractTransaction(
+          'process-payment', functionArgs, publicKey, postConditions, { livemode, nonce, fee }
+        ),
+        paymentId,
+        customerAddress,
+        amount,
+        status: 'requires_signature'
+      };
+    }
 
     const result = await this.createContractTransaction(
       'process-payment',
       functionArgs,
-      merchantPrivateKey
+      customerPrivateKey,
+      postConditions,
+      { livemode }
     );
 
     if (result.success) {
@@ -138,6 +412,7 @@ class ContractService {
         transactionId: result.txId,
         paymentId,
         customerAddress,
+        amount,
         status: 'processing'
       };
     } else {
@@ -146,13 +421,55 @@ class ContractService {
   }
 
   /**
-   * Register merchant on smart contract
+   * Cancel a pending payment on smart contract, or build the unsigned transaction for it when given publicKey
+   */
+  async cancelPayment(paymentData) {
+    const { paymentId, merchantPrivateKey, publicKey, nonce, fee, livemode } = paymentData;
+
+    if (!paymentId || !(merchantPrivateKey || publicKey)) {
+      throw new Error('Missing required fields: paymentId, merchantPrivateKey or publicKey');
+    }
+
+    const functionArgs = [stringAsciiCV(paymentId)];
+
+    if (publicKey) {
+      return {
+        success: true,
+        unsignedTransaction: await this.createUnsignedContractTransaction(
+          'cancel-payment', functionArgs, publicKey, [], { livemode, nonce, fee }
+        ),
+        paymentId
+      };
+    }
+
+    const result = await this.createContractTransaction(
+      'cancel-payment',
+      functionArgs,
+      merchantPrivateKey,
+      [],
+      { livemode }
+    );
+
+    if (result.success) {
+      return {
+        success: true,
+        transactionId: result.txId,
+        paymentId,
+        status: 'canceled'
+      };
+    } else {
+      throw new Error(`Failed to cancel payment on blockchain: ${result.error}`);
+    }
+  }
+
+  /**
+   * Register merchant on smart contract, or build the unsigned transaction for it when given publicKey
    */
   async registerMerchant(merchantData) {
-    const { businessName, email, merchantPrivateKey } = merchantData;
+    const { businessName, email, merchantPrivateKey, publicKey, nonce, fee, livemode } = merchantData;
 
-    if (!businessName || !email || !merchantPrivateKey) {
-      throw new Error('Missing required fields: businessName, email, merchantPrivateKey');
+    if (!businessName || !email || !(merchantPrivateKey || publicKey)) {
+      throw new Error('Missing required fields: businessName, email, merchantPrivateKey or publicKey');
     }
 
     const functionArgs = [
@@ -160,10 +477,23 @@ class ContractService {
       stringAsciiCV(email)
     ];
 
+    if (publicKey) {
+      return {
+        success: true,
+        unsignedTransaction: await this.createUnsignedContractTransaction(
+          'register-merchant', functionArgs, publicKey, [], { livemode, nonce, fee }
+        ),
+        businessName,
+        email
+      };
+    }
+
     const result = await this.createContractTransaction(
       'register-merchant',
       functionArgs,
-      merchantPrivateKey
+      merchantPrivateKey,
+      [],
+      { livemode }
     );
 
     if (result.success) {
@@ -177,6 +507,140 @@ class ContractService {
       throw new Error(`Failed to register merchant on blockchain: ${result.error}`);
     }
   }
+
+  /**
+   * Deactivate or reactivate a merchant on smart contract, or build the unsigned
+   * transaction for it when given publicKey; only the contract owner may call these
+   *
+   * Owner calls are not made with a merchant key, so they default to the mode of
+   * the network the contract is deployed on.
+   */
+  async setMerchantActive(merchantData) {
+    const {
+      merchantAddress,
+      isActive,
+      ownerPrivateKey,
+      publicKey,
+      nonce,
+      fee,
+      livemode = this.isMainnet()
+    } = merchantData;
+
+    if (!merchantAddress || typeof isActive !== 'boolean' || !(ownerPrivateKey || publicKey)) {
+      throw new Error('Missing required fields: merchantAddress, isActive, ownerPrivateKey or publicKey');
+    }
+
+    const functionName = isActive ? 'reactivate-merchant' : 'deactivate-merchant';
+    const functionArgs = [principalCV(merchantAddress)];
+
+    if (publicKey) {
+      return {
+        success: true,
+        unsignedTransaction: await this.createUnsignedContractTransaction(
+          functionName, functionArgs, publicKey, [], { livemode, nonce, fee }
+        ),
+        merchantAddress,
+        isActive
+      };
+    }
+
+    const result = await this.createContractTransaction(
+      functionName,
+      functionArgs,
+      ownerPrivateKey,
+      [],
+      { livemode }
+    );
+
+    if (result.success) {
+      return {
+        success: true,
+        transactionId: result.txId,
+        merchantAddress,
+        isActive
+      };
+    } else {
+      throw new Error(`Failed to ${isActive ? 'reactivate' : 'deactivate'} merchant on blockchain: ${result.error}`);
+    }
+  }
+
+  /**
+   * Call a read-only function of the gateway contract and decode the result
+   *
+   * Results are cached for readCacheTtl, and concurrent calls with the same
+   * arguments share one request to the node.
+   */
+  async callReadOnly(functionName, functionArgs = []) {
+    const key = [functionName, ...functionArgs.map(arg => cvToHex(arg))].join(':');
+    const cached = this.readCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const result = callReadOnlyFunction({
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName,
+      functionArgs,
+      network: this.networkFor(this.isMainnet()),
+      senderAddress: this.contractAddress
+    })
+      .then((cv) => {
+        if (cv.type === ClarityType.ResponseErr) {
+          throw new Error(`Read-only call returned an error: ${JSON.stringify(decodeClarityValue(cv.value))}`);
+        }
+        return decodeClarityValue(cv);
+      })
+      .catch(error => {
+        this.readCache.delete(key);
+        throw new Error(`Failed to read ${functionName} on blockchain: ${error.message}`);
+      });
+
+    // Drop expired entries so the cache only ever holds recent lookups
+    for (const [cachedKey, entry] of this.readCache) {
+      if (entry.expiresAt <= Date.now()) {
+        this.readCache.delete(cachedKey);
+      }
+    }
+    this.readCache.set(key, { result, expiresAt: Date.now() + this.readCacheTtl });
+    return result;
+  }
+
+  /**
+   * Get a payment as recorded on the contract, or null if it was never created there
+   */
+  async getPayment(paymentId) {
+    const [payment, expired, refundedAmount] = await Promise.all([
+      this.callReadOnly('get-payment', [stringAsciiCV(paymentId)]),
+      this.callReadOnly('is-payment-expired', [stringAsciiCV(paymentId)]),
+      this.callReadOnly('get-refunded-amount', [stringAsciiCV(paymentId)])
+    ]);
+
+    return payment && { paymentId, ...payment, expired, refundedAmount };
+  }
+
+  /**
+   * Get a merchant as registered on the contract, or null if not registered
+   */
+  async getMerchant(merchantAddress) {
+    const merchant = await this.callReadOnly('get-merchant', [principalCV(merchantAddress)]);
+    return merchant && { address: merchantAddress, ...merchant };
+  }
+
+  /**
+   * Get the platform fee the contract charges, in basis points
+   */
+  async getFee() {
+    const feeBasisPoints = await this.callReadOnly('get-fee-percentage');
+    return { feeBasisPoints, feePercent: feeBasisPoints / 100 };
+  }
+
+  /**
+   * Get the payment count and volume the contract has processed
+   */
+  async getPlatformStats() {
+    return this.callReadOnly('get-platform-stats');
+  }
 }
 
 module.exports = ContractService;
\ No newline at end of file
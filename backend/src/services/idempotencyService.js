@@ -0,0 +1,156 @@
+/**
+ * Idempotency Service
+ * Remembers the first response to each merchant's Idempotency-Key so retried
+ * requests get the same result instead of repeating the side effect
+ */
+
+const crypto = require('crypto');
+const { getDatabase, Repository } = require('../database');
+
+/**
+ * JSON with object keys sorted, so equal bodies fingerprint the same whatever their key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+class IdempotencyService {
+  constructor({ database, ttl, lockTimeout } = {}) {
+    this.database = database || getDatabase();
+    this.keys = new Repository(this.database, {
+      table: 'idempotency_keys',
+      columns: { merchantId: 'merchant_id', expiresAt: 'expires_at' }
+    });
+    // How long a stored response is replayed for
+    this.ttl = ttl || parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+    // A request still marked in progress after this long is assumed to have crashed
+    this.lockTimeout = lockTimeout || parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS || '60000', 10);
+  }
+
+  /**
+   * Hash of the parts of a request that must match for a key to be reused
+   */
+  fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n${stableStringify(body ?? {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request
+   *
+   * Resolves to `{ state, record }` where state is:
+   * - `started`: first use; run the request and call complete() or release()
+   * - `replay`: the stored response in `record` should be sent back
+   * - `mismatch`: the key was used for a different request
+   * - `in_progress`: another request with this key has not finished yet
+   */
+  async begin(merchantId, key, fingerprint) {
+    const id = this.getRecordId(merchantId, key);
+    const now = new Date();
+
+    const record = {
+      id,
+      merchantId,
+      key,
+      fingerprint,
+      status: 'processing',
+      lockedAt: now.toISOString(),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttl).toISOString()
+    };
+
+    // A second attempt covers a record that expired or vanished between the insert and the read
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await this.keys.createIfMissing(record)) {
+        return { state: 'started', record };
+      }
+
+      const existing = await this.keys.findById(id);
+      if (!existing) {
+        continue;
+      }
+
+      if (new Date(existing.expiresAt) <= now) {
+        await this.keys.delete(id);
+        continue;
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return { state: 'mismatch', record: existing };
+      }
+
+      if (existing.status === 'completed') {
+        return { state: 'replay', record: existing };
+      }
+
+      const reclaimed = await this.keys.update(id, (current) => {
+        const stale = current.status === 'processing' &&
+          now - new Date(current.lockedAt) >= this.lockTimeout;
+        return stale ? { lockedAt: now.toISOString() } : null;
+      });
+      if (reclaimed) {
+        console.log(`[IDEMPOTENCY] Reclaimed abandoned key for merchant ${merchantId}`);
+        return { state: 'started', record: reclaimed };
+      }
+
+      return { state: 'in_progress', record: existing };
+    }
+
+    return { state: 'in_progress', record: null };
+  }
+
+  /**
+   * Store the response for a started key so retries replay it
+   */
+  async complete(merchantId, key, { statusCode, body }) {
+    return this.keys.update(this.getRecordId(merchantId, key), {
+      status: 'completed',
+      statusCode,
+      body,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Forget a started key, letting the request be retried (used for server errors)
+   */
+  async release(merchantId, key) {
+    return this.keys.delete(this.getRecordId(merchantId, key));
+  }
+
+  /**
+   * Delete keys past their expiry; resolves to the number removed
+   */
+  async purgeExpired(now = new Date()) {
+    const result = await this.database.run(
+      'DELETE FROM idempotency_keys WHERE expires_at <= ?',
+      [now.toISOString()]
+    );
+
+    if (result.changes > 0) {
+      console.log(`[IDEMPOTENCY] Purged ${result.changes} expired keys`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Keys are scoped per merchant; hashing keeps arbitrary client strings out of the primary key
+   */
+  getRecordId(merchantId, key) {
+    return crypto.createHash('sha256').update(`${merchantId}:${key}`).digest('hex');
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,176 @@
+/**
+ * Job Scheduler
+ * Runs the gateway's periodic background jobs and keeps a history of every run
+ *
+ * Several gateway instances may share one database, so each run first takes a
+ * lock row for its job: an instance that finds the lock held skips that tick.
+ * A lock expires after `lockTtl`, so a job whose instance died is picked up
+ * again by another one.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { getDatabase, Repository } = require('../database');
+
+// Released locks expire at the epoch so any instance can take them right away
+const RELEASED = new Date(0).toISOString();
+
+class JobScheduler {
+  constructor({ database, instanceId, lockTtl, runRetention } = {}) {
+    this.db = database || getDatabase();
+    this.runs = new Repository(this.db, {
+      table: 'job_runs',
+      columns: { job: 'job', status: 'status' }
+    });
+    this.instanceId = instanceId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.lockTtl = lockTtl || parseInt(process.env.JOB_LOCK_TTL_MS || String(5 * 60 * 1000), 10);
+    this.runRetention = runRetention || parseInt(process.env.JOB_RUN_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+    this.jobs = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Add a job; `run` resolves to a summary stored with the run, and an interval of 0 only runs it on demand
+   */
+  register(name, { interval, run, lockTtl = this.lockTtl }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, { name, interval, run, lockTtl, running: false });
+    return this;
+  }
+
+  /**
+   * Run a job now unless it is already running here or on another instance
+   *
+   * Resolves to the finished run, or null when the run was skipped.
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    if (job.running || !(await this.acquireLock(name, job.lockTtl))) {
+      return null;
+    }
+
+    const startedAt = new Date();
+    try {
+      job.running = true;
+      const run = await this.runs.create({
+        id: `jobrun_${crypto.randomBytes(12).toString('hex')}`,
+        job: name,
+        status: 'running',
+        instanceId: this.instanceId,
+        startedAt: startedAt.toISOString(),
+        createdAt: startedAt.toISOString()
+      });
+
+      let outcome;
+      try {
+        const result = await job.run();
+        outcome = { status: 'succeeded', result: result === undefined ? null : result };
+      } catch (error) {
+        console.error(`[SCHEDULER] Job ${name} failed:`, error);
+        outcome = { status: 'failed', error: error.message };
+      }
+
+      const finishedAt = new Date();
+      return await this.runs.update(run.id, {
+        ...outcome,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+      });
+    } finally {
+      // Whatever failed, the job can run again here and on other instances
+      job.running = false;
+      await this.releaseLock(name);
+    }
+  }
+
+  /**
+   * Take the job's lock if it is free or its holder's lease ran out; resolves to whether it was taken
+   */
+  async acquireLock(name, ttl) {
+    const now = new Date();
+    const result = await this.db.run(
+      `INSERT INTO job_locks (id, owner, locked_until, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET owner = excluded.owner, locked_until = excluded.locked_until,
+         updated_at = excluded.updated_at
+       WHERE job_locks.locked_until < excluded.updated_at`,
+      [name, this.instanceId, new Date(now.getTime() + ttl).toISOString(), now.toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  async releaseLock(name) {
+    await this.db.run(
+      'UPDATE job_locks SET locked_until = ?, updated_at = ? WHERE id = ? AND owner = ?',
+      [RELEASED, new Date().toISOString(), name, this.instanceId]
+    );
+  }
+
+  /**
+   * Registered jobs with their latest run
+   */
+  async listJobs() {
+    return Promise.all([...this.jobs.values()].map(async (job) => ({
+      name: job.name,
+      interval: job.interval,
+      scheduled: this.timers.has(job.name),
+      running: job.running,
+      lastRun: await this.runs.findOne({ job: job.name })
+    })));
+  }
+
+  /**
+   * Run history, newest first
+   */
+  async listRuns({ job, status, limit = 50, offset = 0 } = {}) {
+    return this.runs.findBy({
+      ...(job && { job }),
+      ...(status && { status })
+    }, { limit, offset });
+  }
+
+  /**
+   * Delete runs older than the retention period; resolves to the number removed
+   */
+  async pruneRuns(now = new Date()) {
+    const result = await this.db.run(
+      'DELETE FROM job_runs WHERE created_at < ? AND status != ?',
+      [new Date(now.getTime() - this.runRetention).toISOString(), 'running']
+    );
+    return result.changes;
+  }
+
+  /**
+   * Run every job with an interval on its own timer
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (!job.interval || this.timers.has(job.name)) {
+        continue;
+      }
+
+      const timer = setInterval(() => {
+        this.runJob(job.name).catch((error) => {
+          console.error(`[SCHEDULER] Could not run ${job.name}:`, error);
+        });
+      }, job.interval);
+      timer.unref();
+      this.timers.set(job.name, timer);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = JobScheduler;
@@ -1,40 +1,78 @@
 /**
  * Merchant Service
  * Business logic for merchant operations
+ *
+ * Emits `merchant.updated` with the updated merchant and the changed fields'
+ * previous values whenever a profile change is saved or the merchant is
+ * deactivated or reactivated.
  */
 
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const ApiKeyService = require('./apiKeyService');
+const PaymentService = require('./paymentService');
+const { getDatabase, isUniqueViolation, Repository } = require('../database');
 
-class MerchantService {
-  constructor() {
-    // In-memory storage (replace with database in production)
-    this.merchants = new Map();
-    this.apiKeyService = new ApiKeyService();
+const EMPTY_STATS = { totalProcessed: 0, feeCollected: 0, paymentsCount: 0, totalRefunded: 0 };
+
+// Fields a merchant can change through the profile API; stacksAddress is the payout address
+const PROFILE_FIELDS = ['businessName', 'email', 'stacksAddress', 'logoUrl', 'supportUrl', 'statementDescriptor'];
+
+/**
+ * Stats kept for one mode: test mode totals sit at the top level of the record,
+ * as they did before live keys existed, and live mode totals under `liveStats`
+ */
+const statsFor = (merchant, livemode) => ({
+  ...EMPTY_STATS,
+  ...(livemode
+    ? merchant.liveStats
+    : {
+      totalProcessed: merchant.totalProcessed,
+      feeCollected: merchant.feeCollected,
+      paymentsCount: merchant.paymentsCount,
+      totalRefunded: merchant.totalRefunded || 0
+    })
+});
+
+class MerchantService extends EventEmitter {
+  constructor({ database, apiKeyService, paymentService } = {}) {
+    super();
+    this.database = database || getDatabase();
+    this.merchants = new Repository(this.database, {
+      table: 'merchants',
+      columns: { stacksAddress: 'stacks_address', email: 'email' }
+    });
+    this.apiKeyService = apiKeyService || new ApiKeyService({ database: this.database });
+    this.paymentService = paymentService || new PaymentService({ database: this.database });
     
     // Create demo merchant for testing
-    this.createDemoMerchant();
+    this.demoMerchantReady = this.createDemoMerchant();
   }
 
   /**
    * Create demo merchant for testing
    */
-  createDemoMerchant() {
+  async createDemoMerchant() {
     const demoMerchant = {
       id: 'demo-merchant-id',
       businessName: 'Demo Store',
       email: 'demo@example.com',
       stacksAddress: 'ST1DEMO123ABC',
-      apiKey: 'pk_test_demo_key',
-      secretKey: 'sk_test_demo_secret',
       isActive: true,
+      livemode: false,
       totalProcessed: 0,
       feeCollected: 0,
       paymentsCount: 0,
       registeredAt: new Date().toISOString()
     };
     
-    this.merchants.set('demo-merchant-id', demoMerchant);
+    try {
+      // Keep the stats of an existing demo merchant across restarts
+      await this.merchants.createIfMissing(demoMerchant);
+    } catch (error) {
+      console.error('[DEMO] Failed to create demo merchant:', error.message);
+      return;
+    }
     
     if (this.apiKeyService.DEMO_MODE) {
       console.log(`[DEMO] Demo merchant created with keys: ${this.apiKeyService.DEMO_KEYS.join(', ')}`);
@@ -43,6 +81,9 @@ class MerchantService {
 
   /**
    * Register a new merchant
+   *
+   * Every merchant gets a test key pair for testnet and a live key pair for mainnet.
+   * Only their hashes are kept, so the response is the one chance to read them.
    */
   async register(merchantData) {
     const { businessName, email, stacksAddress } = merchantData;
@@ -53,13 +94,15 @@ class MerchantService {
     }
 
     // Check if merchant already exists
-    if (this.merchants.has(stacksAddress)) {
+    if (await this.existsByAddress(stacksAddress)) {
       throw new Error('Merchant already registered with this Stacks address');
     }
 
     // Generate API credentials
     const apiKey = this.apiKeyService.generateApiKey();
     const secretKey = this.apiKeyService.generateSecretKey();
+    const liveApiKey = this.apiKeyService.generateApiKey(true);
+    const liveSecretKey = this.apiKeyService.generateSecretKey(true);
     const merchantId = uuidv4();
 
     // Store merchant data
@@ -68,25 +111,31 @@ class MerchantService {
       businessName,
       email,
       stacksAddress,
-      apiKey,
-      secretKey,
       isActive: true,
+      livemode: true,
       totalProcessed: 0,
       feeCollected: 0,
       paymentsCount: 0,
+      liveStats: { ...EMPTY_STATS },
       registeredAt: new Date().toISOString()
     };
 
-    this.merchants.set(stacksAddress, newMerchant);
-    await this.apiKeyService.store(apiKey, merchantId);
+    await this.database.transaction(async (tx) => {
+      await this.merchants.create(newMerchant, tx);
+      for (const key of [apiKey, secretKey, liveApiKey, liveSecretKey]) {
+        await this.apiKeyService.store(key, merchantId, tx);
+      }
+    });
 
     console.log(`[MERCHANT] Registered: ${businessName} (${merchantId})`);
-    console.log(`[API_KEY] Generated key for merchant: ${apiKey.substring(0, 12)}...`);
+    console.log(`[API_KEY] Generated keys for merchant: ${apiKey.substring(0, 12)}..., ${liveApiKey.substring(0, 12)}...`);
 
     return {
       merchantId,
       apiKey,
       secretKey,
+      liveApiKey,
+      liveSecretKey,
       message: 'Merchant registered successfully. Please call register-merchant on the smart contract to complete setup.'
     };
   }
@@ -95,63 +144,161 @@ class MerchantService {
    * Create a new merchant
    */
   async create(merchantData) {
-    this.merchants.set(merchantData.stacksAddress, merchantData);
-    return merchantData;
+    return this.merchants.save(merchantData);
   }
 
   /**
    * Find merchant by ID
    */
   async findById(merchantId) {
-    return [...this.merchants.values()].find(m => m.id === merchantId);
+    await this.demoMerchantReady;
+    return this.merchants.findById(merchantId);
   }
 
   /**
    * Find merchant by Stacks address
    */
   async findByAddress(stacksAddress) {
-    return this.merchants.get(stacksAddress);
+    await this.demoMerchantReady;
+    return this.merchants.findOne({ stacksAddress });
   }
 
   /**
    * Check if merchant exists by address
    */
   async existsByAddress(stacksAddress) {
-    return this.merchants.has(stacksAddress);
+    return (await this.merchants.count({ stacksAddress })) > 0;
+  }
+
+  /**
+   * Change a merchant's profile fields and emit merchant.updated if anything changed
+   *
+   * Resolves to the updated merchant, or null if there is no such merchant.
+   */
+  async updateProfile(merchantId, changes) {
+    const merchant = await this.findById(merchantId);
+    if (!merchant) {
+      return null;
+    }
+
+    const previousAttributes = {};
+    for (const field of PROFILE_FIELDS) {
+      if (changes[field] !== undefined && changes[field] !== merchant[field]) {
+        previousAttributes[field] = merchant[field] ?? null;
+      }
+    }
+    if (Object.keys(previousAttributes).length === 0) {
+      return merchant;
+    }
+
+    if (previousAttributes.stacksAddress !== undefined && await this.existsByAddress(changes.stacksAddress)) {
+      throw new Error('Merchant already registered with this Stacks address');
+    }
+
+    const patch = { updatedAt: new Date().toISOString() };
+    for (const field of Object.keys(previousAttributes)) {
+      patch[field] = changes[field];
+    }
+
+    let updated;
+    try {
+      updated = await this.merchants.update(merchantId, patch);
+    } catch (error) {
+      // Another merchant took the address after the check above
+      if (isUniqueViolation(error)) {
+        throw new Error('Merchant already registered with this Stacks address');
+      }
+      throw error;
+    }
+
+    console.log(`[MERCHANT] Updated ${Object.keys(previousAttributes).join(', ')} for ${merchantId}`);
+    this.emit('merchant.updated', updated, { previousAttributes });
+    return updated;
   }
 
   /**
-   * Update merchant statistics
+   * Deactivate or reactivate a merchant and emit merchant.updated if the status changed
+   *
+   * An inactive merchant keeps its keys and data but cannot create payment intents.
+   * Resolves to the updated merchant, or null if there is no such merchant.
    */
-  async updateStats(merchantId, stats) {
+  async setActive(merchantId, isActive, { reason = null, transactionId = null } = {}) {
     const merchant = await this.findById(merchantId);
-    if (merchant) {
-      merchant.totalProcessed += stats.totalProcessed || 0;
-      merchant.feeCollected += stats.feeCollected || 0;
-      merchant.paymentsCount += stats.paymentsCount || 0;
-      this.merchants.set(merchant.stacksAddress, merchant);
+    if (!merchant) {
+      return null;
+    }
+    // Merchants stored before deactivation existed have no isActive and are active
+    const wasActive = merchant.isActive !== false;
+    if (wasActive === isActive) {
+      return merchant;
     }
-    return merchant;
+
+    const now = new Date().toISOString();
+    const updated = await this.merchants.update(merchantId, {
+      isActive,
+      deactivatedAt: isActive ? null : now,
+      deactivationReason: isActive ? null : reason,
+      statusTransactionId: transactionId,
+      updatedAt: now
+    });
+
+    console.log(`[MERCHANT] ${isActive ? 'Reactivated' : 'Deactivated'} ${merchantId}`);
+    this.emit('merchant.updated', updated, { previousAttributes: { isActive: wasActive } });
+    return updated;
   }
 
   /**
-   * Get dashboard statistics for a merchant
+   * Public representation of a merchant's profile
    */
-  async getDashboardStats(merchantId) {
+  toView(merchant) {
+    return {
+      id: merchant.id,
+      businessName: merchant.businessName,
+      email: merchant.email,
+      stacksAddress: merchant.stacksAddress,
+      logoUrl: merchant.logoUrl || null,
+      supportUrl: merchant.supportUrl || null,
+      statementDescriptor: merchant.statementDescriptor || null,
+      isActive: merchant.isActive !== false,
+      deactivatedAt: merchant.deactivatedAt || null,
+      registeredAt: merchant.registeredAt,
+      updatedAt: merchant.updatedAt || merchant.registeredAt
+    };
+  }
+
+  /**
+   * Update merchant statistics for test or live mode
+   */
+  async updateStats(merchantId, stats, livemode = false) {
+    await this.demoMerchantReady;
+    return this.merchants.update(merchantId, (merchant) => {
+      const current = statsFor(merchant, livemode);
+      const totals = {
+        totalProcessed: current.totalProcessed + (stats.totalProcessed || 0),
+        feeCollected: current.feeCollected + (stats.feeCollected || 0),
+        paymentsCount: current.paymentsCount + (stats.paymentsCount || 0),
+        totalRefunded: current.totalRefunded + (stats.totalRefunded || 0)
+      };
+      return livemode ? { liveStats: totals } : totals;
+    });
+  }
+
+  /**
+   * Get dashboard statistics for a merchant, covering only test or only live mode data
+   */
+  async getDashboardStats(merchantId, { livemode = false } = {}) {
     const merchant = await this.findById(merchantId);
     if (!merchant) {
       throw new Error('Merchant not found');
     }
 
-    // Get merchant's payments (this would be a database query in production)
-    const PaymentService = require('./paymentService');
-    const paymentService = new PaymentService();
-    const merchantPayments = await paymentService.findByMerchantId(merchantId);
+    const merchantPayments = await this.paymentService.findByMerchantId(merchantId, { livemode });
 
     return {
-      totalProcessed: merchant.totalProcessed,
-      feeCollected: merchant.feeCollected,
-      paymentsCount: merchant.paymentsCount,
+      livemode,
+      isActive: merchant.isActive !== false,
+      deactivatedAt: merchant.deactivatedAt || null,
+      ...statsFor(merchant, livemode),
       activePayments: merchantPayments.filter(p => p.status === 'processing').length,
       successfulPayments: merchantPayments.filter(p => p.status === 'succeeded').length,
       recentPayments: merchantPayments
@@ -172,14 +319,16 @@ class MerchantService {
    * Get all merchants (admin function)
    */
   async findAll() {
-    return [...this.merchants.values()];
+    await this.demoMerchantReady;
+    return this.merchants.findAll();
   }
 
   /**
    * Delete merchant
    */
   async delete(stacksAddress) {
-    return this.merchants.delete(stacksAddress);
+    const merchant = await this.findByAddress(stacksAddress);
+    return merchant ? this.merchants.delete(merchant.id) : false;
   }
 }
 
@@ -0,0 +1,271 @@
+/**
+ * Nonce Manager
+ * Assigns nonces and fees to the transactions the backend signs itself, and
+ * replaces them with a higher fee when they are stuck in the mempool
+ *
+ * Each signer's calls are sent one at a time: the next nonce is the larger of
+ * the API's possible_next_nonce and the one after this instance's last
+ * broadcast, so concurrent calls from one key no longer pick the same nonce.
+ * A broadcast refused with ConflictingNonceInMempool or BadNonce means the
+ * account moved without us, so the nonce is resynced and the call retried.
+ *
+ * Pending transactions are kept in memory with a closure that re-signs them;
+ * only devnet allows server signing, so a restart simply resyncs from the chain.
+ * Replaced transaction IDs stay mapped to their replacement after it executes,
+ * so intents and refunds that recorded the first ID can still be verified.
+ */
+
+const { broadcastTransaction, estimateTransaction, estimateTransactionByteLength } = require('@stacks/transactions');
+const StacksApiClient = require('./stacksApiClient');
+
+const FEE_STRATEGIES = ['low', 'medium', 'high', 'fixed'];
+const NONCE_ERRORS = ['ConflictingNonceInMempool', 'BadNonce'];
+const MAX_NONCE_ATTEMPTS = 5;
+
+const normalizeTxId = txId => `0x${txId.replace(/^0x/, '')}`;
+
+class NonceManager {
+  constructor({ stacksApi, feeStrategy, fixedFee, maxFee, feeBumpPercent, stuckAfter, maxRebroadcasts } = {}) {
+    this.stacksApi = stacksApi || new StacksApiClient();
+    // Which of the node's low/medium/high estimates to pay, or always fixedFee
+    this.feeStrategy = feeStrategy || process.env.STACKS_FEE_STRATEGY || 'medium';
+    if (!FEE_STRATEGIES.includes(this.feeStrategy)) {
+      throw new Error(`Unknown fee strategy '${this.feeStrategy}', expected one of ${FEE_STRATEGIES.join(', ')}`);
+    }
+    // microSTX; fixedFee is also paid when the node has no estimate
+    this.fixedFee = fixedFee || parseInt(process.env.STACKS_FIXED_FEE || '10000', 10);
+    this.maxFee = maxFee || parseInt(process.env.STACKS_MAX_FEE || '500000', 10);
+    // A replacement must pay more than the transaction it replaces
+    this.feeBumpPercent = feeBumpPercent || parseInt(process.env.STACKS_FEE_BUMP_PERCENT || '25', 10);
+    this.stuckAfter = stuckAfter || parseInt(process.env.STACKS_TX_STUCK_AFTER_MS || String(10 * 60 * 1000), 10);
+    this.maxRebroadcasts = maxRebroadcasts ?? parseInt(process.env.STACKS_TX_MAX_REBROADCASTS || '3', 10);
+    this.signers = new Map();
+    // Replaced transaction ID -> ID of the transaction now at its nonce
+    this.replacements = new Map();
+  }
+
+  /**
+   * Sign and broadcast a transaction for `address` with the next nonce and an estimated fee
+   *
+   * `build({ nonce, fee })` resolves to the signed transaction; it is called
+   * again with a higher fee to replace the transaction if it gets stuck.
+   * Resolves to { txId, nonce, fee, transaction }.
+   */
+  async send({ address, network, functionName, build }) {
+    const signer = this.signerFor(address, network);
+
+    return this.exclusive(signer, async () => {
+      let nonce = await this.nextNonce(signer);
+      const fee = await this.estimateFee(await build({ nonce, fee: 0 }), network);
+
+      for (let attempt = 1; ; attempt++) {
+        const transaction = await build({ nonce, fee });
+        const result = await broadcastTransaction(transaction, network);
+
+        if (!result.error) {
+          const now = new Date().toISOString();
+          const txId = normalizeTxId(result.txid);
+          signer.pending.set(nonce, {
+            nonce,
+            txId,
+            functionName,
+            fee,
+            submittedAt: now,
+            lastBroadcastAt: now,
+            rebroadcasts: 0,
+            replacedTxIds: [],
+            build
+          });
+          signer.nextNonce = nonce + 1;
+          return { txId, nonce, fee, transaction };
+        }
+
+        if (!NONCE_ERRORS.includes(result.reason) || attempt >= MAX_NONCE_ATTEMPTS) {
+          throw new Error(`Failed to broadcast ${functionName} on blockchain: ${result.reason || result.error}`);
+        }
+
+        // The nonce is taken by a transaction we do not track, or was already
+        // executed: move past it, to the nonce the node expects if it says
+        console.warn(`[NONCE] ${result.reason} for ${address} at nonce ${nonce}, retrying`);
+        signer.nextNonce = Math.max(nonce + 1, Number(result.reason_data?.expected ?? 0));
+        nonce = await this.nextNonce(signer);
+      }
+    });
+  }
+
+  /**
+   * Fee for a transaction under the configured strategy, capped at maxFee
+   */
+  async estimateFee(transaction, network) {
+    if (this.feeStrategy === 'fixed') {
+      return Math.min(this.fixedFee, this.maxFee);
+    }
+
+    let fee = this.fixedFee;
+    try {
+      const estimates = await estimateTransaction(transaction.payload, estimateTransactionByteLength(transaction), network);
+      fee = Number(estimates[FEE_STRATEGIES.indexOf(this.feeStrategy)].fee);
+    } catch (error) {
+      console.warn(`[NONCE] No fee estimate, paying ${this.fixedFee} microSTX:`, error.message);
+    }
+    return Math.min(fee, this.maxFee);
+  }
+
+  /**
+   * Replace transactions that stayed pending longer than stuckAfter with the
+   * same nonce and a higher fee (replace-by-fee)
+   *
+   * Transactions whose nonce the chain has executed are dropped first. Resolves
+   * to counts for the job run.
+   */
+  async rebroadcastStuck(now = new Date()) {
+    const summary = { confirmed: 0, rebroadcast: 0, skipped: 0, failed: 0 };
+
+    for (const signer of this.signers.values()) {
+      if (signer.pending.size === 0) {
+        continue;
+      }
+
+      await this.exclusive(signer, async () => {
+        const pendingBefore = signer.pending.size;
+        await this.sync(signer);
+        summary.confirmed += pendingBefore - signer.pending.size;
+
+        const pending = [...signer.pending.values()].sort((a, b) => a.nonce - b.nonce);
+        for (const entry of pending) {
+          if (now - new Date(entry.lastBroadcastAt) < this.stuckAfter) {
+            continue;
+          }
+
+          const fee = Math.min(this.maxFee, Math.ceil(entry.fee * (100 + this.feeBumpPercent) / 100));
+          if (entry.rebroadcasts >= this.maxRebroadcasts || fee <= entry.fee) {
+            summary.skipped++;
+            continue;
+          }
+
+          try {
+            const result = await broadcastTransaction(await entry.build({ nonce: entry.nonce, fee }), signer.network);
+            if (result.error) {
+              throw new Error(result.reason || result.error);
+            }
+
+            const txId = normalizeTxId(result.txid);
+            for (const replacedTxId of [...entry.replacedTxIds, entry.txId]) {
+              this.replacements.set(replacedTxId, txId);
+            }
+
+            entry.replacedTxIds.push(entry.txId);
+            Object.assign(entry, {
+              txId,
+              fee,
+              lastBroadcastAt: now.toISOString(),
+              rebroadcasts: entry.rebroadcasts + 1
+            });
+            summary.rebroadcast++;
+          } catch (error) {
+            console.error(`[NONCE] Replacing ${entry.txId} at nonce ${entry.nonce} failed:`, error.message);
+            summary.failed++;
+          }
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * ID of the transaction that replaced `txId` with a higher fee, or null
+   */
+  replacementOf(txId) {
+    return this.replacements.get(normalizeTxId(txId)) || null;
+  }
+
+  /**
+   * Signers with their next nonce and pending transactions
+   */
+  getState() {
+    return {
+      feeStrategy: this.feeStrategy,
+      fixedFee: this.fixedFee,
+      maxFee: this.maxFee,
+      feeBumpPercent: this.feeBumpPercent,
+      stuckAfter: this.stuckAfter,
+      maxRebroadcasts: this.maxRebroadcasts,
+      signers: [...this.signers.values()].map(signer => ({
+        address: signer.address,
+        nextNonce: signer.nextNonce,
+        lastExecutedNonce: signer.lastExecutedNonce,
+        syncedAt: signer.syncedAt,
+        pending: [...signer.pending.values()]
+          .sort((a, b) => a.nonce - b.nonce)
+          .map(({ build: _build, ...entry }) => entry)
+      }))
+    };
+  }
+
+  signerFor(address, network) {
+    if (!this.signers.has(address)) {
+      this.signers.set(address, {
+        address,
+        network,
+        nextNonce: null,
+        lastExecutedNonce: null,
+        syncedAt: null,
+        pending: new Map(),
+        queue: Promise.resolve()
+      });
+    }
+    return this.signers.get(address);
+  }
+
+  /**
+   * Run `task` once the signer's earlier tasks have finished
+   */
+  async exclusive(signer, task) {
+    const previous = signer.queue;
+    let release;
+    signer.queue = new Promise(resolve => { release = resolve; });
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Next nonce to use; the local counter is kept when the API cannot be reached
+   */
+  async nextNonce(signer) {
+    try {
+      await this.sync(signer);
+    } catch (error) {
+      if (signer.nextNonce === null) {
+        throw new Error(`Failed to look up the nonce of ${signer.address} on blockchain: ${error.message}`);
+      }
+      console.warn(`[NONCE] Using local nonce ${signer.nextNonce} for ${signer.address}:`, error.message);
+    }
+    return signer.nextNonce;
+  }
+
+  /**
+   * Refresh the signer's nonces from the API and drop pending transactions the chain has executed
+   */
+  async sync(signer) {
+    const nonces = await this.stacksApi.getAccountNonces(signer.address);
+    const possibleNext = Number(nonces.possible_next_nonce);
+
+    signer.nextNonce = Math.max(signer.nextNonce ?? 0, possibleNext);
+    signer.lastExecutedNonce = nonces.last_executed_tx_nonce ?? null;
+    signer.syncedAt = new Date().toISOString();
+
+    for (const nonce of signer.pending.keys()) {
+      if (signer.lastExecutedNonce !== null && nonce <= signer.lastExecutedNonce) {
+        signer.pending.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = NonceManager;
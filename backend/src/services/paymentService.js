@@ -4,18 +4,60 @@
  */
 
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
-
-class PaymentService {
-  constructor() {
-    // In-memory storage (replace with database in production)
-    this.payments = new Map();
+const TransactionVerifier = require('./transactionVerifier');
+const ContractService = require('./contractService');
+const { getDatabase, Repository } = require('../database');
+
+// Statuses of payments whose funds reached the merchant
+const SETTLED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+const REFUNDED_STATUSES = ['partially_refunded', 'refunded'];
+// Only intents nobody has paid yet can be canceled, matching cancel-payment's "pending" check
+const CANCELABLE_STATUSES = ['requires_payment_method'];
+// Statuses in which a customer's wallet may still send process-payment
+const PAYABLE_STATUSES = ['requires_payment_method'];
+// Statuses a transaction can be submitted from: unpaid, or retrying after a failed transaction
+const CONFIRMABLE_STATUSES = ['requires_payment_method', 'payment_failed'];
+
+const matchesClientSecret = (paymentIntent, clientSecret) => {
+  if (typeof clientSecret !== 'string' || !paymentIntent.clientSecret) {
+    return false;
+  }
+  const given = Buffer.from(clientSecret);
+  const expected = Buffer.from(paymentIntent.clientSecret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+class PaymentService extends EventEmitter {
+  constructor({ verifier, database, contractService } = {}) {
+    super();
+    this.payments = new Repository(database || getDatabase(), {
+      table: 'payments',
+      columns: {
+        paymentId: 'payment_id',
+        merchantId: 'merchant_id',
+        status: 'status',
+        amount: 'amount',
+        customerAddress: 'customer_address',
+        description: 'description',
+        livemode: 'livemode'
+      }
+    });
+    // Read-only: a payment's transactions must name its merchant's Stacks address
+    this.merchants = new Repository(database || getDatabase(), { table: 'merchants' });
+    this.verifier = verifier || new TransactionVerifier();
+    this.contractService = contractService || new ContractService();
+    // Minimum time between on-chain checks when a processing intent is read
+    this.verificationInterval = parseInt(process.env.PAYMENT_VERIFICATION_INTERVAL_MS || '5000', 10);
   }
 
   /**
    * Create payment intent with detailed validation and logging
+   *
+   * `livemode` comes from the key that created the intent and never changes.
    */
-  async createPaymentIntent(merchantId, { amount, description, currency = 'BTC' }) {
+  async createPaymentIntent(merchantId, { amount, description, currency = 'BTC', livemode = false }) {
     const requestId = uuidv4().substring(0, 8);
     const timestamp = new Date().toISOString();
     
@@ -24,6 +66,7 @@ class PaymentService {
     console.log(`[PAYMENT_INTENT:${requestId}] Amount: ${amount}`);
     console.log(`[PAYMENT_INTENT:${requestId}] Description: ${description || 'Not provided'}`);
     console.log(`[PAYMENT_INTENT:${requestId}] Currency: ${currency}`);
+    console.log(`[PAYMENT_INTENT:${requestId}] Mode: ${livemode ? 'live' : 'test'}`);
 
     // Enhanced validation with detailed logging
     if (!amount) {
@@ -59,11 +102,14 @@ class PaymentService {
       id: intentId,
       paymentId,
       merchantId,
+      // The payout address at creation: the customer pays this address even if the merchant changes it later
+      merchantAddress: (await this.merchants.findById(merchantId))?.stacksAddress || null,
       amount: amountInSats,
       fee,
       currency,
       description: description || 'Payment',
       status: 'requires_payment_method',
+      livemode: Boolean(livemode),
       clientSecret: `${paymentId}_secret_${crypto.randomBytes(16).toString('hex')}`,
       createdAt: timestamp,
       expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
@@ -72,10 +118,12 @@ class PaymentService {
       }
     };
 
-    this.payments.set(intentId, paymentIntent);
-    console.log(`[PAYMENT_INTENT:${requestId}] Payment intent stored in memory`);
+    await this.payments.create(paymentIntent);
+    console.log(`[PAYMENT_INTENT:${requestId}] Payment intent stored`);
     console.log(`[PAYMENT_INTENT:${requestId}] SUCCESS: Payment intent created successfully`);
 
+    this.emit('payment.created', paymentIntent);
+
     return {
       id: paymentIntent.id,
       paymentId: paymentIntent.paymentId,
@@ -84,6 +132,7 @@ class PaymentService {
       currency: paymentIntent.currency,
       description: paymentIntent.description,
       status: paymentIntent.status,
+      livemode: paymentIntent.livemode,
       clientSecret: paymentIntent.clientSecret,
       createdAt: paymentIntent.createdAt,
       expiresAt: paymentIntent.expiresAt,
@@ -92,24 +141,44 @@ class PaymentService {
   }
 
   /**
-   * Confirm payment with blockchain processing simulation
+   * Confirm payment and verify its transaction on the Stacks blockchain
    */
-  async confirmPayment(paymentId, { customerAddress, transactionId }) {
-    const paymentIntent = this.payments.get(paymentId);
+  async confirmPayment(paymentId, { customerAddress, transactionId } = {}) {
+    const paymentIntent = await this.payments.findById(paymentId);
     if (!paymentIntent) {
       throw new Error('Payment intent not found');
     }
 
+    if (!transactionId) {
+      throw new Error('Transaction ID is required to confirm payment');
+    }
+
+    if (paymentIntent.status === 'canceled') {
+      throw new Error('Payment intent has been canceled');
+    }
+
     // Check if payment has expired
     if (new Date() > new Date(paymentIntent.expiresAt)) {
       throw new Error('Payment intent has expired');
     }
 
-    // Update payment status
-    paymentIntent.status = 'processing';
-    paymentIntent.customerAddress = customerAddress;
-    paymentIntent.transactionId = transactionId;
-    paymentIntent.processingStartedAt = new Date().toISOString();
+    // One confirmation wins; a processing or paid intent keeps its transaction
+    const processingPayment = await this.payments.update(paymentId, (current) =>
+      CONFIRMABLE_STATUSES.includes(current.status)
+        ? {
+          status: 'processing',
+          customerAddress,
+          transactionId,
+          processingStartedAt: new Date().toISOString(),
+          failedAt: null,
+          failureReason: null
+        }
+        : null
+    );
+    if (!processingPayment) {
+      const current = await this.payments.findById(paymentId);
+      throw new Error(`Payment intent already processed (${current.status})`);
+    }
 
     console.log('Payment confirmation started:', {
       paymentId: paymentIntent.paymentId,
@@ -117,51 +186,279 @@ class PaymentService {
       txId: transactionId
     });
 
-    // Simulate blockchain processing (in production, monitor the actual transaction)
-    setTimeout(() => {
-      try {
-        const updatedPayment = this.payments.get(paymentId);
-        if (updatedPayment && updatedPayment.status === 'processing') {
-          updatedPayment.status = 'succeeded';
-          updatedPayment.succeededAt = new Date().toISOString();
-
-          console.log('Payment succeeded:', {
-            paymentId: paymentIntent.paymentId,
-            amount: paymentIntent.amount,
-            customer: customerAddress
-          });
-        }
-      } catch (error) {
-        console.error('Payment processing error:', error);
-        const failedPayment = this.payments.get(paymentId);
-        if (failedPayment) {
-          failedPayment.status = 'payment_failed';
-          failedPayment.failedAt = new Date().toISOString();
-          failedPayment.failureReason = error.message;
-        }
-      }
-    }, 3000); // 3 second delay to simulate blockchain confirmation
+    this.emit('payment.processing', processingPayment);
+
+    const verifiedPayment = await this.verifyPayment(paymentId);
+
+    const messages = {
+      succeeded: 'Payment confirmed on the Stacks blockchain',
+      payment_failed: `Payment failed: ${verifiedPayment.failureReason}`
+    };
 
     return {
-      id: paymentIntent.id,
-      status: paymentIntent.status,
-      amount: paymentIntent.amount,
+      id: verifiedPayment.id,
+      status: verifiedPayment.status,
+      amount: verifiedPayment.amount,
       customer: customerAddress,
       transactionId,
-      message: 'Payment is being processed on the Stacks blockchain'
+      message: messages[verifiedPayment.status] || 'Payment is being processed on the Stacks blockchain'
     };
   }
 
+  /**
+   * Check a processing payment's transaction on-chain and settle it once verified
+   *
+   * Payments whose transaction is still pending (or cannot be looked up right
+   * now) stay in processing and are checked again on the next call.
+   */
+  async verifyPayment(paymentId) {
+    const paymentIntent = await this.payments.findById(paymentId);
+    if (!paymentIntent || paymentIntent.status !== 'processing') {
+      return paymentIntent;
+    }
+
+    let outcome;
+    try {
+      outcome = await this.verifier.verifyPayment(paymentIntent, {
+        merchantAddress: await this.getMerchantAddress(paymentIntent)
+      });
+    } catch (error) {
+      console.error('Payment verification error:', {
+        paymentId: paymentIntent.paymentId,
+        txId: paymentIntent.transactionId,
+        error: error.message
+      });
+      return (await this.payments.update(paymentId, { lastVerifiedAt: new Date().toISOString() })) || paymentIntent;
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      lastVerifiedAt: now,
+      confirmations: outcome.confirmations,
+      // The transaction was replaced with a higher fee; keep the one that can settle
+      ...(outcome.transactionId && { transactionId: outcome.transactionId })
+    };
+
+    if (outcome.status === 'confirmed') {
+      Object.assign(changes, { status: 'succeeded', succeededAt: now, blockHeight: outcome.blockHeight });
+    } else if (outcome.status === 'failed') {
+      Object.assign(changes, { status: 'payment_failed', failedAt: now, failureReason: outcome.reason });
+    }
+
+    // Another caller may have settled the payment while we were waiting on the API
+    const updatedPayment = await this.payments.update(paymentId, (current) =>
+      current.status === 'processing' ? changes : null
+    );
+    if (!updatedPayment) {
+      return this.payments.findById(paymentId);
+    }
+
+    if (updatedPayment.status === 'succeeded') {
+      console.log('Payment succeeded:', {
+        paymentId: updatedPayment.paymentId,
+        amount: updatedPayment.amount,
+        customer: updatedPayment.customerAddress,
+        blockHeight: updatedPayment.blockHeight
+      });
+
+      this.emit('payment.succeeded', updatedPayment);
+    } else if (updatedPayment.status === 'payment_failed') {
+      console.error('Payment failed verification:', {
+        paymentId: updatedPayment.paymentId,
+        txId: updatedPayment.transactionId,
+        reason: updatedPayment.failureReason
+      });
+
+      this.emit('payment.failed', updatedPayment);
+    }
+
+    return updatedPayment;
+  }
+
+  /**
+   * Stacks address a payment is paid to: the merchant's address when the intent
+   * was created, or its current one for intents from before that was kept.
+   * Null when neither is known.
+   */
+  async getMerchantAddress(payment) {
+    if (payment.merchantAddress) {
+      return payment.merchantAddress;
+    }
+    const merchant = await this.merchants.findById(payment.merchantId);
+    return merchant?.stacksAddress || null;
+  }
+
+  /**
+   * Whether a principal seen on-chain is the address of the payment's merchant
+   */
+  async isMerchantAddress(payment, address) {
+    return Boolean(address) && address === await this.getMerchantAddress(payment);
+  }
+
+  /**
+   * Re-check every payment that is still processing
+   */
+  async verifyProcessingPayments() {
+    const processing = await this.findByStatus('processing');
+    for (const payment of processing) {
+      await this.verifyPayment(payment.id);
+    }
+    return processing.length;
+  }
+
   /**
    * Get detailed payment intent information
+   *
+   * With a `merchantId`, intents of other merchants or of the other mode are not found.
    */
-  async getPaymentIntent(paymentId) {
-    const paymentIntent = this.payments.get(paymentId);
+  async getPaymentIntent(paymentId, { merchantId, livemode = false } = {}) {
+    let paymentIntent = await this.payments.findById(paymentId);
     
-    if (!paymentIntent) {
+    if (!paymentIntent ||
+      (merchantId !== undefined && (paymentIntent.merchantId !== merchantId || Boolean(paymentIntent.livemode) !== livemode))) {
+      throw new Error('Payment intent not found');
+    }
+
+    // Refresh processing payments from the chain, at most once per interval
+    if (paymentIntent.status === 'processing' &&
+      Date.now() - new Date(paymentIntent.lastVerifiedAt || 0).getTime() >= this.verificationInterval) {
+      paymentIntent = await this.verifyPayment(paymentId);
+    }
+
+    return this.toView(paymentIntent);
+  }
+
+  /**
+   * Check the client secret a browser holds for an intent
+   *
+   * A wrong secret reads the same as an unknown intent, so IDs cannot be probed.
+   */
+  async authorizeClientSecret(paymentId, clientSecret) {
+    const paymentIntent = await this.payments.findById(paymentId);
+    if (!paymentIntent || !matchesClientSecret(paymentIntent, clientSecret)) {
       throw new Error('Payment intent not found');
     }
+    return paymentIntent;
+  }
+
+  /**
+   * Get the public view of a payment intent for the holder of its client secret
+   */
+  async getPublicPaymentIntent(paymentId, clientSecret) {
+    await this.authorizeClientSecret(paymentId, clientSecret);
+    return this.toPublicView(await this.getPaymentIntent(paymentId));
+  }
+
+  /**
+   * Build the process-payment call a customer's wallet signs to pay an intent
+   *
+   * The browser asks for it with the client secret once the wallet is connected,
+   * so the sBTC post-condition can name the customer's address.
+   */
+  async getProcessPaymentCall(paymentId, { clientSecret, customerAddress }) {
+    const paymentIntent = await this.authorizeClientSecret(paymentId, clientSecret);
+
+    if (!PAYABLE_STATUSES.includes(paymentIntent.status)) {
+      throw new Error(`Payment cannot be paid while ${paymentIntent.status}`);
+    }
+
+    if (new Date() > new Date(paymentIntent.expiresAt)) {
+      throw new Error('Payment intent has expired');
+    }
+
+    return {
+      paymentIntentId: paymentIntent.id,
+      ...this.contractService.buildProcessPaymentCall({
+        paymentId: paymentIntent.paymentId,
+        customerAddress,
+        amount: paymentIntent.amount,
+        livemode: Boolean(paymentIntent.livemode)
+      })
+    };
+  }
+
+  /**
+   * List a merchant's payment intents, newest first, one page at a time
+   *
+   * `cursor` is the `nextCursor` of the previous page: the ID of its last intent.
+   */
+  async listPaymentIntents(merchantId, {
+    status,
+    minAmount,
+    maxAmount,
+    createdAfter,
+    createdBefore,
+    customerAddress,
+    search,
+    limit = 20,
+    cursor,
+    livemode = false
+  } = {}) {
+    let after;
+    if (cursor) {
+      after = await this.payments.findById(cursor);
+      if (!after || after.merchantId !== merchantId || Boolean(after.livemode) !== livemode) {
+        throw new Error('Invalid pagination cursor');
+      }
+    }
+
+    const where = { merchantId, livemode };
+    if (status) {
+      where.status = status;
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      where.amount = { gte: minAmount, lte: maxAmount };
+    }
+    if (createdAfter || createdBefore) {
+      where.createdAt = {
+        gte: createdAfter && new Date(createdAfter).toISOString(),
+        lte: createdBefore && new Date(createdBefore).toISOString()
+      };
+    }
+    if (customerAddress) {
+      where.customerAddress = customerAddress;
+    }
+    if (search) {
+      where.description = { contains: search };
+    }
+
+    // One extra record tells whether another page follows
+    const records = await this.payments.findBy(where, { limit: limit + 1, after });
+    const data = records.slice(0, limit).map(record => this.toView(record));
+    const hasMore = records.length > limit;
+
+    return {
+      data,
+      hasMore,
+      nextCursor: hasMore ? data[data.length - 1].id : null
+    };
+  }
+
+  /**
+   * Reduced view for browsers holding the client secret: what a checkout page
+   * needs to show and pay the intent, without merchant or customer details
+   */
+  toPublicView(paymentIntent) {
+    return {
+      id: paymentIntent.id,
+      paymentId: paymentIntent.paymentId,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      description: paymentIntent.description,
+      status: paymentIntent.status,
+      livemode: Boolean(paymentIntent.livemode),
+      createdAt: paymentIntent.createdAt,
+      expiresAt: paymentIntent.expiresAt,
+      transactionId: paymentIntent.transactionId,
+      confirmations: paymentIntent.confirmations,
+      failureReason: paymentIntent.failureReason
+    };
+  }
 
+  /**
+   * Full representation of a payment intent, as returned to the merchant and sent in webhooks
+   */
+  toView(paymentIntent) {
     return {
       id: paymentIntent.id,
       paymentId: paymentIntent.paymentId,
@@ -170,49 +467,305 @@ class PaymentService {
       currency: paymentIntent.currency,
       description: paymentIntent.description,
       status: paymentIntent.status,
+      livemode: Boolean(paymentIntent.livemode),
       createdAt: paymentIntent.createdAt,
       expiresAt: paymentIntent.expiresAt,
       customerAddress: paymentIntent.customerAddress,
       transactionId: paymentIntent.transactionId,
       processingStartedAt: paymentIntent.processingStartedAt,
+      confirmations: paymentIntent.confirmations,
+      blockHeight: paymentIntent.blockHeight,
       succeededAt: paymentIntent.succeededAt,
-      failedAt: paymentIntent.failedAt
+      failedAt: paymentIntent.failedAt,
+      failureReason: paymentIntent.failureReason,
+      amountRefunded: paymentIntent.amountRefunded || 0,
+      refundedAt: paymentIntent.refundedAt,
+      expiredAt: paymentIntent.expiredAt,
+      canceledAt: paymentIntent.canceledAt,
+      cancellationReason: paymentIntent.cancellationReason,
+      cancellationTransactionId: paymentIntent.cancellationTransactionId
     };
   }
 
+  /**
+   * Apply a verified refund to its payment: partially_refunded until the whole amount is returned
+   */
+  async recordRefund(paymentId, refund) {
+    const refundedAt = new Date().toISOString();
+    const payment = await this.payments.update(paymentId, (current) => {
+      const amountRefunded = (current.amountRefunded || 0) + refund.amount;
+      return {
+        amountRefunded,
+        status: amountRefunded >= current.amount ? 'refunded' : 'partially_refunded',
+        refundedAt
+      };
+    });
+
+    if (!payment) {
+      throw new Error('Payment intent not found');
+    }
+
+    console.log('Payment refunded:', {
+      paymentId: payment.paymentId,
+      refundId: refund.id,
+      amount: refund.amount,
+      amountRefunded: payment.amountRefunded,
+      status: payment.status
+    });
+
+    this.emit('payment.refunded', payment, { refund });
+    return payment;
+  }
+
+  /**
+   * Undo a refund whose block was orphaned
+   */
+  async revertRefund(paymentId, refund) {
+    const payment = await this.payments.update(paymentId, (current) => {
+      if (!REFUNDED_STATUSES.includes(current.status)) {
+        return null;
+      }
+      const amountRefunded = Math.max(0, (current.amountRefunded || 0) - refund.amount);
+      return {
+        amountRefunded,
+        status: amountRefunded > 0 ? 'partially_refunded' : 'succeeded'
+      };
+    });
+
+    if (payment) {
+      console.log('Payment refund reverted:', {
+        paymentId: payment.paymentId,
+        refundId: refund.id,
+        amount: refund.amount,
+        status: payment.status
+      });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Settle a payment from a payment-completed event seen on-chain
+   *
+   * The chain is authoritative, so this also settles intents that were never
+   * confirmed through the API or whose submitted transaction failed. Resolves to
+   * null when the payment had already settled, or when the event paid another
+   * merchant or a different amount than the intent asks for.
+   */
+  async settleFromChain(paymentId, { transactionId, merchantAddress, amount, customerAddress, blockHeight }) {
+    const existing = await this.payments.findById(paymentId);
+    if (!existing) {
+      return null;
+    }
+
+    if (amount !== existing.amount || !(await this.isMerchantAddress(existing, merchantAddress))) {
+      console.warn('Ignoring chain event that does not match the payment:', {
+        paymentId: existing.paymentId,
+        txId: transactionId,
+        merchant: merchantAddress,
+        amount,
+        expectedAmount: existing.amount
+      });
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const payment = await this.payments.update(paymentId, (current) =>
+      SETTLED_STATUSES.includes(current.status)
+        ? null
+        : {
+          status: 'succeeded',
+          transactionId,
+          customerAddress: customerAddress || current.customerAddress,
+          blockHeight,
+          succeededAt: now,
+          failedAt: null,
+          failureReason: null
+        }
+    );
+
+    if (payment) {
+      console.log('Payment settled from chain event:', {
+        paymentId: payment.paymentId,
+        txId: transactionId,
+        blockHeight
+      });
+
+      this.emit('payment.succeeded', payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Move a payment settled by `transactionId` back to processing after its block was orphaned
+   *
+   * Resolves to null when the payment was not settled by that transaction.
+   */
+  async revertSettlement(paymentId, transactionId) {
+    const payment = await this.payments.update(paymentId, (current) =>
+      current.status === 'succeeded' && current.transactionId === transactionId
+        ? { status: 'processing', succeededAt: null, blockHeight: null, confirmations: 0 }
+        : null
+    );
+
+    if (payment) {
+      console.log('Payment settlement reverted:', {
+        paymentId: payment.paymentId,
+        txId: transactionId
+      });
+
+      this.emit('payment.processing', payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Cancel one of the merchant's unpaid payment intents
+   *
+   * Intents that were mirrored on-chain with create-payment are canceled there
+   * too when `merchantPrivateKey` is given: cancel-payment is broadcast first and
+   * the intent keeps its transaction ID so the indexed payment-cancelled event
+   * lines up with it. With the `publicKey` of the merchant's wallet instead, the
+   * intent is canceled here and comes back with the unsigned cancel-payment
+   * transaction for the wallet to sign and broadcast.
+   */
+  async cancelPaymentIntent(merchantId, paymentId, { reason, merchantPrivateKey, publicKey, nonce, fee, livemode = false } = {}) {
+    const paymentIntent = await this.payments.findById(paymentId);
+    // Keys of one mode never see the other mode's intents
+    if (!paymentIntent || paymentIntent.merchantId !== merchantId || Boolean(paymentIntent.livemode) !== livemode) {
+      throw new Error('Payment intent not found');
+    }
+
+    if (!CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+      throw new Error(`Payment cannot be canceled while ${paymentIntent.status}`);
+    }
+
+    let transactionId = null;
+    let unsignedTransaction = null;
+    if (merchantPrivateKey || publicKey) {
+      ({ transactionId = null, unsignedTransaction = null } = await this.contractService.cancelPayment({
+        paymentId: paymentIntent.paymentId,
+        merchantPrivateKey,
+        publicKey,
+        nonce,
+        fee,
+        livemode
+      }));
+    }
+
+    const payment = await this.applyCancellation(paymentId, {
+      cancellationReason: reason || null,
+      cancellationTransactionId: transactionId
+    });
+
+    // Paid or confirmed while the cancellation was being broadcast
+    if (!payment) {
+      const current = await this.payments.findById(paymentId);
+      throw new Error(`Payment cannot be canceled while ${current.status}`);
+    }
+
+    return unsignedTransaction ? { ...this.toView(payment), unsignedTransaction } : this.toView(payment);
+  }
+
+  /**
+   * Cancel an unpaid payment from a payment-cancelled event seen on-chain
+   *
+   * Resolves to null when the payment was no longer cancelable or the event was
+   * sent by another merchant.
+   */
+  async cancelFromChain(paymentId, { transactionId, merchantAddress }) {
+    const existing = await this.payments.findById(paymentId);
+    if (!existing) {
+      return null;
+    }
+
+    if (!(await this.isMerchantAddress(existing, merchantAddress))) {
+      console.warn('Ignoring chain cancellation by another merchant:', {
+        paymentId: existing.paymentId,
+        txId: transactionId,
+        merchant: merchantAddress
+      });
+      return null;
+    }
+
+    return this.applyCancellation(paymentId, { cancellationTransactionId: transactionId });
+  }
+
+  /**
+   * Move a cancelable payment to canceled and emit payment.canceled, or resolve to null
+   */
+  async applyCancellation(paymentId, changes) {
+    const payment = await this.payments.update(paymentId, (current) =>
+      CANCELABLE_STATUSES.includes(current.status)
+        ? { status: 'canceled', canceledAt: new Date().toISOString(), ...changes }
+        : null
+    );
+
+    if (payment) {
+      console.log('Payment canceled:', {
+        paymentId: payment.paymentId,
+        reason: payment.cancellationReason,
+        txId: payment.cancellationTransactionId
+      });
+
+      this.emit('payment.canceled', payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Reopen a payment whose on-chain cancellation was orphaned
+   */
+  async revertCancellation(paymentId, transactionId) {
+    return this.payments.update(paymentId, (current) =>
+      current.status === 'canceled' && current.cancellationTransactionId === transactionId
+        ? { status: 'requires_payment_method', canceledAt: null, cancellationTransactionId: null }
+        : null
+    );
+  }
+
   /**
    * Create a new payment intent
    */
   async create(paymentData) {
-    this.payments.set(paymentData.id, paymentData);
-    return paymentData;
+    return this.payments.save(paymentData);
   }
 
   /**
    * Find payment by ID
    */
   async findById(paymentId) {
-    return this.payments.get(paymentId);
+    return this.payments.findById(paymentId);
   }
 
   /**
-   * Find payments by merchant ID
+   * Find payment by its on-chain payment ID
    */
-  async findByMerchantId(merchantId) {
-    return [...this.payments.values()].filter(p => p.merchantId === merchantId);
+  async findByPaymentId(paymentId) {
+    return this.payments.findOne({ paymentId });
+  }
+
+  /**
+   * Find payments by merchant ID, optionally only those of one mode
+   */
+  async findByMerchantId(merchantId, { livemode } = {}) {
+    const payments = await this.payments.findBy({ merchantId });
+    return livemode === undefined
+      ? payments
+      : payments.filter(payment => Boolean(payment.livemode) === livemode);
   }
 
   /**
    * Update payment
    */
   async update(paymentId, updateData) {
-    const existingPayment = this.payments.get(paymentId);
-    if (!existingPayment) {
+    const updatedPayment = await this.payments.update(paymentId, updateData);
+    if (!updatedPayment) {
       throw new Error('Payment not found');
     }
-    
-    const updatedPayment = { ...existingPayment, ...updateData };
-    this.payments.set(paymentId, updatedPayment);
     return updatedPayment;
   }
 
@@ -220,7 +773,7 @@ class PaymentService {
    * Find payments by status
    */
   async findByStatus(status) {
-    return [...this.payments.values()].filter(p => p.status === status);
+    return this.payments.findBy({ status });
   }
 
   /**
@@ -228,30 +781,43 @@ class PaymentService {
    */
   async findExpired() {
     const now = new Date();
-    return [...this.payments.values()].filter(p => 
-      new Date(p.expiresAt) < now && p.status === 'requires_payment_method'
-    );
+    return (await this.findByStatus('requires_payment_method'))
+      .filter(p => new Date(p.expiresAt) < now);
   }
 
   /**
-   * Mark expired payments
+   * Expire unpaid intents past their expiresAt and emit payment.expired for each
+   *
+   * Resolves to the number of intents expired.
    */
   async markExpiredPayments() {
-    const expiredPayments = await this.findExpired();
-    for (const payment of expiredPayments) {
-      await this.update(payment.id, {
-        status: 'expired',
-        expiredAt: new Date().toISOString()
-      });
+    let expiredCount = 0;
+
+    for (const candidate of await this.findExpired()) {
+      // Skip intents that were paid or canceled since they were read
+      const payment = await this.payments.update(candidate.id, (current) =>
+        current.status === 'requires_payment_method'
+          ? { status: 'expired', expiredAt: new Date().toISOString() }
+          : null
+      );
+
+      if (payment) {
+        expiredCount++;
+        this.emit('payment.expired', payment);
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} unpaid payment intents`);
     }
-    return expiredPayments.length;
+    return expiredCount;
   }
 
   /**
    * Get payment statistics
    */
   async getStats() {
-    const allPayments = [...this.payments.values()];
+    const allPayments = await this.payments.findAll();
     const totalAmount = allPayments
       .filter(p => p.status === 'succeeded')
       .reduce((sum, p) => sum + p.amount, 0);
@@ -283,12 +849,14 @@ class PaymentService {
    * Get all payments (admin function)
    */
   async findAll(limit = 100, offset = 0) {
-    const allPayments = [...this.payments.values()]
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
+    const [payments, total] = await Promise.all([
+      this.payments.findAll({ limit, offset }),
+      this.payments.count()
+    ]);
+
     return {
-      payments: allPayments.slice(offset, offset + limit),
-      total: allPayments.length,
+      payments,
+      total,
       limit,
       offset
     };
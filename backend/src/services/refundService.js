@@ -0,0 +1,361 @@
+/**
+ * Refund Service
+ * Refunds of settled payments: a refund starts pending until the merchant
+ * submits its refund-payment transaction, is verified on-chain, then applied
+ * to the payment. Pending refunds can be canceled and expire after a while.
+ */
+
+const crypto = require('crypto');
+const TransactionVerifier = require('./transactionVerifier');
+const { getDatabase, Repository } = require('../database');
+
+const REFUNDABLE_PAYMENT_STATUSES = ['succeeded', 'partially_refunded'];
+
+// Refunds that count against the payment's refundable amount
+const OPEN_REFUND_STATUSES = ['pending', 'processing', 'succeeded'];
+
+class RefundService {
+  constructor({ database, paymentService, verifier, pendingTtl } = {}) {
+    this.refunds = new Repository(database || getDatabase(), {
+      table: 'refunds',
+      columns: { paymentId: 'payment_id', merchantId: 'merchant_id', status: 'status' }
+    });
+    this.paymentService = paymentService;
+    this.verifier = verifier || new TransactionVerifier();
+    // How long a refund waits for its transaction before it stops holding back the amount
+    this.pendingTtl = pendingTtl || parseInt(process.env.REFUND_PENDING_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+  }
+
+  /**
+   * Create a refund for a merchant's payment
+   *
+   * Without an amount the rest of the payment is refunded. With a transactionId
+   * the refund is verified straight away; otherwise it waits for confirmRefund()
+   * until it expires after the pending TTL.
+   */
+  async createRefund(merchantId, paymentId, { amount, reason, transactionId } = {}) {
+    const payment = await this.getMerchantPayment(merchantId, paymentId);
+
+    // Lock the payment so concurrent refunds of it check the amount left one at a time
+    const refund = await this.refunds.db.transaction(async (tx) => {
+      const current = await this.paymentService.payments.findById(payment.id, tx, { lock: true });
+
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(current.status)) {
+        throw new Error(`Payment cannot be refunded while ${current.status}`);
+      }
+
+      const remaining = current.amount - await this.getRefundedAmount(payment.id, tx);
+      if (remaining <= 0) {
+        throw new Error('Payment cannot be refunded: the full amount has already been refunded');
+      }
+
+      const refundAmount = amount === undefined ? remaining : Math.floor(amount);
+      if (refundAmount > remaining) {
+        throw new Error(`Refund amount exceeds the ${remaining} sats left to refund`);
+      }
+
+      const now = Date.now();
+      return this.refunds.create({
+        id: `re_${crypto.randomBytes(12).toString('hex')}`,
+        paymentId: payment.id,
+        merchantId,
+        amount: refundAmount,
+        currency: payment.currency,
+        reason: reason || null,
+        status: 'pending',
+        customerAddress: payment.customerAddress,
+        // The merchant signs this call; the contract sends the sBTC from the merchant to the customer
+        contractCall: {
+          contractId: this.verifier.contractId,
+          functionName: 'refund-payment',
+          functionArgs: { paymentId: payment.paymentId, amount: refundAmount }
+        },
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.pendingTtl).toISOString()
+      }, tx);
+    });
+
+    console.log(`[REFUND] Created ${refund.id} for ${refund.amount} sats of payment ${payment.paymentId}`);
+
+    if (transactionId) {
+      return this.confirmRefund(merchantId, paymentId, refund.id, { transactionId });
+    }
+
+    return refund;
+  }
+
+  /**
+   * Cancel a pending refund, releasing its amount for new refunds
+   */
+  async cancelRefund(merchantId, paymentId, refundId) {
+    const refund = await this.getRefund(merchantId, paymentId, refundId);
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    const canceled = await this.refunds.update(refund.id, (current) =>
+      current.status === 'pending'
+        ? { status: 'canceled', canceledAt: new Date().toISOString() }
+        : null
+    );
+    if (!canceled) {
+      throw new Error(`Refund cannot be canceled while ${refund.status}`);
+    }
+
+    console.log(`[REFUND] Canceled ${refund.id}`);
+    return canceled;
+  }
+
+  /**
+   * Expire pending refunds whose transaction was never submitted
+   */
+  async expirePendingRefunds() {
+    const now = new Date().toISOString();
+    const pending = await this.refunds.findBy({ status: 'pending' });
+    let expiredCount = 0;
+
+    for (const candidate of pending.filter(refund => refund.expiresAt && refund.expiresAt <= now)) {
+      // Skip refunds confirmed or canceled since they were read
+      const expired = await this.refunds.update(candidate.id, (current) =>
+        current.status === 'pending' ? { status: 'expired', expiredAt: now } : null
+      );
+      if (expired) {
+        expiredCount++;
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`[REFUND] Expired ${expiredCount} pending refunds`);
+    }
+    return expiredCount;
+  }
+
+  /**
+   * Attach the refund-payment transaction to a pending refund and verify it
+   */
+  async confirmRefund(merchantId, paymentId, refundId, { transactionId }) {
+    const refund = await this.getRefund(merchantId, paymentId, refundId);
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    const processing = await this.refunds.update(refund.id, (current) =>
+      current.status === 'pending'
+        ? { status: 'processing', transactionId, processingStartedAt: new Date().toISOString() }
+        : null
+    );
+    if (!processing) {
+      throw new Error(`Refund cannot be confirmed while ${refund.status}`);
+    }
+
+    return this.verifyRefund(refund.id);
+  }
+
+  /**
+   * Check a processing refund's transaction on-chain and apply it to the payment once verified
+   *
+   * Refunds whose transaction is still pending stay in processing and are checked again later.
+   */
+  async verifyRefund(refundId) {
+    const refund = await this.refunds.findById(refundId);
+    if (!refund || refund.status !== 'processing') {
+      return refund;
+    }
+
+    const payment = await this.paymentService.findById(refund.paymentId);
+
+    let outcome;
+    try {
+      outcome = await this.verifier.verifyRefund(refund, payment, {
+        merchantAddress: await this.paymentService.getMerchantAddress(payment)
+      });
+    } catch (error) {
+      console.error('[REFUND] Verification error:', {
+        refundId: refund.id,
+        txId: refund.transactionId,
+        error: error.message
+      });
+      return (await this.refunds.update(refund.id, { lastVerifiedAt: new Date().toISOString() })) || refund;
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      lastVerifiedAt: now,
+      confirmations: outcome.confirmations,
+      // A refund re-sent with a higher fee settles under its replacement's ID
+      ...(outcome.transactionId && { transactionId: outcome.transactionId })
+    };
+
+    if (outcome.status === 'confirmed') {
+      Object.assign(changes, { status: 'succeeded', succeededAt: now, blockHeight: outcome.blockHeight });
+    } else if (outcome.status === 'failed') {
+      Object.assign(changes, { status: 'failed', failedAt: now, failureReason: outcome.reason });
+    }
+
+    // Another caller may have settled the refund while we were waiting on the API
+    const updated = await this.refunds.update(refund.id, (current) =>
+      current.status === 'processing' ? changes : null
+    );
+    if (!updated) {
+      return this.refunds.findById(refund.id);
+    }
+
+    if (updated.status === 'succeeded') {
+      await this.paymentService.recordRefund(updated.paymentId, this.toView(updated));
+    } else if (updated.status === 'failed') {
+      console.error('[REFUND] Failed verification:', {
+        refundId: updated.id,
+        txId: updated.transactionId,
+        reason: updated.failureReason
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply a payment-refunded event seen on-chain
+   *
+   * Settles the refund that carries the transaction, or the oldest pending refund
+   * of the same amount; refunds the merchant made straight on the contract are
+   * recorded as new refunds. Resolves to null when the refund had already succeeded,
+   * or when the event was sent by another merchant or refunds more than is left.
+   */
+  async recordChainRefund(payment, { transactionId, merchantAddress, amount, blockHeight }) {
+    const refunds = await this.refunds.findBy({ paymentId: payment.id });
+    const refund = refunds.find(candidate => candidate.transactionId === transactionId) ||
+      [...refunds].reverse().find(candidate => candidate.status === 'pending' && candidate.amount === amount);
+
+    const refunded = refunds
+      .filter(candidate => candidate.status === 'succeeded' && candidate !== refund)
+      .reduce((sum, candidate) => sum + candidate.amount, 0);
+    const validAmount = Number.isInteger(amount) && amount > 0 && amount <= payment.amount - refunded &&
+      (!refund || refund.amount === amount);
+
+    if (!validAmount || !(await this.paymentService.isMerchantAddress(payment, merchantAddress))) {
+      console.warn(`[REFUND] Ignoring on-chain refund ${transactionId} that does not match payment ${payment.paymentId}:`, {
+        merchant: merchantAddress,
+        amount
+      });
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const changes = { status: 'succeeded', transactionId, blockHeight, succeededAt: now };
+    let updated;
+
+    if (refund) {
+      updated = await this.refunds.update(refund.id, (current) =>
+        ['pending', 'processing'].includes(current.status) ? changes : null
+      );
+    } else {
+      updated = await this.refunds.create({
+        id: `re_${crypto.randomBytes(12).toString('hex')}`,
+        paymentId: payment.id,
+        merchantId: payment.merchantId,
+        amount,
+        currency: payment.currency,
+        reason: null,
+        customerAddress: payment.customerAddress,
+        source: 'chain',
+        createdAt: now,
+        ...changes
+      });
+      console.log(`[REFUND] Recorded on-chain refund ${updated.id} for ${amount} sats of payment ${payment.paymentId}`);
+    }
+
+    if (updated) {
+      await this.paymentService.recordRefund(updated.paymentId, this.toView(updated));
+    }
+
+    return updated;
+  }
+
+  /**
+   * Put a refund whose block was orphaned back to processing and take it off its payment
+   */
+  async revertChainRefund(refundId) {
+    const refund = await this.refunds.update(refundId, (current) =>
+      current.status === 'succeeded'
+        ? { status: 'processing', succeededAt: null, blockHeight: null }
+        : null
+    );
+
+    if (refund) {
+      await this.paymentService.revertRefund(refund.paymentId, refund);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Re-check every refund that is still processing
+   */
+  async verifyProcessingRefunds() {
+    const processing = await this.refunds.findBy({ status: 'processing' });
+    for (const refund of processing) {
+      await this.verifyRefund(refund.id);
+    }
+    return processing.length;
+  }
+
+  /**
+   * Get one refund of a merchant's payment
+   */
+  async getRefund(merchantId, paymentId, refundId) {
+    const refund = await this.refunds.findById(refundId);
+    return refund && refund.merchantId === merchantId && refund.paymentId === paymentId ? refund : null;
+  }
+
+  /**
+   * List a merchant's refunds for a payment, newest first
+   */
+  async listRefunds(merchantId, paymentId) {
+    await this.getMerchantPayment(merchantId, paymentId);
+    return this.refunds.findBy({ paymentId });
+  }
+
+  /**
+   * Amount already refunded or reserved by refunds that have not failed
+   */
+  async getRefundedAmount(paymentId, executor) {
+    const refunds = await this.refunds.findBy({ paymentId, status: OPEN_REFUND_STATUSES }, { executor });
+    return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  }
+
+  /**
+   * Public representation of a refund, as returned by the API and sent in webhooks
+   */
+  toView(refund) {
+    return {
+      id: refund.id,
+      paymentId: refund.paymentId,
+      amount: refund.amount,
+      currency: refund.currency,
+      reason: refund.reason,
+      status: refund.status,
+      customerAddress: refund.customerAddress,
+      contractCall: refund.contractCall,
+      transactionId: refund.transactionId,
+      confirmations: refund.confirmations,
+      blockHeight: refund.blockHeight,
+      createdAt: refund.createdAt,
+      expiresAt: refund.expiresAt,
+      succeededAt: refund.succeededAt,
+      failedAt: refund.failedAt,
+      failureReason: refund.failureReason,
+      canceledAt: refund.canceledAt,
+      expiredAt: refund.expiredAt
+    };
+  }
+
+  async getMerchantPayment(merchantId, paymentId) {
+    const payment = await this.paymentService.findById(paymentId);
+    if (!payment || payment.merchantId !== merchantId) {
+      throw new Error('Payment intent not found');
+    }
+    return payment;
+  }
+}
+
+module.exports = RefundService;
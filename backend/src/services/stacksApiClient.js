@@ -0,0 +1,82 @@
+/**
+ * Stacks API Client
+ * Thin wrapper around the Stacks Blockchain API used to look up transactions,
+ * blocks, contract events and the current chain tip
+ */
+
+const { ErrorFactory } = require('../utils/errors');
+const { loadNetworkConfig } = require('../utils/network');
+
+class StacksApiClient {
+  constructor({ baseUrl, fetchImpl = globalThis.fetch, timeout = 10000 } = {}) {
+    // The configured network's API unless given, see utils/network
+    this.baseUrl = (baseUrl || loadNetworkConfig().apiUrl).replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Get a transaction by ID, or null if the API does not know it (yet)
+   */
+  async getTransaction(txId) {
+    const normalizedTxId = txId.startsWith('0x') ? txId : `0x${txId}`;
+    return this.request(`/extended/v1/tx/${normalizedTxId}`, { allowNotFound: true });
+  }
+
+  /**
+   * Get the current Stacks chain tip height
+   */
+  async getTipHeight() {
+    const info = await this.request('/v2/info');
+    return info.stacks_tip_height;
+  }
+
+  /**
+   * Get the canonical block at a height, or null if the chain is not that tall yet
+   */
+  async getBlockByHeight(height) {
+    return this.request(`/extended/v1/block/by_height/${height}`, { allowNotFound: true });
+  }
+
+  /**
+   * Get a page of a contract's events, newest first
+   */
+  async getContractEvents(contractId, { limit = 50, offset = 0 } = {}) {
+    return this.request(`/extended/v1/contract/${contractId}/events?limit=${limit}&offset=${offset}`);
+  }
+
+  /**
+   * Get an account's nonces: last_executed_tx_nonce, possible_next_nonce and
+   * the mempool's view of them
+   */
+  async getAccountNonces(address) {
+    return this.request(`/extended/v1/address/${address}/nonces`);
+  }
+
+  /**
+   * Perform a GET request against the Stacks API
+   */
+  async request(path, { allowNotFound = false } = {}) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw ErrorFactory.blockchain(`Stacks API request failed: ${path}`, error);
+    }
+
+    if (response.status === 404 && allowNotFound) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw ErrorFactory.blockchain(`Stacks API responded with ${response.status} for ${path}`);
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = StacksApiClient;
@@ -0,0 +1,168 @@
+/**
+ * Transaction Verifier
+ * Checks that a submitted Stacks transaction actually settled a payment intent
+ */
+
+const ContractService = require('./contractService');
+const StacksApiClient = require('./stacksApiClient');
+
+const PENDING_TX_STATUSES = ['pending'];
+
+class TransactionVerifier {
+  constructor({ stacksApi, contractId, confirmations, nonceManager } = {}) {
+    const contractService = new ContractService();
+
+    this.stacksApi = stacksApi || new StacksApiClient();
+    // Knows which transactions the backend signed were replaced by fee, and by what
+    this.nonceManager = nonceManager || null;
+    this.contractId = contractId || `${contractService.contractAddress}.${contractService.contractName}`;
+    this.requiredConfirmations = confirmations
+      ?? parseInt(process.env.PAYMENT_CONFIRMATIONS || '1', 10);
+  }
+
+  /**
+   * Verify a payment intent's transaction on-chain
+   *
+   * `merchantAddress` is the Stacks address of the intent's merchant, which the
+   * transaction must have paid; when the intent names a customer, they must have sent it.
+   * Resolves to { status: 'pending' | 'confirmed' | 'failed', reason, confirmations, blockHeight }.
+   * A transaction that is unknown, in the mempool or not yet deep enough stays pending.
+   */
+  async verifyPayment(paymentIntent, { merchantAddress } = {}) {
+    return this.verifyContractCall(paymentIntent.transactionId, {
+      functionName: 'process-payment',
+      paymentId: paymentIntent.paymentId,
+      amount: paymentIntent.amount,
+      merchantAddress,
+      senderAddress: paymentIntent.customerAddress,
+      label: 'payment'
+    });
+  }
+
+  /**
+   * Verify a refund's refund-payment transaction on-chain; resolves like verifyPayment
+   */
+  async verifyRefund(refund, paymentIntent, { merchantAddress } = {}) {
+    return this.verifyContractCall(refund.transactionId, {
+      functionName: 'refund-payment',
+      paymentId: paymentIntent.paymentId,
+      amount: refund.amount,
+      merchantAddress,
+      label: 'refund'
+    });
+  }
+
+  /**
+   * Check that a transaction is a successful, sufficiently confirmed call of
+   * `functionName` on the gateway contract for the given payment, amount and merchant
+   *
+   * Anyone can create an on-chain payment with any payment-id, so the merchant
+   * named in the call's print event must be ours too. A transaction the nonce
+   * manager replaced with a higher fee is verified through its replacement,
+   * whose ID the outcome carries as `transactionId`.
+   */
+  async verifyContractCall(transactionId, options) {
+    const {
+      functionName,
+      paymentId,
+      amount: expectedAmount,
+      merchantAddress,
+      senderAddress,
+      label
+    } = options;
+    const tx = await this.stacksApi.getTransaction(transactionId);
+
+    if (!tx) {
+      return this.pending('Transaction not found');
+    }
+
+    const replacement = tx.tx_status === 'dropped_replace_by_fee' && this.nonceManager?.replacementOf(transactionId);
+    if (replacement) {
+      return { ...(await this.verifyContractCall(replacement, options)), transactionId: replacement };
+    }
+
+    if (PENDING_TX_STATUSES.includes(tx.tx_status)) {
+      return this.pending('Transaction is in the mempool');
+    }
+
+    if (tx.tx_status !== 'success') {
+      return this.failed(`Transaction failed with status ${tx.tx_status}`, tx);
+    }
+
+    if (tx.tx_type !== 'contract_call' || tx.contract_call?.contract_id !== this.contractId) {
+      return this.failed(`Transaction did not call ${this.contractId}`, tx);
+    }
+
+    if (tx.contract_call.function_name !== functionName) {
+      return this.failed(`Transaction called ${tx.contract_call.function_name} instead of ${functionName}`, tx);
+    }
+
+    const paymentIdArg = tx.contract_call.function_args?.[0]?.repr;
+    if (paymentIdArg !== `"${paymentId}"`) {
+      return this.failed('Transaction was for a different payment', tx);
+    }
+
+    const amount = this.parseResultAmount(tx.tx_result?.repr);
+    if (amount !== expectedAmount) {
+      return this.failed(`Transaction amount ${amount} does not match ${label} amount ${expectedAmount}`, tx);
+    }
+
+    const merchant = this.parseEventMerchant(tx);
+    if (!merchantAddress || merchant !== merchantAddress) {
+      return this.failed('Transaction was for a different merchant', tx);
+    }
+
+    if (senderAddress && tx.sender_address !== senderAddress) {
+      return this.failed(`Transaction was sent by ${tx.sender_address} instead of ${senderAddress}`, tx);
+    }
+
+    if (tx.canonical === false) {
+      return this.pending('Transaction block is not canonical');
+    }
+
+    const tipHeight = await this.stacksApi.getTipHeight();
+    const confirmations = Math.max(0, tipHeight - tx.block_height + 1);
+    if (confirmations < this.requiredConfirmations) {
+      return {
+        ...this.pending(`Waiting for ${this.requiredConfirmations} confirmations`),
+        confirmations,
+        blockHeight: tx.block_height
+      };
+    }
+
+    return {
+      status: 'confirmed',
+      reason: null,
+      confirmations,
+      blockHeight: tx.block_height
+    };
+  }
+
+  /**
+   * Extract the amount from a process-payment or refund-payment (ok { amount: uN, ... }) result
+   */
+  parseResultAmount(repr) {
+    const match = /^\(ok .*\(amount u(\d+)\)/.exec(repr || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Extract the merchant from the gateway's print event, e.g. (tuple ... (merchant 'ST...) ...)
+   */
+  parseEventMerchant(tx) {
+    const event = (tx.events || []).find(({ event_type: type, contract_log: log }) =>
+      type === 'smart_contract_log' && log?.contract_id === this.contractId && log.topic === 'print');
+    const match = /\(merchant '([0-9A-Z]+(?:\.[a-zA-Z][\w-]*)?)\)/.exec(event?.contract_log.value?.repr || '');
+    return match ? match[1] : null;
+  }
+
+  pending(reason) {
+    return { status: 'pending', reason, confirmations: 0, blockHeight: null };
+  }
+
+  failed(reason, tx) {
+    return { status: 'failed', reason, confirmations: 0, blockHeight: tx.block_height ?? null };
+  }
+}
+
+module.exports = TransactionVerifier;
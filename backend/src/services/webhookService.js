@@ -0,0 +1,515 @@
+/**
+ * Webhook Service
+ * Delivers signed payment and merchant events to merchant endpoints, retrying failed
+ * deliveries with exponential backoff before moving them to the dead-letter queue
+ *
+ * Endpoints belong to the mode of the key that registered them: test endpoints
+ * only receive test payment events and live endpoints live ones. Endpoints and
+ * deliveries are only visible to keys of the same mode.
+ */
+
+const crypto = require('crypto');
+const { getDatabase, Repository } = require('../database');
+const {
+  PAYMENT_EVENT_TYPES,
+  MERCHANT_EVENT_TYPES,
+  WEBHOOK_EVENT_TYPES,
+  SIGNATURE_HEADER,
+  buildSignatureHeader,
+  assertWebhookUrl
+} = require('../utils/webhooks');
+
+// Keep enough of the endpoint's response to debug a failed delivery
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// How long a rotated-out secret keeps signing deliveries by default
+const DEFAULT_ROTATION_OVERLAP_SECONDS = 24 * 60 * 60;
+
+// Payment status carried by the sample intent in test events
+const TEST_EVENT_STATUSES = {
+  'payment.created': 'requires_payment_method',
+  'payment.processing': 'processing',
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'payment_failed',
+  'payment.expired': 'expired',
+  'payment.canceled': 'canceled',
+  'payment.refunded': 'refunded'
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const assertSupportedEvents = (events) => {
+  const unsupported = events.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported webhook event type: ${unsupported.join(', ')}`);
+  }
+};
+
+class WebhookService {
+  constructor({ database, fetchImpl = globalThis.fetch, lookup, timeout, maxAttempts, retryBaseDelay } = {}) {
+    this.database = database || getDatabase();
+    this.endpoints = new Repository(this.database, {
+      table: 'webhook_endpoints',
+      columns: { merchantId: 'merchant_id', status: 'status', livemode: 'livemode' }
+    });
+    this.deliveries = new Repository(this.database, {
+      table: 'webhook_deliveries',
+      columns: { merchantId: 'merchant_id', endpointId: 'endpoint_id', eventId: 'event_id', status: 'status', livemode: 'livemode' }
+    });
+    this.fetch = fetchImpl;
+    // Resolves endpoint hosts; defaults to dns.promises.lookup
+    this.lookup = lookup;
+    this.timeout = timeout || parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.maxAttempts = maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+    // Delay before the first retry; doubles after every failed attempt
+    this.retryBaseDelay = retryBaseDelay || parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '30000', 10);
+    this.retrying = false;
+  }
+
+  /**
+   * Register an endpoint that receives the given event types in the given mode
+   */
+  async createEndpoint(merchantId, { url, events, description, livemode = false }) {
+    assertSupportedEvents(events);
+    await this.assertDeliverableUrl(url);
+
+    const endpoint = {
+      id: `we_${crypto.randomBytes(12).toString('hex')}`,
+      merchantId,
+      url,
+      events: [...new Set(events)],
+      description,
+      status: 'enabled',
+      livemode: Boolean(livemode),
+      secret: generateSecret(),
+      previousSecrets: [],
+      createdAt: new Date().toISOString()
+    };
+
+    await this.endpoints.create(endpoint);
+    console.log(`[WEBHOOK] Endpoint ${endpoint.id} registered for merchant ${merchantId}: ${url}`);
+    return endpoint;
+  }
+
+  /**
+   * Get one of a merchant's endpoints in the given mode
+   */
+  async getEndpoint(merchantId, endpointId, { livemode = false } = {}) {
+    const endpoint = await this.endpoints.findById(endpointId);
+    return endpoint && endpoint.merchantId === merchantId && Boolean(endpoint.livemode) === livemode ? endpoint : null;
+  }
+
+  async listEndpoints(merchantId, { livemode = false } = {}) {
+    return this.endpoints.findBy({ merchantId, livemode });
+  }
+
+  /**
+   * Change an endpoint's URL, events, description or status (`enabled`/`disabled`)
+   */
+  async updateEndpoint(merchantId, endpointId, { url, events, description, status }, { livemode = false } = {}) {
+    if (events) {
+      assertSupportedEvents(events);
+    }
+    if (url !== undefined) {
+      await this.assertDeliverableUrl(url);
+    }
+
+    const updated = await this.endpoints.update(endpointId, (current) => {
+      if (current.merchantId !== merchantId || Boolean(current.livemode) !== livemode) {
+        return null;
+      }
+
+      return {
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events: [...new Set(events)] }),
+        ...(description !== undefined && { description }),
+        ...(status !== undefined && { status }),
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    if (updated) {
+      console.log(`[WEBHOOK] Endpoint ${endpointId} updated for merchant ${merchantId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Delete an endpoint; its pending retries move to the dead-letter queue
+   */
+  async deleteEndpoint(merchantId, endpointId, { livemode = false } = {}) {
+    const endpoint = await this.getEndpoint(merchantId, endpointId, { livemode });
+    if (!endpoint) {
+      return false;
+    }
+
+    await this.endpoints.delete(endpointId);
+    console.log(`[WEBHOOK] Endpoint ${endpointId} deleted for merchant ${merchantId}`);
+    return true;
+  }
+
+  /**
+   * Replace an endpoint's signing secret
+   *
+   * The old secret keeps signing deliveries alongside the new one for
+   * overlapSeconds, so the merchant can deploy the new secret without
+   * rejecting events in between.
+   */
+  async rotateSecret(merchantId, endpointId, { overlapSeconds = DEFAULT_ROTATION_OVERLAP_SECONDS, livemode = false } = {}) {
+    const now = Date.now();
+
+    const updated = await this.endpoints.update(endpointId, (current) => {
+      if (current.merchantId !== merchantId || Boolean(current.livemode) !== livemode) {
+        return null;
+      }
+
+      const previousSecrets = (current.previousSecrets || [])
+        .filter(previous => new Date(previous.expiresAt).getTime() > now);
+      if (overlapSeconds > 0) {
+        previousSecrets.push({
+          secret: current.secret,
+          expiresAt: new Date(now + overlapSeconds * 1000).toISOString()
+        });
+      }
+
+      return {
+        secret: generateSecret(),
+        previousSecrets,
+        secretRotatedAt: new Date(now).toISOString()
+      };
+    });
+
+    if (updated) {
+      console.log(`[WEBHOOK] Secret rotated for endpoint ${endpointId} (overlap ${overlapSeconds}s)`);
+    }
+    return updated;
+  }
+
+  /**
+   * Secrets that sign deliveries: the current one plus rotated-out secrets still in their overlap window
+   */
+  getSigningSecrets(endpoint) {
+    const now = Date.now();
+    const previous = (endpoint.previousSecrets || [])
+      .filter(({ expiresAt }) => new Date(expiresAt).getTime() > now)
+      .map(({ secret }) => secret);
+
+    return [endpoint.secret, ...previous];
+  }
+
+  /**
+   * Send a sample event of the given type to one endpoint
+   */
+  async sendTestEvent(merchantId, endpointId, type = 'payment.succeeded', { livemode = false } = {}) {
+    assertSupportedEvents([type]);
+
+    const endpoint = await this.getEndpoint(merchantId, endpointId, { livemode });
+    if (!endpoint) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    const now = new Date();
+    const reference = crypto.randomBytes(8).toString('hex');
+    const event = {
+      id: `evt_test_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      timestamp: now.toISOString(),
+      test: true
+    };
+
+    if (MERCHANT_EVENT_TYPES.includes(type)) {
+      event.merchant = {
+        id: merchantId,
+        businessName: 'Test Store',
+        email: 'test@example.com',
+        stacksAddress: 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB',
+        updatedAt: now.toISOString()
+      };
+      event.previousAttributes = { businessName: 'Old Test Store' };
+    } else {
+      event.paymentIntent = {
+        id: `test_${reference}`,
+        paymentId: `pi_test_${reference}`,
+        amount: 50000,
+        fee: 1250,
+        currency: 'BTC',
+        description: 'Test webhook event',
+        status: TEST_EVENT_STATUSES[type],
+        livemode,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString()
+      };
+    }
+
+    if (type === 'payment.refunded') {
+      event.paymentIntent.amountRefunded = event.paymentIntent.amount;
+      event.refund = {
+        id: `re_test_${reference}`,
+        paymentId: event.paymentIntent.id,
+        amount: event.paymentIntent.amount,
+        currency: 'BTC',
+        status: 'succeeded',
+        createdAt: now.toISOString()
+      };
+    }
+
+    const delivery = await this.createDelivery(endpoint, event);
+    return this.attemptDelivery(delivery, endpoint);
+  }
+
+  /**
+   * Endpoint as returned by the API; the secret is only shown on creation and rotation
+   */
+  toView(endpoint) {
+    return {
+      id: endpoint.id,
+      url: endpoint.url,
+      events: endpoint.events,
+      description: endpoint.description,
+      status: endpoint.status,
+      livemode: Boolean(endpoint.livemode),
+      createdAt: endpoint.createdAt,
+      updatedAt: endpoint.updatedAt,
+      secretRotatedAt: endpoint.secretRotatedAt
+    };
+  }
+
+  /**
+   * Forward every payment event emitted by the payment service, and merchant
+   * events from the merchant service when one is given
+   */
+  subscribe(paymentService, merchantService) {
+    for (const type of PAYMENT_EVENT_TYPES) {
+      paymentService.on(type, (payment, ...data) => {
+        this.publish(type, payment.merchantId, paymentService.toView(payment), ...data).catch((error) => {
+          console.error(`[WEBHOOK] Failed to publish ${type} for ${payment.id}:`, error);
+        });
+      });
+    }
+
+    for (const type of merchantService ? MERCHANT_EVENT_TYPES : []) {
+      merchantService.on(type, (merchant, data = {}) => {
+        this.publish(type, merchant.id, null, { merchant: merchantService.toView(merchant), ...data }).catch((error) => {
+          console.error(`[WEBHOOK] Failed to publish ${type} for ${merchant.id}:`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Build an event and deliver it to every enabled endpoint of the merchant subscribed to it
+   *
+   * `data` adds related objects to the event, such as the refund of a payment.refunded event
+   * or the merchant of a merchant event, which carries no payment intent. Payment events
+   * only reach endpoints in the payment's mode; merchant events reach both modes.
+   */
+  async publish(type, merchantId, paymentIntent, data = {}) {
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      timestamp: new Date().toISOString(),
+      ...(paymentIntent && { paymentIntent }),
+      ...data
+    };
+
+    const endpoints = (await this.endpoints.findBy({
+      merchantId,
+      status: 'enabled',
+      ...(paymentIntent && { livemode: Boolean(paymentIntent.livemode) })
+    })).filter(endpoint => endpoint.events.includes(type));
+
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      const delivery = await this.createDelivery(endpoint, event);
+      deliveries.push(await this.attemptDelivery(delivery, endpoint));
+    }
+
+    return { event, deliveries };
+  }
+
+  async createDelivery(endpoint, event, replayOf) {
+    return this.deliveries.create({
+      id: `whd_${crypto.randomBytes(12).toString('hex')}`,
+      merchantId: endpoint.merchantId,
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      eventId: event.id,
+      eventType: event.type,
+      event,
+      livemode: Boolean(endpoint.livemode),
+      status: 'pending',
+      attemptCount: 0,
+      attempts: [],
+      ...(replayOf && { replayOf }),
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * POST a delivery's event to its endpoint and record the outcome
+   *
+   * A 2xx response marks the delivery succeeded. Anything else schedules a
+   * retry, or moves the delivery to the dead-letter queue (status `dead`) once
+   * maxAttempts is reached.
+   */
+  async attemptDelivery(delivery, endpoint) {
+    const payload = JSON.stringify(delivery.event);
+    const attemptedAt = new Date();
+    const attempt = { attemptedAt: attemptedAt.toISOString(), statusCode: null, error: null };
+
+    try {
+      // Resolve again on every attempt: the host may have been pointed elsewhere since it was registered
+      await this.assertDeliverableUrl(endpoint.url);
+
+      const response = await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'sBTCPay-Webhooks/1.0',
+          [SIGNATURE_HEADER]: buildSignatureHeader(payload, this.getSigningSecrets(endpoint)),
+          'x-sbtcpay-event': delivery.eventType,
+          'x-sbtcpay-delivery': delivery.id
+        },
+        body: payload,
+        // A redirect counts as a failed attempt rather than being followed to an unchecked host
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      attempt.statusCode = response.status;
+      attempt.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY_LENGTH);
+      if (!response.ok) {
+        attempt.error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - attemptedAt.getTime();
+
+    const updated = await this.deliveries.update(delivery.id, (current) => {
+      const attemptCount = current.attemptCount + 1;
+      const changes = {
+        attemptCount,
+        attempts: [...current.attempts, attempt],
+        lastError: attempt.error,
+        nextAttemptAt: null
+      };
+
+      if (!attempt.error) {
+        return { ...changes, status: 'succeeded', deliveredAt: new Date().toISOString() };
+      }
+
+      if (attemptCount >= this.maxAttempts) {
+        return { ...changes, status: 'dead', deadAt: new Date().toISOString() };
+      }
+
+      return {
+        ...changes,
+        status: 'retrying',
+        nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attemptCount)).toISOString()
+      };
+    });
+
+    if (updated.status === 'succeeded') {
+      console.log(`[WEBHOOK] Delivered ${updated.eventType} ${updated.eventId} to ${endpoint.url}`);
+    } else {
+      console.warn(`[WEBHOOK] Delivery ${updated.id} to ${endpoint.url} failed (attempt ${updated.attemptCount}/${this.maxAttempts}): ${attempt.error}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check that an endpoint URL uses https and resolves to public addresses
+   *
+   * Plain http is accepted in development, and WEBHOOK_ALLOW_PRIVATE_URLS=true
+   * lets deliveries reach private networks, e.g. a receiver on localhost.
+   */
+  async assertDeliverableUrl(url) {
+    await assertWebhookUrl(url, {
+      ...(this.lookup && { lookup: this.lookup }),
+      requireHttps: process.env.NODE_ENV !== 'development',
+      allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+    });
+  }
+
+  /**
+   * Backoff before the retry that follows the given attempt: base, 2x base, 4x base, ...
+   */
+  getRetryDelay(attemptCount) {
+    return this.retryBaseDelay * 2 ** (attemptCount - 1);
+  }
+
+  /**
+   * Retry every delivery whose backoff has elapsed
+   */
+  async processDueRetries() {
+    if (this.retrying) {
+      return 0;
+    }
+
+    this.retrying = true;
+    try {
+      const now = new Date();
+      const due = (await this.deliveries.findBy({ status: 'retrying' }))
+        .filter(delivery => new Date(delivery.nextAttemptAt) <= now);
+
+      for (const delivery of due) {
+        const endpoint = await this.endpoints.findById(delivery.endpointId);
+        if (!endpoint || endpoint.status !== 'enabled') {
+          await this.deliveries.update(delivery.id, {
+            status: 'dead',
+            lastError: 'Webhook endpoint was disabled or deleted',
+            nextAttemptAt: null,
+            deadAt: now.toISOString()
+          });
+          continue;
+        }
+
+        await this.attemptDelivery(delivery, endpoint);
+      }
+
+      return due.length;
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  /**
+   * Re-send a delivery's event to its endpoint as a new delivery
+   */
+  async replayDelivery(merchantId, deliveryId, { livemode = false } = {}) {
+    const original = await this.getDelivery(merchantId, deliveryId, { livemode });
+    if (!original) {
+      throw new Error('Webhook delivery not found');
+    }
+
+    const endpoint = await this.getEndpoint(merchantId, original.endpointId, { livemode });
+    if (!endpoint) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    const delivery = await this.createDelivery(endpoint, original.event, original.id);
+    return this.attemptDelivery(delivery, endpoint);
+  }
+
+  async getDelivery(merchantId, deliveryId, { livemode = false } = {}) {
+    const delivery = await this.deliveries.findById(deliveryId);
+    return delivery && delivery.merchantId === merchantId && Boolean(delivery.livemode) === livemode ? delivery : null;
+  }
+
+  /**
+   * Delivery log for a merchant in one mode, newest first; status `dead` lists the dead-letter queue
+   */
+  async listDeliveries(merchantId, { status, endpointId, limit = 50, offset = 0, livemode = false } = {}) {
+    return this.deliveries.findBy({
+      merchantId,
+      livemode,
+      ...(status && { status }),
+      ...(endpointId && { endpointId })
+    }, { limit, offset });
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,50 @@
+/**
+ * API Key Utilities
+ * Scopes and the hashing scheme for stored API keys
+ *
+ * Keys are never stored: a key record keeps its first characters as a lookup
+ * prefix and an HMAC-SHA256 of the full key under a per-key random salt. Keys
+ * carry 256 random bits, so a fast hash is enough to make a leaked table useless.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = [
+  'payments:read',
+  'payments:write',
+  'webhooks:manage',
+  'contracts:call',
+  'keys:manage',
+  'account:write'
+];
+
+// "pk_test_" plus 8 hex characters: enough to find a key, useless for using it
+const KEY_PREFIX_LENGTH = 16;
+
+const keyPrefix = key => key.slice(0, KEY_PREFIX_LENGTH);
+
+const hashApiKey = (key, salt) => crypto.createHmac('sha256', salt).update(key).digest('hex');
+
+/**
+ * Lookup prefix, salt and hash to store for a new key
+ */
+const createKeyDigest = (key) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { prefix: keyPrefix(key), salt, keyHash: hashApiKey(key, salt) };
+};
+
+/**
+ * Whether a key matches a stored digest
+ */
+const matchesKeyDigest = (key, { salt, keyHash }) => {
+  const expected = Buffer.from(keyHash, 'hex');
+  const actual = Buffer.from(hashApiKey(key, salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  keyPrefix,
+  createKeyDigest,
+  matchesKeyDigest
+};
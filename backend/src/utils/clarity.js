@@ -0,0 +1,58 @@
+/**
+ * Clarity Utilities
+ * Turn Clarity values from read-only calls and print events into plain JSON
+ */
+
+const { principalToString, ClarityType } = require('@stacks/transactions');
+
+/**
+ * camelCase form of a Clarity name such as `payment-id`
+ */
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Plain JSON for a Clarity value
+ *
+ * Tuple keys become camelCase, optionals and responses their inner value (or
+ * null for none) and integers numbers, or strings when too large to be exact.
+ * Callers that must tell an err response apart check its type first.
+ */
+const decodeClarityValue = (cv) => {
+  switch (cv.type) {
+  case ClarityType.Int:
+  case ClarityType.UInt:
+    return cv.value <= BigInt(Number.MAX_SAFE_INTEGER) && cv.value >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(cv.value)
+      : cv.value.toString();
+  case ClarityType.BoolTrue:
+    return true;
+  case ClarityType.BoolFalse:
+    return false;
+  case ClarityType.Buffer:
+    return `0x${Buffer.from(cv.buffer).toString('hex')}`;
+  case ClarityType.StringASCII:
+  case ClarityType.StringUTF8:
+    return cv.data;
+  case ClarityType.PrincipalStandard:
+  case ClarityType.PrincipalContract:
+    return principalToString(cv);
+  case ClarityType.OptionalNone:
+    return null;
+  case ClarityType.OptionalSome:
+  case ClarityType.ResponseOk:
+  case ClarityType.ResponseErr:
+    return decodeClarityValue(cv.value);
+  case ClarityType.List:
+    return cv.list.map(decodeClarityValue);
+  case ClarityType.Tuple:
+    return Object.fromEntries(Object.entries(cv.data)
+      .map(([key, value]) => [camelCase(key), decodeClarityValue(value)]));
+  default:
+    throw new Error(`Unsupported Clarity value type: ${cv.type}`);
+  }
+};
+
+module.exports = {
+  camelCase,
+  decodeClarityValue
+};
@@ -231,6 +231,27 @@ class ServiceUnavailableError extends APIError {
   }
 }
 
+/**
+ * Idempotency Error - 409 or 422
+ */
+class IdempotencyError extends APIError {
+  constructor(message, code = 'IDEMPOTENCY_ERROR', statusCode = 409, details = null) {
+    super(message, statusCode, code, details);
+  }
+
+  toJSON() {
+    return {
+      error: {
+        type: 'idempotency_error',
+        code: this.code,
+        message: this.message,
+        details: this.details,
+        timestamp: this.timestamp
+      }
+    };
+  }
+}
+
 /**
  * Error Factory
  */
@@ -263,6 +284,10 @@ class ErrorFactory {
     return new PaymentError(message, code, details);
   }
 
+  static idempotency(message, code, statusCode, details = null) {
+    return new IdempotencyError(message, code, statusCode, details);
+  }
+
   static blockchain(message, originalError = null) {
     return new BlockchainError(message, originalError);
   }
@@ -316,5 +341,6 @@ module.exports = {
   PaymentError,
   BlockchainError,
   ServiceUnavailableError,
+  IdempotencyError,
   ErrorFactory
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Live Mode Utilities
+ * Tell test from live credentials and the Stacks network an address belongs to
+ *
+ * Test keys (`pk_test_`, `sk_test_`, `rk_test_`) only ever reach testnet or
+ * devnet and live keys (`pk_live_`, `sk_live_`, `rk_live_`) only mainnet.
+ * Mainnet addresses start with SP (single-sig) or SM (multi-sig); testnet and
+ * devnet ones with ST or SN.
+ */
+
+const LIVE_KEY_PATTERN = /^[psr]k_live_/;
+const MAINNET_ADDRESS_PATTERN = /^S[PM]/;
+
+/**
+ * Whether an API, secret or restricted key is a live mode key
+ */
+const isLiveKey = (key) => typeof key === 'string' && LIVE_KEY_PATTERN.test(key);
+
+/**
+ * Whether a Stacks address or contract ID is on mainnet
+ */
+const isMainnetAddress = (address) => typeof address === 'string' && MAINNET_ADDRESS_PATTERN.test(address);
+
+module.exports = {
+  isLiveKey,
+  isMainnetAddress
+};
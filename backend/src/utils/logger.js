@@ -148,7 +148,7 @@ class Logger {
     const requestMeta = {
       ...meta,
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       userAgent: req.get('User-Agent'),
       ip: req.ip || req.connection.remoteAddress,
       requestId: req.requestId,
@@ -201,6 +201,20 @@ class Logger {
     this.logger.info(`Contract ${operation}`, contractMeta);
   }
 
+  /**
+   * Log webhook delivery operations
+   */
+  webhook(operation, deliveryId, meta = {}) {
+    const webhookMeta = {
+      ...meta,
+      operation,
+      deliveryId,
+      component: 'webhook-service'
+    };
+
+    this.logger.info(`Webhook ${operation}`, webhookMeta);
+  }
+
   /**
    * Log security events
    */
@@ -231,10 +245,19 @@ class Logger {
   }
 }
 
+/**
+ * URL safe to log: the event observer token in /api/chain-events paths and
+ * payment intent client secrets in the query are credentials
+ */
+const redactUrl = (url) => url && url
+  .replace(/(\/api\/chain-events\/)[^/?]+/, '$1[REDACTED]')
+  .replace(/([?&]client_secret=)[^&#]*/g, '$1[REDACTED]');
+
 // Create singleton instance
 const loggerInstance = new Logger();
 
 // Export both the class and instance
 module.exports = loggerInstance;
 module.exports.Logger = Logger;
-module.exports.winston = logger;
\ No newline at end of file
+module.exports.winston = logger;
+module.exports.redactUrl = redactUrl;
\ No newline at end of file
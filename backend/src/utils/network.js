@@ -0,0 +1,127 @@
+/**
+ * Network Configuration
+ * Stacks network profiles chosen with STACKS_NETWORK: devnet, testnet or mainnet
+ *
+ * A profile holds the node RPC URL, the Stacks API URL, the explorer link for
+ * transactions, the account the gateway contract is deployed from and the sBTC
+ * token contract. Environment variables override any of them:
+ *
+ *   STACKS_NODE_URL      node RPC used to build and broadcast transactions
+ *   STACKS_API_URL       Stacks Blockchain API used to verify and index
+ *   STACKS_EXPLORER_URL  transaction link, with {txId} where the ID goes
+ *   CONTRACT_ADDRESS     deployer of sbtc-payment-gateway
+ *   SBTC_TOKEN_CONTRACT  sBTC token contract ID, SBTC_TOKEN_ASSET its asset name
+ *
+ * Devnet is a local Clarinet devnet (`clarinet devnet start`): its deployer is
+ * the one in settings/Devnet.toml, which also deploys the mock sBTC token.
+ * Mainnet has no default deployer, so CONTRACT_ADDRESS must be set.
+ */
+
+const { isMainnetAddress } = require('./livemode');
+
+const CONTRACT_NAME = 'sbtc-payment-gateway';
+const DEVNET_DEPLOYER = 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
+
+const NETWORK_PROFILES = {
+  devnet: {
+    nodeUrl: 'http://localhost:20443',
+    apiUrl: 'http://localhost:3999',
+    explorerUrl: 'http://localhost:8000/txid/{txId}?chain=testnet&api=http://localhost:3999',
+    contractAddress: DEVNET_DEPLOYER,
+    sbtcToken: `${DEVNET_DEPLOYER}.mock-sbtc-token`
+  },
+  testnet: {
+    nodeUrl: 'https://api.testnet.hiro.so',
+    apiUrl: 'https://api.testnet.hiro.so',
+    explorerUrl: 'https://explorer.hiro.so/txid/{txId}?chain=testnet',
+    contractAddress: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM',
+    sbtcToken: 'ST1F7QA2MDF17S807EPA36TSS8AMEFY4KA9TVGWXT.sbtc-token'
+  },
+  mainnet: {
+    nodeUrl: 'https://api.hiro.so',
+    apiUrl: 'https://api.hiro.so',
+    explorerUrl: 'https://explorer.hiro.so/txid/{txId}?chain=mainnet',
+    contractAddress: null,
+    sbtcToken: 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token'
+  }
+};
+
+const STACKS_ADDRESS_PATTERN = /^S[PMTN][0-9A-HJKMNP-Z]{38,40}$/;
+const CONTRACT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9-_]{0,127}$/;
+const HTTP_URL_PATTERN = /^https?:\/\/[^\s/]+/;
+
+/**
+ * Read and check the network configuration from the environment
+ *
+ * Throws one error listing every problem, so a misconfigured gateway refuses
+ * to start instead of signing or verifying against the wrong chain.
+ */
+function loadNetworkConfig(env = process.env) {
+  const network = env.STACKS_NETWORK || 'testnet';
+  const profile = NETWORK_PROFILES[network];
+  if (!profile) {
+    throw new Error(`Invalid Stacks network configuration: STACKS_NETWORK must be one of ${Object.keys(NETWORK_PROFILES).join(', ')}, got '${network}'`);
+  }
+
+  const mainnet = network === 'mainnet';
+  const nodeUrl = (env.STACKS_NODE_URL || profile.nodeUrl).replace(/\/+$/, '');
+  const apiUrl = (env.STACKS_API_URL || profile.apiUrl).replace(/\/+$/, '');
+  const explorerUrl = env.STACKS_EXPLORER_URL || profile.explorerUrl;
+  const contractAddress = env.CONTRACT_ADDRESS || profile.contractAddress;
+  const [tokenAddress, tokenName] = (env.SBTC_TOKEN_CONTRACT || profile.sbtcToken).split('.');
+
+  const problems = [];
+  for (const [name, url] of [['STACKS_NODE_URL', nodeUrl], ['STACKS_API_URL', apiUrl], ['STACKS_EXPLORER_URL', explorerUrl]]) {
+    if (!HTTP_URL_PATTERN.test(url)) {
+      problems.push(`${name} must be an http(s) URL`);
+    }
+  }
+  if (!explorerUrl.includes('{txId}')) {
+    problems.push('STACKS_EXPLORER_URL must contain {txId}');
+  }
+
+  if (!contractAddress) {
+    problems.push(`CONTRACT_ADDRESS is required on ${network}`);
+  } else if (!STACKS_ADDRESS_PATTERN.test(contractAddress)) {
+    problems.push('CONTRACT_ADDRESS must be a Stacks address');
+  } else if (isMainnetAddress(contractAddress) !== mainnet) {
+    problems.push(`CONTRACT_ADDRESS ${contractAddress} is not a ${network} address`);
+  }
+
+  if (!STACKS_ADDRESS_PATTERN.test(tokenAddress || '') || !CONTRACT_NAME_PATTERN.test(tokenName || '')) {
+    problems.push('SBTC_TOKEN_CONTRACT must be a contract ID: <address>.<contract-name>');
+  } else if (isMainnetAddress(tokenAddress) !== mainnet) {
+    problems.push(`SBTC_TOKEN_CONTRACT ${tokenAddress}.${tokenName} is not a ${network} contract`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid Stacks network configuration for ${network}: ${problems.join('; ')}`);
+  }
+
+  return {
+    network,
+    nodeUrl,
+    apiUrl,
+    explorerUrl,
+    contractAddress,
+    contractName: CONTRACT_NAME,
+    contractId: `${contractAddress}.${CONTRACT_NAME}`,
+    sbtcToken: {
+      contractAddress: tokenAddress,
+      contractName: tokenName,
+      assetName: env.SBTC_TOKEN_ASSET || 'sbtc-token',
+      contractId: `${tokenAddress}.${tokenName}`
+    }
+  };
+}
+
+/**
+ * Explorer link for a transaction on the configured network
+ */
+const explorerTxUrl = (config, txId) => config.explorerUrl.replace('{txId}', txId);
+
+module.exports = {
+  NETWORK_PROFILES,
+  loadNetworkConfig,
+  explorerTxUrl
+};
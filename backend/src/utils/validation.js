@@ -4,6 +4,19 @@
  */
 
 const { ValidationError } = require('./errors');
+const { WEBHOOK_EVENT_TYPES } = require('./webhooks');
+const { API_KEY_SCOPES } = require('./apiKeys');
+
+const PAYMENT_STATUSES = [
+  'requires_payment_method',
+  'processing',
+  'succeeded',
+  'payment_failed',
+  'expired',
+  'canceled',
+  'partially_refunded',
+  'refunded'
+];
 
 /**
  * Validation Rules
@@ -59,6 +72,38 @@ const ValidationRules = {
     message: 'Please provide a valid transaction ID (64 character hex string with 0x prefix)'
   },
 
+  // Compressed or uncompressed secp256k1 public key of the wallet that will sign a transaction
+  publicKey: {
+    type: 'string',
+    pattern: /^(0[23][0-9a-fA-F]{64}|04[0-9a-fA-F]{128})$/,
+    message: 'Please provide a valid hex encoded public key'
+  },
+
+  // Signed Stacks transaction, hex encoded
+  signedTransaction: {
+    required: true,
+    type: 'string',
+    pattern: /^(0x)?([0-9a-fA-F]{2})+$/,
+    maxLength: 2 * 1024 * 1024,
+    message: 'Please provide the signed transaction as a hex string'
+  },
+
+  // Client secret of a payment intent, as returned when it was created
+  clientSecret: {
+    required: true,
+    type: 'string',
+    minLength: 1,
+    maxLength: 200,
+    message: 'Please provide the client secret returned when the payment intent was created'
+  },
+
+  // Short merchant name customers see next to their payments: 5-22 characters, at least one letter
+  statementDescriptor: {
+    type: 'string',
+    pattern: /^(?=.*[A-Za-z])[^<>\\'"*]{5,22}$/,
+    message: 'Statement descriptor must be 5-22 characters, include a letter and not contain < > \\ \' " *'
+  },
+
   // API Key validation
   apiKey: {
     required: true,
@@ -186,6 +231,15 @@ class Validator {
           field
         );
       }
+      if (rule.itemEnum) {
+        const invalidItem = value.find(item => !rule.itemEnum.includes(item));
+        if (invalidItem !== undefined) {
+          throw new ValidationError(
+            `${field} contains an unsupported value: ${invalidItem}. Must be one of: ${rule.itemEnum.join(', ')}`,
+            field
+          );
+        }
+      }
     }
 
     return true;
@@ -298,11 +352,22 @@ class Validator {
    */
   static validatePaymentConfirmation(data) {
     return this.validate(data, {
+      clientSecret: ValidationRules.clientSecret,
       customerAddress: ValidationRules.stacksAddress,
       transactionId: ValidationRules.transactionId
     });
   }
 
+  /**
+   * Validate a request for the process-payment call a customer's wallet signs
+   */
+  static validatePaymentContractCall(data) {
+    return this.validate(data, {
+      clientSecret: ValidationRules.clientSecret,
+      customerAddress: ValidationRules.stacksAddress
+    });
+  }
+
   /**
    * Validate merchant registration data
    */
@@ -324,17 +389,184 @@ class Validator {
   }
 
   /**
-   * Validate webhook configuration
+   * Validate a merchant profile update; every field is optional but at least one is needed
+   */
+  static validateMerchantUpdate(data) {
+    const validatedData = this.validate(data, {
+      businessName: { ...ValidationRules.businessName, required: false },
+      email: { ...ValidationRules.email, required: false },
+      stacksAddress: { ...ValidationRules.stacksAddress, required: false },
+      logoUrl: { ...ValidationRules.url, required: false },
+      supportUrl: { ...ValidationRules.url, required: false },
+      statementDescriptor: ValidationRules.statementDescriptor
+    });
+
+    if (Object.keys(validatedData).length === 0) {
+      throw new ValidationError('Provide at least one field to update');
+    }
+
+    return validatedData;
+  }
+
+  /**
+   * Validate webhook configuration; with partial, every field is optional (for updates)
    */
-  static validateWebhook(data) {
+  static validateWebhook(data, { partial = false } = {}) {
     return this.validate(data, {
-      url: ValidationRules.url,
+      url: {
+        ...ValidationRules.url,
+        required: !partial
+      },
       events: {
         type: 'array',
-        required: true,
+        required: !partial,
         minItems: 1,
         maxItems: 10,
+        itemEnum: WEBHOOK_EVENT_TYPES,
         message: 'Events must be an array with 1-10 event types'
+      },
+      description: {
+        ...ValidationRules.description,
+        required: false
+      },
+      status: {
+        type: 'string',
+        enum: ['enabled', 'disabled'],
+        required: false,
+        message: 'Status must be enabled or disabled'
+      }
+    });
+  }
+
+  /**
+   * Validate a webhook test event request
+   */
+  static validateWebhookTestEvent(data) {
+    return this.validate(data, {
+      type: {
+        type: 'string',
+        enum: WEBHOOK_EVENT_TYPES,
+        required: false,
+        message: `Type must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`
+      }
+    });
+  }
+
+  /**
+   * Validate a webhook secret rotation request
+   */
+  static validateWebhookSecretRotation(data) {
+    return this.validate(data, {
+      overlapSeconds: {
+        type: 'number',
+        min: 0,
+        max: 7 * 24 * 60 * 60,
+        required: false,
+        message: 'overlapSeconds must be between 0 and 604800 (7 days)'
+      }
+    });
+  }
+
+  /**
+   * Validate a refund request; amount defaults to what is left to refund
+   */
+  static validateRefund(data) {
+    return this.validate(data, {
+      amount: {
+        ...ValidationRules.amount,
+        min: 1,
+        required: false,
+        message: 'Refund amount must be a positive number of satoshis'
+      },
+      reason: {
+        ...ValidationRules.description,
+        required: false,
+        message: 'Reason must be between 1 and 500 characters'
+      },
+      transactionId: {
+        ...ValidationRules.transactionId,
+        required: false
+      }
+    });
+  }
+
+  /**
+   * Validate the refund-payment transaction submitted for a pending refund
+   */
+  static validateRefundConfirmation(data) {
+    return this.validate(data, {
+      transactionId: ValidationRules.transactionId
+    });
+  }
+
+  /**
+   * Validate a payment intent cancellation; a signer is only given to cancel on-chain too
+   */
+  static validatePaymentCancellation(data) {
+    return this.validateContractCall(data, {
+      reason: {
+        ...ValidationRules.description,
+        required: false,
+        message: 'Reason must be between 1 and 500 characters'
+      }
+    }, { optional: true });
+  }
+
+  /**
+   * Validate an admin request to deactivate or reactivate a merchant; a signer
+   * (the contract owner) is only given to change the status on-chain too
+   */
+  static validateMerchantStatusChange(data) {
+    return this.validateContractCall(data, {
+      reason: {
+        ...ValidationRules.description,
+        required: false,
+        message: 'Reason must be between 1 and 500 characters'
+      }
+    }, { privateKeyField: 'ownerPrivateKey', optional: true });
+  }
+
+  /**
+   * Validate a restricted API key request
+   */
+  static validateApiKeyCreation(data) {
+    return this.validate(data, {
+      name: {
+        type: 'string',
+        required: true,
+        minLength: 1,
+        maxLength: 100,
+        message: 'Name must be between 1 and 100 characters'
+      },
+      scopes: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: API_KEY_SCOPES.length,
+        itemEnum: API_KEY_SCOPES,
+        message: `Scopes must be an array of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    });
+  }
+
+  /**
+   * Validate an API key roll; without a prefix the calling key is rolled
+   */
+  static validateApiKeyRoll(data) {
+    return this.validate(data, {
+      prefix: {
+        type: 'string',
+        required: false,
+        minLength: 16,
+        maxLength: 16,
+        message: 'Prefix must be the first 16 characters of the key'
+      },
+      gracePeriodSeconds: {
+        type: 'number',
+        min: 0,
+        max: 7 * 24 * 60 * 60,
+        required: false,
+        message: 'gracePeriodSeconds must be between 0 and 604800 (7 days)'
       }
     });
   }
@@ -361,57 +593,218 @@ class Validator {
   }
 
   /**
-   * Validate contract payment creation data
+   * Validate payment intent list filters from a query string
+   *
+   * Numbers arrive as strings and `status` may list several statuses separated
+   * by commas, so both are converted before validation.
    */
-  static validateContractPayment(data) {
-    return this.validate(data, {
-      amount: ValidationRules.amount,
-      recipient: ValidationRules.stacksAddress,
-      description: {
-        ...ValidationRules.description,
+  static validatePaymentListQuery(query) {
+    const data = { ...query };
+    for (const field of ['limit', 'minAmount', 'maxAmount']) {
+      if (typeof data[field] === 'string' && data[field] !== '' && !Number.isNaN(Number(data[field]))) {
+        data[field] = Number(data[field]);
+      }
+    }
+    if (typeof data.status === 'string' && data.status !== '') {
+      data.status = data.status.split(',').map(status => status.trim());
+    }
+
+    const isoDate = {
+      type: 'string',
+      required: false,
+      pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/,
+      message: 'Dates must be ISO 8601, e.g. 2025-08-15 or 2025-08-15T10:00:00Z'
+    };
+
+    const validated = this.validate(data, {
+      limit: {
+        type: 'number',
+        min: 1,
+        max: 100,
+        required: false,
+        message: 'Limit must be between 1 and 100'
+      },
+      cursor: {
+        type: 'string',
+        required: false,
+        maxLength: 100,
+        message: 'Cursor must be the nextCursor of a previous page'
+      },
+      status: {
+        type: 'array',
+        required: false,
+        maxItems: PAYMENT_STATUSES.length,
+        itemEnum: PAYMENT_STATUSES
+      },
+      minAmount: {
+        type: 'number',
+        required: false,
+        min: 0,
+        message: 'minAmount must be 0 or greater'
+      },
+      maxAmount: {
+        type: 'number',
+        required: false,
+        min: 0,
+        message: 'maxAmount must be 0 or greater'
+      },
+      createdAfter: isoDate,
+      createdBefore: isoDate,
+      customerAddress: {
+        ...ValidationRules.stacksAddress,
         required: false
       },
-      contractAddress: {
+      search: {
         type: 'string',
         required: false,
-        pattern: /^S[PT][123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]{39}\.[a-zA-Z0-9-_]{1,40}$/,
-        message: 'Please provide a valid contract address (address.contract-name)'
+        maxLength: 100,
+        message: 'Search text must be at most 100 characters'
       }
     });
+
+    const errors = [];
+    if (validated.limit !== undefined && !Number.isInteger(validated.limit)) {
+      errors.push({ field: 'limit', message: 'Limit must be between 1 and 100', code: 'VALIDATION_ERROR' });
+    }
+    if (validated.minAmount !== undefined && validated.maxAmount !== undefined && validated.minAmount > validated.maxAmount) {
+      errors.push({ field: 'minAmount', message: 'minAmount must not be greater than maxAmount', code: 'VALIDATION_ERROR' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', null, errors);
+    }
+
+    return validated;
   }
 
   /**
-   * Validate contract payment processing data
+   * Validate a contract call together with its signer: either a private key,
+   * for the backend to sign and broadcast, or the public key of the wallet that
+   * will sign the unsigned transaction returned instead
+   *
+   * The private key is the merchant's unless `privateKeyField` names another
+   * signer. Calls that are optional, such as mirroring a cancellation on-chain,
+   * pass `optional` and may give neither key.
    */
-  static validateContractPaymentProcessing(data) {
-    return this.validate(data, {
-      paymentId: ValidationRules.uuid,
-      transactionId: ValidationRules.transactionId,
-      blockHeight: {
+  static validateContractCall(data, rules, { privateKeyField = 'merchantPrivateKey', optional = false } = {}) {
+    const signer = privateKeyField.replace('PrivateKey', '');
+    const validatedData = this.validate(data, {
+      ...rules,
+      [privateKeyField]: {
+        required: false,
+        type: 'string',
+        minLength: 64,
+        message: `Please provide a valid ${signer} private key`
+      },
+      publicKey: ValidationRules.publicKey,
+      nonce: {
         type: 'number',
+        min: 0,
         required: false,
+        message: 'Nonce must be a non-negative number'
+      },
+      fee: {
+        type: 'number',
+        min: 0,
+        required: false,
+        message: 'Fee must be a non-negative number of microSTX'
+      }
+    });
+
+    const signers = [validatedData[privateKeyField], validatedData.publicKey].filter(Boolean).length;
+    if (signers > 1 || (signers === 0 && !optional)) {
+      throw new ValidationError(`Provide either publicKey or ${privateKeyField}`, 'publicKey');
+    }
+    if (!validatedData.publicKey && (validatedData.nonce !== undefined || validatedData.fee !== undefined)) {
+      throw new ValidationError('nonce and fee can only be set on unsigned transactions', 'nonce');
+    }
+
+    return validatedData;
+  }
+
+  /**
+   * Validate contract payment creation data
+   */
+  static validateContractPayment(data) {
+    return this.validateContractCall(data, {
+      paymentId: {
+        required: true,
+        type: 'string',
+        minLength: 1,
+        maxLength: 64,
+        message: 'Payment ID must be between 1 and 64 characters'
+      },
+      amount: ValidationRules.amount,
+      description: {
+        ...ValidationRules.description,
+        required: false
+      },
+      expiresInBlocks: {
+        type: 'number',
         min: 1,
-        message: 'Block height must be a positive number'
+        required: false,
+        message: 'expiresInBlocks must be at least 1'
       }
     });
   }
 
+  /**
+   * Validate contract payment processing data; the customer pays, so they sign
+   */
+  static validateContractPaymentProcessing(data) {
+    return this.validateContractCall(data, {
+      paymentId: {
+        required: true,
+        type: 'string',
+        minLength: 1,
+        maxLength: 64,
+        message: 'Payment ID must be between 1 and 64 characters'
+      },
+      amount: ValidationRules.amount
+    }, { privateKeyField: 'customerPrivateKey' });
+  }
+
   /**
    * Validate contract merchant registration data
    */
   static validateContractMerchantRegistration(data) {
-    return this.validate(data, {
-      merchantAddress: ValidationRules.stacksAddress,
+    return this.validateContractCall(data, {
       businessName: ValidationRules.businessName,
-      email: ValidationRules.email,
-      contractAddress: {
+      email: ValidationRules.email
+    });
+  }
+
+  /**
+   * Validate a signed transaction to broadcast
+   */
+  static validateSignedTransaction(data) {
+    return this.validate(data, {
+      transaction: ValidationRules.signedTransaction
+    });
+  }
+
+  /**
+   * Validate the payment ID of an on-chain payment lookup
+   */
+  static validateContractPaymentLookup(params) {
+    return this.validate(params, {
+      id: {
+        required: true,
         type: 'string',
-        required: false,
-        pattern: /^S[PT][123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]{39}\.[a-zA-Z0-9-_]{1,40}$/,
-        message: 'Please provide a valid contract address (address.contract-name)'
+        maxLength: 64,
+        pattern: /^[\x20-\x7e]+$/,
+        message: 'Payment ID must be up to 64 printable ASCII characters'
       }
     });
   }
+
+  /**
+   * Validate the Stacks address of an on-chain merchant lookup
+   */
+  static validateContractMerchantLookup(params) {
+    return this.validate(params, {
+      address: ValidationRules.stacksAddress
+    });
+  }
 }
 
 /**
@@ -0,0 +1,153 @@
+/**
+ * Webhook Utilities
+ * Event types and the signature scheme shared by delivery and verification
+ *
+ * Deliveries carry an `x-sbtcpay-signature` header of the form
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`. While a rotated
+ * secret is still in its overlap window the header carries one v1 per secret.
+ *
+ * Endpoint URLs must use https and resolve to public addresses only, so that a
+ * merchant cannot point deliveries at the gateway's own network.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const PAYMENT_EVENT_TYPES = [
+  'payment.created',
+  'payment.processing',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.expired',
+  'payment.canceled',
+  'payment.refunded'
+];
+
+const MERCHANT_EVENT_TYPES = [
+  'merchant.updated'
+];
+
+const WEBHOOK_EVENT_TYPES = [...PAYMENT_EVENT_TYPES, ...MERCHANT_EVENT_TYPES];
+
+const SIGNATURE_HEADER = 'x-sbtcpay-signature';
+
+// Reject signatures older than this to limit replay of captured requests
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Loopback, private, link-local, shared, reserved and multicast ranges webhooks may not reach
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses are checked against the IPv4 ranges; NAT64 ones can reach any IPv4 host
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * HMAC of the timestamped payload
+ */
+const computeSignature = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`, 'utf8')
+  .digest('hex');
+
+/**
+ * Build the signature header value for a payload, signed with one secret or several
+ */
+const buildSignatureHeader = (payload, secrets, timestamp = Math.floor(Date.now() / 1000)) => [
+  `t=${timestamp}`,
+  ...[].concat(secrets).map(secret => `v1=${computeSignature(payload, secret, timestamp)}`)
+].join(',');
+
+/**
+ * Split a signature header into its timestamp and v1 signatures
+ */
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      parsed.timestamp = parseInt(value, 10);
+    } else if (key === 'v1' && value) {
+      parsed.signatures.push(value);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Check a signature header against the raw payload; true if it matches and is fresh
+ */
+const verifySignature = (payload, header, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!timestamp || signatures.length === 0) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  return signatures.some((signature) => {
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+};
+
+/**
+ * Whether an IP address is publicly routable
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check that deliveries may be sent to a webhook URL
+ *
+ * The host is resolved and every address it resolves to must be public, unless
+ * `allowPrivate` is set. Plain http is only accepted without `requireHttps`.
+ * Throws an error whose message starts with "Webhook URL" otherwise.
+ */
+const assertWebhookUrl = async (url, { lookup = dns.promises.lookup, requireHttps = true, allowPrivate = false } = {}) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' && (requireHttps || protocol !== 'http:')) {
+    throw new Error('Webhook URL must use https');
+  }
+
+  if (allowPrivate) {
+    return;
+  }
+
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`Webhook URL host could not be resolved: ${host}`);
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new Error('Webhook URL must resolve to a public address');
+  }
+};
+
+module.exports = {
+  PAYMENT_EVENT_TYPES,
+  MERCHANT_EVENT_TYPES,
+  WEBHOOK_EVENT_TYPES,
+  SIGNATURE_HEADER,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifySignature,
+  isPublicAddress,
+  assertWebhookUrl
+};
@@ -0,0 +1,62 @@
+/**
+ * Chain Event Fixtures
+ * Print events of the sbtc-payment-gateway contract, as Clarity values
+ */
+
+const { tupleCV, stringAsciiCV, uintCV, standardPrincipalCV } = require('@stacks/transactions');
+const { TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+
+const TEST_MERCHANT = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+const TEST_TREASURY = 'ST1HTBVD3JG9C05J7HBJTHGR0GGW7KXW28M5JS8QE';
+
+const paymentCompleted = ({
+  paymentId,
+  amount,
+  fee = Math.floor(amount * 0.025),
+  merchant = TEST_MERCHANT,
+  customer = TEST_CUSTOMER,
+  blockHeight = 100
+}) => tupleCV({
+  event: stringAsciiCV('payment-completed'),
+  'payment-id': stringAsciiCV(paymentId),
+  amount: uintCV(amount),
+  fee: uintCV(fee),
+  'net-amount': uintCV(amount - fee),
+  merchant: standardPrincipalCV(merchant),
+  customer: standardPrincipalCV(customer),
+  treasury: standardPrincipalCV(TEST_TREASURY),
+  'block-height': uintCV(blockHeight)
+});
+
+const paymentCancelled = ({ paymentId, merchant = TEST_MERCHANT, blockHeight = 100 }) => tupleCV({
+  event: stringAsciiCV('payment-cancelled'),
+  'payment-id': stringAsciiCV(paymentId),
+  merchant: standardPrincipalCV(merchant),
+  'block-height': uintCV(blockHeight)
+});
+
+const paymentRefunded = ({
+  paymentId,
+  amount,
+  totalRefunded = amount,
+  status = 'refunded',
+  merchant = TEST_MERCHANT,
+  customer = TEST_CUSTOMER,
+  blockHeight = 100
+}) => tupleCV({
+  event: stringAsciiCV('payment-refunded'),
+  'payment-id': stringAsciiCV(paymentId),
+  amount: uintCV(amount),
+  'total-refunded': uintCV(totalRefunded),
+  status: stringAsciiCV(status),
+  merchant: standardPrincipalCV(merchant),
+  customer: standardPrincipalCV(customer),
+  'block-height': uintCV(blockHeight)
+});
+
+module.exports = {
+  TEST_MERCHANT,
+  paymentCompleted,
+  paymentCancelled,
+  paymentRefunded
+};
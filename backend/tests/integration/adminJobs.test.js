@@ -0,0 +1,95 @@
+/**
+ * Integration Tests for the admin job endpoints
+ * Runs the expiry sweep through the API, follows the payment.expired webhook, reads the run history
+ * and the nonce manager state
+ */
+
+const request = require('supertest');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Admin job endpoints', () => {
+  let container;
+  let app;
+  let fakeFetch;
+  let secretKey;
+
+  const admin = (method, path) => request(app)[method](`/api/admin${path}`).set('Authorization', 'Bearer admin-secret');
+
+  beforeEach(async () => {
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ webhookFetch: fakeFetch }));
+
+    ({ secretKey } = await registerMerchant(app, { businessName: 'Expiry Store', email: 'expiry@example.com' }));
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_API_KEY;
+    container.jobScheduler.stop();
+    await container.database.close();
+  });
+
+  test('should expire stale intents on demand and record the run', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ url: 'https://example.com/hooks', events: ['payment.expired'] })
+      .expect(201);
+
+    const intent = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+    await container.paymentService.payments.update(intent.body.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const run = await admin('post', '/jobs/expire-payments/run').expect(200);
+    expect(run.body).toMatchObject({ job: 'expire-payments', status: 'succeeded', result: { expired: 1 } });
+
+    const payment = await request(app).get(`/api/payments/${intent.body.id}?client_secret=${intent.body.clientSecret}`).expect(200);
+    expect(payment.body.status).toBe('expired');
+
+    await waitFor(() => fakeFetch.mock.calls.length === 1);
+    expect(JSON.parse(fakeFetch.mock.calls[0][1].body)).toMatchObject({
+      type: 'payment.expired',
+      paymentIntent: { id: intent.body.id, status: 'expired' }
+    });
+
+    const runs = await admin('get', '/jobs/runs?job=expire-payments').expect(200);
+    expect(runs.body.data).toHaveLength(1);
+
+    const jobs = await admin('get', '/jobs').expect(200);
+    expect(jobs.body.data.map(job => job.name)).toEqual(expect.arrayContaining([
+      'expire-payments',
+      'retry-webhooks',
+      'reconcile-payments',
+      'index-chain-events',
+      'rebroadcast-stuck-transactions',
+      'purge-idempotency-keys'
+    ]));
+    expect(jobs.body.data.find(job => job.name === 'expire-payments').lastRun.id).toBe(run.body.id);
+  });
+
+  test('should show the nonce manager state and run the rebroadcast job', async () => {
+    const state = await admin('get', '/nonces').expect(200);
+    expect(state.body).toMatchObject({ feeStrategy: 'medium', feeBumpPercent: 25, signers: [] });
+
+    const run = await admin('post', '/jobs/rebroadcast-stuck-transactions/run').expect(200);
+    expect(run.body).toMatchObject({
+      status: 'succeeded',
+      result: { confirmed: 0, rebroadcast: 0, skipped: 0, failed: 0 }
+    });
+  });
+
+  test('should require the admin key and stay closed without one', async () => {
+    await request(app).get('/api/admin/jobs').set('Authorization', `Bearer ${secretKey}`).expect(401);
+    await request(app).get('/api/admin/nonces').set('Authorization', `Bearer ${secretKey}`).expect(401);
+    await admin('post', '/jobs/unknown/run').expect(404);
+
+    delete process.env.ADMIN_API_KEY;
+    await admin('get', '/jobs').expect(404);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Integration Tests for API key rolls and revocation
+ * Lists, rolls and revokes a merchant's keys over the API and checks the audit trail they leave
+ */
+
+const request = require('supertest');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+describe('API key rolls and revocation', () => {
+  let container;
+  let app;
+  let registration;
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp());
+
+    registration = await registerMerchant(app, { businessName: 'Rolling Store', email: 'rolls@example.com' });
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const as = (key, method, path) => request(app)[method](`/api/merchants${path}`).set('Authorization', `Bearer ${key}`);
+  const canList = key => request(app).get('/api/payments').set('Authorization', `Bearer ${key}`);
+
+  test('should list the keys of the calling mode without the keys themselves', async () => {
+    const test = (await as(registration.secretKey, 'get', '/keys').expect(200)).body.data;
+    expect(test.map(key => key.prefix).sort()).toEqual([
+      registration.apiKey.slice(0, 16),
+      registration.secretKey.slice(0, 16)
+    ].sort());
+    expect(test.every(key => !('key' in key) && key.expiresAt === null)).toBe(true);
+
+    const live = (await as(registration.liveSecretKey, 'get', '/keys').expect(200)).body.data;
+    expect(live.every(key => key.livemode)).toBe(true);
+
+    await as(registration.apiKey, 'get', '/keys').expect(403);
+  });
+
+  test('should roll the calling key and keep the old one working through the grace period', async () => {
+    const rolled = (await as(registration.secretKey, 'post', '/keys/roll')
+      .send({ gracePeriodSeconds: 3600 })
+      .expect(201)).body;
+
+    expect(rolled.key).toMatch(/^sk_test_[0-9a-f]{64}$/);
+    expect(rolled).toMatchObject({ type: 'secret', name: 'Default secret key', livemode: false });
+    expect(rolled.previousKey.prefix).toBe(registration.secretKey.slice(0, 16));
+    expect(new Date(rolled.previousKey.expiresAt).getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+
+    await canList(rolled.key).expect(200);
+    await canList(registration.secretKey).expect(200);
+
+    // Once the grace period is over the old key is deleted
+    expect(await container.apiKeyService.purgeExpired(new Date(Date.now() + 2 * 3600 * 1000))).toBe(1);
+    await canList(registration.secretKey).expect(401);
+    await canList(rolled.key).expect(200);
+
+    const events = (await as(rolled.key, 'get', '/keys/events').expect(200)).body.data;
+    expect(events.map(event => event.action)).toEqual(expect.arrayContaining(['created', 'rolled', 'expired']));
+    expect(events.find(event => event.action === 'expired').keyId).toBe(rolled.previousKey.id);
+    expect(events.find(event => event.action === 'rolled')).toMatchObject({
+      prefix: registration.secretKey.slice(0, 16),
+      replacedBy: rolled.id,
+      actor: { keyId: rolled.previousKey.id }
+    });
+    expect(JSON.stringify(events)).not.toContain(rolled.key);
+  });
+
+  test('should roll another key by prefix and stop the old one at once without a grace period', async () => {
+    const prefix = registration.apiKey.slice(0, 16);
+    const rolled = (await as(registration.secretKey, 'post', '/keys/roll').send({ prefix }).expect(201)).body;
+
+    expect(rolled.key).toMatch(/^pk_test_/);
+    await request(app).post('/api/merchants/validate-key').send({ apiKey: registration.apiKey })
+      .expect(200)
+      .expect(response => expect(response.body.valid).toBe(false));
+    await request(app).post('/api/payments').set('Authorization', `Bearer ${rolled.key}`).send({ amount: 1000 }).expect(201);
+
+    await as(registration.secretKey, 'post', '/keys/roll').send({ gracePeriodSeconds: 8 * 24 * 3600 }).expect(400);
+  });
+
+  test('should revoke a key by prefix, even during its grace period', async () => {
+    const rolled = (await as(registration.secretKey, 'post', '/keys/roll')
+      .send({ gracePeriodSeconds: 3600 })
+      .expect(201)).body;
+
+    const response = await as(rolled.key, 'delete', `/keys/${registration.secretKey.slice(0, 16)}`).expect(200);
+    expect(response.body).toMatchObject({ prefix: registration.secretKey.slice(0, 16), revoked: true });
+    await canList(registration.secretKey).expect(401);
+
+    await as(rolled.key, 'delete', `/keys/${registration.secretKey.slice(0, 16)}`).expect(404);
+    const events = (await as(rolled.key, 'get', '/keys/events').expect(200)).body.data;
+    expect(events.find(event => event.action === 'revoked')).toMatchObject({ keyId: rolled.previousKey.id });
+  });
+
+  test('should only manage keys of the same mode with no more scopes than the calling key', async () => {
+    const { key: manager } = (await as(registration.secretKey, 'post', '/keys')
+      .send({ name: 'Key manager', scopes: ['keys:manage', 'payments:read'] })
+      .expect(201)).body;
+    const { prefix: readerPrefix } = (await as(manager, 'post', '/keys')
+      .send({ name: 'Reader', scopes: ['payments:read'] })
+      .expect(201)).body;
+
+    const denied = await as(manager, 'delete', `/keys/${registration.secretKey.slice(0, 16)}`).expect(403);
+    expect(denied.body.error.message).toContain('cannot manage a key with');
+    await as(manager, 'post', '/keys/roll').send({ prefix: registration.apiKey.slice(0, 16) }).expect(403);
+    await as(manager, 'delete', `/keys/${readerPrefix}`).expect(200);
+
+    await as(registration.liveSecretKey, 'delete', `/keys/${registration.apiKey.slice(0, 16)}`).expect(404);
+    await canList(registration.secretKey).expect(200);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Integration Tests for API key storage and scopes
+ * Checks that keys are only stored hashed, that publishable keys stay off secret key routes and that restricted keys keep to their scopes
+ */
+
+const request = require('supertest');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+describe('API key storage and scopes', () => {
+  let container;
+  let app;
+  let registration;
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp());
+
+    registration = await registerMerchant(app, { businessName: 'Scoped Store', email: 'scopes@example.com' });
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const createKey = (body, key = registration.secretKey) => request(app)
+    .post('/api/merchants/keys')
+    .set('Authorization', `Bearer ${key}`)
+    .send(body);
+
+  test('should only store hashes and prefixes of issued keys', async () => {
+    const stored = JSON.stringify([
+      ...await container.database.query('SELECT * FROM api_keys'),
+      ...await container.database.query('SELECT * FROM merchants')
+    ]);
+    for (const key of [registration.apiKey, registration.secretKey, registration.liveApiKey, registration.liveSecretKey]) {
+      expect(stored).not.toContain(key);
+    }
+
+    const keys = await container.apiKeyService.findByMerchantId(registration.merchantId);
+    expect(keys.map(key => key.prefix).sort()).toEqual([
+      registration.apiKey.slice(0, 16),
+      registration.liveApiKey.slice(0, 16),
+      registration.liveSecretKey.slice(0, 16),
+      registration.secretKey.slice(0, 16)
+    ].sort());
+
+    // Registered secret keys are accepted, and revoked keys are not
+    await request(app).get('/api/payments').set('Authorization', `Bearer ${registration.secretKey}`).expect(200);
+    await container.apiKeyService.revoke(registration.secretKey);
+    await request(app).get('/api/payments').set('Authorization', `Bearer ${registration.secretKey}`).expect(401);
+  });
+
+  test('should only let publishable keys create payment intents', async () => {
+    const asPublishable = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${registration.apiKey}`);
+    const intent = (await asPublishable('post', '/api/payments').send({ amount: 1000 }).expect(201)).body;
+
+    const denied = await asPublishable('get', '/api/payments').expect(403);
+    expect(denied.body.error).toMatchObject({
+      type: 'authorization_error',
+      code: 'AUTHORIZATION_ERROR',
+      details: { keyType: 'publishable' }
+    });
+    expect(denied.body.error.message).toContain('requires a secret key');
+
+    await asPublishable('post', `/api/payments/${intent.id}/cancel`).send({}).expect(403);
+    await asPublishable('post', `/api/payments/${intent.id}/refunds`).send({}).expect(403);
+    await asPublishable('get', '/api/merchants/dashboard').expect(403);
+    await asPublishable('get', '/api/webhooks').expect(403);
+    await asPublishable('post', '/api/contracts/create-payment').send({}).expect(403);
+    await createKey({ name: 'From a browser', scopes: ['payments:read'] }, registration.apiKey).expect(403);
+
+    // The secret key reaches the same routes
+    await request(app).get('/api/payments').set('Authorization', `Bearer ${registration.secretKey}`).expect(200);
+    await request(app).get('/api/merchants/dashboard').set('Authorization', `Bearer ${registration.secretKey}`).expect(200);
+  });
+
+  test('should answer missing and unknown keys with an authentication error', async () => {
+    const missing = await request(app).get('/api/payments').expect(401);
+    expect(missing.body.error).toMatchObject({
+      type: 'authentication_error',
+      code: 'AUTHENTICATION_ERROR',
+      details: { code: 'MISSING_API_KEY' }
+    });
+
+    const unknown = await request(app).get('/api/payments').set('Authorization', `Bearer sk_test_${'0'.repeat(64)}`).expect(401);
+    expect(unknown.body.error).toMatchObject({ message: 'Invalid API key', details: { code: 'INVALID_API_KEY' } });
+  });
+
+  test('should mint a restricted key and enforce its scopes', async () => {
+    const response = await createKey({ name: 'Reporting', scopes: ['payments:read'] }).expect(201);
+    const restricted = response.body;
+    expect(restricted).toMatchObject({
+      name: 'Reporting',
+      type: 'restricted',
+      scopes: ['payments:read'],
+      livemode: false,
+      lastUsedAt: null
+    });
+    expect(restricted.key).toMatch(/^rk_test_[0-9a-f]{64}$/);
+    expect(restricted.prefix).toBe(restricted.key.slice(0, 16));
+
+    const asRestricted = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${restricted.key}`);
+    await asRestricted('get', '/api/payments').expect(200);
+    await asRestricted('get', '/api/merchants/dashboard').expect(200);
+
+    const denied = await asRestricted('post', '/api/payments').send({ amount: 1000 }).expect(403);
+    expect(denied.body.error).toMatchObject({
+      type: 'authorization_error',
+      message: 'This API key does not have the payments:write scope'
+    });
+    await asRestricted('get', '/api/webhooks').expect(403);
+    await asRestricted('post', '/api/contracts/create-payment').send({}).expect(403);
+    await createKey({ name: 'Escalation', scopes: ['payments:read'] }, restricted.key).expect(403);
+
+    const [stored] = (await container.apiKeyService.findByMerchantId(registration.merchantId))
+      .filter(key => key.id === restricted.id);
+    expect(stored.lastUsedAt).not.toBeNull();
+    expect(stored).not.toHaveProperty('key');
+  });
+
+  test('should not let a key grant scopes it does not hold', async () => {
+    const { key } = (await createKey({ name: 'Key admin', scopes: ['keys:manage', 'payments:read'] }).expect(201)).body;
+
+    const response = await createKey({ name: 'Writer', scopes: ['payments:write'] }, key).expect(403);
+    expect(response.body.error.message).toBe('This API key cannot grant: payments:write');
+    await createKey({ name: 'Reader', scopes: ['payments:read'] }, key).expect(201);
+
+    await createKey({ name: 'Unknown', scopes: ['payments:delete'] }).expect(400);
+    await createKey({ scopes: ['payments:read'] }).expect(400);
+  });
+
+  test('should mint live keys from live keys', async () => {
+    const { key, livemode } = (await createKey({ name: 'Live reporting', scopes: ['payments:read'] }, registration.liveSecretKey)
+      .expect(201)).body;
+
+    expect(livemode).toBe(true);
+    expect(key).toMatch(/^rk_live_/);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Integration Tests for payment intent cancellation
+ * Cancels intents through the API, off-chain and through cancel-payment, and follows the payment.canceled webhook
+ */
+
+const request = require('supertest');
+const { TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Payment intent cancellation', () => {
+  let container;
+  let app;
+  let contractService;
+  let fakeFetch;
+  let secretKey;
+  let intent;
+
+  beforeEach(async () => {
+    contractService = { cancelPayment: jest.fn().mockResolvedValue({ success: true, transactionId: '0xcancel' }) };
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ contractService, webhookFetch: fakeFetch }));
+
+    ({ secretKey } = await registerMerchant(app, { businessName: 'Cancel Store', email: 'cancel@example.com' }));
+
+    intent = (await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201)).body;
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const cancel = (body = {}, key = secretKey) => request(app)
+    .post(`/api/payments/${intent.id}/cancel`)
+    .set('Authorization', `Bearer ${key}`)
+    .send(body);
+
+  test('should cancel an intent, notify the merchant and refuse to confirm it afterwards', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ url: 'https://example.com/hooks', events: ['payment.canceled'] })
+      .expect(201);
+
+    const response = await cancel({ reason: 'Customer left the checkout' }).expect(200);
+    expect(response.body).toMatchObject({ id: intent.id, status: 'canceled', cancellationReason: 'Customer left the checkout' });
+    expect(contractService.cancelPayment).not.toHaveBeenCalled();
+
+    await waitFor(() => fakeFetch.mock.calls.length === 1);
+    const event = JSON.parse(fakeFetch.mock.calls[0][1].body);
+    expect(event).toMatchObject({ type: 'payment.canceled', paymentIntent: { id: intent.id, status: 'canceled' } });
+
+    const confirmation = await request(app)
+      .post(`/api/payments/${intent.id}/confirm`)
+      .send({ clientSecret: intent.clientSecret, customerAddress: TEST_CUSTOMER, transactionId: `0x${'a'.repeat(64)}` })
+      .expect(400);
+    expect(confirmation.body.error.message).toBe('Payment has been canceled');
+
+    const again = await cancel().expect(400);
+    expect(again.body.error.code).toBe('PAYMENT_NOT_CANCELABLE');
+  });
+
+  test('should cancel the on-chain payment when given the merchant key', async () => {
+    const merchantPrivateKey = 'b'.repeat(64);
+
+    const response = await cancel({ merchantPrivateKey }).expect(200);
+
+    expect(contractService.cancelPayment).toHaveBeenCalledWith({ paymentId: intent.paymentId, merchantPrivateKey, livemode: false });
+    expect(response.body).toMatchObject({ status: 'canceled', cancellationTransactionId: '0xcancel' });
+  });
+
+  test('should report a failed contract call and keep the intent open', async () => {
+    contractService.cancelPayment.mockRejectedValue(new Error('Failed to cancel payment on blockchain: BadNonce'));
+
+    const response = await cancel({ merchantPrivateKey: 'b'.repeat(64) }).expect(502);
+    expect(response.body.error.code).toBe('BLOCKCHAIN_ERROR');
+
+    const payment = await request(app).get(`/api/payments/${intent.id}`).set('Authorization', `Bearer ${secretKey}`).expect(200);
+    expect(payment.body.status).toBe('requires_payment_method');
+  });
+
+  test('should hide intents of other merchants and require an API key', async () => {
+    const other = await registerMerchant(app, { businessName: 'Other Store', email: 'other@example.com', stacksAddress: TEST_CUSTOMER });
+
+    await cancel({}, other.secretKey).expect(404);
+    await request(app).post(`/api/payments/${intent.id}/cancel`).send({}).expect(401);
+  });
+});
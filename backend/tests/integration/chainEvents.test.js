@@ -0,0 +1,96 @@
+/**
+ * Integration Tests for the stacks-node event observer endpoint
+ * Posts observer blocks through the full app and checks the payment settles
+ */
+
+const request = require('supertest');
+const logger = require('../../src/utils/logger');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+const { FakeStacksNode } = require('../utils/fakeStacksNode');
+const { TEST_MERCHANT, paymentCompleted } = require('../fixtures/chainEvents');
+
+describe('Chain event observer', () => {
+  let container;
+  let app;
+  let node;
+  let secretKey;
+
+  beforeEach(async () => {
+    process.env.CHAIN_OBSERVER_TOKEN = 'observer-token';
+    ({ container, app } = createTestApp());
+    node = new FakeStacksNode({ contractId: container.chainIndexer.contractId });
+
+    ({ secretKey } = await registerMerchant(app, { businessName: 'Observed Store', email: 'observed@example.com', stacksAddress: TEST_MERCHANT }));
+  });
+
+  afterEach(async () => {
+    delete process.env.CHAIN_OBSERVER_TOKEN;
+    await container.database.close();
+  });
+
+  test('should settle a payment from a posted block', async () => {
+    const intent = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+
+    node.mineBlock([paymentCompleted({ paymentId: intent.body.paymentId, amount: 50000 })]);
+
+    const response = await request(app)
+      .post('/api/chain-events/observer-token/new_block')
+      .send(node.newBlockPayload())
+      .expect(200);
+    expect(response.body).toEqual({ indexed: 1, orphaned: 0 });
+
+    const payment = await request(app).get(`/api/payments/${intent.body.id}`).set('Authorization', `Bearer ${secretKey}`).expect(200);
+    expect(payment.body).toMatchObject({ status: 'succeeded', blockHeight: 101 });
+  });
+
+  test('should acknowledge other observer payloads', async () => {
+    await request(app)
+      .post('/api/chain-events/observer-token/new_burn_block')
+      .send({ burn_block_hash: '0xabc', burn_block_height: 900 })
+      .expect(200);
+  });
+
+  test('should reject a wrong token and stay closed without one', async () => {
+    await request(app)
+      .post('/api/chain-events/wrong-token/new_block')
+      .send({ block_height: 1, block_hash: '0x1' })
+      .expect(401);
+
+    delete process.env.CHAIN_OBSERVER_TOKEN;
+    await request(app)
+      .post('/api/chain-events/observer-token/new_block')
+      .send({ block_height: 1, block_hash: '0x1' })
+      .expect(404);
+  });
+
+  test('should keep the observer token out of request logs', async () => {
+    const logged = [];
+    for (const level of ['info', 'warn']) {
+      jest.spyOn(logger, level).mockImplementation((message, meta) => logged.push(JSON.stringify(meta)));
+    }
+
+    await request(app)
+      .post('/api/chain-events/observer-token/new_burn_block')
+      .send({ burn_block_height: 900 })
+      .expect(200);
+    await request(app)
+      .post('/api/chain-events/wrong-token/new_block')
+      .send({ block_height: 1, block_hash: '0x1' })
+      .expect(401);
+    jest.restoreAllMocks();
+
+    expect(logged.join('\n')).toContain('/api/chain-events/[REDACTED]/new_burn_block');
+    expect(logged.join('\n')).not.toMatch(/observer-token|wrong-token/);
+  });
+
+  test('should reject blocks without a height or hash', async () => {
+    await request(app)
+      .post('/api/chain-events/observer-token/new_block')
+      .send({ events: [] })
+      .expect(400);
+  });
+});
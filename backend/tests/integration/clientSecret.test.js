@@ -0,0 +1,117 @@
+/**
+ * Integration Tests for client secret access to payment intents
+ * Reads and confirms intents the way a checkout page does, with the client secret instead of an API key
+ */
+
+const request = require('supertest');
+const logger = require('../../src/utils/logger');
+const { TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+describe('Client secret access to payment intents', () => {
+  let container;
+  let app;
+  let registration;
+  let intent;
+
+  const register = (email, fields) => registerMerchant(app, { businessName: 'Checkout Store', email, ...fields });
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp());
+
+    registration = await register('checkout@example.com');
+    intent = (await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${registration.apiKey}`)
+      .send({ amount: 50000, description: 'Coffee' })
+      .expect(201)).body;
+    await container.paymentService.update(intent.id, { customerAddress: TEST_CUSTOMER });
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  test('should return the public view to the holder of the client secret', async () => {
+    const response = await request(app)
+      .get(`/api/payments/${intent.id}`)
+      .query({ client_secret: intent.clientSecret })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      id: intent.id,
+      paymentId: intent.paymentId,
+      amount: 50000,
+      description: 'Coffee',
+      status: 'requires_payment_method',
+      livemode: false
+    });
+    for (const field of ['merchantId', 'customerAddress', 'fee', 'clientSecret', 'amountRefunded']) {
+      expect(response.body).not.toHaveProperty(field);
+    }
+  });
+
+  test('should not tell a wrong client secret from an unknown intent', async () => {
+    const wrong = await request(app)
+      .get(`/api/payments/${intent.id}`)
+      .query({ client_secret: `${intent.paymentId}_secret_${'0'.repeat(32)}` })
+      .expect(404);
+    const unknown = await request(app)
+      .get('/api/payments/pi_unknown')
+      .query({ client_secret: intent.clientSecret })
+      .expect(404);
+
+    expect(wrong.body.error.code).toBe('NOT_FOUND');
+    expect(wrong.body.error.message).toBe(`Payment intent with ID '${intent.id}' not found`);
+    expect(unknown.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should need the client secret or the merchant secret key to read an intent', async () => {
+    await request(app).get(`/api/payments/${intent.id}`).expect(401);
+    await request(app).get(`/api/payments/${intent.id}`).set('Authorization', `Bearer ${registration.apiKey}`).expect(403);
+
+    const full = await request(app)
+      .get(`/api/payments/${intent.id}`)
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .expect(200);
+    expect(full.body).toMatchObject({ id: intent.id, fee: intent.fee, customerAddress: TEST_CUSTOMER });
+
+    const other = await register('other@example.com', { stacksAddress: TEST_CUSTOMER });
+    await request(app).get(`/api/payments/${intent.id}`).set('Authorization', `Bearer ${other.secretKey}`).expect(404);
+    await request(app).get(`/api/payments/${intent.id}`).set('Authorization', `Bearer ${registration.liveSecretKey}`).expect(404);
+  });
+
+  test('should only confirm with the client secret', async () => {
+    const confirmation = { customerAddress: TEST_CUSTOMER, transactionId: `0x${'a'.repeat(64)}` };
+
+    const missing = await request(app).post(`/api/payments/${intent.id}/confirm`).send(confirmation).expect(400);
+    expect(missing.body.error.code).toBe('VALIDATION_ERROR');
+
+    await request(app)
+      .post(`/api/payments/${intent.id}/confirm`)
+      .send({ ...confirmation, clientSecret: `${intent.paymentId}_secret_${'0'.repeat(32)}` })
+      .expect(404);
+
+    expect((await container.paymentService.findById(intent.id)).status).toBe('requires_payment_method');
+  });
+
+  test('should keep client secrets out of the logs', async () => {
+    const logged = [];
+    for (const level of ['info', 'warn', 'error']) {
+      jest.spyOn(logger, level).mockImplementation((message, ...meta) => logged.push(JSON.stringify(meta)));
+    }
+
+    await request(app)
+      .get(`/api/payments/${intent.id}`)
+      .query({ client_secret: intent.clientSecret })
+      .expect(200);
+    await request(app)
+      .post(`/api/payments/${intent.id}/confirm`)
+      .send({ customerAddress: 'not-an-address', clientSecret: intent.clientSecret })
+      .expect(400);
+    jest.restoreAllMocks();
+
+    expect(logged.join('\n')).toContain('client_secret=[REDACTED]');
+    expect(logged.join('\n')).not.toContain(intent.clientSecret);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Integration Tests for read-only contract queries
+ * Reads payments, merchants, the fee and platform stats from the contract,
+ * against a fake Stacks node answering read-only calls
+ */
+
+const request = require('supertest');
+const {
+  cvToHex,
+  hexToCV,
+  cvToString,
+  tupleCV,
+  uintCV,
+  stringAsciiCV,
+  standardPrincipalCV,
+  someCV,
+  noneCV,
+  trueCV,
+  falseCV
+} = require('@stacks/transactions');
+const ContractService = require('../../src/services/contractService');
+const { TEST_CONTRACT_ID, TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp } } = require('../utils/testHelpers');
+
+const MERCHANT_ADDRESS = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+
+const PAYMENT = tupleCV({
+  merchant: standardPrincipalCV(MERCHANT_ADDRESS),
+  amount: uintCV(50000),
+  fee: uintCV(1250),
+  status: stringAsciiCV('completed'),
+  customer: someCV(standardPrincipalCV(TEST_CUSTOMER)),
+  description: noneCV(),
+  'created-at': uintCV(120),
+  'expires-at': uintCV(264),
+  'processed-at': someCV(uintCV(125))
+});
+
+const MERCHANT = tupleCV({
+  'business-name': stringAsciiCV('Chain Store'),
+  email: stringAsciiCV('chain@example.com'),
+  'is-active': trueCV(),
+  'total-processed': uintCV(48750),
+  'fee-collected': uintCV(1250),
+  'payments-count': uintCV(1),
+  'registered-at': uintCV(100)
+});
+
+/**
+ * Answers /v2/contracts/call-read for the gateway's read-only functions
+ */
+function createFakeNode() {
+  const results = {
+    'get-payment': args => (cvToString(hexToCV(args[0])) === '"pay_onchain_1"' ? someCV(PAYMENT) : noneCV()),
+    'is-payment-expired': () => falseCV(),
+    'get-refunded-amount': () => uintCV(0),
+    'get-merchant': args => (cvToString(hexToCV(args[0])) === MERCHANT_ADDRESS ? someCV(MERCHANT) : noneCV()),
+    'get-fee-percentage': () => uintCV(250),
+    'get-platform-stats': () => tupleCV({
+      'total-payments': uintCV(12),
+      'total-volume': uintCV(9007199254740993n),
+      'current-fee-percentage': uintCV(250)
+    })
+  };
+
+  const fetchImpl = jest.fn(async (url, options) => {
+    const [, contractId, functionName] = url.match(/\/v2\/contracts\/call-read\/([^/]+\/[^/]+)\/([^/?]+)/);
+    const { arguments: args } = JSON.parse(options.body);
+    const body = contractId === TEST_CONTRACT_ID.replace('.', '/')
+      ? { okay: true, result: cvToHex(results[functionName](args)) }
+      : { okay: false, cause: 'Unchecked(NoSuchContract)' };
+    return { ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) };
+  });
+
+  return { fetchImpl };
+}
+
+describe('Read-only contract queries', () => {
+  let container;
+  let app;
+  let node;
+
+  const calls = functionName => node.fetchImpl.mock.calls.filter(([url]) => url.endsWith(`/${functionName}`)).length;
+
+  beforeEach(() => {
+    node = createFakeNode();
+    ({ container, app } = createTestApp({
+      contractService: new ContractService({ fetchImpl: node.fetchImpl, readCacheTtl: 60000 })
+    }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await container.database.close();
+  });
+
+  test('should decode a payment into JSON with camelCase keys', async () => {
+    const response = await request(app).get('/api/contracts/payments/pay_onchain_1').expect(200);
+
+    expect(response.body).toEqual({
+      paymentId: 'pay_onchain_1',
+      merchant: MERCHANT_ADDRESS,
+      amount: 50000,
+      fee: 1250,
+      status: 'completed',
+      customer: TEST_CUSTOMER,
+      description: null,
+      createdAt: 120,
+      expiresAt: 264,
+      processedAt: 125,
+      expired: false,
+      refundedAmount: 0
+    });
+    expect(response.headers['cache-control']).toBe('public, max-age=60');
+
+    const missing = await request(app).get('/api/contracts/payments/pay_unknown').expect(404);
+    expect(missing.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should read merchants by address', async () => {
+    const response = await request(app).get(`/api/contracts/merchants/${MERCHANT_ADDRESS}`).expect(200);
+    expect(response.body).toEqual({
+      address: MERCHANT_ADDRESS,
+      businessName: 'Chain Store',
+      email: 'chain@example.com',
+      isActive: true,
+      totalProcessed: 48750,
+      feeCollected: 1250,
+      paymentsCount: 1,
+      registeredAt: 100
+    });
+
+    await request(app).get(`/api/contracts/merchants/${TEST_CUSTOMER}`).expect(404);
+    await request(app).get('/api/contracts/merchants/not-an-address').expect(400);
+  });
+
+  test('should read the fee and platform stats, keeping large integers exact', async () => {
+    const fee = await request(app).get('/api/contracts/fee').expect(200);
+    expect(fee.body).toEqual({ feeBasisPoints: 250, feePercent: 2.5 });
+
+    const stats = await request(app).get('/api/contracts/stats').expect(200);
+    expect(stats.body).toEqual({ totalPayments: 12, totalVolume: '9007199254740993', currentFeePercentage: 250 });
+  });
+
+  test('should serve repeated queries from the cache until it expires', async () => {
+    await Promise.all([
+      request(app).get('/api/contracts/fee').expect(200),
+      request(app).get('/api/contracts/fee').expect(200)
+    ]);
+    await request(app).get('/api/contracts/fee').expect(200);
+    expect(calls('get-fee-percentage')).toBe(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 60001);
+    await request(app).get('/api/contracts/fee').expect(200);
+    await request(app).get('/api/contracts/fee').expect(200);
+    expect(calls('get-fee-percentage')).toBe(2);
+  });
+
+  test('should answer 502 when the node cannot be read', async () => {
+    node.fetchImpl.mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', text: async () => '' });
+
+    const response = await request(app).get('/api/contracts/stats').expect(502);
+    expect(response.body.error.code).toBe('BLOCKCHAIN_ERROR');
+
+    // Failures are not cached
+    await request(app).get('/api/contracts/stats').expect(200);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Integration Tests for Idempotency-Key handling
+ * Retries POST /api/payments and merchant registration through the full app
+ */
+
+const request = require('supertest');
+const { FakeStacksApiClient } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp } } = require('../utils/testHelpers');
+
+describe('Idempotency-Key', () => {
+  let container;
+  let app;
+  let apiKey;
+
+  const registration = {
+    businessName: 'Idempotent Store',
+    email: 'retry@example.com',
+    stacksAddress: 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB'
+  };
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp({ stacksApi: new FakeStacksApiClient() }));
+
+    const response = await request(app)
+      .post('/api/merchants/register')
+      .send(registration)
+      .expect(201);
+    apiKey = response.body.apiKey;
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const createPayment = (key, body) => {
+    const req = request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${apiKey}`);
+    return (key ? req.set('Idempotency-Key', key) : req).send(body);
+  };
+
+  test('should replay the first response instead of creating a duplicate payment', async () => {
+    const first = await createPayment('order-42', { amount: 50000, description: 'Order 42' }).expect(201);
+    const retry = await createPayment('order-42', { description: 'Order 42', amount: 50000 }).expect(201);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const merchantId = await container.apiKeyService.getMerchantFromApiKey(apiKey);
+    expect(await container.paymentService.payments.count({ merchantId })).toBe(1);
+  });
+
+  test('should reject a key reused with a different body', async () => {
+    await createPayment('order-43', { amount: 50000 }).expect(201);
+
+    const response = await createPayment('order-43', { amount: 75000 }).expect(422);
+
+    expect(response.body.error).toMatchObject({ type: 'idempotency_error', code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+
+  test('should create separate payments without a key or with different keys', async () => {
+    await createPayment(null, { amount: 50000 }).expect(201);
+    await createPayment(null, { amount: 50000 }).expect(201);
+    await createPayment('order-44', { amount: 50000 }).expect(201);
+    await createPayment('order-45', { amount: 50000 }).expect(201);
+
+    const merchantId = await container.apiKeyService.getMerchantFromApiKey(apiKey);
+    expect(await container.paymentService.payments.count({ merchantId })).toBe(4);
+  });
+
+  test('should replay validation errors for the same request', async () => {
+    await createPayment('order-46', { amount: -1 }).expect(400);
+
+    const retry = await createPayment('order-46', { amount: -1 }).expect(400);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('should reject keys longer than 255 characters', async () => {
+    await createPayment('k'.repeat(256), { amount: 50000 }).expect(400);
+  });
+
+  test('should never store merchant registrations, whose responses hold secret keys', async () => {
+    const retry = await request(app)
+      .post('/api/merchants/register')
+      .set('Idempotency-Key', 'register-1')
+      .send(registration)
+      .expect(409);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(await container.database.query('SELECT id FROM idempotency_keys')).toEqual([]);
+  });
+});
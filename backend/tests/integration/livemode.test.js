@@ -0,0 +1,154 @@
+/**
+ * Integration Tests for test and live mode
+ * Registers a merchant with both key pairs and checks that each mode only sees its own data and network
+ */
+
+const request = require('supertest');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Test and live mode', () => {
+  let container;
+  let app;
+  let fakeFetch;
+  let registration;
+
+  beforeEach(async () => {
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ webhookFetch: fakeFetch }));
+
+    registration = await registerMerchant(app, { businessName: 'Two Mode Store', email: 'modes@example.com' });
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const createIntent = (key, amount) => request(app)
+    .post('/api/payments')
+    .set('Authorization', `Bearer ${key}`)
+    .send({ amount })
+    .expect(201);
+
+  const getDashboard = key => request(app)
+    .get('/api/merchants/dashboard')
+    .set('Authorization', `Bearer ${key}`)
+    .expect(200);
+
+  test('should issue a test and a live key pair', async () => {
+    expect(registration.apiKey).toMatch(/^pk_test_[0-9a-f]{64}$/);
+    expect(registration.secretKey).toMatch(/^sk_test_[0-9a-f]{64}$/);
+    expect(registration.liveApiKey).toMatch(/^pk_live_[0-9a-f]{64}$/);
+    expect(registration.liveSecretKey).toMatch(/^sk_live_[0-9a-f]{64}$/);
+
+    const validation = await request(app)
+      .post('/api/merchants/validate-key')
+      .send({ apiKey: registration.liveApiKey })
+      .expect(200);
+    expect(validation.body).toMatchObject({ valid: true, livemode: true });
+
+    expect(await container.apiKeyService.getStats()).toEqual({ totalKeys: 4, testKeys: 2, liveKeys: 2 });
+  });
+
+  test('should keep test and live intents and dashboards apart', async () => {
+    const testIntent = (await createIntent(registration.apiKey, 10000)).body;
+    const liveIntent = (await createIntent(registration.liveApiKey, 70000)).body;
+    expect(testIntent.livemode).toBe(false);
+    expect(liveIntent.livemode).toBe(true);
+
+    const listed = async key => (await request(app)
+      .get('/api/payments')
+      .set('Authorization', `Bearer ${key}`)
+      .expect(200)).body.data.map(intent => intent.id);
+    expect(await listed(registration.secretKey)).toEqual([testIntent.id]);
+    expect(await listed(registration.liveSecretKey)).toEqual([liveIntent.id]);
+
+    // A live key cannot reach a test intent
+    await request(app)
+      .post(`/api/payments/${testIntent.id}/cancel`)
+      .set('Authorization', `Bearer ${registration.liveSecretKey}`)
+      .send({})
+      .expect(404);
+
+    const livePayment = await container.paymentService.update(liveIntent.id, { status: 'succeeded' });
+    container.paymentService.emit('payment.succeeded', livePayment);
+    await waitFor(async () => (await getDashboard(registration.liveSecretKey)).body.paymentsCount === 1);
+
+    const live = (await getDashboard(registration.liveSecretKey)).body;
+    expect(live).toMatchObject({ livemode: true, totalProcessed: 70000, successfulPayments: 1 });
+    expect(live.recentPayments.map(payment => payment.id)).toEqual([liveIntent.paymentId]);
+
+    const test = (await getDashboard(registration.secretKey)).body;
+    expect(test).toMatchObject({ livemode: false, totalProcessed: 0, paymentsCount: 0, successfulPayments: 0 });
+    expect(test.recentPayments.map(payment => payment.id)).toEqual([testIntent.paymentId]);
+  });
+
+  test('should keep test and live webhook endpoints and deliveries apart', async () => {
+    const createEndpoint = async (key, url) => (await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${key}`)
+      .send({ url, events: ['payment.created'] })
+      .expect(201)).body;
+    const testEndpoint = await createEndpoint(registration.secretKey, 'https://example.com/test-hooks');
+    const liveEndpoint = await createEndpoint(registration.liveSecretKey, 'https://example.com/live-hooks');
+    expect(testEndpoint.livemode).toBe(false);
+    expect(liveEndpoint.livemode).toBe(true);
+
+    const listEndpoints = async key => (await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', `Bearer ${key}`)
+      .expect(200)).body.data.map(endpoint => endpoint.id);
+    expect(await listEndpoints(registration.secretKey)).toEqual([testEndpoint.id]);
+    expect(await listEndpoints(registration.liveSecretKey)).toEqual([liveEndpoint.id]);
+    await request(app)
+      .get(`/api/webhooks/${liveEndpoint.id}`)
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .expect(404);
+
+    await createIntent(registration.apiKey, 10000);
+    await createIntent(registration.liveApiKey, 70000);
+
+    const listDeliveries = async key => (await request(app)
+      .get('/api/webhooks/deliveries')
+      .set('Authorization', `Bearer ${key}`)
+      .expect(200)).body.data;
+    await waitFor(async () => (await listDeliveries(registration.liveSecretKey)).length === 1);
+
+    const [liveDelivery] = await listDeliveries(registration.liveSecretKey);
+    expect(liveDelivery).toMatchObject({ endpointId: liveEndpoint.id, livemode: true });
+    expect(liveDelivery.event.paymentIntent).toMatchObject({ amount: 70000, livemode: true });
+    await waitFor(async () => (await listDeliveries(registration.secretKey)).length === 1);
+    expect((await listDeliveries(registration.secretKey))[0]).toMatchObject({ endpointId: testEndpoint.id, livemode: false });
+    expect(fakeFetch.mock.calls.map(([url]) => url).sort())
+      .toEqual(['https://example.com/live-hooks', 'https://example.com/test-hooks']);
+
+    // A test key cannot read or replay a live delivery
+    await request(app)
+      .get(`/api/webhooks/deliveries/${liveDelivery.id}`)
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .expect(404);
+    await request(app)
+      .post(`/api/webhooks/deliveries/${liveDelivery.id}/replay`)
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .expect(404);
+    await request(app)
+      .post(`/api/webhooks/deliveries/${liveDelivery.id}/replay`)
+      .set('Authorization', `Bearer ${registration.liveSecretKey}`)
+      .expect(201);
+  });
+
+  test('should refuse live mode contract calls against a testnet contract', async () => {
+    const liveIntent = (await createIntent(registration.liveApiKey, 70000)).body;
+
+    const response = await request(app)
+      .post(`/api/payments/${liveIntent.id}/cancel`)
+      .set('Authorization', `Bearer ${registration.liveSecretKey}`)
+      .send({ merchantPrivateKey: 'a'.repeat(64) })
+      .expect(403);
+
+    expect(response.body.error.message).toBe('Live mode keys can only call a mainnet contract');
+    expect((await container.paymentService.findById(liveIntent.id)).status).toBe('requires_payment_method');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Integration Tests for the merchant profile
+ * Reads and changes a merchant's profile over the API and follows merchant.updated to a webhook endpoint
+ */
+
+const request = require('supertest');
+const { TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+const PAYOUT_ADDRESS = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+
+describe('Merchant profile', () => {
+  let container;
+  let app;
+  let fakeFetch;
+  let registration;
+
+  beforeEach(async () => {
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ webhookFetch: fakeFetch }));
+
+    registration = await registerMerchant(app, { businessName: 'Profile Store', email: 'profile@example.com', stacksAddress: PAYOUT_ADDRESS });
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const getProfile = key => request(app).get('/api/merchants/me').set('Authorization', `Bearer ${key}`);
+  const updateProfile = (body, key = registration.secretKey) => request(app)
+    .patch('/api/merchants/me')
+    .set('Authorization', `Bearer ${key}`)
+    .send(body);
+
+  test('should return the profile to secret keys only', async () => {
+    const response = await getProfile(registration.secretKey).expect(200);
+    expect(response.body).toMatchObject({
+      id: registration.merchantId,
+      businessName: 'Profile Store',
+      email: 'profile@example.com',
+      stacksAddress: PAYOUT_ADDRESS,
+      logoUrl: null,
+      supportUrl: null,
+      statementDescriptor: null
+    });
+    expect(response.body).not.toHaveProperty('totalProcessed');
+
+    await getProfile(registration.apiKey).expect(403);
+    await request(app).get('/api/merchants/me').expect(401);
+  });
+
+  test('should update profile fields and validate them', async () => {
+    const response = await updateProfile({
+      businessName: 'Profile Store Ltd',
+      logoUrl: 'https://example.com/logo.png',
+      supportUrl: 'https://example.com/support',
+      statementDescriptor: 'PROFILE STORE'
+    }).expect(200);
+
+    expect(response.body).toMatchObject({
+      businessName: 'Profile Store Ltd',
+      logoUrl: 'https://example.com/logo.png',
+      statementDescriptor: 'PROFILE STORE'
+    });
+    expect((await getProfile(registration.secretKey)).body.supportUrl).toBe('https://example.com/support');
+
+    await updateProfile({}).expect(400);
+    await updateProfile({ email: 'not-an-email' }).expect(400);
+    await updateProfile({ logoUrl: 'ftp://example.com/logo.png' }).expect(400);
+    await updateProfile({ statementDescriptor: 'ACME*' }).expect(400);
+    await updateProfile({ totalProcessed: 0 }).expect(400);
+  });
+
+  test('should only change the payout address with a secret key and send merchant.updated', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .send({ url: 'https://example.com/hooks', events: ['merchant.updated'] })
+      .expect(201);
+
+    const { key: restricted } = (await request(app)
+      .post('/api/merchants/keys')
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .send({ name: 'Profile editor', scopes: ['account:write'] })
+      .expect(201)).body;
+
+    const denied = await updateProfile({ stacksAddress: TEST_CUSTOMER }, restricted).expect(403);
+    expect(denied.body.error.details).toMatchObject({ field: 'stacksAddress', keyType: 'restricted' });
+    await updateProfile({ supportUrl: 'https://example.com/help' }, restricted).expect(200);
+
+    await updateProfile({ stacksAddress: TEST_CUSTOMER }).expect(200);
+    expect((await getProfile(registration.secretKey)).body.stacksAddress).toBe(TEST_CUSTOMER);
+
+    await waitFor(() => fakeFetch.mock.calls.length === 2);
+    const event = JSON.parse(fakeFetch.mock.calls[1][1].body);
+    expect(event).toMatchObject({
+      type: 'merchant.updated',
+      merchant: { id: registration.merchantId, stacksAddress: TEST_CUSTOMER },
+      previousAttributes: { stacksAddress: PAYOUT_ADDRESS }
+    });
+    expect(event).not.toHaveProperty('paymentIntent');
+  });
+
+  test('should not move the payout address onto another merchant', async () => {
+    await registerMerchant(app, { businessName: 'Other Store', email: 'other@example.com', stacksAddress: TEST_CUSTOMER });
+
+    const response = await updateProfile({ stacksAddress: TEST_CUSTOMER }).expect(409);
+    expect(response.body.error.code).toBe('CONFLICT_ERROR');
+
+    // The other merchant registers between the check and the update
+    jest.spyOn(container.merchantService, 'existsByAddress').mockResolvedValue(false);
+    const raced = await updateProfile({ stacksAddress: TEST_CUSTOMER }).expect(409);
+    expect(raced.body.error.code).toBe('CONFLICT_ERROR');
+    expect((await getProfile(registration.secretKey)).body.stacksAddress).toBe(PAYOUT_ADDRESS);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Integration Tests for merchant deactivation
+ * Deactivates and reactivates a merchant through the admin API, off-chain and on the contract
+ */
+
+const request = require('supertest');
+const ContractService = require('../../src/services/contractService');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+const MERCHANT_ADDRESS = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+const OWNER_KEY = 'b'.repeat(64);
+
+describe('Merchant deactivation', () => {
+  let container;
+  let app;
+  let contractService;
+  let fakeFetch;
+  let registration;
+
+  const admin = path => request(app).post(`/api/admin/merchants${path}`).set('Authorization', 'Bearer admin-secret');
+  const createIntent = () => request(app)
+    .post('/api/payments')
+    .set('Authorization', `Bearer ${registration.apiKey}`)
+    .send({ amount: 1000 });
+
+  beforeEach(async () => {
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    contractService = new ContractService();
+    jest.spyOn(contractService, 'createContractTransaction').mockResolvedValue({ success: true, txId: '0xstatus' });
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ contractService, webhookFetch: fakeFetch }));
+
+    registration = await registerMerchant(app, { businessName: 'Status Store', email: 'status@example.com', stacksAddress: MERCHANT_ADDRESS });
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_API_KEY;
+    container.jobScheduler.stop();
+    await container.database.close();
+  });
+
+  test('should refuse new intents while deactivated and show the status on the dashboard', async () => {
+    const response = await admin(`/${registration.merchantId}/deactivate`)
+      .send({ reason: 'Chargeback investigation' })
+      .expect(200);
+    expect(response.body).toMatchObject({
+      id: registration.merchantId,
+      isActive: false,
+      deactivationReason: 'Chargeback investigation',
+      transactionId: null
+    });
+    expect(contractService.createContractTransaction).not.toHaveBeenCalled();
+
+    const refused = await createIntent().expect(400);
+    expect(refused.body.error.code).toBe('MERCHANT_INACTIVE');
+
+    const dashboard = await request(app)
+      .get('/api/merchants/dashboard')
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .expect(200);
+    expect(dashboard.body).toMatchObject({ isActive: false, deactivatedAt: response.body.deactivatedAt });
+
+    await admin(`/${registration.merchantId}/reactivate`).expect(200);
+    await createIntent().expect(201);
+  });
+
+  test('should call the contract with the owner key and send merchant.updated', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .send({ url: 'https://example.com/hooks', events: ['merchant.updated'] })
+      .expect(201);
+
+    const response = await admin(`/${registration.merchantId}/deactivate`)
+      .send({ ownerPrivateKey: OWNER_KEY })
+      .expect(200);
+    expect(response.body.transactionId).toBe('0xstatus');
+
+    const [functionName, functionArgs, senderKey] = contractService.createContractTransaction.mock.calls[0];
+    expect(functionName).toBe('deactivate-merchant');
+    expect(functionArgs).toHaveLength(1);
+    expect(senderKey).toBe(OWNER_KEY);
+
+    await waitFor(() => fakeFetch.mock.calls.length === 1);
+    expect(JSON.parse(fakeFetch.mock.calls[0][1].body)).toMatchObject({
+      type: 'merchant.updated',
+      merchant: { id: registration.merchantId, isActive: false },
+      previousAttributes: { isActive: true }
+    });
+
+    await admin(`/${registration.merchantId}/reactivate`).send({ ownerPrivateKey: OWNER_KEY }).expect(200);
+    expect(contractService.createContractTransaction.mock.calls[1][0]).toBe('reactivate-merchant');
+  });
+
+  test('should leave the merchant active when the contract call fails', async () => {
+    contractService.createContractTransaction.mockResolvedValueOnce({ success: false, error: 'NotEnoughFunds' });
+
+    const response = await admin(`/${registration.merchantId}/deactivate`)
+      .send({ ownerPrivateKey: OWNER_KEY })
+      .expect(502);
+    expect(response.body.error.code).toBe('BLOCKCHAIN_ERROR');
+    await createIntent().expect(201);
+  });
+
+  test('should need the admin key and a known merchant', async () => {
+    await request(app).post(`/api/admin/merchants/${registration.merchantId}/deactivate`).expect(401);
+    await admin('/unknown-merchant/deactivate').expect(404);
+    await admin(`/${registration.merchantId}/deactivate`).send({ ownerPrivateKey: 'short' }).expect(400);
+  });
+});
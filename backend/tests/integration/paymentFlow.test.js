@@ -133,7 +133,7 @@ describe('Payment Flow Integration Tests', () => {
       // Initial dashboard state
       const initialDashboard = await request(app)
         .get('/api/merchants/dashboard')
-        .set('Authorization', `Bearer ${testApiKey}`);
+        .set('Authorization', `Bearer ${testMerchant.secretKey}`);
 
       expect(initialDashboard.status).toBe(200);
       const initialStats = initialDashboard.body;
@@ -173,7 +173,7 @@ describe('Payment Flow Integration Tests', () => {
       // Check updated dashboard
       const updatedDashboard = await request(app)
         .get('/api/merchants/dashboard')
-        .set('Authorization', `Bearer ${testApiKey}`);
+        .set('Authorization', `Bearer ${testMerchant.secretKey}`);
 
       expect(updatedDashboard.status).toBe(200);
       const updatedStats = updatedDashboard.body;
@@ -427,11 +427,11 @@ describe('Payment Flow Integration Tests', () => {
       // Verify each merchant can only access their own dashboard
       const dashboard1Response = await request(app)
         .get('/api/merchants/dashboard')
-        .set('Authorization', `Bearer ${testApiKey}`);
+        .set('Authorization', `Bearer ${testMerchant.secretKey}`);
 
       const dashboard2Response = await request(app)
         .get('/api/merchants/dashboard')
-        .set('Authorization', `Bearer ${secondMerchant.apiKey}`);
+        .set('Authorization', `Bearer ${secondMerchant.secretKey}`);
 
       expect(dashboard1Response.status).toBe(200);
       expect(dashboard2Response.status).toBe(200);
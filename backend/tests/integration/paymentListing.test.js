@@ -0,0 +1,95 @@
+/**
+ * Integration Tests for payment intent listing
+ * Lists a merchant's intents through the API with filters and walks the pages with the cursor
+ */
+
+const request = require('supertest');
+const { TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+describe('Payment intent listing', () => {
+  let container;
+  let app;
+  let secretKey;
+  let merchantId;
+
+  const register = (email, fields) => registerMerchant(app, { businessName: 'Listing Store', email, ...fields });
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp());
+    ({ secretKey, merchantId } = await register('listing@example.com'));
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const list = (query = {}, key = secretKey) => request(app)
+    .get('/api/payments')
+    .query(query)
+    .set('Authorization', `Bearer ${key}`);
+
+  const createIntent = (amount, description) => container.paymentService.createPaymentIntent(merchantId, { amount, description });
+
+  test('should walk every page with the cursor', async () => {
+    const created = [];
+    for (let i = 0; i < 5; i++) {
+      created.push(await createIntent(10000 + i, `Order ${i}`));
+    }
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = (await list({ limit: 2, ...(cursor && { cursor }) }).expect(200)).body;
+      expect(page.data.length).toBeLessThanOrEqual(2);
+      seen.push(...page.data.map(intent => intent.id));
+      cursor = page.nextCursor;
+      expect(page.hasMore).toBe(Boolean(cursor));
+    } while (cursor);
+
+    expect(seen).toHaveLength(5);
+    expect(new Set(seen)).toEqual(new Set(created.map(intent => intent.id)));
+  });
+
+  test('should filter by status, amount, customer, date and description', async () => {
+    const coffee = await createIntent(5000, 'Coffee subscription');
+    const shirt = await createIntent(25000, 'Cotton shirt');
+    const paid = await createIntent(80000, 'Espresso machine');
+    await container.paymentService.payments.update(paid.id, { status: 'succeeded', customerAddress: TEST_CUSTOMER });
+    await container.paymentService.cancelPaymentIntent(merchantId, shirt.id);
+
+    const ids = async (query) => (await list(query).expect(200)).body.data.map(intent => intent.id);
+
+    expect(await ids({ status: 'succeeded,canceled' })).toEqual(expect.arrayContaining([paid.id, shirt.id]));
+    expect(await ids({ status: 'succeeded,canceled' })).toHaveLength(2);
+    expect(await ids({ minAmount: 10000, maxAmount: 50000 })).toEqual([shirt.id]);
+    expect(await ids({ customerAddress: TEST_CUSTOMER })).toEqual([paid.id]);
+    expect(await ids({ search: 'coffee' })).toEqual([coffee.id]);
+    expect(await ids({ createdAfter: '2000-01-01', createdBefore: '2000-12-31' })).toEqual([]);
+    expect(await ids({ createdAfter: new Date(Date.now() - 60000).toISOString() })).toHaveLength(3);
+  });
+
+  test('should only list the merchant\'s own intents', async () => {
+    await createIntent(5000, 'Mine');
+    const other = await register('other@example.com', { stacksAddress: TEST_CUSTOMER });
+
+    const response = await list({}, other.secretKey).expect(200);
+    expect(response.body).toEqual({ data: [], hasMore: false, nextCursor: null });
+
+    await request(app).get('/api/payments').expect(401);
+  });
+
+  test('should reject invalid filters and foreign cursors', async () => {
+    const intent = await createIntent(5000, 'Mine');
+    const other = await register('other@example.com', { stacksAddress: TEST_CUSTOMER });
+
+    await list({ limit: 500 }).expect(400);
+    await list({ status: 'settled' }).expect(400);
+    await list({ minAmount: 'lots' }).expect(400);
+    await list({ minAmount: 9000, maxAmount: 1000 }).expect(400);
+    await list({ createdAfter: 'yesterday' }).expect(400);
+
+    const response = await list({ cursor: intent.id }, other.secretKey).expect(400);
+    expect(response.body.error.message).toBe('Invalid pagination cursor');
+  });
+});
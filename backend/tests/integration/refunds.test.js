@@ -0,0 +1,182 @@
+/**
+ * Integration Tests for refunds
+ * Settles a payment, then refunds it in two parts through the API and follows the payment.refunded webhook
+ */
+
+const request = require('supertest');
+const {
+  FakeStacksApiClient,
+  buildProcessPaymentTx,
+  buildRefundPaymentTx,
+  TEST_CUSTOMER
+} = require('../utils/fakeStacksApi');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Refunds', () => {
+  let container;
+  let app;
+  let stacksApi;
+  let fakeFetch;
+  let secretKey;
+  let payment;
+
+  beforeEach(async () => {
+    stacksApi = new FakeStacksApiClient();
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ stacksApi, webhookFetch: fakeFetch }));
+
+    ({ secretKey } = await registerMerchant(app, { businessName: 'Refund Store', email: 'refunds@example.com' }));
+
+    const intent = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+
+    const txId = `0x${'a'.repeat(64)}`;
+    stacksApi.setTransaction(buildProcessPaymentTx({
+      txId,
+      paymentId: intent.body.paymentId,
+      amount: 50000,
+      contractId: container.verifier.contractId
+    }));
+
+    const confirmation = await request(app)
+      .post(`/api/payments/${intent.body.id}/confirm`)
+      .send({ clientSecret: intent.body.clientSecret, customerAddress: TEST_CUSTOMER, transactionId: txId })
+      .expect(200);
+    expect(confirmation.body.status).toBe('succeeded');
+    payment = intent.body;
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const refunds = (path = '') => `/api/payments/${payment.id}/refunds${path}`;
+
+  const storeRefundTx = (txId, amount, refundStatus) => stacksApi.setTransaction(buildRefundPaymentTx({
+    txId,
+    paymentId: payment.paymentId,
+    amount,
+    refundStatus,
+    contractId: container.verifier.contractId
+  }));
+
+  test('should refund a payment in two parts and notify the merchant', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ url: 'https://example.com/hooks', events: ['payment.refunded'] })
+      .expect(201);
+
+    const partial = await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 20000, reason: 'Damaged item' })
+      .expect(201);
+    expect(partial.body).toMatchObject({
+      amount: 20000,
+      status: 'pending',
+      contractCall: { functionName: 'refund-payment', functionArgs: { paymentId: payment.paymentId, amount: 20000 } }
+    });
+
+    storeRefundTx(`0x${'b'.repeat(64)}`, 20000, 'partially_refunded');
+    const confirmed = await request(app)
+      .post(refunds(`/${partial.body.id}/confirm`))
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ transactionId: `0x${'b'.repeat(64)}` })
+      .expect(200);
+    expect(confirmed.body.status).toBe('succeeded');
+
+    const afterPartial = await request(app).get(`/api/payments/${payment.id}`).set('Authorization', `Bearer ${secretKey}`).expect(200);
+    expect(afterPartial.body).toMatchObject({ status: 'partially_refunded', amountRefunded: 20000 });
+
+    storeRefundTx(`0x${'c'.repeat(64)}`, 30000, 'refunded');
+    const rest = await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ transactionId: `0x${'c'.repeat(64)}` })
+      .expect(201);
+    expect(rest.body).toMatchObject({ amount: 30000, status: 'succeeded' });
+
+    const afterFull = await request(app).get(`/api/payments/${payment.id}`).set('Authorization', `Bearer ${secretKey}`).expect(200);
+    expect(afterFull.body).toMatchObject({ status: 'refunded', amountRefunded: 50000 });
+
+    const list = await request(app)
+      .get(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(2);
+
+    await waitFor(() => fakeFetch.mock.calls.length === 2);
+    const events = fakeFetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(events.map(event => event.type)).toEqual(['payment.refunded', 'payment.refunded']);
+    expect(events.map(event => event.refund.amount).sort()).toEqual([20000, 30000]);
+
+    const getDashboard = () => request(app)
+      .get('/api/merchants/dashboard')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+    await waitFor(async () => (await getDashboard()).body.totalRefunded === 50000);
+  });
+
+  test('should reject refunds above the amount left to refund', async () => {
+    const response = await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 60000 })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('REFUND_EXCEEDS_PAYMENT');
+  });
+
+  test('should cancel a pending refund and free its amount', async () => {
+    const refund = await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({})
+      .expect(201);
+    expect(refund.body.expiresAt).toEqual(expect.any(String));
+
+    const canceled = await request(app)
+      .post(refunds(`/${refund.body.id}/cancel`))
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+    expect(canceled.body.status).toBe('canceled');
+
+    const again = await request(app)
+      .post(refunds(`/${refund.body.id}/cancel`))
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(400);
+    expect(again.body.error.code).toBe('REFUND_NOT_PENDING');
+
+    await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+  });
+
+  test('should hide refunds from other merchants', async () => {
+    const refund = await request(app)
+      .post(refunds())
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({})
+      .expect(201);
+
+    const other = await registerMerchant(app, { businessName: 'Other Store', email: 'other@example.com', stacksAddress: TEST_CUSTOMER });
+
+    await request(app)
+      .get(refunds(`/${refund.body.id}`))
+      .set('Authorization', `Bearer ${other.secretKey}`)
+      .expect(404);
+    await request(app)
+      .get(refunds(`/${refund.body.id}`))
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+  });
+});
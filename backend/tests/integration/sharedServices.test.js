@@ -0,0 +1,140 @@
+/**
+ * Integration Tests for the service container
+ * Routes, controllers and auth middleware must all see the same service instances
+ */
+
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { createContainer } = require('../../src/container');
+const { FakeStacksApiClient, buildProcessPaymentTx, TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Shared service container', () => {
+  let container;
+  let app;
+  let stacksApi;
+
+  beforeEach(() => {
+    stacksApi = new FakeStacksApiClient();
+    ({ container, app } = createTestApp({ stacksApi }));
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  test('should show payments created through the API on the dashboard', async () => {
+    const { secretKey } = await registerMerchant(app, { businessName: 'Shared Store', email: 'shared@example.com' });
+
+    const intent = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000, description: 'Shared order' })
+      .expect(201);
+
+    const dashboard = await request(app)
+      .get('/api/merchants/dashboard')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+
+    expect(dashboard.body.recentPayments).toEqual([
+      expect.objectContaining({ id: intent.body.paymentId, amount: 50000 })
+    ]);
+  });
+
+  test('should credit merchant stats once a confirmed payment verifies', async () => {
+    const { secretKey } = await registerMerchant(app, { businessName: 'Shared Store', email: 'shared@example.com' });
+
+    const intent = await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+
+    const txId = `0x${'a'.repeat(64)}`;
+    stacksApi.setTransaction(buildProcessPaymentTx({
+      txId,
+      paymentId: intent.body.paymentId,
+      amount: 50000,
+      contractId: container.verifier.contractId
+    }));
+
+    const confirmation = await request(app)
+      .post(`/api/payments/${intent.body.id}/confirm`)
+      .send({ clientSecret: intent.body.clientSecret, customerAddress: TEST_CUSTOMER, transactionId: txId })
+      .expect(200);
+    expect(confirmation.body.status).toBe('succeeded');
+
+    const getDashboard = () => request(app)
+      .get('/api/merchants/dashboard')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+
+    await waitFor(async () => (await getDashboard()).body.paymentsCount === 1);
+
+    // Confirming again neither re-verifies nor credits the merchant twice
+    const repeat = await request(app)
+      .post(`/api/payments/${intent.body.id}/confirm`)
+      .send({ clientSecret: intent.body.clientSecret, customerAddress: TEST_CUSTOMER, transactionId: txId })
+      .expect(400);
+    expect(repeat.body.error.code).toBe('PAYMENT_NOT_CONFIRMABLE');
+
+    const dashboard = await getDashboard();
+    expect(dashboard.body).toMatchObject({
+      totalProcessed: 50000,
+      feeCollected: intent.body.fee,
+      paymentsCount: 1,
+      successfulPayments: 1
+    });
+  });
+
+  test('should use injected services in routes and auth middleware', async () => {
+    const apiKeyService = {
+      validateApiKey: jest.fn().mockResolvedValue({ valid: true, keyType: 'test' }),
+      getMerchantFromApiKey: jest.fn().mockResolvedValue('merchant_fake'),
+      getSystemStatus: jest.fn().mockResolvedValue({})
+    };
+    const paymentService = {
+      on: jest.fn(),
+      createPaymentIntent: jest.fn().mockResolvedValue({ id: 'pi_fake', amount: 1000 })
+    };
+    const merchantService = {
+      on: jest.fn(),
+      findById: jest.fn().mockResolvedValue({ id: 'merchant_fake' })
+    };
+    const fakeContainer = createContainer({
+      database: container.database,
+      stacksApi,
+      apiKeyService,
+      paymentService,
+      merchantService
+    });
+
+    const response = await request(createApp(fakeContainer))
+      .post('/api/payments')
+      .set('Authorization', 'Bearer pk_test_fake')
+      .send({ amount: 1000 })
+      .expect(201);
+
+    expect(response.body).toMatchObject({ id: 'pi_fake' });
+    expect(apiKeyService.validateApiKey).toHaveBeenCalledWith('pk_test_fake');
+    expect(paymentService.createPaymentIntent).toHaveBeenCalledWith('merchant_fake', expect.objectContaining({ amount: 1000 }));
+  });
+
+  test('should not open the default database when the app, routes or auth middleware are required', () => {
+    jest.isolateModules(() => {
+      const database = require('../../src/database');
+      const getDatabase = jest.spyOn(database, 'getDatabase');
+
+      require('../../src/app');
+      require('../../src/routes/paymentRoutes');
+      const { requireApiKey } = require('../../src/middleware/auth');
+
+      expect(typeof requireApiKey).toBe('function');
+      expect(getDatabase).not.toHaveBeenCalled();
+    });
+  });
+});
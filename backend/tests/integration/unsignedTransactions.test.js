@@ -0,0 +1,240 @@
+/**
+ * Integration Tests for unsigned contract calls
+ * Builds unsigned gateway transactions over the API, signs them the way a wallet does
+ * and broadcasts them, against a fake Stacks node
+ */
+
+const request = require('supertest');
+const {
+  deserializeTransaction,
+  makeRandomPrivKey,
+  getPublicKey,
+  publicKeyToString,
+  privateKeyToString,
+  getAddressFromPublicKey,
+  TransactionVersion,
+  TransactionSigner,
+  addressToString,
+  createLPString
+} = require('@stacks/transactions');
+const ContractService = require('../../src/services/contractService');
+const { TEST_CONTRACT_ID } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+const GATEWAY_ABI = {
+  functions: [
+    {
+      name: 'create-payment-intent',
+      access: 'public',
+      args: [
+        { name: 'payment-id', type: { 'string-ascii': { length: 64 } } },
+        { name: 'amount', type: 'uint128' },
+        { name: 'description', type: { optional: { 'string-ascii': { length: 255 } } } },
+        { name: 'expires-in-blocks', type: 'uint128' }
+      ],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } }
+    },
+    {
+      name: 'process-payment',
+      access: 'public',
+      args: [
+        { name: 'payment-id', type: { 'string-ascii': { length: 64 } } },
+        { name: 'token', type: 'trait_reference' }
+      ],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } }
+    },
+    {
+      name: 'cancel-payment',
+      access: 'public',
+      args: [{ name: 'payment-id', type: { 'string-ascii': { length: 64 } } }],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } }
+    },
+    {
+      name: 'deactivate-merchant',
+      access: 'public',
+      args: [{ name: 'merchant-address', type: 'principal' }],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } }
+    },
+    {
+      name: 'register-merchant',
+      access: 'public',
+      args: [
+        { name: 'business-name', type: { 'string-ascii': { length: 100 } } },
+        { name: 'email', type: { 'string-ascii': { length: 100 } } }
+      ],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } }
+    }
+  ],
+  variables: [],
+  maps: [],
+  fungible_tokens: [],
+  non_fungible_tokens: []
+};
+
+/**
+ * Answers the node RPC calls the transaction builder and broadcast make
+ */
+function createFakeNode() {
+  const broadcasts = [];
+  const json = body => ({ ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) });
+
+  const fetchImpl = jest.fn(async (url, options = {}) => {
+    if (url.includes('/v2/contracts/interface/')) {
+      return json(GATEWAY_ABI);
+    }
+    if (url.includes('/nonces')) {
+      return json({ possible_next_nonce: 7 });
+    }
+    if (url.includes('/v2/fees/transaction')) {
+      return json({ estimations: [{ fee: 1000 }, { fee: 2000 }, { fee: 3000 }] });
+    }
+    if (url.endsWith('/v2/transactions') && options.method === 'POST') {
+      const transaction = deserializeTransaction(Buffer.from(options.body));
+      broadcasts.push(transaction);
+      return { ok: true, status: 200, text: async () => `"${transaction.txid()}"` };
+    }
+    return { ok: false, status: 404, statusText: 'Not Found', text: async () => '', json: async () => ({}) };
+  });
+
+  return { fetchImpl, broadcasts };
+}
+
+/**
+ * Sign a serialized transaction as a wallet would
+ */
+function sign(hex, privateKey) {
+  const transaction = deserializeTransaction(hex);
+  new TransactionSigner(transaction).signOrigin(privateKey);
+  return Buffer.from(transaction.serialize()).toString('hex');
+}
+
+describe('Unsigned contract calls', () => {
+  let container;
+  let app;
+  let node;
+  let secretKey;
+  let merchantId;
+  let privateKey;
+  let publicKey;
+
+  const call = path => request(app).post(`/api/contracts${path}`).set('Authorization', `Bearer ${secretKey}`);
+
+  beforeEach(async () => {
+    node = createFakeNode();
+    ({ container, app } = createTestApp({ contractService: new ContractService({ fetchImpl: node.fetchImpl }) }));
+
+    ({ secretKey, merchantId } = await registerMerchant(app, { businessName: 'Wallet Store', email: 'wallet@example.com' }));
+
+    privateKey = makeRandomPrivKey();
+    publicKey = publicKeyToString(getPublicKey(privateKey));
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  test('should build an unsigned process-payment with its post-conditions and broadcast it once signed', async () => {
+    const response = await call('/process-payment')
+      .send({ paymentId: 'pay_wallet_1', amount: 50000, publicKey })
+      .expect(200);
+
+    // The customer signs, so the sBTC post-condition is on the public key's address
+    const customerAddress = getAddressFromPublicKey(publicKey, TransactionVersion.Testnet);
+    const { unsignedTransaction } = response.body;
+    expect(response.body).toMatchObject({ paymentId: 'pay_wallet_1', customerAddress, status: 'requires_signature' });
+    expect(unsignedTransaction).toMatchObject({
+      functionName: 'process-payment',
+      nonce: 7,
+      fee: 2000,
+      postConditionMode: 'deny',
+      postConditions: [{
+        type: 'fungible',
+        principal: customerAddress,
+        conditionCode: 'Equal',
+        amount: '50000'
+      }]
+    });
+
+    const built = deserializeTransaction(unsignedTransaction.transaction);
+    expect(`${addressToString(built.payload.contractAddress)}.${built.payload.contractName.content}`).toBe(TEST_CONTRACT_ID);
+    expect(built.postConditions.values).toHaveLength(1);
+
+    const broadcast = await call('/broadcast')
+      .send({ transaction: sign(unsignedTransaction.transaction, privateKey) })
+      .expect(200);
+    expect(broadcast.body).toMatchObject({ success: true, functionName: 'process-payment' });
+    expect(broadcast.body.transactionId).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(node.broadcasts).toHaveLength(1);
+  });
+
+  test('should take the nonce and fee from the request instead of the node', async () => {
+    const response = await call('/register-merchant')
+      .send({ businessName: 'Wallet Store', email: 'wallet@example.com', publicKey, nonce: 2, fee: 500 })
+      .expect(200);
+
+    expect(response.body.unsignedTransaction).toMatchObject({ nonce: 2, fee: 500, postConditionMode: 'allow', postConditions: [] });
+    expect(node.fetchImpl.mock.calls.some(([url]) => url.includes('/nonces') || url.includes('/v2/fees'))).toBe(false);
+  });
+
+  test('should refuse private keys outside devnet', async () => {
+    const response = await call('/create-payment')
+      .send({ paymentId: 'pay_wallet_2', amount: 50000, merchantPrivateKey: privateKeyToString(privateKey) })
+      .expect(403);
+
+    expect(response.body.error.message).toContain('only be sent to the API on devnet');
+    expect(node.fetchImpl).not.toHaveBeenCalled();
+
+    await call('/create-payment').send({ paymentId: 'pay_wallet_2', amount: 50000 }).expect(400);
+    await call('/create-payment')
+      .send({ paymentId: 'pay_wallet_2', amount: 50000, publicKey, merchantPrivateKey: privateKeyToString(privateKey) })
+      .expect(400);
+  });
+
+  test('should build unsigned cancel-payment and merchant status calls', async () => {
+    const intent = (await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201)).body;
+
+    const canceled = await request(app)
+      .post(`/api/payments/${intent.id}/cancel`)
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ publicKey })
+      .expect(200);
+    expect(canceled.body).toMatchObject({ status: 'canceled', cancellationTransactionId: null });
+    expect(canceled.body.unsignedTransaction).toMatchObject({ functionName: 'cancel-payment', nonce: 7 });
+
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    try {
+      const deactivated = await request(app)
+        .post(`/api/admin/merchants/${merchantId}/deactivate`)
+        .set('Authorization', 'Bearer admin-secret')
+        .send({ publicKey, nonce: 3, fee: 500 })
+        .expect(200);
+      expect(deactivated.body).toMatchObject({ isActive: false, transactionId: null });
+      expect(deactivated.body.unsignedTransaction).toMatchObject({ functionName: 'deactivate-merchant', nonce: 3, fee: 500 });
+    } finally {
+      delete process.env.ADMIN_API_KEY;
+    }
+
+    expect(node.broadcasts).toHaveLength(0);
+  });
+
+  test('should only broadcast signed calls to the gateway contract', async () => {
+    await call('/broadcast').send({ transaction: 'not-hex' }).expect(400);
+    await call('/broadcast').send({ transaction: 'abcd' }).expect(400);
+
+    const { unsignedTransaction } = (await call('/create-payment')
+      .send({ paymentId: 'pay_wallet_3', amount: 50000, publicKey })
+      .expect(200)).body;
+    const other = deserializeTransaction(unsignedTransaction.transaction);
+    other.payload.contractName = createLPString('another-contract');
+
+    const response = await call('/broadcast')
+      .send({ transaction: sign(Buffer.from(other.serialize()).toString('hex'), privateKey) })
+      .expect(400);
+    expect(response.body.error.message).toContain('only calls to');
+    expect(node.broadcasts).toHaveLength(0);
+  });
+});
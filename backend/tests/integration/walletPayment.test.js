@@ -0,0 +1,90 @@
+/**
+ * Integration Tests for customer wallet payments
+ * Builds the process-payment call a checkout page hands to the customer's wallet, with the client secret
+ */
+
+const request = require('supertest');
+const { hexToCV, cvToString, deserializePostCondition, BytesReader } = require('@stacks/transactions');
+const ContractService = require('../../src/services/contractService');
+const { TEST_CONTRACT_ID, TEST_CUSTOMER } = require('../utils/fakeStacksApi');
+const { appHelpers: { createTestApp, registerMerchant } } = require('../utils/testHelpers');
+
+describe('Customer wallet payments', () => {
+  let container;
+  let app;
+  let registration;
+  let intent;
+
+  const contractCall = (body, id = intent.id) => request(app)
+    .post(`/api/payments/${id}/contract-call`)
+    .send(body);
+
+  beforeEach(async () => {
+    ({ container, app } = createTestApp());
+
+    registration = await registerMerchant(app, { businessName: 'Wallet Checkout', email: 'checkout@example.com' });
+    intent = (await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${registration.apiKey}`)
+      .send({ amount: 50000, description: 'Coffee' })
+      .expect(201)).body;
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  test('should build the process-payment call with the customer as the only sBTC sender', async () => {
+    const response = await contractCall({ clientSecret: intent.clientSecret, customerAddress: TEST_CUSTOMER }).expect(200);
+
+    const [contractAddress, contractName] = TEST_CONTRACT_ID.split('.');
+    expect(response.body).toMatchObject({
+      paymentIntentId: intent.id,
+      contractAddress,
+      contractName,
+      functionName: 'process-payment',
+      postConditionMode: 'deny',
+      network: 'testnet',
+      customerAddress: TEST_CUSTOMER,
+      amount: 50000
+    });
+
+    // The customer is tx-sender, so only the payment ID and the token are passed
+    const [paymentId, token] = response.body.functionArgs.map(arg => cvToString(hexToCV(arg)));
+    expect(response.body.functionArgs).toHaveLength(2);
+    expect(paymentId).toBe(`"${intent.paymentId}"`);
+    expect(token).toMatch(/\.sbtc-token$/);
+
+    const postConditions = response.body.postConditions
+      .map(hex => deserializePostCondition(new BytesReader(Buffer.from(hex, 'hex'))));
+    expect(new ContractService().describePostConditions(postConditions)).toEqual([{
+      type: 'fungible',
+      principal: TEST_CUSTOMER,
+      conditionCode: 'Equal',
+      amount: '50000',
+      asset: expect.stringMatching(/\.sbtc-token::sbtc-token$/)
+    }]);
+  });
+
+  test('should need the client secret and a Stacks address', async () => {
+    const wrong = await contractCall({
+      clientSecret: `${intent.paymentId}_secret_${'0'.repeat(32)}`,
+      customerAddress: TEST_CUSTOMER
+    }).expect(404);
+    expect(wrong.body.error.code).toBe('NOT_FOUND');
+
+    await contractCall({ customerAddress: TEST_CUSTOMER }).expect(400);
+    await contractCall({ clientSecret: intent.clientSecret, customerAddress: 'not-an-address' }).expect(400);
+  });
+
+  test('should refuse intents that can no longer be paid', async () => {
+    await request(app)
+      .post(`/api/payments/${intent.id}/cancel`)
+      .set('Authorization', `Bearer ${registration.secretKey}`)
+      .send({})
+      .expect(200);
+
+    const response = await contractCall({ clientSecret: intent.clientSecret, customerAddress: TEST_CUSTOMER }).expect(400);
+    expect(response.body.error.code).toBe('PAYMENT_NOT_PAYABLE');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Integration Tests for webhook delivery
+ * Registers an endpoint over the API and follows payment events through the delivery log and replay
+ */
+
+const request = require('supertest');
+const { FakeStacksApiClient } = require('../utils/fakeStacksApi');
+const {
+  asyncHelpers: { waitFor },
+  appHelpers: { createTestApp, fakeWebhookFetch, registerMerchant }
+} = require('../utils/testHelpers');
+
+describe('Webhook delivery', () => {
+  let container;
+  let app;
+  let fakeFetch;
+  let secretKey;
+
+  beforeEach(async () => {
+    fakeFetch = fakeWebhookFetch();
+    ({ container, app } = createTestApp({ stacksApi: new FakeStacksApiClient(), webhookFetch: fakeFetch }));
+
+    ({ secretKey } = await registerMerchant(app, { businessName: 'Webhook Store', email: 'hooks@example.com' }));
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const createEndpoint = (body) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', `Bearer ${secretKey}`)
+    .send(body);
+
+  test('should reject endpoints without a URL or with unknown events', async () => {
+    await createEndpoint({ events: ['payment.succeeded'] }).expect(400);
+    await createEndpoint({ url: 'https://example.com/hooks', events: ['payment.disputed'] }).expect(400);
+  });
+
+  test('should reject endpoints on plain http or private addresses', async () => {
+    const insecure = await createEndpoint({ url: 'http://example.com/hooks', events: ['payment.succeeded'] }).expect(400);
+    expect(insecure.body.error).toMatchObject({ code: 'VALIDATION_ERROR', field: 'url' });
+
+    const internal = await createEndpoint({ url: 'https://10.0.0.5/hooks', events: ['payment.succeeded'] }).expect(400);
+    expect(internal.body.error.message).toBe('Webhook URL must resolve to a public address');
+  });
+
+  test('should deliver payment.created to a registered endpoint and replay it', async () => {
+    const endpoint = await createEndpoint({ url: 'https://example.com/hooks', events: ['payment.created'] }).expect(201);
+    expect(endpoint.body.secret).toMatch(/^whsec_/);
+
+    await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .send({ amount: 50000 })
+      .expect(201);
+
+    const listDeliveries = () => request(app)
+      .get('/api/webhooks/deliveries')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(200);
+
+    await waitFor(async () => (await listDeliveries()).body.data.length === 1);
+
+    const [delivery] = (await listDeliveries()).body.data;
+    expect(delivery).toMatchObject({ eventType: 'payment.created', status: 'succeeded', endpointId: endpoint.body.id });
+    expect(fakeFetch).toHaveBeenCalledWith('https://example.com/hooks', expect.objectContaining({ method: 'POST' }));
+
+    const replay = await request(app)
+      .post(`/api/webhooks/deliveries/${delivery.id}/replay`)
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(201);
+    expect(replay.body).toMatchObject({ replayOf: delivery.id, eventId: delivery.eventId, status: 'succeeded' });
+
+    await request(app)
+      .get('/api/webhooks/deliveries/whd_missing')
+      .set('Authorization', `Bearer ${secretKey}`)
+      .expect(404);
+  });
+});
@@ -3,207 +3,222 @@
  * Manages test data isolation and cleanup for comprehensive testing
  */
 
+const { v4: uuidv4 } = require('uuid');
+const { createDatabase } = require('../../src/database');
+const PaymentService = require('../../src/services/paymentService');
+const MerchantService = require('../../src/services/merchantService');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const TransactionVerifier = require('../../src/services/transactionVerifier');
+const { FakeStacksApiClient } = require('../utils/fakeStacksApi');
+
 /**
- * In-Memory Test Database Implementation
- * Since the current backend uses in-memory storage, this provides
- * utilities for managing test data isolation
+ * Embedded Test Database
+ * Runs an in-memory SQLite database through the same services and
+ * repositories the application uses, so each instance is fully isolated
  */
 class TestDatabase {
   constructor() {
-    this.reset();
+    this.database = null;
   }
 
-  reset() {
-    this.payments = new Map();
-    this.merchants = new Map();
-    this.apiKeys = new Map(); // apiKey -> merchantId mapping
-    this.merchantStats = new Map();
+  async reset() {
+    if (this.database) {
+      await this.database.close();
+    }
+
+    this.database = createDatabase(':memory:');
+    await this.database.ready();
+
+    this.stacksApi = new FakeStacksApiClient();
+    this.paymentService = new PaymentService({
+      database: this.database,
+      verifier: new TransactionVerifier({ stacksApi: this.stacksApi })
+    });
+    this.merchantService = new MerchantService({ database: this.database });
+    this.apiKeyService = new ApiKeyService({ database: this.database });
+    await this.merchantService.demoMerchantReady;
+
     this.sequences = {
       payment: 0,
       merchant: 0
     };
+    return this;
+  }
+
+  async close() {
+    if (this.database) {
+      await this.database.close();
+      this.database = null;
+    }
   }
 
   // Payment operations
-  createPayment(payment) {
+  async createPayment(payment) {
     const id = payment.id || this.generatePaymentId();
     const paymentData = {
       ...payment,
       id,
+      paymentId: payment.paymentId || `pi_${uuidv4()}`,
       createdAt: payment.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    this.payments.set(id, paymentData);
-    return paymentData;
+    return this.paymentService.create(paymentData);
   }
 
-  getPayment(id) {
-    return this.payments.get(id) || null;
+  async getPayment(id) {
+    return this.paymentService.findById(id);
   }
 
-  updatePayment(id, updates) {
-    const existing = this.payments.get(id);
-    if (!existing) return null;
-
-    const updated = {
-      ...existing,
+  async updatePayment(id, updates) {
+    return this.paymentService.payments.update(id, {
       ...updates,
       updatedAt: new Date().toISOString()
-    };
-
-    this.payments.set(id, updated);
-    return updated;
+    });
   }
 
-  deletePayment(id) {
-    return this.payments.delete(id);
+  async deletePayment(id) {
+    return this.paymentService.delete(id);
   }
 
-  getAllPayments() {
-    return Array.from(this.payments.values());
+  async getAllPayments() {
+    return this.paymentService.payments.findAll();
   }
 
-  getPaymentsByMerchant(merchantId) {
-    return Array.from(this.payments.values())
-      .filter(payment => payment.merchantId === merchantId);
+  async getPaymentsByMerchant(merchantId) {
+    return this.paymentService.findByMerchantId(merchantId);
   }
 
-  getPaymentsByStatus(status) {
-    return Array.from(this.payments.values())
-      .filter(payment => payment.status === status);
+  async getPaymentsByStatus(status) {
+    return this.paymentService.findByStatus(status);
   }
 
   // Merchant operations
-  createMerchant(merchant) {
+  async createMerchant(merchant) {
     const id = merchant.id || this.generateMerchantId();
     const merchantData = {
+      isActive: true,
+      totalProcessed: 0,
+      feeCollected: 0,
+      paymentsCount: 0,
       ...merchant,
       id,
       createdAt: merchant.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    this.merchants.set(id, merchantData);
-    
-    // Create API key mapping
-    if (merchantData.apiKey) {
-      this.apiKeys.set(merchantData.apiKey, id);
-    }
+    await this.database.transaction(async (tx) => {
+      await this.merchantService.merchants.create(merchantData, tx);
 
-    // Initialize merchant stats
-    this.merchantStats.set(id, {
-      totalProcessed: 0,
-      feeCollected: 0,
-      paymentsCount: 0,
-      activePayments: 0,
-      successfulPayments: 0,
-      recentPayments: []
+      // Create API key mapping
+      if (merchantData.apiKey) {
+        await this.apiKeyService.store(merchantData.apiKey, id, tx);
+      }
     });
 
     return merchantData;
   }
 
-  getMerchant(id) {
-    return this.merchants.get(id) || null;
+  async getMerchant(id) {
+    return this.merchantService.findById(id);
   }
 
-  getMerchantByApiKey(apiKey) {
-    const merchantId = this.apiKeys.get(apiKey);
-    return merchantId ? this.getMerchant(merchantId) : null;
+  async getMerchantByApiKey(apiKey) {
+    const record = await this.apiKeyService.findByKey(apiKey);
+    return record ? this.getMerchant(record.merchantId) : null;
   }
 
-  getMerchantByEmail(email) {
-    return Array.from(this.merchants.values())
+  async getMerchantByEmail(email) {
+    return (await this.getAllMerchants())
       .find(merchant => merchant.email.toLowerCase() === email.toLowerCase()) || null;
   }
 
-  getMerchantByStacksAddress(stacksAddress) {
-    return Array.from(this.merchants.values())
-      .find(merchant => merchant.stacksAddress === stacksAddress) || null;
+  async getMerchantByStacksAddress(stacksAddress) {
+    return this.merchantService.findByAddress(stacksAddress);
   }
 
-  updateMerchant(id, updates) {
-    const existing = this.merchants.get(id);
+  async updateMerchant(id, updates) {
+    const existing = await this.getMerchant(id);
     if (!existing) return null;
 
-    const updated = {
-      ...existing,
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-
-    this.merchants.set(id, updated);
-
-    // Update API key mapping if changed
-    if (updates.apiKey && updates.apiKey !== existing.apiKey) {
-      this.apiKeys.delete(existing.apiKey);
-      this.apiKeys.set(updates.apiKey, id);
-    }
+    return this.database.transaction(async (tx) => {
+      const updated = {
+        ...existing,
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+      await this.merchantService.merchants.save(updated, tx);
+
+      // Update API key mapping if changed
+      if (updates.apiKey && updates.apiKey !== existing.apiKey) {
+        const previous = await this.apiKeyService.findByKey(existing.apiKey);
+        if (previous) {
+          await this.apiKeyService.apiKeys.delete(previous.id, tx);
+        }
+        await this.apiKeyService.store(updates.apiKey, id, tx);
+      }
 
-    return updated;
+      return updated;
+    });
   }
 
-  deleteMerchant(id) {
-    const merchant = this.merchants.get(id);
+  async deleteMerchant(id) {
+    const merchant = await this.getMerchant(id);
     if (!merchant) return false;
 
-    // Clean up related data
-    this.apiKeys.delete(merchant.apiKey);
-    this.merchantStats.delete(id);
-    
-    // Delete merchant payments
-    const payments = this.getPaymentsByMerchant(id);
-    payments.forEach(payment => this.deletePayment(payment.id));
+    const payments = await this.getPaymentsByMerchant(id);
+    const keys = await this.apiKeyService.apiKeys.findBy({ merchantId: id });
 
-    return this.merchants.delete(id);
+    // Clean up related data
+    return this.database.transaction(async (tx) => {
+      for (const key of keys) {
+        await this.apiKeyService.apiKeys.delete(key.id, tx);
+      }
+      for (const payment of payments) {
+        await this.paymentService.payments.delete(payment.id, tx);
+      }
+      return this.merchantService.merchants.delete(id, tx);
+    });
   }
 
-  getAllMerchants() {
-    return Array.from(this.merchants.values());
+  async getAllMerchants() {
+    return this.merchantService.findAll();
   }
 
   // Merchant stats operations
-  getMerchantStats(merchantId) {
-    return this.merchantStats.get(merchantId) || null;
-  }
+  async getMerchantStats(merchantId) {
+    const merchant = await this.getMerchant(merchantId);
+    if (!merchant) return null;
 
-  updateMerchantStats(merchantId, updates) {
-    const existing = this.merchantStats.get(merchantId);
-    if (!existing) return null;
+    const { activePayments, successfulPayments, recentPayments } =
+      await this.merchantService.getDashboardStats(merchantId);
 
-    // Accumulate numeric values
-    const updated = {
-      totalProcessed: existing.totalProcessed + (updates.totalProcessed || 0),
-      feeCollected: existing.feeCollected + (updates.feeCollected || 0),
-      paymentsCount: existing.paymentsCount + (updates.paymentsCount || 0),
-      activePayments: Math.max(0, existing.activePayments + (updates.activePayments || 0)),
-      successfulPayments: existing.successfulPayments + (updates.successfulPayments || 0),
-      recentPayments: existing.recentPayments
+    return {
+      totalProcessed: merchant.totalProcessed,
+      feeCollected: merchant.feeCollected,
+      paymentsCount: merchant.paymentsCount,
+      activePayments,
+      successfulPayments,
+      recentPayments
     };
+  }
 
-    // Add recent payment if provided
-    if (updates.recentPayment) {
-      updated.recentPayments.unshift(updates.recentPayment);
-      // Keep only last 10 payments
-      updated.recentPayments = updated.recentPayments.slice(0, 10);
-    }
-
-    this.merchantStats.set(merchantId, updated);
-    return updated;
+  async updateMerchantStats(merchantId, updates) {
+    const merchant = await this.merchantService.updateStats(merchantId, updates);
+    return merchant ? this.getMerchantStats(merchantId) : null;
   }
 
   // Utility methods
   generatePaymentId() {
-    return `pi_test_${++this.sequences.payment}`.padEnd(20, '0');
+    return `pi_test_${String(++this.sequences.payment).padStart(12, '0')}`;
   }
 
   generateMerchantId() {
-    return `merchant_test_${++this.sequences.merchant}`.padEnd(25, '0');
+    return `merchant_test_${String(++this.sequences.merchant).padStart(11, '0')}`;
   }
 
   // Test data seeding
-  seedTestData() {
+  async seedTestData() {
     const testData = {
       merchants: [],
       payments: []
@@ -211,7 +226,7 @@ class TestDatabase {
 
     // Create test merchants
     for (let i = 1; i <= 3; i++) {
-      const merchant = this.createMerchant({
+      const merchant = await this.createMerchant({
         businessName: `Test Business ${i}`,
         email: `test${i}@example.com`,
         stacksAddress: this.generateTestStacksAddress(),
@@ -224,7 +239,7 @@ class TestDatabase {
       const paymentStatuses = ['requires_payment_method', 'processing', 'succeeded', 'payment_failed', 'expired'];
       
       for (let j = 0; j < 5; j++) {
-        const payment = this.createPayment({
+        const payment = await this.createPayment({
           merchantId: merchant.id,
           amount: 50000 + (j * 25000),
           fee: Math.floor((50000 + (j * 25000)) * 0.01),
@@ -239,7 +254,7 @@ class TestDatabase {
 
         // Update merchant stats for successful payments
         if (payment.status === 'succeeded') {
-          this.updateMerchantStats(merchant.id, {
+          await this.updateMerchantStats(merchant.id, {
             totalProcessed: payment.amount,
             feeCollected: payment.fee,
             paymentsCount: 1,
@@ -278,65 +293,66 @@ class TestDatabase {
   }
 
   // Database state management
-  getSnapshot() {
+  async getSnapshot() {
     return {
-      payments: new Map(this.payments),
-      merchants: new Map(this.merchants),
-      apiKeys: new Map(this.apiKeys),
-      merchantStats: new Map(this.merchantStats),
+      payments: await this.paymentService.payments.findAll(),
+      merchants: await this.merchantService.merchants.findAll(),
+      apiKeys: await this.apiKeyService.apiKeys.findAll(),
       sequences: { ...this.sequences }
     };
   }
 
-  restoreSnapshot(snapshot) {
-    this.payments = new Map(snapshot.payments);
-    this.merchants = new Map(snapshot.merchants);
-    this.apiKeys = new Map(snapshot.apiKeys);
-    this.merchantStats = new Map(snapshot.merchantStats);
+  async restoreSnapshot(snapshot) {
+    await this.reset();
+    await this.database.transaction(async (tx) => {
+      await this.merchantService.merchants.delete('demo-merchant-id', tx);
+      for (const merchant of snapshot.merchants) {
+        await this.merchantService.merchants.save(merchant, tx);
+      }
+      for (const apiKey of snapshot.apiKeys) {
+        await this.apiKeyService.apiKeys.save(apiKey, tx);
+      }
+      for (const payment of snapshot.payments) {
+        await this.paymentService.payments.save(payment, tx);
+      }
+    });
     this.sequences = { ...snapshot.sequences };
   }
 
   // Statistics and analysis
-  getStatistics() {
+  async getStatistics() {
+    const payments = await this.getAllPayments();
+
     return {
-      totalPayments: this.payments.size,
-      totalMerchants: this.merchants.size,
-      totalApiKeys: this.apiKeys.size,
-      paymentsByStatus: this.getPaymentStatusDistribution(),
-      merchantsWithPayments: this.getMerchantsWithPayments(),
-      averagePaymentAmount: this.getAveragePaymentAmount(),
-      totalVolume: this.getTotalVolume()
+      totalPayments: payments.length,
+      totalMerchants: await this.merchantService.merchants.count(),
+      totalApiKeys: await this.apiKeyService.apiKeys.count(),
+      paymentsByStatus: this.getPaymentStatusDistribution(payments),
+      merchantsWithPayments: this.getMerchantsWithPayments(payments),
+      averagePaymentAmount: this.getAveragePaymentAmount(payments),
+      totalVolume: this.getTotalVolume(payments)
     };
   }
 
-  getPaymentStatusDistribution() {
+  getPaymentStatusDistribution(payments) {
     const distribution = {};
-    for (const payment of this.payments.values()) {
+    for (const payment of payments) {
       distribution[payment.status] = (distribution[payment.status] || 0) + 1;
     }
     return distribution;
   }
 
-  getMerchantsWithPayments() {
-    const merchantsWithPayments = new Set();
-    for (const payment of this.payments.values()) {
-      merchantsWithPayments.add(payment.merchantId);
-    }
-    return merchantsWithPayments.size;
+  getMerchantsWithPayments(payments) {
+    return new Set(payments.map(payment => payment.merchantId)).size;
   }
 
-  getAveragePaymentAmount() {
-    if (this.payments.size === 0) return 0;
-    
-    const total = Array.from(this.payments.values())
-      .reduce((sum, payment) => sum + payment.amount, 0);
-    
-    return total / this.payments.size;
+  getAveragePaymentAmount(payments) {
+    if (payments.length === 0) return 0;
+    return this.getTotalVolume(payments) / payments.length;
   }
 
-  getTotalVolume() {
-    return Array.from(this.payments.values())
-      .reduce((sum, payment) => sum + payment.amount, 0);
+  getTotalVolume(payments) {
+    return payments.reduce((sum, payment) => sum + payment.amount, 0);
   }
 
   // Validation helpers
@@ -401,9 +417,9 @@ const DatabaseUtils = {
   /**
    * Get or create global test database instance
    */
-  getInstance() {
+  async getInstance() {
     if (!testDb) {
-      testDb = new TestDatabase();
+      testDb = await new TestDatabase().reset();
     }
     return testDb;
   },
@@ -411,49 +427,48 @@ const DatabaseUtils = {
   /**
    * Reset test database to clean state
    */
-  reset() {
-    const db = this.getInstance();
-    db.reset();
-    return db;
+  async reset() {
+    const db = await this.getInstance();
+    return db.reset();
   },
 
   /**
    * Setup test database with seed data
    */
-  setup() {
-    const db = this.reset();
-    const seedData = db.seedTestData();
+  async setup() {
+    const db = await this.reset();
+    const seedData = await db.seedTestData();
     return { db, seedData };
   },
 
   /**
    * Teardown test database
    */
-  teardown() {
+  async teardown() {
     if (testDb) {
-      testDb.reset();
+      await testDb.close();
+      testDb = null;
     }
   },
 
   /**
    * Create isolated test environment
    */
-  createIsolatedEnvironment() {
-    const db = new TestDatabase();
-    return db;
+  async createIsolatedEnvironment() {
+    return new TestDatabase().reset();
   },
 
   /**
    * Backup and restore utilities
    */
-  backup() {
-    const db = this.getInstance();
+  async backup() {
+    const db = await this.getInstance();
     return db.getSnapshot();
   },
 
-  restore(snapshot) {
-    const db = this.getInstance();
-    db.restoreSnapshot(snapshot);
+  async restore(snapshot) {
+    const db = await this.getInstance();
+    await db.restoreSnapshot(snapshot);
     return db;
   }
 };
@@ -461,4 +476,4 @@ const DatabaseUtils = {
 module.exports = {
   TestDatabase,
   DatabaseUtils
-};
\ No newline at end of file
+};
@@ -0,0 +1,280 @@
+/**
+ * Unit Tests for the database layer
+ * Tests migrations, the Repository document store and transactions on embedded SQLite
+ */
+
+const { createDatabase, Repository } = require('../../../src/database');
+const { migrations } = require('../../../src/database/migrations');
+const { toPostgresPlaceholders } = require('../../../src/database/postgresDatabase');
+const { matchesKeyDigest } = require('../../../src/utils/apiKeys');
+
+describe('Database', () => {
+  let db;
+  let payments;
+
+  beforeEach(() => {
+    db = createDatabase(':memory:');
+    payments = new Repository(db, {
+      table: 'payments',
+      columns: { paymentId: 'payment_id', merchantId: 'merchant_id', status: 'status' }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const payment = (overrides = {}) => ({
+    id: `pay_${Math.random().toString(36).substring(2, 10)}`,
+    paymentId: `pi_${Math.random().toString(36).substring(2, 10)}`,
+    merchantId: 'merchant_a',
+    status: 'requires_payment_method',
+    amount: 100000,
+    ...overrides
+  });
+
+  describe('migrations', () => {
+    test('should apply every migration once and record it', async () => {
+      await db.ready();
+      await db.ready();
+
+      const applied = await db.query('SELECT id, name FROM schema_migrations ORDER BY id');
+      expect(applied).toEqual(migrations.map(({ id, name }) => ({ id, name })));
+    });
+
+    test('should move stored keys to hashes the API key service can verify', async () => {
+      // Bring a fresh database up to the schema from before hashed keys
+      const tx = db.handle();
+      await tx.exec('CREATE TABLE schema_migrations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+      for (const migration of migrations.filter(({ id }) => id < 9)) {
+        await (typeof migration.up === 'function' ? migration.up(tx) : tx.exec(migration.up));
+        await tx.run('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)', [migration.id, migration.name, 'now']);
+      }
+
+      const createdAt = '2025-01-01T00:00:00.000Z';
+      const secretKey = `sk_live_${'a'.repeat(64)}`;
+      await tx.run(
+        'INSERT INTO api_keys (id, merchant_id, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [`pk_test_${'b'.repeat(64)}`, 'merchant_a', '{}', createdAt, createdAt]
+      );
+      await tx.run(
+        'INSERT INTO merchants (id, stacks_address, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        ['merchant_a', 'ST1', JSON.stringify({ id: 'merchant_a', secretKey }), createdAt, createdAt]
+      );
+
+      await db.ready();
+
+      const keys = (await db.query('SELECT data FROM api_keys')).map(row => JSON.parse(row.data));
+      expect(keys.map(key => [key.type, key.livemode])).toEqual(expect.arrayContaining([
+        ['publishable', false],
+        ['secret', true]
+      ]));
+      const secret = keys.find(key => key.type === 'secret');
+      expect(secret.prefix).toBe(secretKey.slice(0, 16));
+      expect(matchesKeyDigest(secretKey, secret)).toBe(true);
+      expect(secret.scopes).toContain('account:write');
+      expect(JSON.parse((await db.get('SELECT data FROM merchants')).data)).toEqual({ id: 'merchant_a' });
+    });
+  });
+
+  describe('Repository', () => {
+    test('should round-trip records through the JSON data column', async () => {
+      const record = payment({ metadata: { orderId: 'A-1' }, tags: ['x'] });
+      await payments.create(record);
+
+      expect(await payments.findById(record.id)).toEqual(record);
+      expect(await payments.findById('missing')).toBeNull();
+    });
+
+    test('should filter on indexed columns, newest first', async () => {
+      await payments.create(payment({ id: 'p1', createdAt: '2025-01-01T00:00:00.000Z' }));
+      await payments.create(payment({ id: 'p2', createdAt: '2025-01-02T00:00:00.000Z', status: 'succeeded' }));
+      await payments.create(payment({ id: 'p3', merchantId: 'merchant_b' }));
+
+      const merchantPayments = await payments.findBy({ merchantId: 'merchant_a' });
+      expect(merchantPayments.map(p => p.id)).toEqual(['p2', 'p1']);
+      expect(await payments.count({ status: ['succeeded', 'processing'] })).toBe(1);
+      expect(await payments.findBy({ status: [] })).toEqual([]);
+      expect((await payments.findAll({ limit: 1, offset: 1 })).map(p => p.id)).toEqual(['p2']);
+    });
+
+    test('should reject filters on unindexed fields', async () => {
+      await expect(payments.findBy({ amount: 100000 })).rejects.toThrow('unindexed field: amount');
+    });
+
+    test('should filter on ranges and description text', async () => {
+      const searchable = new Repository(db, {
+        table: 'payments',
+        columns: { paymentId: 'payment_id', merchantId: 'merchant_id', status: 'status', amount: 'amount', description: 'description' }
+      });
+      await searchable.create(payment({ id: 'p1', amount: 5000, description: 'Coffee beans', createdAt: '2025-01-01T00:00:00.000Z' }));
+      await searchable.create(payment({ id: 'p2', amount: 20000, description: '100% cotton shirt', createdAt: '2025-01-02T00:00:00.000Z' }));
+      await searchable.create(payment({ id: 'p3', amount: 90000, description: 'Espresso machine', createdAt: '2025-01-03T00:00:00.000Z' }));
+
+      const ids = async (where) => (await searchable.findBy(where)).map(p => p.id);
+      expect(await ids({ amount: { gte: 5000, lt: 90000 } })).toEqual(['p2', 'p1']);
+      expect(await ids({ createdAt: { gt: '2025-01-01T00:00:00.000Z', lte: '2025-01-02T23:59:59.999Z' } })).toEqual(['p2']);
+      expect(await ids({ description: { contains: 'COFFEE' } })).toEqual(['p1']);
+      expect(await ids({ description: { contains: '100%' } })).toEqual(['p2']);
+      expect(await ids({ description: { contains: '_' } })).toEqual([]);
+      await expect(searchable.findBy({ amount: { near: 1 } })).rejects.toThrow('Unsupported filter on payments.amount: near');
+    });
+
+    test('should page after a record in a stable order', async () => {
+      const createdAt = '2025-01-01T00:00:00.000Z';
+      for (const id of ['p1', 'p2', 'p3']) {
+        await payments.create(payment({ id, createdAt }));
+      }
+      await payments.create(payment({ id: 'p0', createdAt: '2024-12-31T00:00:00.000Z' }));
+
+      const first = await payments.findBy({}, { limit: 2 });
+      expect(first.map(p => p.id)).toEqual(['p1', 'p2']);
+
+      // Records added newer than the cursor do not shift the next page
+      await payments.create(payment({ id: 'p4', createdAt: '2025-01-02T00:00:00.000Z' }));
+      const second = await payments.findBy({}, { limit: 2, after: first[1] });
+      expect(second.map(p => p.id)).toEqual(['p3', 'p0']);
+    });
+
+    test('should merge updates and keep indexed columns in sync', async () => {
+      const record = await payments.create(payment());
+
+      const updated = await payments.update(record.id, { status: 'processing', transactionId: '0xabc' });
+
+      expect(updated).toMatchObject({ status: 'processing', transactionId: '0xabc', amount: 100000 });
+      expect(await payments.findOne({ status: 'processing' })).toEqual(updated);
+      expect(await payments.update('missing', { status: 'processing' })).toBeNull();
+    });
+
+    test('should skip conditional updates whose guard does not match', async () => {
+      const record = await payments.create(payment({ status: 'succeeded' }));
+
+      const result = await payments.update(record.id, (current) =>
+        current.status === 'processing' ? { status: 'payment_failed' } : null
+      );
+
+      expect(result).toBeNull();
+      expect((await payments.findById(record.id)).status).toBe('succeeded');
+    });
+
+    test('should serialize concurrent read-modify-write updates', async () => {
+      const record = await payments.create(payment({ amount: 0 }));
+
+      await Promise.all(Array.from({ length: 20 }, () =>
+        payments.update(record.id, (current) => ({ amount: current.amount + 1 }))
+      ));
+
+      expect((await payments.findById(record.id)).amount).toBe(20);
+    });
+
+    test('should lock the row read by update on Postgres', async () => {
+      const statements = [];
+      const tx = {
+        dialect: 'postgres',
+        get: async (sql) => {
+          statements.push(sql);
+          return { data: JSON.stringify(payment({ id: 'p1' })) };
+        },
+        run: async (sql) => {
+          statements.push(sql);
+          return { changes: 1 };
+        }
+      };
+      const postgresPayments = new Repository({ dialect: 'postgres', transaction: (fn) => fn(tx) }, {
+        table: 'payments',
+        columns: { paymentId: 'payment_id' }
+      });
+
+      await postgresPayments.update('p1', { status: 'succeeded' });
+      await postgresPayments.findById('p1', tx);
+
+      expect(statements[0]).toBe('SELECT data FROM payments WHERE id = ? FOR UPDATE');
+      expect(statements[2]).toBe('SELECT data FROM payments WHERE id = ?');
+    });
+
+    test('should only insert missing records with createIfMissing', async () => {
+      const record = payment({ amount: 1 });
+
+      expect(await payments.createIfMissing(record)).toBe(true);
+      expect(await payments.createIfMissing({ ...record, amount: 2 })).toBe(false);
+      expect((await payments.findById(record.id)).amount).toBe(1);
+    });
+
+    test('should enforce unique indexed columns', async () => {
+      await payments.create(payment({ paymentId: 'pi_duplicate' }));
+
+      // better-sqlite3 registers its error class once per process, so when another
+      // suite loaded it first the error is not an instance of this suite's Error
+      await expect(payments.create(payment({ paymentId: 'pi_duplicate' }))).rejects.toMatchObject({
+        code: 'SQLITE_CONSTRAINT_UNIQUE',
+        message: expect.stringMatching(/UNIQUE/)
+      });
+    });
+
+    test('should delete records', async () => {
+      const record = await payments.create(payment());
+
+      expect(await payments.delete(record.id)).toBe(true);
+      expect(await payments.delete(record.id)).toBe(false);
+    });
+  });
+
+  describe('transactions', () => {
+    test('should commit all statements together', async () => {
+      await db.transaction(async (tx) => {
+        await payments.create(payment({ id: 't1' }), tx);
+        await payments.create(payment({ id: 't2' }), tx);
+      });
+
+      expect(await payments.count()).toBe(2);
+    });
+
+    test('should roll back every statement when the callback throws', async () => {
+      await expect(db.transaction(async (tx) => {
+        await payments.create(payment({ id: 't1' }), tx);
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await payments.findById('t1')).toBeNull();
+    });
+
+    test('should make queries outside the transaction wait for it', async () => {
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+
+      const transaction = db.transaction(async (tx) => {
+        await payments.create(payment({ id: 't1' }), tx);
+        await gate;
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const countDuringTransaction = payments.count();
+      release();
+      await transaction;
+
+      expect(await countDuringTransaction).toBe(1);
+    });
+
+    test('should keep statements issued before a transaction out of it', async () => {
+      await db.ready();
+
+      const outside = payments.create(payment({ id: 'outside' }));
+      const transaction = db.transaction(async (tx) => {
+        await payments.create(payment({ id: 'inside' }), tx);
+        throw new Error('abort');
+      });
+
+      await outside;
+      await expect(transaction).rejects.toThrow('abort');
+      expect(await payments.findById('outside')).not.toBeNull();
+      expect(await payments.findById('inside')).toBeNull();
+    });
+  });
+
+  describe('Postgres placeholders', () => {
+    test('should number ? placeholders in order', () => {
+      expect(toPostgresPlaceholders('SELECT * FROM payments WHERE status IN (?, ?) AND merchant_id = ?'))
+        .toBe('SELECT * FROM payments WHERE status IN ($1, $2) AND merchant_id = $3');
+    });
+  });
+});
@@ -5,7 +5,9 @@
 
 const request = require('supertest');
 const express = require('express');
-const paymentRoutes = require('../../../src/routes/paymentRoutes');
+const { createPaymentRoutes } = require('../../../src/routes/paymentRoutes');
+const { createContainer } = require('../../../src/container');
+const { createDatabase } = require('../../../src/database');
 const { httpHelpers, generators, dbHelpers } = require('../../utils/testHelpers');
 
 // Mock dependencies
@@ -29,26 +31,35 @@ describe('Payment Routes', () => {
     // Reset sequence counter
     generators.sequence.reset();
     
-    // Create Express app for testing
-    app = express();
-    app.use(express.json());
-    app.use('/api/payment-intents', paymentRoutes);
-
     // Setup service mocks
     mockPaymentService = new PaymentService();
     mockMerchantService = new MerchantService();
     mockApiKeyService = new ApiKeyService();
 
+    // Create Express app for testing, with routes calling the mocks
+    app = express();
+    app.use(express.json());
+    app.use('/api/payment-intents', createPaymentRoutes(createContainer({
+      database: createDatabase(':memory:'),
+      paymentService: mockPaymentService,
+      merchantService: mockMerchantService,
+      apiKeyService: mockApiKeyService
+    })));
+
     // Setup test data
     testApiKey = global.testUtils.generateApiKey();
     testMerchant = generators.merchant({ apiKey: testApiKey });
 
     // Mock API key validation
-    mockApiKeyService.validateApiKey = jest.fn().mockReturnValue({
+    mockApiKeyService.validateApiKey = jest.fn().mockImplementation(apiKey => (apiKey ? {
       valid: true,
       type: 'live',
       merchantId: testMerchant.id
-    });
+    } : {
+      valid: false,
+      error: 'API key is required',
+      code: 'MISSING_API_KEY'
+    }));
 
     mockApiKeyService.getMerchantFromApiKey = jest.fn().mockReturnValue(testMerchant.id);
 
@@ -283,16 +294,18 @@ describe('Payment Routes', () => {
 
   describe('GET /api/payment-intents/:id', () => {
     const testPaymentId = 'pi_test_123456789';
+    const clientSecret = `${testPaymentId}_secret_0123456789abcdef`;
 
     test('should retrieve existing payment intent', async () => {
       const expectedPayment = generators.paymentIntent('requires_payment_method', {
         id: testPaymentId
       });
 
-      mockPaymentService.getPaymentIntent = jest.fn().mockResolvedValue(expectedPayment);
+      mockPaymentService.getPublicPaymentIntent = jest.fn().mockResolvedValue(expectedPayment);
 
       const response = await request(app)
-        .get(`/api/payment-intents/${testPaymentId}`);
+        .get(`/api/payment-intents/${testPaymentId}`)
+        .query({ client_secret: clientSecret });
 
       expect(response.status).toBe(200);
       expect(response.body).toMatchObject({
@@ -300,7 +313,7 @@ describe('Payment Routes', () => {
         status: 'requires_payment_method'
       });
 
-      expect(mockPaymentService.getPaymentIntent).toHaveBeenCalledWith(testPaymentId);
+      expect(mockPaymentService.getPublicPaymentIntent).toHaveBeenCalledWith(testPaymentId, clientSecret);
     });
 
     test('should retrieve payment in different states', async () => {
@@ -308,10 +321,11 @@ describe('Payment Routes', () => {
 
       for (const status of statuses) {
         const payment = generators.paymentIntent(status, { id: `pi_test_${status}` });
-        mockPaymentService.getPaymentIntent = jest.fn().mockResolvedValue(payment);
+        mockPaymentService.getPublicPaymentIntent = jest.fn().mockResolvedValue(payment);
 
         const response = await request(app)
-          .get(`/api/payment-intents/pi_test_${status}`);
+          .get(`/api/payment-intents/pi_test_${status}`)
+          .query({ client_secret: clientSecret });
 
         expect(response.status).toBe(200);
         expect(response.body.status).toBe(status);
@@ -319,36 +333,39 @@ describe('Payment Routes', () => {
     });
 
     test('should return 404 for non-existent payment', async () => {
-      mockPaymentService.getPaymentIntent = jest.fn()
+      mockPaymentService.getPublicPaymentIntent = jest.fn()
         .mockRejectedValue(new Error('Payment intent not found'));
 
       const response = await request(app)
-        .get('/api/payment-intents/pi_nonexistent');
+        .get('/api/payment-intents/pi_nonexistent')
+        .query({ client_secret: clientSecret });
 
       expect(response.status).toBe(404);
       expect(response.body).toHaveProperty('error');
     });
 
     test('should return 500 for service errors', async () => {
-      mockPaymentService.getPaymentIntent = jest.fn()
+      mockPaymentService.getPublicPaymentIntent = jest.fn()
         .mockRejectedValue(new Error('Database connection failed'));
 
       const response = await request(app)
-        .get(`/api/payment-intents/${testPaymentId}`);
+        .get(`/api/payment-intents/${testPaymentId}`)
+        .query({ client_secret: clientSecret });
 
       expect(response.status).toBe(500);
       expect(response.body.error).toBe('Failed to retrieve payment intent');
     });
 
-    test('should not require authentication for retrieval', async () => {
+    test('should not require an API key with the client secret', async () => {
       const expectedPayment = generators.paymentIntent('requires_payment_method', {
         id: testPaymentId
       });
 
-      mockPaymentService.getPaymentIntent = jest.fn().mockResolvedValue(expectedPayment);
+      mockPaymentService.getPublicPaymentIntent = jest.fn().mockResolvedValue(expectedPayment);
 
       const response = await request(app)
-        .get(`/api/payment-intents/${testPaymentId}`);
+        .get(`/api/payment-intents/${testPaymentId}`)
+        .query({ client_secret: clientSecret });
 
       expect(response.status).toBe(200);
       expect(response.body.id).toBe(testPaymentId);
@@ -0,0 +1,303 @@
+/**
+ * Unit Tests for Webhook API Routes
+ * Tests HTTP endpoints for webhook endpoint management, test events, secret rotation and deliveries
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { createWebhookRoutes } = require('../../../src/routes/webhookRoutes');
+const WebhookService = require('../../../src/services/webhookService');
+
+describe('Webhook Routes', () => {
+  let app;
+  let mockWebhookService;
+  let mockApiKeyService;
+
+  const merchantId = 'merchant_test_001';
+  const apiKey = 'pk_test_webhooks';
+
+  const endpoint = {
+    id: 'we_test_001',
+    merchantId,
+    url: 'https://example.com/hooks',
+    events: ['payment.succeeded'],
+    description: 'Orders',
+    status: 'enabled',
+    secret: 'whsec_current',
+    previousSecrets: [],
+    createdAt: '2025-09-15T10:30:00.000Z'
+  };
+
+  const delivery = {
+    id: 'whd_test_001',
+    merchantId,
+    endpointId: endpoint.id,
+    eventId: 'evt_test_001',
+    eventType: 'payment.succeeded',
+    status: 'succeeded',
+    attemptCount: 1,
+    attempts: []
+  };
+
+  const authed = (req) => req.set('Authorization', `Bearer ${apiKey}`);
+
+  beforeEach(() => {
+    mockApiKeyService = {
+      validateApiKey: jest.fn().mockResolvedValue({ valid: true, type: 'test', key: apiKey }),
+      getMerchantFromApiKey: jest.fn().mockResolvedValue(merchantId)
+    };
+
+    mockWebhookService = {
+      createEndpoint: jest.fn().mockResolvedValue(endpoint),
+      listEndpoints: jest.fn().mockResolvedValue([endpoint]),
+      getEndpoint: jest.fn().mockResolvedValue(endpoint),
+      updateEndpoint: jest.fn(),
+      deleteEndpoint: jest.fn().mockResolvedValue(true),
+      sendTestEvent: jest.fn().mockResolvedValue({ ...delivery, id: 'whd_test_event' }),
+      rotateSecret: jest.fn(),
+      listDeliveries: jest.fn().mockResolvedValue([delivery]),
+      getDelivery: jest.fn().mockResolvedValue(delivery),
+      replayDelivery: jest.fn().mockResolvedValue({ ...delivery, id: 'whd_replay', replayOf: delivery.id }),
+      toView: WebhookService.prototype.toView
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', createWebhookRoutes({
+      apiKeyService: mockApiKeyService,
+      webhookService: mockWebhookService
+    }));
+  });
+
+  describe('authentication', () => {
+    test('should return 401 without an API key', async () => {
+      mockApiKeyService.validateApiKey.mockResolvedValue({ valid: false, error: 'API key is required', code: 'MISSING_API_KEY' });
+
+      const response = await request(app).get('/api/webhooks');
+
+      expect(response.status).toBe(401);
+      expect(mockWebhookService.listEndpoints).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 when the key has no merchant', async () => {
+      mockApiKeyService.getMerchantFromApiKey.mockResolvedValue(null);
+
+      const response = await authed(request(app).get('/api/webhooks'));
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/webhooks', () => {
+    test('should create an endpoint and return its secret once', async () => {
+      const body = { url: 'https://example.com/hooks', events: ['payment.succeeded'], description: 'Orders' };
+
+      const response = await authed(request(app).post('/api/webhooks')).send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: endpoint.id, url: endpoint.url, secret: 'whsec_current' });
+      expect(response.body).not.toHaveProperty('merchantId');
+      expect(mockWebhookService.createEndpoint).toHaveBeenCalledWith(merchantId, { ...body, livemode: false });
+    });
+
+    test('should return 400 for a missing URL', async () => {
+      const response = await authed(request(app).post('/api/webhooks')).send({ events: ['payment.succeeded'] });
+
+      expect(response.status).toBe(400);
+      expect(mockWebhookService.createEndpoint).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for unknown event types', async () => {
+      const response = await authed(request(app).post('/api/webhooks'))
+        .send({ url: 'https://example.com/hooks', events: ['payment.disputed'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 for an empty event list', async () => {
+      const response = await authed(request(app).post('/api/webhooks'))
+        .send({ url: 'https://example.com/hooks', events: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/webhooks', () => {
+    test('should list endpoints without secrets', async () => {
+      const response = await authed(request(app).get('/api/webhooks'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([expect.objectContaining({ id: endpoint.id, status: 'enabled' })]);
+      expect(response.body.data[0]).not.toHaveProperty('secret');
+      expect(mockWebhookService.listEndpoints).toHaveBeenCalledWith(merchantId, { livemode: false });
+    });
+  });
+
+  describe('GET /api/webhooks/:id', () => {
+    test('should return the endpoint without its secret', async () => {
+      const response = await authed(request(app).get(`/api/webhooks/${endpoint.id}`));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: endpoint.id, url: endpoint.url });
+      expect(response.body).not.toHaveProperty('secret');
+      expect(mockWebhookService.getEndpoint).toHaveBeenCalledWith(merchantId, endpoint.id, { livemode: false });
+    });
+
+    test('should return 404 for an unknown endpoint', async () => {
+      mockWebhookService.getEndpoint.mockResolvedValue(null);
+
+      const response = await authed(request(app).get('/api/webhooks/we_missing'));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/webhooks/:id', () => {
+    test('should update the endpoint', async () => {
+      mockWebhookService.updateEndpoint.mockResolvedValue({ ...endpoint, events: ['payment.failed'] });
+
+      const response = await authed(request(app).patch(`/api/webhooks/${endpoint.id}`))
+        .send({ events: ['payment.failed'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.events).toEqual(['payment.failed']);
+      expect(mockWebhookService.updateEndpoint).toHaveBeenCalledWith(merchantId, endpoint.id, { events: ['payment.failed'] }, { livemode: false });
+    });
+
+    test('should disable the endpoint', async () => {
+      mockWebhookService.updateEndpoint.mockResolvedValue({ ...endpoint, status: 'disabled' });
+
+      const response = await authed(request(app).patch(`/api/webhooks/${endpoint.id}`)).send({ status: 'disabled' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('disabled');
+    });
+
+    test('should return 400 for an invalid status or an empty update', async () => {
+      expect((await authed(request(app).patch(`/api/webhooks/${endpoint.id}`)).send({ status: 'paused' })).status).toBe(400);
+      expect((await authed(request(app).patch(`/api/webhooks/${endpoint.id}`)).send({})).status).toBe(400);
+      expect(mockWebhookService.updateEndpoint).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for an unknown endpoint', async () => {
+      mockWebhookService.updateEndpoint.mockResolvedValue(null);
+
+      const response = await authed(request(app).patch('/api/webhooks/we_missing')).send({ status: 'disabled' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/webhooks/:id', () => {
+    test('should delete the endpoint', async () => {
+      const response = await authed(request(app).delete(`/api/webhooks/${endpoint.id}`));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: endpoint.id, deleted: true });
+      expect(mockWebhookService.deleteEndpoint).toHaveBeenCalledWith(merchantId, endpoint.id, { livemode: false });
+    });
+
+    test('should return 404 for an unknown endpoint', async () => {
+      mockWebhookService.deleteEndpoint.mockResolvedValue(false);
+
+      const response = await authed(request(app).delete('/api/webhooks/we_missing'));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/webhooks/:id/test', () => {
+    test('should send a test event of the requested type', async () => {
+      const response = await authed(request(app).post(`/api/webhooks/${endpoint.id}/test`)).send({ type: 'payment.failed' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.id).toBe('whd_test_event');
+      expect(mockWebhookService.sendTestEvent).toHaveBeenCalledWith(merchantId, endpoint.id, 'payment.failed', { livemode: false });
+    });
+
+    test('should return 400 for an unknown event type', async () => {
+      const response = await authed(request(app).post(`/api/webhooks/${endpoint.id}/test`)).send({ type: 'payment.unknown' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for an unknown endpoint', async () => {
+      mockWebhookService.sendTestEvent.mockRejectedValue(new Error('Webhook endpoint not found'));
+
+      const response = await authed(request(app).post('/api/webhooks/we_missing/test')).send({});
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/webhooks/:id/rotate-secret', () => {
+    test('should return the new secret and when the old one expires', async () => {
+      mockWebhookService.rotateSecret.mockResolvedValue({
+        ...endpoint,
+        secret: 'whsec_new',
+        previousSecrets: [{ secret: 'whsec_current', expiresAt: '2025-09-16T10:30:00.000Z' }]
+      });
+
+      const response = await authed(request(app).post(`/api/webhooks/${endpoint.id}/rotate-secret`)).send({ overlapSeconds: 3600 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ secret: 'whsec_new', previousSecretExpiresAt: '2025-09-16T10:30:00.000Z' });
+      expect(response.body).not.toHaveProperty('previousSecrets');
+      expect(mockWebhookService.rotateSecret).toHaveBeenCalledWith(merchantId, endpoint.id, { overlapSeconds: 3600, livemode: false });
+    });
+
+    test('should return 400 for an overlap longer than 7 days', async () => {
+      const response = await authed(request(app).post(`/api/webhooks/${endpoint.id}/rotate-secret`))
+        .send({ overlapSeconds: 8 * 24 * 60 * 60 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for an unknown endpoint', async () => {
+      mockWebhookService.rotateSecret.mockResolvedValue(null);
+
+      const response = await authed(request(app).post('/api/webhooks/we_missing/rotate-secret')).send({});
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('deliveries', () => {
+    test('should list deliveries filtered by status', async () => {
+      const response = await authed(request(app).get('/api/webhooks/deliveries?status=dead&limit=10'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ data: [expect.objectContaining({ id: delivery.id })], limit: 10, offset: 0 });
+      expect(mockWebhookService.listDeliveries).toHaveBeenCalledWith(merchantId, expect.objectContaining({ status: 'dead', limit: 10, livemode: false }));
+    });
+
+    test('should return 400 for an out-of-range limit', async () => {
+      const response = await authed(request(app).get('/api/webhooks/deliveries?limit=500'));
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should get a delivery', async () => {
+      const response = await authed(request(app).get(`/api/webhooks/deliveries/${delivery.id}`));
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(delivery.id);
+    });
+
+    test('should return 404 for an unknown delivery', async () => {
+      mockWebhookService.getDelivery.mockResolvedValue(null);
+
+      const response = await authed(request(app).get('/api/webhooks/deliveries/whd_missing'));
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should replay a delivery', async () => {
+      const response = await authed(request(app).post(`/api/webhooks/deliveries/${delivery.id}/replay`));
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: 'whd_replay', replayOf: delivery.id });
+      expect(mockWebhookService.replayDelivery).toHaveBeenCalledWith(merchantId, delivery.id, { livemode: false });
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Unit Tests for ChainIndexer
+ * Tests indexing contract print events by polling and from the event observer,
+ * reconciliation into payments, refunds and merchant stats, and reorg rollback
+ */
+
+const ChainIndexer = require('../../../src/services/chainIndexer');
+const { createContainer } = require('../../../src/container');
+const { createDatabase } = require('../../../src/database');
+const { FakeStacksNode } = require('../../utils/fakeStacksNode');
+const {
+  TEST_MERCHANT,
+  paymentCompleted,
+  paymentCancelled,
+  paymentRefunded
+} = require('../../fixtures/chainEvents');
+const { TEST_CUSTOMER } = require('../../utils/fakeStacksApi');
+
+describe('ChainIndexer', () => {
+  let container;
+  let node;
+  let indexer;
+  let merchantId;
+
+  beforeEach(async () => {
+    node = new FakeStacksNode();
+    container = createContainer({ database: createDatabase(':memory:'), stacksApi: node });
+    indexer = new ChainIndexer({
+      database: container.database,
+      stacksApi: node,
+      contractId: node.contractId,
+      paymentService: container.paymentService,
+      merchantService: container.merchantService,
+      refundService: container.refundService,
+      finalityDepth: 3,
+      pageSize: 2
+    });
+
+    ({ merchantId } = await container.merchantService.register({
+      businessName: 'Chain Store',
+      email: 'chain@example.com',
+      stacksAddress: TEST_MERCHANT
+    }));
+  });
+
+  afterEach(async () => {
+    await container.database.close();
+  });
+
+  const createIntent = (amount = 50000) => container.paymentService.createPaymentIntent(merchantId, { amount });
+  const getPayment = (id) => container.paymentService.findById(id);
+  const getMerchant = () => container.merchantService.findById(merchantId);
+
+  describe('poll', () => {
+    test('should settle payments from payment-completed events and credit the merchant once', async () => {
+      const first = await createIntent(50000);
+      const second = await createIntent(20000);
+      node.mineBlock([paymentCompleted({ paymentId: first.paymentId, amount: 50000 })]);
+      node.mineBlock([paymentCompleted({ paymentId: second.paymentId, amount: 20000 })]);
+      node.mineBlock([paymentCompleted({ paymentId: 'pay_direct_on_contract', amount: 10000 })]);
+
+      expect(await indexer.poll()).toEqual({ indexed: 3, orphaned: 0 });
+
+      expect(await getPayment(first.id)).toMatchObject({ status: 'succeeded', blockHeight: 101 });
+      expect(await getPayment(second.id)).toMatchObject({ status: 'succeeded', blockHeight: 102 });
+      expect(await getMerchant()).toMatchObject({ totalProcessed: 80000, paymentsCount: 3 });
+
+      // Nothing new on the next poll
+      expect(await indexer.poll()).toEqual({ indexed: 0, orphaned: 0 });
+      expect((await getMerchant()).paymentsCount).toBe(3);
+
+      const [event] = await indexer.listEvents(first.paymentId);
+      expect(event).toMatchObject({ type: 'payment-completed', blockHeight: 101, effect: 'settled', status: 'finalized' });
+    });
+
+    test('should skip events of failed transactions', async () => {
+      const intent = await createIntent();
+      node.mineBlock([{ value: paymentCompleted({ paymentId: intent.paymentId, amount: 50000 }), status: 'abort_by_response' }]);
+
+      expect((await indexer.poll()).indexed).toBe(0);
+      expect((await getPayment(intent.id)).status).toBe('requires_payment_method');
+    });
+
+    test('should retry events whose transaction was not confirmed yet', async () => {
+      const first = await createIntent(50000);
+      const second = await createIntent(20000);
+      node.mineBlock([paymentCompleted({ paymentId: first.paymentId, amount: 50000 })]);
+      node.mineBlock([paymentCompleted({ paymentId: second.paymentId, amount: 20000 })]);
+
+      // The API lists the first event before it serves its transaction
+      jest.spyOn(node, 'getTransaction').mockResolvedValueOnce(null);
+      expect(await indexer.poll()).toEqual({ indexed: 1, orphaned: 0 });
+      expect((await getPayment(first.id)).status).toBe('requires_payment_method');
+
+      expect(await indexer.poll()).toEqual({ indexed: 1, orphaned: 0 });
+      expect(await getPayment(first.id)).toMatchObject({ status: 'succeeded', blockHeight: 101 });
+      expect(await indexer.poll()).toEqual({ indexed: 0, orphaned: 0 });
+      expect((await getMerchant()).paymentsCount).toBe(2);
+    });
+
+    test('should cancel unpaid intents and record refunds made on the contract', async () => {
+      const unpaid = await createIntent();
+      const paid = await createIntent(40000);
+      node.mineBlock([
+        paymentCancelled({ paymentId: unpaid.paymentId }),
+        paymentCompleted({ paymentId: paid.paymentId, amount: 40000 })
+      ]);
+      node.mineBlock([paymentRefunded({ paymentId: paid.paymentId, amount: 15000, status: 'partially_refunded' })]);
+
+      await indexer.poll();
+
+      expect((await getPayment(unpaid.id)).status).toBe('canceled');
+      expect(await getPayment(paid.id)).toMatchObject({ status: 'partially_refunded', amountRefunded: 15000 });
+
+      const [refund] = await container.refundService.listRefunds(merchantId, paid.id);
+      expect(refund).toMatchObject({ amount: 15000, status: 'succeeded', source: 'chain' });
+      expect((await getMerchant()).totalRefunded).toBe(15000);
+    });
+
+    test('should settle a pending refund created through the API instead of adding another', async () => {
+      const intent = await createIntent(40000);
+      node.mineBlock([paymentCompleted({ paymentId: intent.paymentId, amount: 40000 })]);
+      await indexer.poll();
+
+      const pending = await container.refundService.createRefund(merchantId, intent.id, { amount: 40000 });
+      node.mineBlock([paymentRefunded({ paymentId: intent.paymentId, amount: 40000 })]);
+      await indexer.poll();
+
+      const refunds = await container.refundService.listRefunds(merchantId, intent.id);
+      expect(refunds).toHaveLength(1);
+      expect(refunds[0]).toMatchObject({ id: pending.id, status: 'succeeded', blockHeight: 102 });
+      expect((await getPayment(intent.id)).status).toBe('refunded');
+    });
+
+    test('should ignore events for another merchant or a different amount', async () => {
+      const unpaid = await createIntent(50000);
+      const paid = await createIntent(40000);
+      node.mineBlock([
+        paymentCompleted({ paymentId: unpaid.paymentId, amount: 50000, merchant: TEST_CUSTOMER }),
+        paymentCompleted({ paymentId: unpaid.paymentId, amount: 1 }),
+        paymentCancelled({ paymentId: unpaid.paymentId, merchant: TEST_CUSTOMER }),
+        paymentCompleted({ paymentId: paid.paymentId, amount: 40000 })
+      ]);
+      node.mineBlock([
+        paymentRefunded({ paymentId: paid.paymentId, amount: 40000, merchant: TEST_CUSTOMER }),
+        paymentRefunded({ paymentId: paid.paymentId, amount: 40001 })
+      ]);
+
+      await indexer.poll();
+
+      expect((await getPayment(unpaid.id)).status).toBe('requires_payment_method');
+      expect((await getPayment(paid.id)).status).toBe('succeeded');
+      expect(await container.refundService.listRefunds(merchantId, paid.id)).toHaveLength(0);
+      expect(await getMerchant()).toMatchObject({ totalProcessed: 40000, totalRefunded: 0, paymentsCount: 1 });
+
+      const events = await indexer.listEvents(unpaid.paymentId);
+      expect(events.map(event => event.effect)).toEqual(['none', 'none', 'none']);
+    });
+
+    test('should roll back events from orphaned blocks and re-apply them once mined again', async () => {
+      const intent = await createIntent(50000);
+      const value = paymentCompleted({ paymentId: intent.paymentId, amount: 50000 });
+      node.mineBlock([{ txId: '0xpaid', value }]);
+      node.mineBlock([paymentCompleted({ paymentId: 'pay_direct_on_contract', amount: 10000 })]);
+      await indexer.poll();
+      expect(await getMerchant()).toMatchObject({ totalProcessed: 60000, paymentsCount: 2 });
+
+      node.reorg(101);
+      node.mineBlock();
+
+      expect(await indexer.poll()).toEqual({ indexed: 0, orphaned: 2 });
+      expect((await getPayment(intent.id)).status).toBe('processing');
+      expect(await getMerchant()).toMatchObject({ totalProcessed: 0, feeCollected: 0, paymentsCount: 0 });
+      expect((await indexer.listEvents(intent.paymentId))[0].status).toBe('orphaned');
+
+      // The transaction lands again in the new fork
+      node.mineBlock([{ txId: '0xpaid', value }]);
+
+      expect(await indexer.poll()).toEqual({ indexed: 1, orphaned: 0 });
+      expect(await getPayment(intent.id)).toMatchObject({ status: 'succeeded', blockHeight: 102 });
+      expect(await getMerchant()).toMatchObject({ totalProcessed: 50000, paymentsCount: 1 });
+    });
+
+    test('should stop checking events once they are final', async () => {
+      const intent = await createIntent();
+      node.mineBlock([paymentCompleted({ paymentId: intent.paymentId, amount: 50000 })]);
+      node.mineBlocks(2);
+      await indexer.poll();
+
+      expect((await indexer.listEvents(intent.paymentId))[0].status).toBe('finalized');
+
+      node.reorg(101);
+      node.mineBlocks(3);
+      expect((await indexer.poll()).orphaned).toBe(0);
+      expect((await getPayment(intent.id)).status).toBe('succeeded');
+    });
+  });
+
+  describe('ingestBlock', () => {
+    test('should index observer blocks, ignore duplicates and roll back replaced blocks', async () => {
+      const intent = await createIntent(50000);
+      node.mineBlock([paymentCompleted({ paymentId: intent.paymentId, amount: 50000 })]);
+
+      expect(await indexer.ingestBlock(node.newBlockPayload())).toEqual({ indexed: 1, orphaned: 0 });
+      expect(await indexer.ingestBlock(node.newBlockPayload())).toEqual({ indexed: 0, orphaned: 0 });
+      expect((await getPayment(intent.id)).status).toBe('succeeded');
+
+      // A competing block at the same height without the payment
+      node.reorg(101);
+      node.mineBlock();
+
+      expect(await indexer.ingestBlock(node.newBlockPayload())).toEqual({ indexed: 0, orphaned: 1 });
+      expect((await getPayment(intent.id)).status).toBe('processing');
+      expect((await getMerchant()).totalProcessed).toBe(0);
+    });
+
+    test('should give events the same ID as the Stacks API so both sources can run together', async () => {
+      const intent = await createIntent();
+      node.mineBlock([
+        paymentCompleted({ paymentId: 'pay_direct_on_contract', amount: 10000 }),
+        paymentCompleted({ paymentId: intent.paymentId, amount: 50000 })
+      ]);
+
+      await indexer.ingestBlock(node.newBlockPayload());
+      expect((await indexer.poll()).indexed).toBe(0);
+      expect((await getMerchant()).paymentsCount).toBe(2);
+    });
+
+    test('should skip events of failed transactions and other contracts', async () => {
+      const intent = await createIntent();
+      node.mineBlock([{ value: paymentCompleted({ paymentId: intent.paymentId, amount: 50000 }), status: 'abort_by_response' }]);
+      const payload = node.newBlockPayload();
+      payload.events.push({
+        txid: '0xother',
+        event_index: 1,
+        committed: true,
+        type: 'contract_event',
+        contract_event: {
+          contract_identifier: 'ST000000000000000000002AMW42H.other-contract',
+          topic: 'print',
+          raw_value: payload.events[0].contract_event.raw_value
+        }
+      });
+
+      expect((await indexer.ingestBlock(payload)).indexed).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for IdempotencyService
+ * Tests key claiming, response replay, body mismatch, abandoned requests and expiry
+ */
+
+const IdempotencyService = require('../../../src/services/idempotencyService');
+const { createDatabase } = require('../../../src/database');
+
+describe('IdempotencyService', () => {
+  let database;
+  let idempotencyService;
+
+  const request = { method: 'POST', path: '/api/payments', body: { amount: 50000, description: 'Order' } };
+
+  beforeEach(() => {
+    database = createDatabase(':memory:');
+    idempotencyService = new IdempotencyService({ database, ttl: 60 * 1000, lockTimeout: 1000 });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  describe('fingerprint', () => {
+    test('should ignore key order but not values, method or path', () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+
+      expect(idempotencyService.fingerprint({ ...request, body: { description: 'Order', amount: 50000 } })).toBe(fingerprint);
+      expect(idempotencyService.fingerprint({ ...request, body: { amount: 60000, description: 'Order' } })).not.toBe(fingerprint);
+      expect(idempotencyService.fingerprint({ ...request, path: '/api/payments/pay_1/confirm' })).not.toBe(fingerprint);
+      expect(idempotencyService.fingerprint({ ...request, method: 'PATCH' })).not.toBe(fingerprint);
+    });
+  });
+
+  describe('begin', () => {
+    test('should start the first request and replay the stored response afterwards', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+
+      expect((await idempotencyService.begin('merchant_a', 'key_1', fingerprint)).state).toBe('started');
+      expect((await idempotencyService.begin('merchant_a', 'key_1', fingerprint)).state).toBe('in_progress');
+
+      await idempotencyService.complete('merchant_a', 'key_1', { statusCode: 201, body: { id: 'pay_1' } });
+
+      const { state, record } = await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+      expect(state).toBe('replay');
+      expect(record).toMatchObject({ statusCode: 201, body: { id: 'pay_1' }, status: 'completed' });
+    });
+
+    test('should reject a key reused with a different body', async () => {
+      await idempotencyService.begin('merchant_a', 'key_1', idempotencyService.fingerprint(request));
+
+      const other = idempotencyService.fingerprint({ ...request, body: { amount: 1 } });
+      expect((await idempotencyService.begin('merchant_a', 'key_1', other)).state).toBe('mismatch');
+    });
+
+    test('should scope keys per merchant', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+      await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+
+      expect((await idempotencyService.begin('merchant_b', 'key_1', fingerprint)).state).toBe('started');
+    });
+
+    test('should let a retry run again after the key is released', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+      await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+
+      await idempotencyService.release('merchant_a', 'key_1');
+
+      expect((await idempotencyService.begin('merchant_a', 'key_1', fingerprint)).state).toBe('started');
+    });
+
+    test('should reclaim a key whose request was abandoned', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+      const { record } = await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+
+      await idempotencyService.keys.update(record.id, { lockedAt: new Date(Date.now() - 5000).toISOString() });
+
+      expect((await idempotencyService.begin('merchant_a', 'key_1', fingerprint)).state).toBe('started');
+    });
+
+    test('should treat an expired key as new', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+      const { record } = await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+      await idempotencyService.complete('merchant_a', 'key_1', { statusCode: 201, body: { id: 'pay_1' } });
+
+      await idempotencyService.keys.update(record.id, { expiresAt: new Date(Date.now() - 1).toISOString() });
+
+      const other = idempotencyService.fingerprint({ ...request, body: { amount: 1 } });
+      expect((await idempotencyService.begin('merchant_a', 'key_1', other)).state).toBe('started');
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should delete only expired keys', async () => {
+      const fingerprint = idempotencyService.fingerprint(request);
+      await idempotencyService.begin('merchant_a', 'key_1', fingerprint);
+      await idempotencyService.begin('merchant_a', 'key_2', fingerprint);
+
+      expect(await idempotencyService.purgeExpired(new Date(Date.now() + 30 * 1000))).toBe(0);
+      expect(await idempotencyService.purgeExpired(new Date(Date.now() + 2 * 60 * 1000))).toBe(2);
+      expect(await idempotencyService.keys.count()).toBe(0);
+    });
+  });
+});
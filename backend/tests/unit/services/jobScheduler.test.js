@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for JobScheduler
+ * Tests run history, the per-job lock shared by instances, pruning and timers
+ */
+
+const JobScheduler = require('../../../src/services/jobScheduler');
+const { createDatabase } = require('../../../src/database');
+
+describe('JobScheduler', () => {
+  let database;
+  let scheduler;
+
+  beforeEach(() => {
+    database = createDatabase(':memory:');
+    scheduler = new JobScheduler({ database, instanceId: 'instance-a' });
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await database.close();
+  });
+
+  test('should record successful and failed runs with their result', async () => {
+    scheduler
+      .register('count', { interval: 0, run: async () => ({ counted: 3 }) })
+      .register('broken', { interval: 0, run: async () => { throw new Error('Stacks API unavailable'); } });
+
+    expect(await scheduler.runJob('count')).toMatchObject({
+      job: 'count',
+      status: 'succeeded',
+      result: { counted: 3 },
+      instanceId: 'instance-a'
+    });
+    const failed = await scheduler.runJob('broken');
+    expect(failed).toMatchObject({ status: 'failed', error: 'Stacks API unavailable' });
+    expect(failed.durationMs).toBeGreaterThanOrEqual(0);
+
+    expect((await scheduler.listRuns({ status: 'failed' })).map(run => run.job)).toEqual(['broken']);
+    const jobs = await scheduler.listJobs();
+    expect(jobs.find(job => job.name === 'count').lastRun.status).toBe('succeeded');
+
+    await expect(scheduler.runJob('missing')).rejects.toThrow('Job not found: missing');
+  });
+
+  test('should run a job on one instance at a time', async () => {
+    const other = new JobScheduler({ database, instanceId: 'instance-b' });
+    let finish;
+    let started;
+    const running = new Promise((resolve) => { started = resolve; });
+    const run = jest.fn().mockResolvedValue(null).mockImplementationOnce(() => new Promise((resolve) => {
+      finish = resolve;
+      started();
+    }));
+    scheduler.register('sweep', { interval: 0, run });
+    other.register('sweep', { interval: 0, run });
+
+    const first = scheduler.runJob('sweep');
+    await running;
+
+    expect(await other.runJob('sweep')).toBeNull();
+    expect(await scheduler.runJob('sweep')).toBeNull();
+
+    finish({ done: true });
+    expect((await first).status).toBe('succeeded');
+
+    // Released: the other instance can take the next tick
+    expect((await other.runJob('sweep')).instanceId).toBe('instance-b');
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('should release the job when its run cannot be recorded', async () => {
+    const run = jest.fn().mockResolvedValue(null);
+    scheduler.register('sweep', { interval: 0, run });
+    jest.spyOn(scheduler.runs, 'create').mockRejectedValueOnce(new Error('database is locked'));
+
+    await expect(scheduler.runJob('sweep')).rejects.toThrow('database is locked');
+    expect(run).not.toHaveBeenCalled();
+
+    expect((await scheduler.runJob('sweep')).status).toBe('succeeded');
+  });
+
+  test('should take over a lock whose holder stopped renewing it', async () => {
+    const crashed = new JobScheduler({ database, instanceId: 'crashed', lockTtl: 1000 });
+    expect(await crashed.acquireLock('sweep', 1000)).toBe(true);
+
+    scheduler.register('sweep', { interval: 0, run: async () => null });
+    expect(await scheduler.runJob('sweep')).toBeNull();
+
+    await database.run('UPDATE job_locks SET locked_until = ? WHERE id = ?', ['2000-01-01T00:00:00.000Z', 'sweep']);
+    expect((await scheduler.runJob('sweep')).status).toBe('succeeded');
+  });
+
+  test('should prune runs past the retention period', async () => {
+    scheduler.runRetention = 60 * 1000;
+    scheduler.register('count', { interval: 0, run: async () => null });
+    await scheduler.runJob('count');
+
+    expect(await scheduler.pruneRuns(new Date())).toBe(0);
+    expect(await scheduler.pruneRuns(new Date(Date.now() + 2 * 60 * 1000))).toBe(1);
+    expect(await scheduler.listRuns()).toEqual([]);
+  });
+
+  test('should only schedule jobs with an interval', async () => {
+    scheduler
+      .register('often', { interval: 60000, run: async () => null })
+      .register('manual', { interval: 0, run: async () => null });
+
+    scheduler.start();
+    const scheduled = (await scheduler.listJobs()).map(job => [job.name, job.scheduled]);
+    expect(scheduled).toEqual([['often', true], ['manual', false]]);
+
+    scheduler.stop();
+    expect((await scheduler.listJobs()).every(job => !job.scheduled)).toBe(true);
+    expect(() => scheduler.register('often', { interval: 1, run: async () => null })).toThrow('Job already registered');
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 const MerchantService = require('../../../src/services/merchantService');
+const { createDatabase } = require('../../../src/database');
 const { generators, validators } = require('../../utils/testHelpers');
 
 describe('MerchantService', () => {
@@ -11,7 +12,7 @@ describe('MerchantService', () => {
 
   beforeEach(() => {
     generators.sequence.reset();
-    merchantService = new MerchantService();
+    merchantService = new MerchantService({ database: createDatabase(':memory:') });
     jest.clearAllMocks();
   });
 
@@ -261,7 +262,8 @@ describe('MerchantService', () => {
       expect(found.id).toBe(registeredMerchant.merchantId);
       expect(found.businessName).toBe('Test Business for Lookup');
       expect(found.email).toBe('lookup@example.com');
-      expect(found.apiKey).toBe(registeredMerchant.apiKey);
+      // Keys are only kept hashed in api_keys
+      expect(found.apiKey).toBeUndefined();
     });
 
     test('should return null for non-existent merchant ID', async () => {
@@ -647,12 +649,14 @@ describe('MerchantService', () => {
         paymentsCount: 2
       });
 
-      // Simulate service restart by creating new instance
-      const newService = new MerchantService();
+      // Simulate service restart by creating new instance on the same database
+      const newService = new MerchantService({ database: merchantService.database });
       
-      // Data should not be accessible after restart (in-memory storage)
+      // Data and stats should survive the restart
       const found = await newService.findById(registered.merchantId);
-      expect(found).toBeNull();
+      expect(found.businessName).toBe(originalData.businessName);
+      expect(found.totalProcessed).toBe(100000);
+      expect(found.paymentsCount).toBe(2);
     });
 
     test('should maintain referential integrity between merchants and stats', async () => {
@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for NonceManager
+ * Tests nonce assignment per signer, recovery from nonce errors, fee strategies
+ * and replace-by-fee of stuck transactions, against a fake Stacks node
+ */
+
+const { StacksDevnet } = require('@stacks/network');
+const {
+  makeContractCall,
+  deserializeTransaction,
+  makeRandomPrivKey,
+  privateKeyToString,
+  getAddressFromPrivateKey,
+  TransactionVersion,
+  AnchorMode,
+  uintCV
+} = require('@stacks/transactions');
+const NonceManager = require('../../../src/services/nonceManager');
+const TransactionVerifier = require('../../../src/services/transactionVerifier');
+const {
+  FakeStacksApiClient,
+  buildProcessPaymentTx,
+  TEST_CONTRACT_ID,
+  TEST_MERCHANT
+} = require('../../utils/fakeStacksApi');
+
+const CONTRACT_ADDRESS = 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
+
+/**
+ * Answers fee estimates and broadcasts; `rejections` are returned, in order,
+ * instead of accepting the next broadcasts
+ */
+function createFakeNode() {
+  const node = { broadcasts: [], rejections: [], estimations: [{ fee: 1000 }, { fee: 2000 }, { fee: 3000 }] };
+
+  node.fetchFn = jest.fn(async (url, options = {}) => {
+    if (url.endsWith('/v2/fees/transaction')) {
+      return node.estimations
+        ? { ok: true, status: 200, json: async () => ({ estimations: node.estimations }) }
+        : { ok: false, status: 400, statusText: 'Bad Request', text: async () => '{"reason":"NoEstimateAvailable"}' };
+    }
+    if (url.endsWith('/v2/transactions')) {
+      const transaction = deserializeTransaction(Buffer.from(options.body));
+      const rejection = node.rejections.shift();
+      if (rejection) {
+        return { ok: false, status: 400, json: async () => ({ error: 'transaction rejected', txid: transaction.txid(), ...rejection }) };
+      }
+      node.broadcasts.push(transaction);
+      return { ok: true, status: 200, text: async () => `"${transaction.txid()}"` };
+    }
+    return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+  });
+
+  node.network = new StacksDevnet({ fetchFn: node.fetchFn });
+  return node;
+}
+
+describe('NonceManager', () => {
+  let node;
+  let stacksApi;
+  let senderKey;
+  let address;
+
+  const build = ({ nonce, fee }) => makeContractCall({
+    contractAddress: CONTRACT_ADDRESS,
+    contractName: 'sbtc-payment-gateway',
+    functionName: 'set-fee-percentage',
+    functionArgs: [uintCV(250)],
+    senderKey,
+    nonce: BigInt(nonce),
+    fee: BigInt(fee),
+    network: node.network,
+    anchorMode: AnchorMode.Any
+  });
+
+  const send = manager => manager.send({ address, network: node.network, functionName: 'set-fee-percentage', build });
+  const broadcastNonces = () => node.broadcasts.map(tx => Number(tx.auth.spendingCondition.nonce));
+  const broadcastFees = () => node.broadcasts.map(tx => Number(tx.auth.spendingCondition.fee));
+
+  beforeEach(() => {
+    node = createFakeNode();
+    stacksApi = {
+      getAccountNonces: jest.fn().mockResolvedValue({ possible_next_nonce: 3, last_executed_tx_nonce: 2 })
+    };
+    senderKey = privateKeyToString(makeRandomPrivKey());
+    address = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+  });
+
+  test('should give concurrent calls from one signer consecutive nonces', async () => {
+    const manager = new NonceManager({ stacksApi });
+
+    // The API still reports nonce 3 as next while the first calls sit in the mempool
+    const results = await Promise.all([send(manager), send(manager), send(manager)]);
+
+    expect(results.map(result => result.nonce)).toEqual([3, 4, 5]);
+    expect(broadcastNonces()).toEqual([3, 4, 5]);
+    expect(results[0].txId).toBe(`0x${node.broadcasts[0].txid()}`);
+
+    const [signer] = manager.getState().signers;
+    expect(signer).toMatchObject({ address, nextNonce: 6, lastExecutedNonce: 2 });
+    expect(signer.pending.map(entry => entry.nonce)).toEqual([3, 4, 5]);
+    expect(signer.pending[0]).not.toHaveProperty('build');
+  });
+
+  test('should move past nonces taken by transactions it does not track', async () => {
+    const manager = new NonceManager({ stacksApi });
+    node.rejections.push(
+      { reason: 'ConflictingNonceInMempool' },
+      { reason: 'BadNonce', reason_data: { expected: 7, actual: 4 } }
+    );
+
+    const result = await send(manager);
+
+    expect(result.nonce).toBe(7);
+    expect(broadcastNonces()).toEqual([7]);
+    expect(manager.getState().signers[0].nextNonce).toBe(8);
+  });
+
+  test('should give up on other rejections without using up the nonce', async () => {
+    const manager = new NonceManager({ stacksApi });
+    node.rejections.push({ reason: 'NotEnoughFunds' });
+
+    await expect(send(manager)).rejects.toThrow('Failed to broadcast set-fee-percentage on blockchain: NotEnoughFunds');
+
+    const result = await send(manager);
+    expect(result.nonce).toBe(3);
+  });
+
+  test('should keep counting locally while the API is down', async () => {
+    const manager = new NonceManager({ stacksApi });
+    await send(manager);
+
+    stacksApi.getAccountNonces.mockRejectedValue(new Error('Stacks API responded with 503'));
+    expect((await send(manager)).nonce).toBe(4);
+
+    const fresh = new NonceManager({ stacksApi });
+    await expect(send(fresh)).rejects.toThrow('Failed to look up the nonce');
+  });
+
+  test('should pay the fee the strategy picks, capped at the maximum', async () => {
+    expect((await send(new NonceManager({ stacksApi }))).fee).toBe(2000);
+    expect((await send(new NonceManager({ stacksApi, feeStrategy: 'high', maxFee: 2500 }))).fee).toBe(2500);
+    expect((await send(new NonceManager({ stacksApi, feeStrategy: 'fixed', fixedFee: 700 }))).fee).toBe(700);
+
+    node.estimations = null;
+    expect((await send(new NonceManager({ stacksApi, fixedFee: 900 }))).fee).toBe(900);
+
+    expect(() => new NonceManager({ stacksApi, feeStrategy: 'cheapest' })).toThrow(/Unknown fee strategy 'cheapest'/);
+  });
+
+  test('should replace stuck transactions with a higher fee and drop executed ones', async () => {
+    const manager = new NonceManager({ stacksApi, stuckAfter: 60000, maxRebroadcasts: 1 });
+    const first = await send(manager);
+    const second = await send(manager);
+
+    // Nothing is stuck yet
+    expect(await manager.rebroadcastStuck()).toEqual({ confirmed: 0, rebroadcast: 0, skipped: 0, failed: 0 });
+
+    // Nonce 3 has been executed, nonce 4 is still waiting
+    stacksApi.getAccountNonces.mockResolvedValue({ possible_next_nonce: 5, last_executed_tx_nonce: 3 });
+    const later = new Date(Date.now() + 60001);
+    expect(await manager.rebroadcastStuck(later)).toEqual({ confirmed: 1, rebroadcast: 1, skipped: 0, failed: 0 });
+
+    expect(broadcastNonces()).toEqual([3, 4, 4]);
+    expect(broadcastFees()).toEqual([2000, 2000, 2500]);
+
+    const [pending] = manager.getState().signers[0].pending;
+    expect(pending).toMatchObject({
+      nonce: 4,
+      fee: 2500,
+      rebroadcasts: 1,
+      txId: `0x${node.broadcasts[2].txid()}`,
+      replacedTxIds: [second.txId]
+    });
+    expect(pending.txId).not.toBe(first.txId);
+    expect(manager.replacementOf(second.txId)).toBe(pending.txId);
+    expect(manager.replacementOf(first.txId)).toBeNull();
+
+    // No more than maxRebroadcasts replacements
+    const muchLater = new Date(later.getTime() + 60001);
+    expect(await manager.rebroadcastStuck(muchLater)).toEqual({ confirmed: 0, rebroadcast: 0, skipped: 1, failed: 0 });
+
+    // The replacement is still known once its nonce has executed
+    stacksApi.getAccountNonces.mockResolvedValue({ possible_next_nonce: 5, last_executed_tx_nonce: 4 });
+    expect(await manager.rebroadcastStuck(muchLater)).toMatchObject({ confirmed: 1 });
+    expect(manager.replacementOf(second.txId.slice(2))).toBe(pending.txId);
+  });
+
+  test('should let the verifier settle a payment whose transaction was replaced', async () => {
+    const manager = new NonceManager({ stacksApi, stuckAfter: 60000 });
+    const original = await send(manager);
+    await manager.rebroadcastStuck(new Date(Date.now() + 60001));
+    const replacement = manager.getState().signers[0].pending[0];
+
+    // The API reports the first transaction dropped and the replacement mined
+    const api = new FakeStacksApiClient({ tipHeight: 100 });
+    const payment = { paymentId: 'pi_replaced', amount: 50000, transactionId: original.txId };
+    const minedTx = txId => buildProcessPaymentTx({ txId, paymentId: payment.paymentId, amount: payment.amount, blockHeight: 99 });
+    api.setTransaction({ ...minedTx(original.txId), tx_status: 'dropped_replace_by_fee' });
+    api.setTransaction(minedTx(replacement.txId));
+
+    const verifier = new TransactionVerifier({ stacksApi: api, contractId: TEST_CONTRACT_ID, nonceManager: manager });
+    expect(await verifier.verifyPayment(payment, { merchantAddress: TEST_MERCHANT })).toMatchObject({
+      status: 'confirmed',
+      transactionId: replacement.txId
+    });
+  });
+});
@@ -4,7 +4,10 @@
  */
 
 const PaymentService = require('../../../src/services/paymentService');
+const TransactionVerifier = require('../../../src/services/transactionVerifier');
+const { createDatabase, Repository } = require('../../../src/database');
 const { generators, mockImplementations, validators } = require('../../utils/testHelpers');
+const { FakeStacksApiClient, buildProcessPaymentTx, TEST_CONTRACT_ID, TEST_MERCHANT } = require('../../utils/fakeStacksApi');
 
 // Mock external dependencies
 jest.mock('@stacks/transactions');
@@ -18,8 +21,11 @@ describe('PaymentService', () => {
     // Reset sequence counter for consistent test data
     generators.sequence.reset();
     
-    // Initialize service
-    paymentService = new PaymentService();
+    // Initialize service against a fresh embedded database and an offline Stacks API
+    paymentService = new PaymentService({
+      database: createDatabase(':memory:'),
+      verifier: new TransactionVerifier({ stacksApi: new FakeStacksApiClient(), contractId: TEST_CONTRACT_ID })
+    });
     
     // Setup mocks
     mockStacksApi = mockImplementations.stacksApi;
@@ -35,7 +41,7 @@ describe('PaymentService', () => {
       
       expect(service).toBeDefined();
       expect(service.payments).toBeDefined();
-      expect(service.payments).toBeInstanceOf(Map);
+      expect(service.payments).toBeInstanceOf(Repository);
     });
 
     test('should initialize with custom configuration', () => {
@@ -396,8 +402,9 @@ describe('PaymentService', () => {
         });
 
         // Manually set expiration to past
-        const payment = paymentService.payments.get(expiredPayment.id);
-        payment.expiresAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+        await paymentService.update(expiredPayment.id, {
+          expiresAt: new Date(Date.now() - 5 * 60 * 1000).toISOString()
+        });
 
         const confirmationData = {
           customerAddress: global.testUtils.generateStacksAddress(),
@@ -474,6 +481,282 @@ describe('PaymentService', () => {
     });
   });
 
+  describe('on-chain verification', () => {
+    let stacksApi;
+    let service;
+    let merchants;
+    let intent;
+    let confirmation;
+
+    beforeEach(async () => {
+      stacksApi = new FakeStacksApiClient({ tipHeight: 200 });
+      const database = createDatabase(':memory:');
+      service = new PaymentService({
+        database,
+        verifier: new TransactionVerifier({ stacksApi, contractId: TEST_CONTRACT_ID, confirmations: 2 })
+      });
+      service.verificationInterval = 0;
+
+      // Transactions are checked against the merchant's Stacks address
+      merchants = new Repository(database, { table: 'merchants', columns: { stacksAddress: 'stacks_address' } });
+      await merchants.create({
+        id: 'merchant_verify',
+        businessName: 'Verified Store',
+        stacksAddress: TEST_MERCHANT,
+        createdAt: new Date().toISOString()
+      });
+
+      intent = await service.createPaymentIntent('merchant_verify', { amount: 150000, description: 'Verified payment' });
+      confirmation = {
+        customerAddress: global.testUtils.generateStacksAddress(),
+        transactionId: global.testUtils.generateTxId()
+      };
+    });
+
+    const storeTx = (overrides = {}) => stacksApi.setTransaction(buildProcessPaymentTx({
+      txId: confirmation.transactionId,
+      paymentId: intent.paymentId,
+      amount: intent.amount,
+      customer: confirmation.customerAddress,
+      blockHeight: 199,
+      ...overrides
+    }));
+
+    test('should succeed immediately when the transaction is already confirmed', async () => {
+      storeTx();
+      const succeeded = jest.fn();
+      service.on('payment.succeeded', succeeded);
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+
+      expect(result.status).toBe('succeeded');
+      const payment = await service.getPaymentIntent(intent.id);
+      expect(payment.succeededAt).toBeDefined();
+      expect(payment.blockHeight).toBe(199);
+      expect(payment.confirmations).toBe(2);
+      expect(succeeded).toHaveBeenCalledWith(expect.objectContaining({ id: intent.id, merchantId: 'merchant_verify' }));
+    });
+
+    test('should keep processing until the transaction is deep enough', async () => {
+      storeTx({ blockHeight: 200 });
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+      expect(result.status).toBe('processing');
+
+      stacksApi.mineBlocks(1);
+      const payment = await service.getPaymentIntent(intent.id);
+      expect(payment.status).toBe('succeeded');
+    });
+
+    test('should not succeed without a matching transaction', async () => {
+      const result = await service.confirmPayment(intent.id, confirmation);
+
+      expect(result.status).toBe('processing');
+      expect((await service.getPaymentIntent(intent.id)).status).toBe('processing');
+    });
+
+    test('should fail the payment with a reason when verification fails', async () => {
+      storeTx({ amount: 1000 });
+      const failed = jest.fn();
+      service.on('payment.failed', failed);
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+
+      expect(result.status).toBe('payment_failed');
+      const payment = await service.getPaymentIntent(intent.id);
+      expect(payment.failedAt).toBeDefined();
+      expect(payment.failureReason).toContain('does not match');
+      expect(failed).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail a payment made to another merchant under the same payment-id', async () => {
+      storeTx({ merchant: 'ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2' });
+      const succeeded = jest.fn();
+      service.on('payment.succeeded', succeeded);
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+
+      expect(result.status).toBe('payment_failed');
+      expect((await service.getPaymentIntent(intent.id)).failureReason).toBe('Transaction was for a different merchant');
+      expect(succeeded).not.toHaveBeenCalled();
+    });
+
+    test('should verify against the payout address the intent was created with', async () => {
+      const other = 'ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2';
+      await merchants.update('merchant_verify', { stacksAddress: other });
+      storeTx();
+
+      expect((await service.confirmPayment(intent.id, confirmation)).status).toBe('succeeded');
+      expect(await service.isMerchantAddress(await service.findById(intent.id), other)).toBe(false);
+
+      // Intents from before the address was kept follow the merchant's current address
+      await service.payments.update(intent.id, { merchantAddress: undefined });
+      expect(await service.isMerchantAddress(await service.findById(intent.id), other)).toBe(true);
+    });
+
+    test('should not confirm a payment that is already paid or processing', async () => {
+      storeTx();
+      const succeeded = jest.fn();
+      service.on('payment.succeeded', succeeded);
+      await service.confirmPayment(intent.id, confirmation);
+
+      const bogus = { ...confirmation, transactionId: global.testUtils.generateTxId() };
+      await expect(service.confirmPayment(intent.id, confirmation))
+        .rejects.toThrow('Payment intent already processed (succeeded)');
+      await expect(service.confirmPayment(intent.id, bogus))
+        .rejects.toThrow('Payment intent already processed (succeeded)');
+
+      const payment = await service.getPaymentIntent(intent.id);
+      expect(payment).toMatchObject({ status: 'succeeded', transactionId: confirmation.transactionId });
+      expect(succeeded).toHaveBeenCalledTimes(1);
+
+      const pending = await service.createPaymentIntent('merchant_verify', { amount: 150000 });
+      await service.confirmPayment(pending.id, bogus);
+      await expect(service.confirmPayment(pending.id, confirmation))
+        .rejects.toThrow('Payment intent already processed (processing)');
+    });
+
+    test('should let a failed payment be retried with another transaction', async () => {
+      storeTx({ amount: 1000 });
+      expect((await service.confirmPayment(intent.id, confirmation)).status).toBe('payment_failed');
+
+      const retry = { ...confirmation, transactionId: global.testUtils.generateTxId() };
+      stacksApi.setTransaction(buildProcessPaymentTx({
+        txId: retry.transactionId,
+        paymentId: intent.paymentId,
+        amount: intent.amount,
+        customer: retry.customerAddress,
+        blockHeight: 199
+      }));
+
+      const result = await service.confirmPayment(intent.id, retry);
+
+      expect(result.status).toBe('succeeded');
+      expect(await service.getPaymentIntent(intent.id)).toMatchObject({ failureReason: null, transactionId: retry.transactionId });
+    });
+
+    test('should settle with the transaction that replaced the submitted one by fee', async () => {
+      const replacementTxId = global.testUtils.generateTxId();
+      service.verifier.nonceManager = { replacementOf: txId => (txId === confirmation.transactionId ? replacementTxId : null) };
+      storeTx({ status: 'dropped_replace_by_fee' });
+      storeTx({ txId: replacementTxId });
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+
+      expect(result.status).toBe('succeeded');
+      expect(await service.findById(intent.id)).toMatchObject({ status: 'succeeded', transactionId: replacementTxId });
+    });
+
+    test('should stay processing when the Stacks API is unavailable', async () => {
+      storeTx();
+      stacksApi.failNext();
+
+      const result = await service.confirmPayment(intent.id, confirmation);
+      expect(result.status).toBe('processing');
+
+      await service.verifyProcessingPayments();
+      expect((await service.getPaymentIntent(intent.id)).status).toBe('succeeded');
+    });
+
+    test('should require a transaction ID', async () => {
+      await expect(service.confirmPayment(intent.id, { customerAddress: confirmation.customerAddress }))
+        .rejects.toThrow('Transaction ID is required');
+    });
+
+    test('should throttle on-chain checks when reading a processing payment', async () => {
+      service.verificationInterval = 60000;
+      await service.confirmPayment(intent.id, confirmation);
+      const callsAfterConfirm = stacksApi.calls.length;
+
+      storeTx();
+      await service.getPaymentIntent(intent.id);
+
+      expect(stacksApi.calls.length).toBe(callsAfterConfirm);
+      expect((await service.getPaymentIntent(intent.id)).status).toBe('processing');
+    });
+  });
+
+  describe('cancelPaymentIntent', () => {
+    const merchantId = 'merchant_cancel';
+    let contractService;
+    let service;
+    let intent;
+
+    beforeEach(async () => {
+      contractService = { cancelPayment: jest.fn().mockResolvedValue({ success: true, transactionId: '0xcancel' }) };
+      service = new PaymentService({
+        database: createDatabase(':memory:'),
+        verifier: new TransactionVerifier({ stacksApi: new FakeStacksApiClient(), contractId: TEST_CONTRACT_ID }),
+        contractService
+      });
+      intent = await service.createPaymentIntent(merchantId, { amount: 50000 });
+    });
+
+    test('should cancel an off-chain intent with a reason and emit payment.canceled', async () => {
+      const canceled = jest.fn();
+      service.on('payment.canceled', canceled);
+
+      const result = await service.cancelPaymentIntent(merchantId, intent.id, { reason: 'Order abandoned' });
+
+      expect(result).toMatchObject({ status: 'canceled', cancellationReason: 'Order abandoned', cancellationTransactionId: null });
+      expect(result.canceledAt).toBeDefined();
+      expect(contractService.cancelPayment).not.toHaveBeenCalled();
+      expect(canceled).toHaveBeenCalledWith(expect.objectContaining({ id: intent.id, status: 'canceled' }));
+
+      await expect(service.confirmPayment(intent.id, { transactionId: global.testUtils.generateTxId() }))
+        .rejects.toThrow('Payment intent has been canceled');
+    });
+
+    test('should call cancel-payment for intents mirrored on-chain', async () => {
+      const privateKey = 'a'.repeat(64);
+
+      const result = await service.cancelPaymentIntent(merchantId, intent.id, { merchantPrivateKey: privateKey });
+
+      expect(contractService.cancelPayment).toHaveBeenCalledWith({ paymentId: intent.paymentId, merchantPrivateKey: privateKey, livemode: false });
+      expect(result).toMatchObject({ status: 'canceled', cancellationTransactionId: '0xcancel' });
+    });
+
+    test('should leave the intent open when the contract call fails', async () => {
+      contractService.cancelPayment.mockRejectedValue(new Error('Failed to cancel payment on blockchain: NotEnoughFunds'));
+
+      await expect(service.cancelPaymentIntent(merchantId, intent.id, { merchantPrivateKey: 'a'.repeat(64) }))
+        .rejects.toThrow('Failed to cancel payment on blockchain');
+      expect((await service.findById(intent.id)).status).toBe('requires_payment_method');
+    });
+
+    test('should refuse intents that are already paid or belong to another merchant', async () => {
+      await service.payments.update(intent.id, { status: 'processing' });
+
+      await expect(service.cancelPaymentIntent(merchantId, intent.id))
+        .rejects.toThrow('Payment cannot be canceled while processing');
+      await expect(service.cancelPaymentIntent('merchant_other', intent.id))
+        .rejects.toThrow('Payment intent not found');
+    });
+  });
+
+  describe('markExpiredPayments', () => {
+    test('should expire only unpaid intents past expiresAt and emit payment.expired', async () => {
+      const expired = jest.fn();
+      paymentService.on('payment.expired', expired);
+
+      const stale = await paymentService.createPaymentIntent('merchant_expiry', { amount: 50000 });
+      const paid = await paymentService.createPaymentIntent('merchant_expiry', { amount: 50000 });
+      const fresh = await paymentService.createPaymentIntent('merchant_expiry', { amount: 50000 });
+      const past = new Date(Date.now() - 1000).toISOString();
+      await paymentService.payments.update(stale.id, { expiresAt: past });
+      await paymentService.payments.update(paid.id, { expiresAt: past, status: 'processing' });
+
+      expect(await paymentService.markExpiredPayments()).toBe(1);
+      expect(await paymentService.markExpiredPayments()).toBe(0);
+
+      expect((await paymentService.getPaymentIntent(stale.id))).toMatchObject({ status: 'expired', expiredAt: expect.any(String) });
+      expect((await paymentService.findById(paid.id)).status).toBe('processing');
+      expect((await paymentService.findById(fresh.id)).status).toBe('requires_payment_method');
+      expect(expired).toHaveBeenCalledTimes(1);
+      expect(expired).toHaveBeenCalledWith(expect.objectContaining({ id: stale.id, status: 'expired' }));
+    });
+  });
+
   describe('edge cases and error handling', () => {
     test('should handle concurrent payment creations', async () => {
       const merchantId = 'merchant_concurrent_test';
@@ -506,12 +789,15 @@ describe('PaymentService', () => {
         description: 'Before reinit'
       });
 
-      // Simulate service restart
-      paymentService = new PaymentService();
+      // Simulate service restart against the same database
+      paymentService = new PaymentService({
+        database: paymentService.payments.db,
+        verifier: paymentService.verifier
+      });
 
-      // Old payment should not be accessible
-      await expect(paymentService.getPaymentIntent(payment1.id))
-        .rejects.toThrow('Payment intent not found');
+      // Old payment should still be accessible
+      const persisted = await paymentService.getPaymentIntent(payment1.id);
+      expect(persisted.description).toBe('Before reinit');
 
       // Should be able to create new payments
       const payment2 = await paymentService.createPaymentIntent('merchant_test', {
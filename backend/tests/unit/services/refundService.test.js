@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for RefundService
+ * Tests refund creation, refundable amounts, on-chain verification and the payment.refunded event
+ */
+
+const RefundService = require('../../../src/services/refundService');
+const PaymentService = require('../../../src/services/paymentService');
+const MerchantService = require('../../../src/services/merchantService');
+const TransactionVerifier = require('../../../src/services/transactionVerifier');
+const { createDatabase } = require('../../../src/database');
+const { FakeStacksApiClient, buildRefundPaymentTx, TEST_CONTRACT_ID, TEST_MERCHANT } = require('../../utils/fakeStacksApi');
+
+describe('RefundService', () => {
+  let database;
+  let stacksApi;
+  let paymentService;
+  let refundService;
+  let payment;
+
+  const merchantId = 'merchant_refunds';
+
+  beforeEach(async () => {
+    database = createDatabase(':memory:');
+    stacksApi = new FakeStacksApiClient({ tipHeight: 100 });
+    const verifier = new TransactionVerifier({ stacksApi, contractId: TEST_CONTRACT_ID, confirmations: 1 });
+    paymentService = new PaymentService({ database, verifier });
+    refundService = new RefundService({ database, paymentService, verifier });
+
+    // Refund transactions are checked against the merchant's Stacks address
+    await new MerchantService({ database, paymentService }).merchants.create({
+      id: merchantId,
+      businessName: 'Refund Store',
+      stacksAddress: TEST_MERCHANT,
+      createdAt: new Date().toISOString()
+    });
+
+    payment = await paymentService.create({
+      id: 'pi_refund_test',
+      paymentId: 'pay_refund_test',
+      merchantId,
+      amount: 100000,
+      currency: 'BTC',
+      status: 'succeeded',
+      customerAddress: 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG',
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  const storeRefundTx = (txId, amount, overrides = {}) => stacksApi.setTransaction(buildRefundPaymentTx({
+    txId,
+    paymentId: payment.paymentId,
+    amount,
+    ...overrides
+  }));
+
+  describe('createRefund', () => {
+    test('should create a pending refund of the remaining amount with the contract call to sign', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { reason: 'Returned' });
+
+      expect(refund).toMatchObject({
+        paymentId: payment.id,
+        amount: 100000,
+        status: 'pending',
+        reason: 'Returned',
+        contractCall: {
+          contractId: TEST_CONTRACT_ID,
+          functionName: 'refund-payment',
+          functionArgs: { paymentId: payment.paymentId, amount: 100000 }
+        }
+      });
+      expect(refund.id).toMatch(/^re_/);
+    });
+
+    test('should count open refunds against the refundable amount', async () => {
+      await refundService.createRefund(merchantId, payment.id, { amount: 70000 });
+
+      await expect(refundService.createRefund(merchantId, payment.id, { amount: 40000 }))
+        .rejects.toThrow('Refund amount exceeds the 30000 sats left to refund');
+
+      const rest = await refundService.createRefund(merchantId, payment.id);
+      expect(rest.amount).toBe(30000);
+
+      await expect(refundService.createRefund(merchantId, payment.id))
+        .rejects.toThrow('the full amount has already been refunded');
+    });
+
+    test('should not let concurrent refunds exceed the payment amount', async () => {
+      const results = await Promise.allSettled([
+        refundService.createRefund(merchantId, payment.id, { amount: 70000 }),
+        refundService.createRefund(merchantId, payment.id, { amount: 70000 })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.message)
+        .toBe('Refund amount exceeds the 30000 sats left to refund');
+      expect(await refundService.getRefundedAmount(payment.id)).toBe(70000);
+    });
+
+    test('should refuse payments that have not settled or belong to another merchant', async () => {
+      await paymentService.payments.update(payment.id, { status: 'processing' });
+
+      await expect(refundService.createRefund(merchantId, payment.id))
+        .rejects.toThrow('Payment cannot be refunded while processing');
+      await expect(refundService.createRefund('merchant_other', payment.id))
+        .rejects.toThrow('Payment intent not found');
+    });
+  });
+
+  describe('confirmRefund', () => {
+    test('should apply a verified partial refund to the payment and emit payment.refunded', async () => {
+      const listener = jest.fn();
+      paymentService.on('payment.refunded', listener);
+
+      const refund = await refundService.createRefund(merchantId, payment.id, { amount: 40000 });
+      storeRefundTx('tx_partial', 40000, { refundStatus: 'partially_refunded' });
+
+      const confirmed = await refundService.confirmRefund(merchantId, payment.id, refund.id, { transactionId: 'tx_partial' });
+
+      expect(confirmed).toMatchObject({ status: 'succeeded', transactionId: 'tx_partial', blockHeight: 100 });
+      expect(await paymentService.findById(payment.id)).toMatchObject({ status: 'partially_refunded', amountRefunded: 40000 });
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ id: payment.id, status: 'partially_refunded' }),
+        { refund: expect.objectContaining({ id: refund.id, amount: 40000, status: 'succeeded' }) }
+      );
+
+      const rest = await refundService.createRefund(merchantId, payment.id, { transactionId: 'tx_rest' });
+      expect(rest.status).toBe('processing');
+
+      storeRefundTx('tx_rest', 60000, { totalRefunded: 100000 });
+      await refundService.verifyProcessingRefunds();
+
+      expect(await paymentService.findById(payment.id)).toMatchObject({ status: 'refunded', amountRefunded: 100000 });
+    });
+
+    test('should fail a refund whose transaction does not match and release its amount', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { amount: 40000 });
+      storeRefundTx('tx_wrong', 1000);
+
+      const failed = await refundService.confirmRefund(merchantId, payment.id, refund.id, { transactionId: 'tx_wrong' });
+
+      expect(failed.status).toBe('failed');
+      expect(failed.failureReason).toContain('does not match refund amount');
+      expect((await paymentService.findById(payment.id)).status).toBe('succeeded');
+      expect(await refundService.getRefundedAmount(payment.id)).toBe(0);
+    });
+
+    test('should fail a refund made by another merchant for the same payment-id', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { amount: 40000 });
+      storeRefundTx('tx_other_merchant', 40000, { merchant: 'ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2' });
+
+      const failed = await refundService.confirmRefund(merchantId, payment.id, refund.id, { transactionId: 'tx_other_merchant' });
+
+      expect(failed.status).toBe('failed');
+      expect(failed.failureReason).toBe('Transaction was for a different merchant');
+      expect((await paymentService.findById(payment.id)).amountRefunded).toBeUndefined();
+    });
+
+    test('should only confirm pending refunds', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { transactionId: 'tx_unknown' });
+      expect(refund.status).toBe('processing');
+
+      await expect(refundService.confirmRefund(merchantId, payment.id, refund.id, { transactionId: 'tx_other' }))
+        .rejects.toThrow('Refund cannot be confirmed while processing');
+      await expect(refundService.confirmRefund(merchantId, payment.id, 're_missing', { transactionId: 'tx_other' }))
+        .rejects.toThrow('Refund not found');
+    });
+  });
+
+  describe('pending refunds', () => {
+    test('should cancel a pending refund and release its amount', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { amount: 70000 });
+
+      const canceled = await refundService.cancelRefund(merchantId, payment.id, refund.id);
+
+      expect(canceled).toMatchObject({ status: 'canceled', canceledAt: expect.any(String) });
+      expect(await refundService.getRefundedAmount(payment.id)).toBe(0);
+      await expect(refundService.cancelRefund(merchantId, payment.id, refund.id))
+        .rejects.toThrow('Refund cannot be canceled while canceled');
+      await expect(refundService.confirmRefund(merchantId, payment.id, refund.id, { transactionId: 'tx_late' }))
+        .rejects.toThrow('Refund cannot be confirmed while canceled');
+      await expect(refundService.cancelRefund('merchant_other', payment.id, refund.id))
+        .rejects.toThrow('Refund not found');
+    });
+
+    test('should only cancel pending refunds', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { transactionId: 'tx_unknown' });
+
+      await expect(refundService.cancelRefund(merchantId, payment.id, refund.id))
+        .rejects.toThrow('Refund cannot be canceled while processing');
+    });
+
+    test('should expire pending refunds past their expiry time', async () => {
+      const refund = await refundService.createRefund(merchantId, payment.id, { amount: 70000 });
+      const fresh = await refundService.createRefund(merchantId, payment.id, { amount: 10000 });
+      expect(Date.parse(refund.expiresAt) - Date.parse(refund.createdAt)).toBe(refundService.pendingTtl);
+
+      await refundService.refunds.update(refund.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      expect(await refundService.expirePendingRefunds()).toBe(1);
+      expect(await refundService.getRefund(merchantId, payment.id, refund.id))
+        .toMatchObject({ status: 'expired', expiredAt: expect.any(String) });
+      expect((await refundService.getRefund(merchantId, payment.id, fresh.id)).status).toBe('pending');
+      expect(await refundService.getRefundedAmount(payment.id)).toBe(10000);
+      expect(await refundService.expirePendingRefunds()).toBe(0);
+    });
+  });
+
+  test('should list only the merchant\'s refunds for a payment', async () => {
+    await refundService.createRefund(merchantId, payment.id, { amount: 10000 });
+    await refundService.createRefund(merchantId, payment.id, { amount: 20000 });
+
+    const refunds = await refundService.listRefunds(merchantId, payment.id);
+
+    expect(refunds.map(refund => refund.amount).sort()).toEqual([10000, 20000]);
+    await expect(refundService.listRefunds('merchant_other', payment.id)).rejects.toThrow('Payment intent not found');
+  });
+});
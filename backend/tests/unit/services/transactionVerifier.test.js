@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for TransactionVerifier
+ * Tests on-chain verification of process-payment transactions
+ */
+
+const TransactionVerifier = require('../../../src/services/transactionVerifier');
+const {
+  FakeStacksApiClient,
+  buildProcessPaymentTx,
+  buildRefundPaymentTx,
+  TEST_CONTRACT_ID,
+  TEST_CUSTOMER,
+  TEST_MERCHANT
+} = require('../../utils/fakeStacksApi');
+
+describe('TransactionVerifier', () => {
+  let stacksApi;
+  let verifier;
+  let paymentIntent;
+
+  const merchant = { merchantAddress: TEST_MERCHANT };
+
+  beforeEach(() => {
+    stacksApi = new FakeStacksApiClient({ tipHeight: 100 });
+    verifier = new TransactionVerifier({ stacksApi, contractId: TEST_CONTRACT_ID, confirmations: 3 });
+    paymentIntent = {
+      paymentId: 'pi_verifier_test',
+      amount: 150000,
+      transactionId: global.testUtils.generateTxId()
+    };
+  });
+
+  const storeTx = (overrides = {}) => stacksApi.setTransaction(buildProcessPaymentTx({
+    txId: paymentIntent.transactionId,
+    paymentId: paymentIntent.paymentId,
+    amount: paymentIntent.amount,
+    blockHeight: 98,
+    ...overrides
+  }));
+
+  test('should confirm a successful process-payment with enough confirmations', async () => {
+    storeTx();
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result).toEqual({ status: 'confirmed', reason: null, confirmations: 3, blockHeight: 98 });
+  });
+
+  test('should stay pending until the confirmation depth is reached', async () => {
+    storeTx({ blockHeight: 100 });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+    expect(result.status).toBe('pending');
+    expect(result.confirmations).toBe(1);
+
+    stacksApi.mineBlocks(2);
+    expect((await verifier.verifyPayment(paymentIntent, merchant)).status).toBe('confirmed');
+  });
+
+  test('should stay pending when the transaction is unknown or in the mempool', async () => {
+    expect((await verifier.verifyPayment(paymentIntent, merchant)).status).toBe('pending');
+
+    storeTx({ status: 'pending' });
+    expect((await verifier.verifyPayment(paymentIntent, merchant)).status).toBe('pending');
+  });
+
+  test('should stay pending when the block is not canonical', async () => {
+    storeTx({ canonical: false });
+
+    expect((await verifier.verifyPayment(paymentIntent, merchant)).status).toBe('pending');
+  });
+
+  test('should fail an aborted transaction', async () => {
+    storeTx({ status: 'abort_by_post_condition' });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toContain('abort_by_post_condition');
+  });
+
+  test('should verify a transaction replaced by fee through its replacement', async () => {
+    const replacementTxId = global.testUtils.generateTxId();
+    storeTx({ status: 'dropped_replace_by_fee' });
+
+    expect(await verifier.verifyPayment(paymentIntent, merchant)).toMatchObject({
+      status: 'failed',
+      reason: 'Transaction failed with status dropped_replace_by_fee'
+    });
+
+    verifier.nonceManager = { replacementOf: txId => (txId === paymentIntent.transactionId ? replacementTxId : null) };
+    expect(await verifier.verifyPayment(paymentIntent, merchant)).toMatchObject({
+      status: 'pending',
+      transactionId: replacementTxId
+    });
+
+    storeTx({ txId: replacementTxId });
+    expect(await verifier.verifyPayment(paymentIntent, merchant)).toEqual({
+      status: 'confirmed',
+      reason: null,
+      confirmations: 3,
+      blockHeight: 98,
+      transactionId: replacementTxId
+    });
+  });
+
+  test('should fail a transaction to another contract', async () => {
+    storeTx({ contractId: 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG.lookalike-gateway' });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toContain(TEST_CONTRACT_ID);
+  });
+
+  test('should fail a transaction calling another function', async () => {
+    storeTx({ functionName: 'create-payment' });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toContain('create-payment');
+  });
+
+  test('should fail a transaction for a different payment-id', async () => {
+    storeTx({ paymentId: 'pi_someone_else' });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toBe('Transaction was for a different payment');
+  });
+
+  test('should fail a transaction settling a different amount', async () => {
+    storeTx({ amount: 1000 });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toContain('does not match');
+  });
+
+  test('should fail a transaction paying another merchant under the same payment-id', async () => {
+    storeTx({ merchant: 'ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2' });
+
+    const result = await verifier.verifyPayment(paymentIntent, merchant);
+
+    expect(result.status).toBe('failed');
+    expect(result.reason).toBe('Transaction was for a different merchant');
+    expect((await verifier.verifyPayment(paymentIntent)).reason).toBe('Transaction was for a different merchant');
+  });
+
+  test('should fail a transaction sent by someone other than the customer', async () => {
+    storeTx();
+
+    const customer = { ...paymentIntent, customerAddress: TEST_CUSTOMER };
+    expect((await verifier.verifyPayment(customer, merchant)).status).toBe('confirmed');
+
+    const other = { ...paymentIntent, customerAddress: 'ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2' };
+    const result = await verifier.verifyPayment(other, merchant);
+    expect(result.status).toBe('failed');
+    expect(result.reason).toBe(`Transaction was sent by ${TEST_CUSTOMER} instead of ST3PF13W7Z0RRZ85EG7XEBF1K20FGJ7G95W8P4FD2`);
+  });
+
+  test('should propagate Stacks API errors', async () => {
+    stacksApi.failNext();
+
+    await expect(verifier.verifyPayment(paymentIntent, merchant)).rejects.toThrow('Stacks API unavailable');
+  });
+
+  describe('verifyRefund', () => {
+    const refund = { amount: 40000, transactionId: 'tx_refund_test' };
+
+    test('should confirm a refund-payment for the refunded amount', async () => {
+      stacksApi.setTransaction(buildRefundPaymentTx({
+        txId: refund.transactionId,
+        paymentId: paymentIntent.paymentId,
+        amount: refund.amount,
+        refundStatus: 'partially_refunded',
+        blockHeight: 98
+      }));
+
+      const result = await verifier.verifyRefund(refund, paymentIntent, merchant);
+
+      expect(result).toEqual({ status: 'confirmed', reason: null, confirmations: 3, blockHeight: 98 });
+    });
+
+    test('should fail a refund pointing at the payment transaction', async () => {
+      storeTx({ txId: refund.transactionId });
+
+      const result = await verifier.verifyRefund(refund, paymentIntent, merchant);
+
+      expect(result.status).toBe('failed');
+      expect(result.reason).toBe('Transaction called process-payment instead of refund-payment');
+    });
+
+    test('should fail a refund-payment for a different amount', async () => {
+      stacksApi.setTransaction(buildRefundPaymentTx({
+        txId: refund.transactionId,
+        paymentId: paymentIntent.paymentId,
+        amount: 1000,
+        blockHeight: 98
+      }));
+
+      const result = await verifier.verifyRefund(refund, paymentIntent, merchant);
+
+      expect(result.status).toBe('failed');
+      expect(result.reason).toBe('Transaction amount 1000 does not match refund amount 40000');
+    });
+  });
+
+  test('should read the confirmation depth from the environment', () => {
+    process.env.PAYMENT_CONFIRMATIONS = '6';
+    try {
+      expect(new TransactionVerifier({ stacksApi }).requiredConfirmations).toBe(6);
+    } finally {
+      delete process.env.PAYMENT_CONFIRMATIONS;
+    }
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Unit Tests for WebhookService
+ * Tests endpoint management, signed delivery, secret rotation, retries with backoff, the dead-letter queue and replay
+ */
+
+const WebhookService = require('../../../src/services/webhookService');
+const PaymentService = require('../../../src/services/paymentService');
+const { createDatabase } = require('../../../src/database');
+const { SIGNATURE_HEADER, buildSignatureHeader, verifySignature } = require('../../../src/utils/webhooks');
+
+/**
+ * fetch stand-in that records requests and answers with queued status codes (200 by default)
+ */
+const createFakeFetch = () => {
+  const fakeFetch = jest.fn(async (url, options) => {
+    fakeFetch.requests.push({ url, ...options });
+    const next = fakeFetch.responses.shift() ?? 200;
+    if (next instanceof Error) {
+      throw next;
+    }
+    return { status: next, ok: next >= 200 && next < 300, text: async () => 'ok' };
+  });
+  fakeFetch.requests = [];
+  fakeFetch.responses = [];
+  return fakeFetch;
+};
+
+describe('WebhookService', () => {
+  let database;
+  let fakeFetch;
+  let lookup;
+  let webhookService;
+
+  const paymentIntent = { id: 'pay_1', paymentId: 'pi_1', amount: 50000, status: 'succeeded' };
+
+  beforeEach(() => {
+    database = createDatabase(':memory:');
+    fakeFetch = createFakeFetch();
+    lookup = jest.fn(async (host) => [{ address: host === 'internal.example.com' ? '10.0.0.5' : '93.184.216.34', family: 4 }]);
+    webhookService = new WebhookService({
+      database,
+      fetchImpl: fakeFetch,
+      lookup,
+      maxAttempts: 3,
+      retryBaseDelay: 1000
+    });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  describe('signatures', () => {
+    test('should verify a signature for the same payload and secret', () => {
+      const header = buildSignatureHeader('{"a":1}', 'whsec_test', 1700000000);
+
+      expect(header).toMatch(/^t=1700000000,v1=[a-f0-9]{64}$/);
+      expect(verifySignature('{"a":1}', header, 'whsec_test', { now: 1700000000 * 1000 })).toBe(true);
+      expect(verifySignature('{"a":2}', header, 'whsec_test', { now: 1700000000 * 1000 })).toBe(false);
+      expect(verifySignature('{"a":1}', header, 'whsec_other', { now: 1700000000 * 1000 })).toBe(false);
+    });
+
+    test('should reject signatures outside the tolerance window', () => {
+      const header = buildSignatureHeader('{}', 'whsec_test', 1700000000);
+
+      expect(verifySignature('{}', header, 'whsec_test', { now: (1700000000 + 301) * 1000 })).toBe(false);
+      expect(verifySignature('{}', 'v1=deadbeef', 'whsec_test')).toBe(false);
+    });
+  });
+
+  describe('createEndpoint', () => {
+    test('should create an enabled endpoint with a signing secret', async () => {
+      const endpoint = await webhookService.createEndpoint('merchant_a', {
+        url: 'https://example.com/hooks',
+        events: ['payment.succeeded', 'payment.succeeded']
+      });
+
+      expect(endpoint).toMatchObject({
+        merchantId: 'merchant_a',
+        url: 'https://example.com/hooks',
+        events: ['payment.succeeded'],
+        status: 'enabled'
+      });
+      expect(endpoint.id).toMatch(/^we_/);
+      expect(endpoint.secret).toMatch(/^whsec_/);
+      expect(await webhookService.getEndpoint('merchant_b', endpoint.id)).toBeNull();
+    });
+
+    test('should reject unknown event types', async () => {
+      await expect(webhookService.createEndpoint('merchant_a', {
+        url: 'https://example.com/hooks',
+        events: ['payment.disputed']
+      })).rejects.toThrow('Unsupported webhook event type: payment.disputed');
+    });
+  });
+
+  describe('endpoint URLs', () => {
+    test.each([
+      ['http://example.com/hooks', 'Webhook URL must use https'],
+      ['https://internal.example.com/hooks', 'Webhook URL must resolve to a public address'],
+      ['https://127.0.0.1/hooks', 'Webhook URL must resolve to a public address'],
+      ['https://169.254.169.254/latest/meta-data', 'Webhook URL must resolve to a public address'],
+      ['https://[::ffff:7f00:1]/hooks', 'Webhook URL must resolve to a public address'],
+      ['https://[fd00::1]/hooks', 'Webhook URL must resolve to a public address']
+    ])('should refuse %s', async (url, message) => {
+      await expect(webhookService.createEndpoint('merchant_a', { url, events: ['payment.succeeded'] }))
+        .rejects.toThrow(message);
+    });
+
+    test('should refuse hosts that do not resolve', async () => {
+      lookup.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+      await expect(webhookService.createEndpoint('merchant_a', { url: 'https://missing.example.com', events: ['payment.succeeded'] }))
+        .rejects.toThrow('Webhook URL host could not be resolved: missing.example.com');
+    });
+
+    test('should refuse private URLs when updating an endpoint', async () => {
+      const endpoint = await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.succeeded'] });
+
+      await expect(webhookService.updateEndpoint('merchant_a', endpoint.id, { url: 'https://internal.example.com/hooks' }))
+        .rejects.toThrow('Webhook URL must resolve to a public address');
+      expect((await webhookService.getEndpoint('merchant_a', endpoint.id)).url).toBe('https://example.com/hooks');
+    });
+
+    test('should not deliver to a host that moved to a private address, nor follow redirects', async () => {
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.succeeded'] });
+
+      lookup.mockResolvedValueOnce([{ address: '127.0.0.1', family: 4 }]);
+      const { deliveries: [rebound] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      expect(rebound).toMatchObject({ status: 'retrying', lastError: 'Webhook URL must resolve to a public address' });
+      expect(fakeFetch.requests).toHaveLength(0);
+
+      fakeFetch.responses.push(302);
+      const { deliveries: [redirected] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      expect(redirected).toMatchObject({ status: 'retrying', lastError: 'Endpoint responded with 302' });
+      expect(fakeFetch.requests[0].redirect).toBe('manual');
+    });
+  });
+
+  describe('endpoint management', () => {
+    let endpoint;
+
+    beforeEach(async () => {
+      endpoint = await webhookService.createEndpoint('merchant_a', {
+        url: 'https://example.com/hooks',
+        events: ['payment.succeeded']
+      });
+    });
+
+    test('should update only the given fields', async () => {
+      const updated = await webhookService.updateEndpoint('merchant_a', endpoint.id, { events: ['payment.failed'] });
+
+      expect(updated).toMatchObject({ url: endpoint.url, events: ['payment.failed'], secret: endpoint.secret });
+      expect(await webhookService.updateEndpoint('merchant_b', endpoint.id, { url: 'https://evil.example.com' })).toBeNull();
+    });
+
+    test('should not deliver to disabled endpoints', async () => {
+      await webhookService.updateEndpoint('merchant_a', endpoint.id, { status: 'disabled' });
+
+      const { deliveries } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      expect(deliveries).toEqual([]);
+      expect(fakeFetch).not.toHaveBeenCalled();
+    });
+
+    test('should delete endpoints and dead-letter their pending retries', async () => {
+      fakeFetch.responses.push(500);
+      const { deliveries: [delivery] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      expect(await webhookService.deleteEndpoint('merchant_b', endpoint.id)).toBe(false);
+      expect(await webhookService.deleteEndpoint('merchant_a', endpoint.id)).toBe(true);
+      expect(await webhookService.listEndpoints('merchant_a')).toEqual([]);
+
+      await webhookService.deliveries.update(delivery.id, { nextAttemptAt: new Date(0).toISOString() });
+      await webhookService.processDueRetries();
+      expect((await webhookService.getDelivery('merchant_a', delivery.id)).status).toBe('dead');
+    });
+
+    test('should sign with both secrets during the rotation overlap', async () => {
+      const rotated = await webhookService.rotateSecret('merchant_a', endpoint.id, { overlapSeconds: 60 });
+
+      expect(rotated.secret).not.toBe(endpoint.secret);
+      expect(webhookService.getSigningSecrets(rotated)).toEqual([rotated.secret, endpoint.secret]);
+
+      await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+      const [{ body, headers }] = fakeFetch.requests;
+      expect(verifySignature(body, headers[SIGNATURE_HEADER], rotated.secret)).toBe(true);
+      expect(verifySignature(body, headers[SIGNATURE_HEADER], endpoint.secret)).toBe(true);
+    });
+
+    test('should drop the old secret once the overlap has passed', async () => {
+      const rotated = await webhookService.rotateSecret('merchant_a', endpoint.id, { overlapSeconds: 0 });
+      expect(webhookService.getSigningSecrets(rotated)).toEqual([rotated.secret]);
+
+      const expired = { ...rotated, previousSecrets: [{ secret: endpoint.secret, expiresAt: new Date(Date.now() - 1000).toISOString() }] };
+      expect(webhookService.getSigningSecrets(expired)).toEqual([rotated.secret]);
+    });
+
+    test('should send a test event to the endpoint', async () => {
+      const delivery = await webhookService.sendTestEvent('merchant_a', endpoint.id, 'payment.failed');
+
+      expect(delivery).toMatchObject({ status: 'succeeded', eventType: 'payment.failed', endpointId: endpoint.id });
+      expect(JSON.parse(fakeFetch.requests[0].body)).toMatchObject({
+        type: 'payment.failed',
+        test: true,
+        paymentIntent: { status: 'payment_failed' }
+      });
+      await expect(webhookService.sendTestEvent('merchant_b', endpoint.id)).rejects.toThrow('Webhook endpoint not found');
+    });
+  });
+
+  describe('publish', () => {
+    test('should deliver a signed event to subscribed endpoints only', async () => {
+      const endpoint = await webhookService.createEndpoint('merchant_a', {
+        url: 'https://example.com/succeeded',
+        events: ['payment.succeeded']
+      });
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/failed', events: ['payment.failed'] });
+      await webhookService.createEndpoint('merchant_b', { url: 'https://example.com/other', events: ['payment.succeeded'] });
+
+      const { event, deliveries } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      expect(event).toMatchObject({ type: 'payment.succeeded', paymentIntent });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ status: 'succeeded', attemptCount: 1, endpointId: endpoint.id });
+
+      expect(fakeFetch.requests).toHaveLength(1);
+      const [delivered] = fakeFetch.requests;
+      expect(delivered.url).toBe('https://example.com/succeeded');
+      expect(JSON.parse(delivered.body)).toEqual(event);
+      expect(delivered.headers['x-sbtcpay-event']).toBe('payment.succeeded');
+      expect(verifySignature(delivered.body, delivered.headers[SIGNATURE_HEADER], endpoint.secret)).toBe(true);
+    });
+
+    test('should schedule a retry with exponential backoff when delivery fails', async () => {
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.succeeded'] });
+      fakeFetch.responses.push(500, new Error('connect ECONNREFUSED'));
+
+      const { deliveries: [first] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+      expect(first).toMatchObject({ status: 'retrying', attemptCount: 1, lastError: 'Endpoint responded with 500' });
+      expect(new Date(first.nextAttemptAt) - new Date(first.attempts[0].attemptedAt)).toBeGreaterThanOrEqual(1000);
+
+      // Not due yet
+      expect(await webhookService.processDueRetries()).toBe(0);
+
+      await webhookService.deliveries.update(first.id, { nextAttemptAt: new Date(Date.now() - 1).toISOString() });
+      expect(await webhookService.processDueRetries()).toBe(1);
+
+      const second = await webhookService.getDelivery('merchant_a', first.id);
+      expect(second).toMatchObject({ status: 'retrying', attemptCount: 2, lastError: 'connect ECONNREFUSED' });
+      expect(webhookService.getRetryDelay(2)).toBe(2000);
+    });
+
+    test('should move a delivery to the dead-letter queue after max attempts', async () => {
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.failed'] });
+      fakeFetch.responses.push(500, 502, 503);
+
+      const { deliveries: [delivery] } = await webhookService.publish('payment.failed', 'merchant_a', paymentIntent);
+      for (let attempt = 2; attempt <= 3; attempt++) {
+        await webhookService.deliveries.update(delivery.id, { nextAttemptAt: new Date(0).toISOString() });
+        await webhookService.processDueRetries();
+      }
+
+      const deadLetters = await webhookService.listDeliveries('merchant_a', { status: 'dead' });
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0]).toMatchObject({ id: delivery.id, attemptCount: 3, nextAttemptAt: null });
+      expect(deadLetters[0].attempts.map(a => a.statusCode)).toEqual([500, 502, 503]);
+    });
+  });
+
+  describe('replayDelivery', () => {
+    test('should re-send the original event as a new delivery', async () => {
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.succeeded'] });
+      fakeFetch.responses.push(500);
+      const { event, deliveries: [original] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      const replay = await webhookService.replayDelivery('merchant_a', original.id);
+
+      expect(replay).toMatchObject({ status: 'succeeded', replayOf: original.id, eventId: event.id });
+      expect(replay.id).not.toBe(original.id);
+      expect(JSON.parse(fakeFetch.requests[1].body)).toEqual(event);
+    });
+
+    test('should not replay another merchant\'s delivery', async () => {
+      await webhookService.createEndpoint('merchant_a', { url: 'https://example.com/hooks', events: ['payment.succeeded'] });
+      const { deliveries: [original] } = await webhookService.publish('payment.succeeded', 'merchant_a', paymentIntent);
+
+      await expect(webhookService.replayDelivery('merchant_b', original.id)).rejects.toThrow('Webhook delivery not found');
+    });
+  });
+
+  describe('subscribe', () => {
+    test('should publish payment service events with the public payment view', async () => {
+      const paymentService = new PaymentService({ database });
+      webhookService.subscribe(paymentService);
+      const publish = jest.spyOn(webhookService, 'publish').mockResolvedValue({});
+
+      const intent = await paymentService.createPaymentIntent('merchant_a', { amount: 50000 });
+
+      expect(publish).toHaveBeenCalledWith('payment.created', 'merchant_a', expect.objectContaining({
+        id: intent.id,
+        paymentId: intent.paymentId,
+        status: 'requires_payment_method'
+      }));
+      expect(publish.mock.calls[0][2]).not.toHaveProperty('clientSecret');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for the Clarity value decoder
+ * Shared by the chain indexer's print events and the contract service's read-only calls
+ */
+
+const {
+  tupleCV,
+  uintCV,
+  intCV,
+  trueCV,
+  bufferCV,
+  stringAsciiCV,
+  standardPrincipalCV,
+  contractPrincipalCV,
+  someCV,
+  noneCV,
+  responseOkCV,
+  responseErrorCV,
+  listCV
+} = require('@stacks/transactions');
+const { camelCase, decodeClarityValue } = require('../../../src/utils/clarity');
+
+const MERCHANT = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+
+describe('Clarity utilities', () => {
+  test('should camelCase Clarity names', () => {
+    expect(camelCase('payment-id')).toBe('paymentId');
+    expect(camelCase('total-refunded-amount')).toBe('totalRefundedAmount');
+    expect(camelCase('status')).toBe('status');
+  });
+
+  test('should decode tuples with camelCase keys', () => {
+    const value = tupleCV({
+      'payment-id': stringAsciiCV('pi_123'),
+      amount: uintCV(50000),
+      merchant: standardPrincipalCV(MERCHANT),
+      token: contractPrincipalCV(MERCHANT, 'sbtc-token'),
+      memo: someCV(bufferCV(Buffer.from('hi'))),
+      expires: noneCV(),
+      active: trueCV(),
+      history: listCV([intCV(-1), intCV(2)])
+    });
+
+    expect(decodeClarityValue(value)).toEqual({
+      paymentId: 'pi_123',
+      amount: 50000,
+      merchant: MERCHANT,
+      token: `${MERCHANT}.sbtc-token`,
+      memo: '0x6869',
+      expires: null,
+      active: true,
+      history: [-1, 2]
+    });
+  });
+
+  test('should keep integers beyond the safe range exact as strings', () => {
+    expect(decodeClarityValue(uintCV('18446744073709551615'))).toBe('18446744073709551615');
+    expect(decodeClarityValue(uintCV(Number.MAX_SAFE_INTEGER))).toBe(Number.MAX_SAFE_INTEGER);
+  });
+
+  test('should unwrap ok and err responses', () => {
+    expect(decodeClarityValue(responseOkCV(uintCV(1)))).toBe(1);
+    expect(decodeClarityValue(responseErrorCV(uintCV(404)))).toBe(404);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the network configuration
+ * Tests the STACKS_NETWORK profiles, their overrides and the checks run at startup
+ */
+
+const { StacksDevnet, StacksMainnet } = require('@stacks/network');
+const { loadNetworkConfig, explorerTxUrl } = require('../../../src/utils/network');
+const ContractService = require('../../../src/services/contractService');
+
+const MAINNET_DEPLOYER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+describe('Network configuration', () => {
+  test('should default to the testnet profile', () => {
+    const config = loadNetworkConfig({});
+
+    expect(config).toMatchObject({
+      network: 'testnet',
+      nodeUrl: 'https://api.testnet.hiro.so',
+      apiUrl: 'https://api.testnet.hiro.so',
+      contractId: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM.sbtc-payment-gateway',
+      sbtcToken: {
+        contractId: 'ST1F7QA2MDF17S807EPA36TSS8AMEFY4KA9TVGWXT.sbtc-token',
+        assetName: 'sbtc-token'
+      }
+    });
+    expect(explorerTxUrl(config, '0xabc')).toBe('https://explorer.hiro.so/txid/0xabc?chain=testnet');
+  });
+
+  test('should point devnet at a local Clarinet devnet', () => {
+    const config = loadNetworkConfig({ STACKS_NETWORK: 'devnet' });
+
+    expect(config).toMatchObject({
+      network: 'devnet',
+      nodeUrl: 'http://localhost:20443',
+      apiUrl: 'http://localhost:3999',
+      contractAddress: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM',
+      sbtcToken: { contractId: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM.mock-sbtc-token' }
+    });
+  });
+
+  test('should take URLs, deployer and token from the environment', () => {
+    const config = loadNetworkConfig({
+      STACKS_NETWORK: 'mainnet',
+      STACKS_NODE_URL: 'https://node.example.com/',
+      STACKS_API_URL: 'https://api.example.com',
+      STACKS_EXPLORER_URL: 'https://explorer.example.com/tx/{txId}',
+      CONTRACT_ADDRESS: MAINNET_DEPLOYER,
+      SBTC_TOKEN_CONTRACT: `${MAINNET_DEPLOYER}.my-sbtc`,
+      SBTC_TOKEN_ASSET: 'my-sbtc'
+    });
+
+    expect(config).toMatchObject({
+      network: 'mainnet',
+      nodeUrl: 'https://node.example.com',
+      apiUrl: 'https://api.example.com',
+      contractId: `${MAINNET_DEPLOYER}.sbtc-payment-gateway`,
+      sbtcToken: { contractAddress: MAINNET_DEPLOYER, contractName: 'my-sbtc', assetName: 'my-sbtc' }
+    });
+    expect(explorerTxUrl(config, '0xabc')).toBe('https://explorer.example.com/tx/0xabc');
+  });
+
+  test('should refuse an unknown network', () => {
+    expect(() => loadNetworkConfig({ STACKS_NETWORK: 'regtest' }))
+      .toThrow('STACKS_NETWORK must be one of devnet, testnet, mainnet');
+  });
+
+  test('should need a mainnet deployer on mainnet', () => {
+    expect(() => loadNetworkConfig({ STACKS_NETWORK: 'mainnet' })).toThrow('CONTRACT_ADDRESS is required on mainnet');
+    expect(() => loadNetworkConfig({ STACKS_NETWORK: 'mainnet', CONTRACT_ADDRESS: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM' }))
+      .toThrow('is not a mainnet address');
+  });
+
+  test('should list every problem at once', () => {
+    let error;
+    try {
+      loadNetworkConfig({
+        STACKS_NETWORK: 'testnet',
+        STACKS_NODE_URL: 'localhost:20443',
+        STACKS_EXPLORER_URL: 'https://explorer.example.com/tx/',
+        CONTRACT_ADDRESS: MAINNET_DEPLOYER,
+        SBTC_TOKEN_CONTRACT: 'sbtc-token'
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toMatch(/^Invalid Stacks network configuration for testnet: /);
+    expect(error.message).toContain('STACKS_NODE_URL must be an http(s) URL');
+    expect(error.message).toContain('STACKS_EXPLORER_URL must contain {txId}');
+    expect(error.message).toContain(`CONTRACT_ADDRESS ${MAINNET_DEPLOYER} is not a testnet address`);
+    expect(error.message).toContain('SBTC_TOKEN_CONTRACT must be a contract ID');
+  });
+
+  describe('ContractService', () => {
+    test('should expose the configuration as contract info', () => {
+      const networkConfig = loadNetworkConfig({ STACKS_NETWORK: 'devnet' });
+      const info = new ContractService({ networkConfig }).getContractInfo();
+
+      expect(info).toEqual({
+        contractAddress: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM',
+        contractName: 'sbtc-payment-gateway',
+        contractId: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM.sbtc-payment-gateway',
+        network: 'devnet',
+        nodeUrl: 'http://localhost:20443',
+        apiUrl: 'http://localhost:3999',
+        sbtcToken: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM.mock-sbtc-token',
+        sbtcTokenAsset: 'sbtc-token',
+        explorerUrl: networkConfig.explorerUrl
+      });
+    });
+
+    test('should call the configured node and only sign on devnet', () => {
+      const devnet = new ContractService({ networkConfig: loadNetworkConfig({ STACKS_NETWORK: 'devnet' }) });
+      const network = devnet.networkFor(false);
+      expect(network).toBeInstanceOf(StacksDevnet);
+      expect(network.coreApiUrl).toBe('http://localhost:20443');
+      expect(devnet.allowsServerSigning()).toBe(true);
+
+      const mainnet = new ContractService({
+        networkConfig: loadNetworkConfig({ STACKS_NETWORK: 'mainnet', CONTRACT_ADDRESS: MAINNET_DEPLOYER })
+      });
+      expect(mainnet.networkFor(true)).toBeInstanceOf(StacksMainnet);
+      expect(() => mainnet.networkFor(false)).toThrow('Test mode keys can only call a testnet or devnet contract');
+      expect(mainnet.allowsServerSigning()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Fake Stacks API Client
+ * In-memory stand-in for StacksApiClient so on-chain verification can be tested
+ * without a network
+ */
+
+const TEST_CONTRACT_ID = `${process.env.CONTRACT_ADDRESS || 'ST1HTBVD3JG9C05J7HBJTHGR0GGW7KXW28M5JS8QE'}.sbtc-payment-gateway`;
+const TEST_CUSTOMER = 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG';
+const TEST_MERCHANT = 'ST2REHHS5J3CERCRBEPMGH7921Q6PYKAADT7JP2VB';
+
+/**
+ * The gateway's print event as /extended/v1/tx lists it
+ */
+const printEvent = (contractId, repr) => ({
+  event_index: 0,
+  event_type: 'smart_contract_log',
+  contract_log: { contract_id: contractId, topic: 'print', value: { hex: '', repr } }
+});
+
+class FakeStacksApiClient {
+  constructor({ tipHeight = 100 } = {}) {
+    this.transactions = new Map();
+    this.tipHeight = tipHeight;
+    this.nextError = null;
+    this.calls = [];
+  }
+
+  async getTransaction(txId) {
+    this.calls.push({ method: 'getTransaction', txId });
+    this.throwIfFailing();
+    return this.transactions.get(txId) || null;
+  }
+
+  async getTipHeight() {
+    this.calls.push({ method: 'getTipHeight' });
+    this.throwIfFailing();
+    return this.tipHeight;
+  }
+
+  /**
+   * Store a transaction as the API would return it
+   */
+  setTransaction(tx) {
+    this.transactions.set(tx.tx_id, tx);
+    return tx;
+  }
+
+  /**
+   * Advance the chain tip
+   */
+  mineBlocks(count = 1) {
+    this.tipHeight += count;
+    return this.tipHeight;
+  }
+
+  /**
+   * Make the next API call reject with the given error
+   */
+  failNext(error = new Error('Stacks API unavailable')) {
+    this.nextError = error;
+  }
+
+  throwIfFailing() {
+    if (this.nextError) {
+      const error = this.nextError;
+      this.nextError = null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Build an /extended/v1/tx response for a process-payment contract call
+ */
+function buildProcessPaymentTx({
+  txId,
+  paymentId,
+  amount,
+  merchant = TEST_MERCHANT,
+  customer = TEST_CUSTOMER,
+  contractId = TEST_CONTRACT_ID,
+  functionName = 'process-payment',
+  status = 'success',
+  blockHeight = 100,
+  canonical = true
+}) {
+  const isPending = status === 'pending';
+  const succeeded = status === 'success';
+
+  return {
+    tx_id: txId,
+    tx_type: 'contract_call',
+    tx_status: status,
+    sender_address: customer,
+    canonical,
+    ...(isPending ? {} : { block_height: blockHeight }),
+    contract_call: {
+      contract_id: contractId,
+      function_name: functionName,
+      function_signature: '',
+      function_args: [
+        { name: 'payment-id', type: '(string-ascii 64)', repr: `"${paymentId}"`, hex: '' }
+      ]
+    },
+    tx_result: isPending ? undefined : {
+      hex: '',
+      repr: succeeded
+        ? `(ok (tuple (amount u${amount}) (customer '${customer}) (payment-id "${paymentId}") (processed-at u${blockHeight}) (status "completed")))`
+        : '(err u1)'
+    },
+    events: succeeded
+      ? [printEvent(contractId, `(tuple (amount u${amount}) (customer '${customer}) (event "payment-completed") (merchant '${merchant}) (payment-id "${paymentId}"))`)]
+      : []
+  };
+}
+
+/**
+ * Build an /extended/v1/tx response for a merchant's refund-payment contract call
+ */
+function buildRefundPaymentTx({
+  txId,
+  paymentId,
+  amount,
+  totalRefunded = amount,
+  refundStatus = 'refunded',
+  merchant = TEST_MERCHANT,
+  customer = TEST_CUSTOMER,
+  contractId = TEST_CONTRACT_ID,
+  status = 'success',
+  blockHeight = 100
+}) {
+  const isPending = status === 'pending';
+  const succeeded = status === 'success';
+
+  return {
+    tx_id: txId,
+    tx_type: 'contract_call',
+    tx_status: status,
+    sender_address: merchant,
+    canonical: true,
+    ...(isPending ? {} : { block_height: blockHeight }),
+    contract_call: {
+      contract_id: contractId,
+      function_name: 'refund-payment',
+      function_signature: '',
+      function_args: [
+        { name: 'payment-id', type: '(string-ascii 64)', repr: `"${paymentId}"`, hex: '' },
+        { name: 'amount', type: 'uint', repr: `u${amount}`, hex: '' }
+      ]
+    },
+    tx_result: isPending ? undefined : {
+      hex: '',
+      repr: succeeded
+        ? `(ok (tuple (amount u${amount}) (customer '${customer}) (payment-id "${paymentId}") (status "${refundStatus}") (total-refunded u${totalRefunded})))`
+        : '(err u112)'
+    },
+    events: succeeded
+      ? [printEvent(contractId, `(tuple (amount u${amount}) (customer '${customer}) (event "payment-refunded") (merchant '${merchant}) (payment-id "${paymentId}"))`)]
+      : []
+  };
+}
+
+module.exports = {
+  FakeStacksApiClient,
+  buildProcessPaymentTx,
+  buildRefundPaymentTx,
+  TEST_CONTRACT_ID,
+  TEST_CUSTOMER,
+  TEST_MERCHANT
+};
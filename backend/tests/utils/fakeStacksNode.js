@@ -0,0 +1,146 @@
+/**
+ * Fake Stacks Node
+ * In-memory chain of blocks carrying gateway contract print events. Serves the
+ * Stacks API calls the chain indexer polls and builds event observer payloads,
+ * and can reorganise so orphaned blocks can be tested.
+ */
+
+const crypto = require('crypto');
+const { cvToHex, cvToString } = require('@stacks/transactions');
+const { TEST_CONTRACT_ID } = require('./fakeStacksApi');
+
+class FakeStacksNode {
+  constructor({ contractId = TEST_CONTRACT_ID, startHeight = 100 } = {}) {
+    this.contractId = contractId;
+    this.startHeight = startHeight;
+    this.blocks = [];
+    this.fork = 0;
+  }
+
+  get tipHeight() {
+    return this.blocks.length > 0 ? this.blocks[this.blocks.length - 1].height : this.startHeight;
+  }
+
+  /**
+   * Append a block with one transaction per print; each print is a Clarity value,
+   * or { txId, value, status } to pick the transaction ID or make it fail
+   */
+  mineBlock(prints = []) {
+    const height = this.tipHeight + 1;
+    const block = {
+      height,
+      hash: this.hash(`block:${height}:${this.fork}`),
+      txs: prints.map((print, index) => {
+        const { txId, value, status = 'success' } = print.type === undefined ? print : { value: print };
+        return { txId: txId || this.hash(`tx:${height}:${this.fork}:${index}`), value, status };
+      })
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  /**
+   * Mine empty blocks
+   */
+  mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      this.mineBlock();
+    }
+    return this.tipHeight;
+  }
+
+  /**
+   * Drop every block from `height` up; blocks mined afterwards get new hashes
+   */
+  reorg(height) {
+    const orphaned = this.blocks.filter(block => block.height >= height);
+    this.blocks = this.blocks.filter(block => block.height < height);
+    this.fork++;
+    return orphaned;
+  }
+
+  // Stacks API
+
+  async getTipHeight() {
+    return this.tipHeight;
+  }
+
+  async getBlockByHeight(height) {
+    const block = this.blocks.find(candidate => candidate.height === height);
+    return block ? { height: block.height, hash: block.hash, canonical: true } : null;
+  }
+
+  async getTransaction(txId) {
+    for (const block of this.blocks) {
+      const tx = block.txs.find(candidate => candidate.txId === txId);
+      if (tx) {
+        return {
+          tx_id: tx.txId,
+          tx_type: 'contract_call',
+          tx_status: tx.status,
+          block_height: block.height,
+          block_hash: block.hash,
+          canonical: true
+        };
+      }
+    }
+    return null;
+  }
+
+  async getContractEvents(contractId, { limit = 50, offset = 0 } = {}) {
+    const events = contractId === this.contractId
+      ? this.blocks
+        .flatMap(block => block.txs.filter(tx => tx.status === 'success'))
+        .map(tx => ({
+          event_index: 0,
+          event_type: 'smart_contract_log',
+          tx_id: tx.txId,
+          contract_log: {
+            contract_id: this.contractId,
+            topic: 'print',
+            value: { hex: cvToHex(tx.value), repr: cvToString(tx.value) }
+          }
+        }))
+        .reverse()
+      : [];
+
+    return { limit, offset, total: events.length, results: events.slice(offset, offset + limit) };
+  }
+
+  // Event observer
+
+  /**
+   * The /new_block payload a stacks-node sends for the block at `height`
+   */
+  newBlockPayload(height = this.tipHeight) {
+    const block = this.blocks.find(candidate => candidate.height === height);
+    const parent = this.blocks.find(candidate => candidate.height === height - 1);
+
+    return {
+      block_hash: block.hash,
+      block_height: block.height,
+      index_block_hash: block.hash,
+      parent_index_block_hash: parent ? parent.hash : this.hash('genesis'),
+      transactions: block.txs.map((tx, index) => ({ txid: tx.txId, tx_index: index, status: tx.status })),
+      events: block.txs.map((tx, index) => ({
+        txid: tx.txId,
+        event_index: index,
+        committed: tx.status === 'success',
+        type: 'contract_event',
+        contract_event: {
+          contract_identifier: this.contractId,
+          topic: 'print',
+          raw_value: cvToHex(tx.value)
+        }
+      }))
+    };
+  }
+
+  hash(seed) {
+    return `0x${crypto.createHash('sha256').update(seed).digest('hex')}`;
+  }
+}
+
+module.exports = {
+  FakeStacksNode
+};
@@ -4,6 +4,11 @@
  */
 
 const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { createContainer } = require('../../src/container');
+const { createDatabase } = require('../../src/database');
+const WebhookService = require('../../src/services/webhookService');
+const { TEST_MERCHANT } = require('./fakeStacksApi');
 
 /**
  * Mock implementations for external services
@@ -329,6 +334,24 @@ const validators = {
   }
 };
 
+/**
+ * Async test helpers
+ */
+const asyncHelpers = {
+  /**
+   * Poll until check() resolves truthy, for work done by background event listeners
+   */
+  waitFor: async (check, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (!(await check())) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+};
+
 /**
  * Performance test helpers
  */
@@ -391,11 +414,59 @@ const performanceHelpers = {
   }
 };
 
+/**
+ * Integration test fixtures: the app over a fresh in-memory database and the
+ * merchant most tests start from
+ */
+const appHelpers = {
+  /**
+   * Build a container and app; `overrides` go to createContainer and a
+   * `webhookFetch` delivers the container's webhooks instead of the network.
+   * Webhook hosts resolve through `webhookLookup`, by default fakeLookup().
+   */
+  createTestApp: ({ webhookFetch, webhookLookup, ...overrides } = {}) => {
+    const database = createDatabase(':memory:');
+    const container = createContainer({
+      database,
+      webhookService: new WebhookService({
+        database,
+        fetchImpl: webhookFetch,
+        lookup: webhookLookup || appHelpers.fakeLookup()
+      }),
+      ...overrides
+    });
+
+    return { container, app: createApp(container) };
+  },
+
+  /**
+   * A webhook fetch that accepts every delivery
+   */
+  fakeWebhookFetch: () => jest.fn().mockResolvedValue({ status: 200, ok: true, text: async () => '' }),
+
+  /**
+   * A DNS lookup that resolves every host to a public address, or to the address given for it
+   */
+  fakeLookup: (addresses = {}) => jest.fn(async (host) => [
+    { address: addresses[host] || '93.184.216.34', family: addresses[host]?.includes(':') ? 6 : 4 }
+  ]),
+
+  /**
+   * Register a merchant through the API and return the registration body
+   */
+  registerMerchant: async (app, fields = {}) => (await request(app)
+    .post('/api/merchants/register')
+    .send({ businessName: 'Test Store', email: 'merchant@example.com', stacksAddress: TEST_MERCHANT, ...fields })
+    .expect(201)).body
+};
+
 module.exports = {
   mockImplementations,
   generators,
   httpHelpers,
   dbHelpers,
   validators,
-  performanceHelpers
+  asyncHelpers,
+  performanceHelpers,
+  appHelpers
 };
\ No newline at end of file
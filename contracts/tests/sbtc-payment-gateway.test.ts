@@ -5,6 +5,53 @@ const accounts = simnet.getAccounts();
 const deployer = accounts.get("deployer")!;
 const user1 = accounts.get("wallet_1")!;
 const user2 = accounts.get("wallet_2")!;
+const user3 = accounts.get("wallet_3")!;
+
+const sbtcToken = Cl.contractPrincipal(deployer, "mock-sbtc-token");
+
+// Point the gateway at the mock sBTC token and fund the given customers
+const setupSbtc = (...customers: string[]) => {
+  simnet.callPublicFn("sbtc-payment-gateway", "set-sbtc-token", [sbtcToken], deployer);
+  customers.forEach((customer) => {
+    simnet.callPublicFn("mock-sbtc-token", "mint", [Cl.uint(10000000), Cl.principal(customer)], deployer);
+  });
+};
+
+const getSbtcBalance = (who: string) =>
+  simnet.callReadOnlyFn("mock-sbtc-token", "get-balance", [Cl.principal(who)], deployer).result;
+
+// Register the merchant, create a 1,000,000 sat payment intent and pay it as the customer
+const completePayment = (paymentId: string, merchant: string, customer: string) => {
+  simnet.callPublicFn(
+    "sbtc-payment-gateway",
+    "register-merchant",
+    [Cl.stringAscii("Test Business"), Cl.stringAscii("test@business.com")],
+    merchant
+  );
+  simnet.callPublicFn(
+    "sbtc-payment-gateway",
+    "create-payment-intent",
+    [Cl.stringAscii(paymentId), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+    merchant
+  );
+  return simnet.callPublicFn(
+    "sbtc-payment-gateway",
+    "process-payment",
+    [Cl.stringAscii(paymentId), sbtcToken],
+    customer
+  );
+};
+
+const refund = (paymentId: string, amount: number, sender: string) =>
+  simnet.callPublicFn(
+    "sbtc-payment-gateway",
+    "refund-payment",
+    [Cl.stringAscii(paymentId), Cl.uint(amount), sbtcToken],
+    sender
+  );
+
+const getPaymentStatus = (paymentId: string) =>
+  simnet.callReadOnlyFn("sbtc-payment-gateway", "get-payment-status", [Cl.stringAscii(paymentId)], deployer).result;
 
 describe("sBTC Payment Gateway", () => {
   it("should allow merchant registration", () => {
@@ -79,6 +126,8 @@ describe("sBTC Payment Gateway", () => {
   });
 
   it("should process payments correctly", () => {
+    setupSbtc(user1);
+
     // Register merchant
     simnet.callPublicFn(
       "sbtc-payment-gateway",
@@ -99,7 +148,7 @@ describe("sBTC Payment Gateway", () => {
     const { result } = simnet.callPublicFn(
       "sbtc-payment-gateway",
       "process-payment",
-      [Cl.stringAscii("payment-002"), Cl.principal(user1)],
+      [Cl.stringAscii("payment-002"), sbtcToken],
       user1
     );
     
@@ -117,6 +166,8 @@ describe("sBTC Payment Gateway", () => {
   });
 
   it("should prevent processing already completed payments", () => {
+    setupSbtc(user1, user2);
+
     // Register merchant
     simnet.callPublicFn(
       "sbtc-payment-gateway",
@@ -137,7 +188,7 @@ describe("sBTC Payment Gateway", () => {
     simnet.callPublicFn(
       "sbtc-payment-gateway",
       "process-payment",
-      [Cl.stringAscii("payment-003"), Cl.principal(user1)],
+      [Cl.stringAscii("payment-003"), sbtcToken],
       user1
     );
     
@@ -145,13 +196,165 @@ describe("sBTC Payment Gateway", () => {
     const { result } = simnet.callPublicFn(
       "sbtc-payment-gateway",
       "process-payment",
-      [Cl.stringAscii("payment-003"), Cl.principal(user2)],
+      [Cl.stringAscii("payment-003"), sbtcToken],
       user2
     );
     
     expect(result).toBeErr(Cl.uint(105)); // ERR_PAYMENT_ALREADY_PROCESSED
   });
 
+  it("should transfer sBTC to the merchant and the fee to the treasury", () => {
+    setupSbtc(user2);
+    simnet.callPublicFn("sbtc-payment-gateway", "set-platform-treasury", [Cl.principal(user3)], deployer);
+
+    // Register merchant
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "register-merchant",
+      [Cl.stringAscii("Test Business"), Cl.stringAscii("test@business.com")],
+      user1
+    );
+    
+    // Create payment intent (2.5% fee on 1,000,000 sats)
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "create-payment-intent",
+      [Cl.stringAscii("payment-005"), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+      user1
+    );
+    
+    // Process payment as the customer
+    const { result, events } = simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "process-payment",
+      [Cl.stringAscii("payment-005"), sbtcToken],
+      user2
+    );
+    
+    expect(result.type).toBe('ok');
+    expect(events.filter((event) => event.event === "ft_transfer_event")).toHaveLength(2);
+    
+    expect(getSbtcBalance(user1)).toBeOk(Cl.uint(975000));
+    expect(getSbtcBalance(user3)).toBeOk(Cl.uint(25000));
+    expect(getSbtcBalance(user2)).toBeOk(Cl.uint(9000000));
+  });
+
+  it("should reject payments made with a token other than sBTC", () => {
+    // Token not configured on the gateway
+    simnet.callPublicFn("mock-sbtc-token", "mint", [Cl.uint(10000000), Cl.principal(user1)], deployer);
+
+    // Register merchant
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "register-merchant",
+      [Cl.stringAscii("Test Business"), Cl.stringAscii("test@business.com")],
+      deployer
+    );
+    
+    // Create payment intent
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "create-payment-intent",
+      [Cl.stringAscii("payment-006"), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+      deployer
+    );
+    
+    const { result } = simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "process-payment",
+      [Cl.stringAscii("payment-006"), sbtcToken],
+      user1
+    );
+    
+    expect(result).toBeErr(Cl.uint(110)); // ERR_INVALID_TOKEN
+  });
+
+  it("should leave the payment pending when the customer cannot pay", () => {
+    // Token configured but the customer holds no sBTC
+    setupSbtc();
+
+    // Register merchant
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "register-merchant",
+      [Cl.stringAscii("Test Business"), Cl.stringAscii("test@business.com")],
+      deployer
+    );
+    
+    // Create payment intent
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "create-payment-intent",
+      [Cl.stringAscii("payment-007"), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+      deployer
+    );
+    
+    const { result } = simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "process-payment",
+      [Cl.stringAscii("payment-007"), sbtcToken],
+      user1
+    );
+    
+    expect(result).toBeErr(Cl.uint(1)); // ft-transfer? insufficient balance
+    
+    const status = simnet.callReadOnlyFn(
+      "sbtc-payment-gateway",
+      "get-payment-status",
+      [Cl.stringAscii("payment-007")],
+      deployer
+    );
+    
+    expect(status.result).toBeSome(Cl.stringAscii("pending"));
+  });
+
+  it("should charge the caller and record them as the customer", () => {
+    setupSbtc(user2);
+
+    const { result, events } = completePayment("payment-008", user1, user2);
+    const processedAt = simnet.blockHeight;
+    expect(result).toBeOk(Cl.tuple({
+      "payment-id": Cl.stringAscii("payment-008"),
+      status: Cl.stringAscii("completed"),
+      amount: Cl.uint(1000000),
+      customer: Cl.principal(user2),
+      "processed-at": Cl.uint(processedAt)
+    }));
+
+    const transfers = events.filter((event) => event.event === "ft_transfer_event");
+    expect(transfers.map((event) => event.data.sender)).toEqual([user2, user2]);
+  });
+
+  it("should not let a third party complete a payment with the customer's sBTC", () => {
+    setupSbtc(user2);
+
+    // Register merchant and create the customer's payment intent
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "register-merchant",
+      [Cl.stringAscii("Test Business"), Cl.stringAscii("test@business.com")],
+      user1
+    );
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "create-payment-intent",
+      [Cl.stringAscii("payment-013"), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+      user1
+    );
+
+    // Neither a stranger nor the merchant can make the customer pay: only the caller's sBTC moves
+    const pay = (sender: string) =>
+      simnet.callPublicFn("sbtc-payment-gateway", "process-payment", [Cl.stringAscii("payment-013"), sbtcToken], sender);
+    expect(pay(user3).result).toBeErr(Cl.uint(1)); // ft-transfer? insufficient balance
+    expect(pay(user1).result).toBeErr(Cl.uint(2)); // ft-transfer? sender is the recipient
+    expect(getSbtcBalance(user2)).toBeOk(Cl.uint(10000000));
+    expect(getPaymentStatus("payment-013")).toBeSome(Cl.stringAscii("pending"));
+
+    // The customer can still pay it themselves
+    expect(pay(user2).result.type).toBe('ok');
+    expect(getSbtcBalance(user2)).toBeOk(Cl.uint(9000000));
+  });
+
   it("should allow cancelling payments", () => {
     // Register merchant
     simnet.callPublicFn(
@@ -241,4 +444,64 @@ describe("sBTC Payment Gateway", () => {
     
     expect(merchant.result.type).toBe('some');
   });
-});
\ No newline at end of file
+
+  it("should refund the full amount to the customer", () => {
+    setupSbtc(user2);
+    expect(completePayment("payment-009", user1, user2).result.type).toBe('ok');
+
+    // The merchant only received 975,000; the 25,000 fee is not returned by the platform
+    const { result, events } = refund("payment-009", 1000000, user1);
+    expect(result).toBeErr(Cl.uint(1)); // ft-transfer? insufficient balance
+    expect(events).toHaveLength(0);
+
+    simnet.callPublicFn("mock-sbtc-token", "mint", [Cl.uint(25000), Cl.principal(user1)], deployer);
+    const retry = refund("payment-009", 1000000, user1);
+    expect(retry.result).toBeOk(Cl.tuple({
+      "payment-id": Cl.stringAscii("payment-009"),
+      status: Cl.stringAscii("refunded"),
+      amount: Cl.uint(1000000),
+      "total-refunded": Cl.uint(1000000),
+      customer: Cl.principal(user2)
+    }));
+    expect(getSbtcBalance(user2)).toBeOk(Cl.uint(10000000));
+    expect(getSbtcBalance(user1)).toBeOk(Cl.uint(0));
+    expect(getPaymentStatus("payment-009")).toBeSome(Cl.stringAscii("refunded"));
+  });
+
+  it("should track partial refunds until the payment is fully refunded", () => {
+    setupSbtc(user2);
+    completePayment("payment-010", user1, user2);
+
+    expect(refund("payment-010", 400000, user1).result.type).toBe('ok');
+    expect(getPaymentStatus("payment-010")).toBeSome(Cl.stringAscii("partially_refunded"));
+    expect(
+      simnet.callReadOnlyFn("sbtc-payment-gateway", "get-refunded-amount", [Cl.stringAscii("payment-010")], deployer).result
+    ).toBeUint(400000);
+
+    // Only 600,000 is left to refund
+    expect(refund("payment-010", 600001, user1).result).toBeErr(Cl.uint(112)); // ERR_REFUND_EXCEEDS_PAYMENT
+
+    simnet.callPublicFn("mock-sbtc-token", "mint", [Cl.uint(25000), Cl.principal(user1)], deployer);
+    expect(refund("payment-010", 600000, user1).result.type).toBe('ok');
+    expect(getPaymentStatus("payment-010")).toBeSome(Cl.stringAscii("refunded"));
+    expect(getSbtcBalance(user2)).toBeOk(Cl.uint(10000000));
+
+    expect(refund("payment-010", 1, user1).result).toBeErr(Cl.uint(111)); // ERR_PAYMENT_NOT_REFUNDABLE
+  });
+
+  it("should only let the merchant refund completed payments", () => {
+    setupSbtc(user2);
+    completePayment("payment-011", user1, user2);
+
+    expect(refund("payment-011", 1000, user2).result).toBeErr(Cl.uint(103)); // ERR_UNAUTHORIZED
+    expect(refund("payment-011", 0, user1).result).toBeErr(Cl.uint(403)); // ERR_INVALID_AMOUNT
+
+    simnet.callPublicFn(
+      "sbtc-payment-gateway",
+      "create-payment-intent",
+      [Cl.stringAscii("payment-012"), Cl.uint(1000000), Cl.none(), Cl.uint(144)],
+      user1
+    );
+    expect(refund("payment-012", 1000, user1).result).toBeErr(Cl.uint(111)); // ERR_PAYMENT_NOT_REFUNDABLE
+  });
+});
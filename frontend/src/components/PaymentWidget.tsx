@@ -1,4 +1,5 @@
 import { useState } from "react";
+import { request } from "@stacks/connect";
 import { CreditCard, CheckCircle, XCircle, Clock } from "lucide-react";
 import { apiService } from "../services/api";
 import { SATOSHIS_PER_BTC, DEFAULT_BTC_PRICE_USD, PAYMENT_STATES } from "../utils/constants";
@@ -33,13 +34,32 @@ const PaymentWidget = ({
         description,
       });
 
-      // Simulate payment processing delay
-      await new Promise((resolve) => setTimeout(resolve, 3000));
+      // The connected wallet pays and is recorded on-chain as the customer
+      const { addresses } = await request("stx_getAddresses");
+      const customerAddress = addresses[0].address;
+
+      const call = await apiService.getPaymentContractCall(intent.id, {
+        clientSecret: intent.clientSecret,
+        customerAddress,
+      });
+
+      // The post-conditions only let the customer send the intent amount in sBTC
+      const { txid } = await request("stx_callContract", {
+        contract: `${call.contractAddress}.${call.contractName}`,
+        functionName: call.functionName,
+        functionArgs: call.functionArgs,
+        postConditions: call.postConditions,
+        postConditionMode: call.postConditionMode,
+        network: call.network,
+      });
+      if (!txid) {
+        throw new Error("The wallet did not broadcast the payment");
+      }
 
-      // Confirm payment (in production, this would be actual wallet interaction)
       await apiService.confirmPayment(intent.id, {
-        customerAddress: "ST1CUSTOMER123ABC...", // Mock address for demo
-        transactionId: `tx_${Math.random().toString(16).substr(2, 8)}`
+        clientSecret: intent.clientSecret,
+        customerAddress,
+        transactionId: txid,
       });
 
       setPaymentState(PAYMENT_STATES.SUCCESS);
@@ -66,7 +86,7 @@ const PaymentWidget = ({
             Processing Payment...
           </h3>
           <p className="text-gray-600">
-            Please wait while we process your sBTC payment
+            Approve the payment in your Stacks wallet
           </p>
         </div>
       </div>
@@ -3,7 +3,7 @@
  * Handles all communication with the backend payment API
  */
 
-import { PaymentIntent } from "../types";
+import { PaymentIntent, PaymentContractCall, ContractInfo } from "../types";
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || "https://sbtc-payment-api-production.up.railway.app";
 
@@ -79,7 +79,7 @@ class ApiService {
       description?: string;
     }
   ): Promise<PaymentIntent> {
-    return this.request<PaymentIntent>("/api/payment-intents", {
+    return this.request<PaymentIntent>("/api/payments", {
       method: "POST",
       headers: {
         Authorization: `Bearer ${apiKey}`,
@@ -89,29 +89,45 @@ class ApiService {
   }
 
   /**
-   * Confirm and process a payment intent
+   * Confirm and process a payment intent; the client secret stands in for an API key
    */
   async confirmPayment(
     id: string,
-    data: { customerAddress: string; transactionId?: string }
+    data: { clientSecret: string; customerAddress: string; transactionId?: string }
   ): Promise<{ id: string; status: string; message: string; amount: number; customer: string; transactionId?: string }> {
-    return this.request(`/api/payment-intents/${id}/confirm`, {
+    return this.request(`/api/payments/${id}/confirm`, {
       method: "POST",
       body: JSON.stringify(data),
     });
   }
 
   /**
-   * Get payment intent details
+   * Get the process-payment call for the customer's wallet to sign, with the client secret
    */
-  async getPaymentIntent(id: string): Promise<PaymentIntent> {
-    return this.request<PaymentIntent>(`/api/payment-intents/${id}`);
+  async getPaymentContractCall(
+    id: string,
+    data: { clientSecret: string; customerAddress: string }
+  ): Promise<PaymentContractCall> {
+    return this.request<PaymentContractCall>(`/api/payments/${id}/contract-call`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Get the public view of a payment intent with its client secret
+   */
+  async getPaymentIntent(id: string, clientSecret: string): Promise<Omit<PaymentIntent, 'fee' | 'clientSecret' | 'customerAddress'>> {
+    const query = new URLSearchParams({ client_secret: clientSecret });
+    return this.request<PaymentIntent>(`/api/payments/${id}?${query}`);
   }
 
   /**
-   * Get merchant dashboard statistics
+   * Get merchant dashboard statistics; publishable keys are refused, so pass the secret key
    */
-  async getDashboard(apiKey: string): Promise<{
+  async getDashboard(secretKey: string): Promise<{
+    isActive: boolean;
+    deactivatedAt: string | null;
     totalProcessed: number;
     feeCollected: number;
     paymentsCount: number;
@@ -129,7 +145,7 @@ class ApiService {
     return this.request('/api/merchants/dashboard', {
       method: 'GET',
       headers: {
-        Authorization: `Bearer ${apiKey}`,
+        Authorization: `Bearer ${secretKey}`,
       },
     });
   }
@@ -137,13 +153,8 @@ class ApiService {
   /**
    * Get contract information
    */
-  async getContractInfo(): Promise<{
-    contractAddress: string;
-    contractName: string;
-    network: string;
-    explorerUrl: string;
-  }> {
-    return this.request('/api/contract/info');
+  async getContractInfo(): Promise<ContractInfo> {
+    return this.request<ContractInfo>('/api/contracts/info');
   }
 }
 
@@ -31,6 +31,9 @@ export interface Merchant {
 }
 
 export interface DashboardStats {
+  // False once an admin has deactivated the merchant; new payment intents are refused
+  isActive: boolean;
+  deactivatedAt: string | null;
   totalProcessed: number;
   feeCollected: number;
   paymentsCount: number;
@@ -51,10 +54,30 @@ export interface PaymentSummary {
 export interface ContractInfo {
   contractAddress: string;
   contractName: string;
-  network: string;
+  contractId: string;
+  network: 'devnet' | 'testnet' | 'mainnet';
+  nodeUrl: string;
+  apiUrl: string;
+  sbtcToken: string;
+  sbtcTokenAsset: string;
+  // Transaction link, with {txId} where the transaction ID goes
   explorerUrl: string;
 }
 
+// process-payment call the customer's wallet signs; arguments and post-conditions are hex encoded
+export interface PaymentContractCall {
+  paymentIntentId: string;
+  contractAddress: string;
+  contractName: string;
+  functionName: 'process-payment';
+  functionArgs: string[];
+  postConditionMode: 'deny';
+  postConditions: string[];
+  network: 'mainnet' | 'testnet';
+  customerAddress: string;
+  amount: number;
+}
+
 export interface ApiError {
   error: string;
   details?: string;
@@ -16,7 +16,8 @@ export const PAYMENT_STATES = {
 export const API_ENDPOINTS = {
   HEALTH: '/health',
   REGISTER_MERCHANT: '/api/merchants/register',
-  CREATE_PAYMENT_INTENT: '/api/payment-intents',
-  CONFIRM_PAYMENT: (id: string) => `/api/payment-intents/${id}/confirm`,
+  CREATE_PAYMENT_INTENT: '/api/payments',
+  CONFIRM_PAYMENT: (id: string) => `/api/payments/${id}/confirm`,
+  PAYMENT_CONTRACT_CALL: (id: string) => `/api/payments/${id}/contract-call`,
   DASHBOARD: '/api/merchants/dashboard'
 } as const;
\ No newline at end of file
@@ -66,6 +66,7 @@ async function basicUsageExample() {
     
     try {
       const confirmation = await sbtc.confirmPayment(paymentIntent.id, {
+        clientSecret: paymentIntent.clientSecret,
         customerAddress: mockCustomerAddress,
         transactionId: mockTransactionId,
       });
@@ -32,6 +32,13 @@ const sbtc = new SBTCPaymentGateway({
 export function App() {
   const [currentView, setCurrentView] = useState<'create' | 'status' | 'dashboard'>('create');
   const [paymentId, setPaymentId] = useState<string>('');
+  // Reading and confirming an intent from the browser needs its client secret
+  const [clientSecret, setClientSecret] = useState<string>('');
+
+  const selectPayment = (id: string, secret: string) => {
+    setPaymentId(id);
+    setClientSecret(secret);
+  };
 
   return (
     <div style={{ padding: '20px', fontFamily: 'Arial, sans-serif' }}>
@@ -60,15 +67,15 @@ export function App() {
 
       {currentView === 'create' && (
         <PaymentCreator 
-          onPaymentCreated={(id) => {
-            setPaymentId(id);
+          onPaymentCreated={(id, secret) => {
+            selectPayment(id, secret);
             setCurrentView('status');
           }} 
         />
       )}
       
       {currentView === 'status' && (
-        <PaymentStatusView paymentId={paymentId} setPaymentId={setPaymentId} />
+        <PaymentStatusView paymentId={paymentId} clientSecret={clientSecret} selectPayment={selectPayment} />
       )}
       
       {currentView === 'dashboard' && <MerchantDashboard />}
@@ -77,7 +84,7 @@ export function App() {
 }
 
 // Payment Creator Component
-function PaymentCreator({ onPaymentCreated }: { onPaymentCreated: (id: string) => void }) {
+function PaymentCreator({ onPaymentCreated }: { onPaymentCreated: (id: string, clientSecret: string) => void }) {
   const { paymentIntent, loading, error, createPaymentIntent } = usePaymentIntent(sbtc);
   const [amount, setAmount] = useState<string>('100000');
   const [description, setDescription] = useState<string>('React SDK Example Payment');
@@ -88,7 +95,7 @@ function PaymentCreator({ onPaymentCreated }: { onPaymentCreated: (id: string) =
         parseInt(amount, 10),
         description
       );
-      onPaymentCreated(payment.id);
+      onPaymentCreated(payment.id, payment.clientSecret);
     } catch (err) {
       console.error('Failed to create payment:', err);
     }
@@ -131,7 +138,7 @@ function PaymentCreator({ onPaymentCreated }: { onPaymentCreated: (id: string) =
         <PaymentTimer paymentIntent={paymentIntent} />
         
         <div style={{ marginTop: '20px' }}>
-          <button onClick={() => onPaymentCreated(paymentIntent.id)}>
+          <button onClick={() => onPaymentCreated(paymentIntent.id, paymentIntent.clientSecret)}>
             Go to Payment Status →
           </button>
         </div>
@@ -193,16 +200,18 @@ function PaymentCreator({ onPaymentCreated }: { onPaymentCreated: (id: string) =
 }
 
 // Payment Status View Component
-function PaymentStatusView({ paymentId, setPaymentId }: { 
+function PaymentStatusView({ paymentId, clientSecret, selectPayment }: { 
   paymentId: string; 
-  setPaymentId: (id: string) => void; 
+  clientSecret: string;
+  selectPayment: (id: string, clientSecret: string) => void; 
 }) {
   const [inputPaymentId, setInputPaymentId] = useState(paymentId);
+  const [inputClientSecret, setInputClientSecret] = useState(clientSecret);
   const { status, paymentIntent, error, isPending, isProcessing, isComplete, refetch } = 
-    usePaymentStatus(sbtc, paymentId, 5000); // Poll every 5 seconds
+    usePaymentStatus(sbtc, paymentId, clientSecret, 5000); // Poll every 5 seconds
 
   const handlePaymentIdSubmit = () => {
-    setPaymentId(inputPaymentId);
+    selectPayment(inputPaymentId, inputClientSecret);
   };
 
   if (!paymentId) {
@@ -220,6 +229,15 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
             style={{ padding: '8px', width: '400px', marginRight: '10px' }}
             placeholder="pi_1234567890abcdef..."
           />
+          <label style={{ display: 'block', margin: '10px 0 5px' }}>
+            Client secret:
+          </label>
+          <input
+            type="text"
+            value={inputClientSecret}
+            onChange={(e) => setInputClientSecret(e.target.value)}
+            style={{ padding: '8px', width: '400px', marginRight: '10px' }}
+          />
           <button onClick={handlePaymentIdSubmit} style={{ padding: '8px 16px' }}>
             Check Status
           </button>
@@ -234,7 +252,7 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
         <h2>❌ Error Checking Payment Status</h2>
         <p>Error: {error.message}</p>
         <button onClick={refetch} style={{ marginRight: '10px' }}>Retry</button>
-        <button onClick={() => setPaymentId('')}>Enter Different Payment ID</button>
+        <button onClick={() => selectPayment('', '')}>Enter Different Payment ID</button>
       </div>
     );
   }
@@ -281,10 +299,6 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
             <strong>Description:</strong><br />
             {paymentIntent.description}
           </div>
-          <div>
-            <strong>Fee:</strong><br />
-            {formatSatoshiAmount(paymentIntent.fee).formatted}
-          </div>
           <div>
             <strong>Created:</strong><br />
             {formatDate(paymentIntent.createdAt)}
@@ -293,12 +307,6 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
             <strong>Expires:</strong><br />
             {formatDate(paymentIntent.expiresAt)}
           </div>
-          {paymentIntent.customerAddress && (
-            <div>
-              <strong>Customer:</strong><br />
-              <code style={{ fontSize: '12px' }}>{paymentIntent.customerAddress}</code>
-            </div>
-          )}
           {paymentIntent.transactionId && (
             <div>
               <strong>Transaction:</strong><br />
@@ -309,14 +317,14 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
         
         {isPending && <PaymentTimer paymentIntent={paymentIntent} />}
         
-        {isPending && <PaymentConfirmForm paymentIntent={paymentIntent} onConfirm={refetch} />}
+        {isPending && <PaymentConfirmForm paymentIntent={paymentIntent} clientSecret={clientSecret} onConfirm={refetch} />}
       </div>
       
       <div>
         <button onClick={refetch} style={{ marginRight: '10px' }}>
           🔄 Refresh Status
         </button>
-        <button onClick={() => setPaymentId('')}>
+        <button onClick={() => selectPayment('', '')}>
           Check Different Payment
         </button>
       </div>
@@ -325,11 +333,12 @@ function PaymentStatusView({ paymentId, setPaymentId }: {
 }
 
 // Payment Confirmation Form Component
-function PaymentConfirmForm({ paymentIntent, onConfirm }: {
+function PaymentConfirmForm({ paymentIntent, clientSecret, onConfirm }: {
   paymentIntent: any;
+  clientSecret: string;
   onConfirm: () => void;
 }) {
-  const { confirmPayment, loading } = usePaymentIntent(sbtc);
+  const { confirmPayment, loading } = usePaymentIntent(sbtc, paymentIntent.id, clientSecret);
   const [customerAddress, setCustomerAddress] = useState('');
   const [transactionId, setTransactionId] = useState('');
   const [error, setError] = useState<string>('');
@@ -0,0 +1,78 @@
+/**
+ * SDK client against the gateway's routes
+ * Runs the client over HTTP against the backend app on an in-memory database,
+ * so a path the backend does not serve fails here rather than in production
+ */
+
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import { SBTCPaymentGateway } from './client';
+
+process.env.NODE_ENV = 'test';
+process.env.STACKS_NETWORK = 'testnet';
+process.env.CONTRACT_ADDRESS = 'ST1HTBVD3JG9C05J7HBJTHGR0GGW7KXW28M5JS8QE';
+
+const { createApp } = require('../../backend/src/app');
+const { createContainer } = require('../../backend/src/container');
+const { createDatabase } = require('../../backend/src/database');
+const { FakeStacksApiClient, TEST_CUSTOMER, TEST_MERCHANT } = require('../../backend/tests/utils/fakeStacksApi');
+
+describe('SBTCPaymentGateway against the gateway routes', () => {
+  let container: any;
+  let server: Server;
+  let sbtc: SBTCPaymentGateway;
+
+  beforeAll(async () => {
+    container = createContainer({ database: createDatabase(':memory:'), stacksApi: new FakeStacksApiClient() });
+    server = createApp(container).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+    const registration = await new SBTCPaymentGateway({ apiKey: 'pk_test_unused', baseUrl, retries: 1 })
+      .registerMerchant({ businessName: 'SDK Store', email: 'sdk@example.com', stacksAddress: TEST_MERCHANT });
+    sbtc = new SBTCPaymentGateway({ apiKey: registration.secretKey, baseUrl, retries: 1 });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await container.database.close();
+  });
+
+  test('should create, read, list and cancel payment intents', async () => {
+    const intent = await sbtc.createPaymentIntent({ amount: 50000, description: 'SDK order' });
+
+    expect((await sbtc.getPaymentIntent(intent.id)).amount).toBe(50000);
+    expect((await sbtc.getPublicPaymentIntent(intent.id, intent.clientSecret)).id).toBe(intent.id);
+
+    const page = await sbtc.listPaymentIntentsPage({ limit: 10 });
+    expect(page.data.map(listed => listed.id)).toContain(intent.id);
+
+    const listed = [];
+    for await (const each of sbtc.listPaymentIntents({ limit: 1 })) {
+      listed.push(each.id);
+    }
+    expect(listed).toContain(intent.id);
+
+    const call = await sbtc.getPaymentContractCall(intent.id, intent.clientSecret, TEST_CUSTOMER);
+    expect(call.functionName).toBe('process-payment');
+
+    expect((await sbtc.cancelPaymentIntent(intent.id, { reason: 'Changed my mind' })).status).toBe('canceled');
+  });
+
+  test('should create, read, list, confirm and cancel refunds', async () => {
+    const intent = await sbtc.createPaymentIntent({ amount: 50000 });
+    await container.paymentService.update(intent.id, { status: 'succeeded', customerAddress: TEST_CUSTOMER });
+
+    const refund = await sbtc.createRefund(intent.id, { amount: 20000, reason: 'Damaged item' });
+    expect(refund).toMatchObject({ status: 'pending', amount: 20000 });
+    expect((await sbtc.getRefund(intent.id, refund.id)).id).toBe(refund.id);
+    expect((await sbtc.cancelRefund(intent.id, refund.id)).status).toBe('canceled');
+
+    const confirmed = await sbtc.createRefund(intent.id, { amount: 30000 });
+    // The fake Stacks API has not seen the transaction, so the refund stays processing
+    expect((await sbtc.confirmRefund(intent.id, confirmed.id, `0x${'b'.repeat(64)}`)).status).toBe('processing');
+
+    expect((await sbtc.listRefunds(intent.id)).map(listed => listed.id).sort())
+      .toEqual([refund.id, confirmed.id].sort());
+  });
+});
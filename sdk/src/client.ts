@@ -7,16 +7,33 @@ import { HttpClient } from './http';
 import { SBTCValidationError } from './errors';
 import type {
   SBTCClientConfig,
+  IdempotentRequestOptions,
   HealthStatus,
   MerchantRegistration,
   MerchantRegistrationResponse,
+  MerchantProfile,
+  MerchantProfileUpdate,
   ApiKeyValidation,
   ApiKeyValidationResponse,
+  RestrictedKeyRequest,
+  RestrictedKey,
+  ApiKeyList,
+  ApiKeyRollRequest,
+  RolledApiKey,
+  ApiKeyRevocation,
+  ApiKeyEventList,
   DashboardStats,
   PaymentIntentRequest,
   PaymentIntent,
+  PublicPaymentIntent,
+  PaymentIntentList,
+  PaymentIntentListParams,
   PaymentConfirmation,
   PaymentConfirmationResponse,
+  PaymentCancellationRequest,
+  PaymentCancellationResponse,
+  Refund,
+  RefundRequest,
   ContractInfo,
   ContractPaymentRequest,
   ContractPaymentResponse,
@@ -24,6 +41,12 @@ import type {
   ContractProcessResponse,
   ContractMerchantRequest,
   ContractMerchantResponse,
+  ContractBroadcastResponse,
+  PaymentContractCall,
+  OnChainPayment,
+  OnChainMerchant,
+  ContractPlatformStats,
+  ContractFee,
 } from './types';
 
 export class SBTCPaymentGateway {
@@ -72,12 +95,17 @@ export class SBTCPaymentGateway {
   /**
    * Register a new merchant
    * @param registration Merchant registration details
+   * @param options Request options such as a caller-supplied idempotency key
    * @returns Registration response with API keys
    */
-  async registerMerchant(registration: MerchantRegistration): Promise<MerchantRegistrationResponse> {
+  async registerMerchant(
+    registration: MerchantRegistration,
+    options: IdempotentRequestOptions = {}
+  ): Promise<MerchantRegistrationResponse> {
     this.validateMerchantRegistration(registration);
     return this.http.post<MerchantRegistrationResponse>('/api/merchants/register', registration, {
       requiresAuth: false,
+      idempotencyKey: options.idempotencyKey,
     });
   }
 
@@ -89,20 +117,123 @@ export class SBTCPaymentGateway {
     return this.http.get<DashboardStats>('/api/merchants/dashboard');
   }
 
+  /**
+   * Get the merchant's profile
+   * @returns Business details and payout address
+   */
+  async getMerchantProfile(): Promise<MerchantProfile> {
+    return this.http.get<MerchantProfile>('/api/merchants/me');
+  }
+
+  /**
+   * Change the merchant's profile; needs the account:write scope, and a secret key to change the payout address
+   * @param update Fields to change
+   * @param options Request options such as a caller-supplied idempotency key
+   * @returns The updated profile
+   */
+  async updateMerchantProfile(
+    update: MerchantProfileUpdate,
+    options: IdempotentRequestOptions = {}
+  ): Promise<MerchantProfile> {
+    if (Object.keys(update).length === 0) {
+      throw new SBTCValidationError('Provide at least one field to update', 'update', update);
+    }
+    if (update.stacksAddress !== undefined && !/^S[PT]/.test(update.stacksAddress)) {
+      throw new SBTCValidationError('Invalid Stacks address format', 'stacksAddress', update.stacksAddress);
+    }
+    return this.http.patch<MerchantProfile>('/api/merchants/me', update, {
+      idempotencyKey: options.idempotencyKey,
+    });
+  }
+
+  /**
+   * Create a restricted key limited to some scopes, in the mode of the client's key
+   * @param request Key name and scopes
+   * @returns The new key; store it now, it cannot be read again
+   */
+  async createApiKey(request: RestrictedKeyRequest): Promise<RestrictedKey> {
+    if (!request.name || !Array.isArray(request.scopes) || request.scopes.length === 0) {
+      throw new SBTCValidationError('A name and at least one scope are required', 'scopes', request.scopes);
+    }
+    return this.http.post<RestrictedKey>('/api/merchants/keys', request);
+  }
+
+  /**
+   * List the merchant's keys in the mode of the client's key
+   * @returns Stored keys, without the keys themselves
+   */
+  async listApiKeys(): Promise<ApiKeyList> {
+    return this.http.get<ApiKeyList>('/api/merchants/keys');
+  }
+
+  /**
+   * Replace a key with a new one of the same type, name and scopes
+   *
+   * Rolling the client's own key (no prefix, or its prefix) switches this
+   * client to the new key straight away; requests already retrying pick it up.
+   * @param request Key prefix and grace period for the old key
+   * @returns The new key; store it now, it cannot be read again
+   */
+  async rollApiKey(request: ApiKeyRollRequest = {}): Promise<RolledApiKey> {
+    if (request.gracePeriodSeconds !== undefined && (request.gracePeriodSeconds < 0 || request.gracePeriodSeconds > 604800)) {
+      throw new SBTCValidationError('Grace period must be between 0 and 604800 seconds (7 days)', 'gracePeriodSeconds', request.gracePeriodSeconds);
+    }
+
+    const rolled = await this.http.post<RolledApiKey>('/api/merchants/keys/roll', request);
+    if (rolled.previousKey.prefix === this.http.getApiKeyPrefix()) {
+      this.updateApiKey(rolled.key);
+    }
+    return rolled;
+  }
+
+  /**
+   * Revoke a key at once, even one in a grace period
+   * @param prefix First 16 characters of the key
+   * @returns Revocation result
+   */
+  async revokeApiKey(prefix: string): Promise<ApiKeyRevocation> {
+    if (!prefix) {
+      throw new SBTCValidationError('Key prefix is required', 'prefix', prefix);
+    }
+    return this.http.delete<ApiKeyRevocation>(`/api/merchants/keys/${encodeURIComponent(prefix)}`);
+  }
+
+  /**
+   * Get the audit trail of key creation, rolls, revocations and expiries, newest first
+   * @param params Page size and offset
+   * @returns A page of key events
+   */
+  async listApiKeyEvents(params: { limit?: number; offset?: number } = {}): Promise<ApiKeyEventList> {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) {
+        query.set(key, String(value));
+      }
+    }
+    const queryString = query.toString();
+    return this.http.get<ApiKeyEventList>(`/api/merchants/keys/events${queryString ? `?${queryString}` : ''}`);
+  }
+
   // ==================== PAYMENT OPERATIONS ====================
 
   /**
    * Create a new payment intent
    * @param request Payment intent details
+   * @param options Request options such as a caller-supplied idempotency key
    * @returns Created payment intent
    */
-  async createPaymentIntent(request: PaymentIntentRequest): Promise<PaymentIntent> {
+  async createPaymentIntent(
+    request: PaymentIntentRequest,
+    options: IdempotentRequestOptions = {}
+  ): Promise<PaymentIntent> {
     this.validatePaymentIntentRequest(request);
-    return this.http.post<PaymentIntent>('/api/payment-intents', request);
+    return this.http.post<PaymentIntent>('/api/payments', request, {
+      idempotencyKey: options.idempotencyKey,
+    });
   }
 
   /**
-   * Get payment intent details
+   * Get payment intent details; needs a secret key
    * @param paymentId The payment intent ID
    * @returns Payment intent details
    */
@@ -111,20 +242,84 @@ export class SBTCPaymentGateway {
       throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
     }
 
-    return this.http.get<PaymentIntent>(`/api/payment-intents/${paymentId}`, {
+    return this.http.get<PaymentIntent>(`/api/payments/${paymentId}`);
+  }
+
+  /**
+   * Get the public view of a payment intent with its client secret, as a checkout page does
+   * @param paymentId The payment intent ID
+   * @param clientSecret The intent's client secret
+   * @returns Public payment intent details
+   */
+  async getPublicPaymentIntent(paymentId: string, clientSecret: string): Promise<PublicPaymentIntent> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+    if (!clientSecret) {
+      throw new SBTCValidationError('Client secret is required', 'clientSecret', clientSecret);
+    }
+
+    const query = new URLSearchParams({ client_secret: clientSecret });
+    return this.http.get<PublicPaymentIntent>(`/api/payments/${paymentId}?${query}`, {
       requiresAuth: false,
     });
   }
 
+  /**
+   * List one page of the merchant's payment intents, newest first
+   * @param params Filters, page size and the cursor of the previous page
+   * @returns The page and the cursor of the next one
+   */
+  async listPaymentIntentsPage(params: PaymentIntentListParams = {}): Promise<PaymentIntentList> {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (Array.isArray(value)) {
+        query.set(key, value.join(','));
+      } else if (value instanceof Date) {
+        query.set(key, value.toISOString());
+      } else {
+        query.set(key, String(value));
+      }
+    }
+
+    const queryString = query.toString();
+    return this.http.get<PaymentIntentList>(`/api/payments${queryString ? `?${queryString}` : ''}`);
+  }
+
+  /**
+   * Iterate over every payment intent matching the filters, fetching pages as needed
+   * @param params Filters and page size
+   * @example
+   * for await (const intent of sbtc.listPaymentIntents({ status: 'succeeded' })) {
+   *   console.log(intent.id, intent.amount);
+   * }
+   */
+  async *listPaymentIntents(params: PaymentIntentListParams = {}): AsyncGenerator<PaymentIntent, void, undefined> {
+    let cursor = params.cursor;
+
+    do {
+      const page = await this.listPaymentIntentsPage({ ...params, cursor });
+      for (const intent of page.data) {
+        yield intent;
+      }
+      cursor = page.hasMore && page.nextCursor ? page.nextCursor : undefined;
+    } while (cursor);
+  }
+
   /**
    * Confirm and process a payment
    * @param paymentId The payment intent ID
    * @param confirmation Payment confirmation details
+   * @param options Request options such as a caller-supplied idempotency key
    * @returns Payment confirmation response
    */
   async confirmPayment(
     paymentId: string,
-    confirmation: PaymentConfirmation
+    confirmation: PaymentConfirmation,
+    options: IdempotentRequestOptions = {}
   ): Promise<PaymentConfirmationResponse> {
     if (!paymentId) {
       throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
@@ -133,12 +328,172 @@ export class SBTCPaymentGateway {
     this.validatePaymentConfirmation(confirmation);
 
     return this.http.post<PaymentConfirmationResponse>(
-      `/api/payment-intents/${paymentId}/confirm`,
+      `/api/payments/${paymentId}/confirm`,
       confirmation,
+      { requiresAuth: false, idempotencyKey: options.idempotencyKey }
+    );
+  }
+
+  /**
+   * Get the process-payment call for the customer's wallet to sign, as a checkout page does
+   * @param paymentId The payment intent ID
+   * @param clientSecret The intent's client secret
+   * @param customerAddress Stacks address of the connected wallet, which pays and is recorded as the customer
+   * @returns Contract call payload and sBTC post-conditions to hand to the wallet
+   */
+  async getPaymentContractCall(
+    paymentId: string,
+    clientSecret: string,
+    customerAddress: string
+  ): Promise<PaymentContractCall> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+    if (!clientSecret) {
+      throw new SBTCValidationError('Client secret is required', 'clientSecret', clientSecret);
+    }
+    if (!customerAddress) {
+      throw new SBTCValidationError('Customer address is required', 'customerAddress', customerAddress);
+    }
+
+    return this.http.post<PaymentContractCall>(
+      `/api/payments/${paymentId}/contract-call`,
+      { clientSecret, customerAddress },
       { requiresAuth: false }
     );
   }
 
+  /**
+   * Cancel a payment intent that has not been paid yet
+   * @param paymentId The payment intent ID
+   * @param request Cancellation reason, and the merchant's signer to cancel the on-chain payment too
+   * @param options Request options such as a caller-supplied idempotency key
+   * @returns Canceled payment intent, with the unsigned cancel-payment when a publicKey was given
+   */
+  async cancelPaymentIntent(
+    paymentId: string,
+    request: PaymentCancellationRequest = {},
+    options: IdempotentRequestOptions = {}
+  ): Promise<PaymentCancellationResponse> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+
+    return this.http.post<PaymentCancellationResponse>(`/api/payments/${paymentId}/cancel`, request, {
+      idempotencyKey: options.idempotencyKey,
+    });
+  }
+
+  // ==================== REFUND OPERATIONS ====================
+
+  /**
+   * Refund a settled payment in full or in part
+   *
+   * The refund stays pending until the merchant signs and broadcasts the returned
+   * contract call, then submits its transaction with confirmRefund().
+   * @param paymentId The payment intent ID
+   * @param request Refund amount and reason; omit the amount to refund what is left
+   * @param options Request options such as a caller-supplied idempotency key
+   * @returns Created refund
+   */
+  async createRefund(
+    paymentId: string,
+    request: RefundRequest = {},
+    options: IdempotentRequestOptions = {}
+  ): Promise<Refund> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+
+    if (request.amount !== undefined && (!Number.isInteger(request.amount) || request.amount <= 0)) {
+      throw new SBTCValidationError('Refund amount must be a positive integer', 'amount', request.amount);
+    }
+
+    return this.http.post<Refund>(`/api/payments/${paymentId}/refunds`, request, {
+      idempotencyKey: options.idempotencyKey,
+    });
+  }
+
+  /**
+   * List a payment's refunds
+   * @param paymentId The payment intent ID
+   * @returns The payment's refunds, newest first
+   */
+  async listRefunds(paymentId: string): Promise<Refund[]> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+
+    const response = await this.http.get<{ data: Refund[] }>(`/api/payments/${paymentId}/refunds`);
+    return response.data;
+  }
+
+  /**
+   * Get a refund
+   * @param paymentId The payment intent ID
+   * @param refundId The refund ID
+   * @returns Refund details
+   */
+  async getRefund(paymentId: string, refundId: string): Promise<Refund> {
+    if (!paymentId || !refundId) {
+      throw new SBTCValidationError('Payment ID and refund ID are required', 'refundId', refundId);
+    }
+
+    return this.http.get<Refund>(`/api/payments/${paymentId}/refunds/${refundId}`);
+  }
+
+  /**
+   * Submit the refund-payment transaction of a pending refund for verification
+   * @param paymentId The payment intent ID
+   * @param refundId The refund ID
+   * @param transactionId The broadcast refund-payment transaction ID
+   * @param options Request options such as a caller-supplied idempotency key
+   * @returns Refund, succeeded once the transaction is confirmed
+   */
+  async confirmRefund(
+    paymentId: string,
+    refundId: string,
+    transactionId: string,
+    options: IdempotentRequestOptions = {}
+  ): Promise<Refund> {
+    if (!paymentId || !refundId) {
+      throw new SBTCValidationError('Payment ID and refund ID are required', 'refundId', refundId);
+    }
+
+    if (!transactionId) {
+      throw new SBTCValidationError('Transaction ID is required', 'transactionId', transactionId);
+    }
+
+    return this.http.post<Refund>(
+      `/api/payments/${paymentId}/refunds/${refundId}/confirm`,
+      { transactionId },
+      { idempotencyKey: options.idempotencyKey }
+    );
+  }
+
+  /**
+   * Cancel a pending refund, releasing its amount for new refunds
+   * @param paymentId The payment intent ID
+   * @param refundId The refund ID
+   * @param options Request options such as a caller-supplied idempotency key
+   * @returns Canceled refund
+   */
+  async cancelRefund(
+    paymentId: string,
+    refundId: string,
+    options: IdempotentRequestOptions = {}
+  ): Promise<Refund> {
+    if (!paymentId || !refundId) {
+      throw new SBTCValidationError('Payment ID and refund ID are required', 'refundId', refundId);
+    }
+
+    return this.http.post<Refund>(
+      `/api/payments/${paymentId}/refunds/${refundId}/cancel`,
+      {},
+      { idempotencyKey: options.idempotencyKey }
+    );
+  }
+
   // ==================== SMART CONTRACT OPERATIONS ====================
 
   /**
@@ -146,49 +501,94 @@ export class SBTCPaymentGateway {
    * @returns Contract address and network details
    */
   async getContractInfo(): Promise<ContractInfo> {
-    return this.http.get<ContractInfo>('/api/contract/info', { requiresAuth: false });
+    return this.http.get<ContractInfo>('/api/contracts/info', { requiresAuth: false });
   }
 
   /**
    * Create a payment on the smart contract
-   * @param request Contract payment request
+   * @param request Contract payment request, with the signer's publicKey for an unsigned transaction
    * @returns Contract payment response
    */
   async createContractPayment(request: ContractPaymentRequest): Promise<ContractPaymentResponse> {
     this.validateContractPaymentRequest(request);
-    return this.http.post<ContractPaymentResponse>('/api/contract/payment', request, {
-      requiresAuth: false,
-    });
+    return this.http.post<ContractPaymentResponse>('/api/contracts/create-payment', request);
   }
 
   /**
    * Process a payment on the smart contract
-   * @param request Contract process request
+   * @param request Contract process request, with the customer's publicKey for an unsigned transaction
    * @returns Contract process response
    */
   async processContractPayment(request: ContractProcessRequest): Promise<ContractProcessResponse> {
     this.validateContractProcessRequest(request);
-    return this.http.post<ContractProcessResponse>('/api/contract/process', request, {
-      requiresAuth: false,
-    });
+    return this.http.post<ContractProcessResponse>('/api/contracts/process-payment', request);
   }
 
   /**
    * Register a merchant on the smart contract
-   * @param request Contract merchant registration request
+   * @param request Contract merchant registration request, with the signer's publicKey for an unsigned transaction
    * @returns Contract merchant response
    */
   async registerContractMerchant(request: ContractMerchantRequest): Promise<ContractMerchantResponse> {
     this.validateContractMerchantRequest(request);
-    return this.http.post<ContractMerchantResponse>('/api/contract/register-merchant', request, {
-      requiresAuth: false,
-    });
+    return this.http.post<ContractMerchantResponse>('/api/contracts/register-merchant', request);
+  }
+
+  /**
+   * Broadcast a gateway contract call once the wallet has signed it
+   * @param transaction Signed transaction, hex encoded
+   * @returns Transaction ID of the broadcast call
+   */
+  async broadcastContractTransaction(transaction: string): Promise<ContractBroadcastResponse> {
+    if (!transaction) {
+      throw new SBTCValidationError('Signed transaction is required', 'transaction', transaction);
+    }
+    return this.http.post<ContractBroadcastResponse>('/api/contracts/broadcast', { transaction });
+  }
+
+  /**
+   * Get a payment as recorded on the smart contract
+   * @param paymentId Contract payment ID
+   * @returns The on-chain payment; a 404 error if the contract has no such payment
+   */
+  async getContractPayment(paymentId: string): Promise<OnChainPayment> {
+    if (!paymentId) {
+      throw new SBTCValidationError('Payment ID is required', 'paymentId', paymentId);
+    }
+    return this.http.get<OnChainPayment>(`/api/contracts/payments/${encodeURIComponent(paymentId)}`, { requiresAuth: false });
+  }
+
+  /**
+   * Get a merchant as registered on the smart contract
+   * @param address Merchant's Stacks address
+   * @returns The on-chain merchant; a 404 error if the address is not registered
+   */
+  async getContractMerchant(address: string): Promise<OnChainMerchant> {
+    if (!address) {
+      throw new SBTCValidationError('Stacks address is required', 'address', address);
+    }
+    return this.http.get<OnChainMerchant>(`/api/contracts/merchants/${encodeURIComponent(address)}`, { requiresAuth: false });
+  }
+
+  /**
+   * Get the payment count and volume the smart contract has processed
+   */
+  async getContractStats(): Promise<ContractPlatformStats> {
+    return this.http.get<ContractPlatformStats>('/api/contracts/stats', { requiresAuth: false });
+  }
+
+  /**
+   * Get the platform fee the smart contract charges
+   */
+  async getContractFee(): Promise<ContractFee> {
+    return this.http.get<ContractFee>('/api/contracts/fee', { requiresAuth: false });
   }
 
   // ==================== CONFIGURATION ====================
 
   /**
-   * Update the API key used by this client
+   * Switch the API key used by this client; takes effect for every later
+   * request attempt, including retries of requests already in flight
    * @param apiKey New API key
    */
   updateApiKey(apiKey: string): void {
@@ -254,6 +654,14 @@ export class SBTCPaymentGateway {
   }
 
   private validatePaymentConfirmation(confirmation: PaymentConfirmation): void {
+    if (!confirmation.clientSecret) {
+      throw new SBTCValidationError(
+        'Client secret is required',
+        'clientSecret',
+        confirmation.clientSecret
+      );
+    }
+
     if (!confirmation.customerAddress) {
       throw new SBTCValidationError(
         'Customer address is required',
@@ -299,13 +707,7 @@ export class SBTCPaymentGateway {
       throw new SBTCValidationError('Amount must be a positive number', 'amount', request.amount);
     }
 
-    if (!request.merchantPrivateKey) {
-      throw new SBTCValidationError(
-        'Merchant private key is required',
-        'merchantPrivateKey',
-        request.merchantPrivateKey
-      );
-    }
+    this.validateContractSigner(request.publicKey, request.merchantPrivateKey);
   }
 
   private validateContractProcessRequest(request: ContractProcessRequest): void {
@@ -313,21 +715,11 @@ export class SBTCPaymentGateway {
       throw new SBTCValidationError('Payment ID is required', 'paymentId', request.paymentId);
     }
 
-    if (!request.customerAddress) {
-      throw new SBTCValidationError(
-        'Customer address is required',
-        'customerAddress',
-        request.customerAddress
-      );
+    if (!request.amount || request.amount <= 0) {
+      throw new SBTCValidationError('Amount must be a positive number', 'amount', request.amount);
     }
 
-    if (!request.merchantPrivateKey) {
-      throw new SBTCValidationError(
-        'Merchant private key is required',
-        'merchantPrivateKey',
-        request.merchantPrivateKey
-      );
-    }
+    this.validateContractSigner(request.publicKey, request.customerPrivateKey, 'customerPrivateKey');
   }
 
   private validateContractMerchantRequest(request: ContractMerchantRequest): void {
@@ -339,12 +731,20 @@ export class SBTCPaymentGateway {
       throw new SBTCValidationError('Email is required', 'email', request.email);
     }
 
-    if (!request.merchantPrivateKey) {
+    this.validateContractSigner(request.publicKey, request.merchantPrivateKey);
+  }
+
+  private validateContractSigner(
+    publicKey: string | undefined,
+    privateKey: string | undefined,
+    privateKeyField = 'merchantPrivateKey'
+  ): void {
+    if (Boolean(publicKey) === Boolean(privateKey)) {
       throw new SBTCValidationError(
-        'Merchant private key is required',
-        'merchantPrivateKey',
-        request.merchantPrivateKey
+        `Provide either publicKey or ${privateKeyField}`,
+        'publicKey',
+        publicKey
       );
     }
   }
-}
\ No newline at end of file
+}
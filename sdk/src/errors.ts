@@ -57,9 +57,11 @@ export class SBTCApiError extends SBTCError {
   }
 
   static fromResponse(response: any, status: number) {
-    const error = response?.error || 'Unknown API error';
-    const code = response?.code;
-    const hint = response?.hint;
+    // Most errors come as { error: { message, code, details } }, older ones as { error, code, hint }
+    const detail = typeof response?.error === 'object' && response.error !== null ? response.error : null;
+    const error = (detail ? detail.message : response?.error) || 'Unknown API error';
+    const code = detail ? detail.code : response?.code;
+    const hint = detail ? detail.details?.hint : response?.hint;
     const requestId = response?.requestId;
 
     return new SBTCApiError(error, status, code, hint, requestId, response);
@@ -123,4 +125,13 @@ export class SBTCConfigurationError extends SBTCError {
     super(message, 'CONFIGURATION_ERROR');
     Object.defineProperty(this, 'name', { value: 'SBTCConfigurationError', configurable: true });
   }
-}
\ No newline at end of file
+}
+export class SBTCSignatureVerificationError extends SBTCError {
+  public readonly header?: string;
+
+  constructor(message: string, header?: string) {
+    super(message, 'SIGNATURE_VERIFICATION_ERROR', 'Check the endpoint secret and that the raw, unparsed request body is passed in');
+    Object.defineProperty(this, 'name', { value: 'SBTCSignatureVerificationError', configurable: true });
+    this.header = header;
+  }
+}
@@ -8,6 +8,7 @@ import {
   SBTCNetworkError, 
   SBTCConfigurationError 
 } from './errors';
+import { generateIdempotencyKey } from './utils';
 import type { 
   SBTCClientConfig, 
   ApiResponse, 
@@ -15,12 +16,13 @@ import type {
 } from './types';
 
 interface RequestOptions {
-  method: 'GET' | 'POST' | 'PUT' | 'DELETE';
+  method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
   path: string;
   body?: any;
   headers?: Record<string, string>;
   requiresAuth?: boolean;
   retries?: number;
+  idempotencyKey?: string;
 }
 
 export class HttpClient {
@@ -54,12 +56,16 @@ export class HttpClient {
     return this.request<T>({ method: 'PUT', path, body, ...options });
   }
 
+  async patch<T = any>(path: string, body?: any, options?: Partial<RequestOptions>): Promise<T> {
+    return this.request<T>({ method: 'PATCH', path, body, ...options });
+  }
+
   async delete<T = any>(path: string, options?: Partial<RequestOptions>): Promise<T> {
     return this.request<T>({ method: 'DELETE', path, ...options });
   }
 
   private async request<T = any>(options: RequestOptions): Promise<T> {
-    const { method, path, body, headers = {}, requiresAuth = true, retries = this.config.retries } = options;
+    const { method, path, body, headers = {}, requiresAuth = true, retries = this.config.retries, idempotencyKey } = options;
     
     const url = `${this.config.baseUrl}${path}`;
     
@@ -70,9 +76,9 @@ export class HttpClient {
       ...headers,
     };
 
-    // Add authentication header if required
-    if (requiresAuth) {
-      requestHeaders.Authorization = `Bearer ${this.config.apiKey}`;
+    // One key for every attempt, so a retry after a timeout or 5xx cannot apply the change twice
+    if (method !== 'GET') {
+      requestHeaders['Idempotency-Key'] = idempotencyKey || requestHeaders['Idempotency-Key'] || generateIdempotencyKey();
     }
 
     const requestConfig: RequestInit = {
@@ -91,6 +97,11 @@ export class HttpClient {
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
         clearTimeout(timeoutId);
+
+        // Read the key on every attempt, so a key swapped by updateApiKey applies to retries too
+        if (requiresAuth) {
+          requestConfig.headers = { ...requestHeaders, Authorization: `Bearer ${this.config.apiKey}` };
+        }
         
         const response = await fetch(url, requestConfig);
         const responseText = await response.text();
@@ -156,12 +167,17 @@ export class HttpClient {
     }
   }
 
-  // Update API key
+  // Update API key; later requests and retries use the new key
   updateApiKey(newApiKey: string) {
     if (!newApiKey) {
       throw new SBTCConfigurationError('API key cannot be empty');
     }
-    (this.config as any).apiKey = newApiKey;
+    this.config.apiKey = newApiKey;
+  }
+
+  // Lookup prefix of the current key, as listed by the keys endpoints
+  getApiKeyPrefix() {
+    return this.config.apiKey.slice(0, 16);
   }
 
   // Get current configuration (without sensitive data)
@@ -170,7 +186,7 @@ export class HttpClient {
       baseUrl: this.config.baseUrl,
       timeout: this.config.timeout,
       retries: this.config.retries,
-      apiKeyType: this.config.apiKey.startsWith('pk_test_') ? 'test' : 'live',
+      apiKeyType: /^[ps]k_live_/.test(this.config.apiKey) ? 'live' : 'test',
     };
   }
 }
\ No newline at end of file
@@ -5,7 +5,7 @@
  */
 
 export { SBTCPaymentGateway } from './client';
-export { SBTCError, SBTCApiError, SBTCNetworkError } from './errors';
+export { SBTCError, SBTCApiError, SBTCNetworkError, SBTCSignatureVerificationError } from './errors';
 export * from './types';
 
 // React hooks (optional - only if React is available)
@@ -14,5 +14,8 @@ export * from './react';
 // Utilities
 export * from './utils';
 
+// Webhook verification and framework adapters
+export * from './webhooks';
+
 // Version
 export const VERSION = '1.0.0';
\ No newline at end of file
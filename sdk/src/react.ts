@@ -69,18 +69,22 @@ if (typeof window !== 'undefined' && (window as any).React) {
 
   /**
    * Hook for managing payment intents
+   *
+   * Reads and confirms go through the intent's client secret: the one passed in
+   * for an existing intent, or the one returned by createPaymentIntent.
    */
-  usePaymentIntent = (client: SBTCPaymentGateway, paymentId?: string) => {
+  usePaymentIntent = (client: SBTCPaymentGateway, paymentId?: string, clientSecret?: string) => {
     const [paymentIntent, setPaymentIntent] = useState(null);
+    const [secret, setSecret] = useState(clientSecret);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
-    const fetchPaymentIntent = useCallback(async (id: string) => {
+    const fetchPaymentIntent = useCallback(async (id: string, withSecret: string) => {
       setLoading(true);
       setError(null);
       
       try {
-        const payment = await client.getPaymentIntent(id);
+        const payment = await client.getPublicPaymentIntent(id, withSecret);
         setPaymentIntent(payment);
       } catch (err) {
         setError(err);
@@ -96,6 +100,7 @@ if (typeof window !== 'undefined' && (window as any).React) {
       try {
         const payment = await client.createPaymentIntent({ amount, description });
         setPaymentIntent(payment);
+        setSecret(payment.clientSecret);
         return payment;
       } catch (err) {
         setError(err);
@@ -106,7 +111,7 @@ if (typeof window !== 'undefined' && (window as any).React) {
     }, [client]);
 
     const confirmPayment = useCallback(async (customerAddress: string, transactionId: string) => {
-      if (!paymentIntent) {
+      if (!paymentIntent || !secret) {
         throw new Error('No payment intent available');
       }
       
@@ -115,11 +120,12 @@ if (typeof window !== 'undefined' && (window as any).React) {
       
       try {
         const result = await client.confirmPayment(paymentIntent.id, {
+          clientSecret: secret,
           customerAddress,
           transactionId,
         });
         
-        await fetchPaymentIntent(paymentIntent.id);
+        await fetchPaymentIntent(paymentIntent.id, secret);
         return result;
       } catch (err) {
         setError(err);
@@ -127,13 +133,14 @@ if (typeof window !== 'undefined' && (window as any).React) {
       } finally {
         setLoading(false);
       }
-    }, [client, paymentIntent, fetchPaymentIntent]);
+    }, [client, paymentIntent, secret, fetchPaymentIntent]);
 
     useEffect(() => {
-      if (paymentId) {
-        fetchPaymentIntent(paymentId);
+      if (paymentId && clientSecret) {
+        setSecret(clientSecret);
+        fetchPaymentIntent(paymentId, clientSecret);
       }
-    }, [paymentId, fetchPaymentIntent]);
+    }, [paymentId, clientSecret, fetchPaymentIntent]);
 
     return {
       paymentIntent,
@@ -141,14 +148,14 @@ if (typeof window !== 'undefined' && (window as any).React) {
       error,
       createPaymentIntent,
       confirmPayment,
-      refetch: paymentId ? () => fetchPaymentIntent(paymentId) : undefined,
+      refetch: paymentId && clientSecret ? () => fetchPaymentIntent(paymentId, clientSecret) : undefined,
     };
   };
 
   /**
    * Hook for monitoring payment status with auto-refresh
    */
-  usePaymentStatus = (client: SBTCPaymentGateway, paymentId: string, pollInterval: number = 5000) => {
+  usePaymentStatus = (client: SBTCPaymentGateway, paymentId: string, clientSecret: string, pollInterval: number = 5000) => {
     const [status, setStatus] = useState('requires_payment_method');
     const [paymentIntent, setPaymentIntent] = useState(null);
     const [error, setError] = useState(null);
@@ -156,7 +163,7 @@ if (typeof window !== 'undefined' && (window as any).React) {
 
     const checkStatus = useCallback(async () => {
       try {
-        const payment = await client.getPaymentIntent(paymentId);
+        const payment = await client.getPublicPaymentIntent(paymentId, clientSecret);
         setPaymentIntent(payment);
         setStatus(payment.status);
         setError(null);
@@ -172,7 +179,7 @@ if (typeof window !== 'undefined' && (window as any).React) {
       } catch (err) {
         setError(err);
       }
-    }, [client, paymentId]);
+    }, [client, paymentId, clientSecret]);
 
     useEffect(() => {
       if (!paymentId) return;
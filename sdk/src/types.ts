@@ -9,6 +9,11 @@ export interface SBTCClientConfig {
   retries?: number;
 }
 
+export interface IdempotentRequestOptions {
+  /** Reuse a key to make a retried call safe; generated per call when omitted */
+  idempotencyKey?: string;
+}
+
 export interface ApiResponse<T = any> {
   data: T;
   status: number;
@@ -48,18 +53,123 @@ export interface MerchantRegistration {
 
 export interface MerchantRegistrationResponse {
   merchantId: string;
+  // Test mode keys, for testnet
   apiKey: string;
   secretKey: string;
+  // Live mode keys, for mainnet
+  liveApiKey: string;
+  liveSecretKey: string;
   message: string;
 }
 
+export interface MerchantProfile {
+  id: string;
+  businessName: string;
+  email: string;
+  // Payout address
+  stacksAddress: string;
+  logoUrl: string | null;
+  supportUrl: string | null;
+  statementDescriptor: string | null;
+  isActive: boolean;
+  deactivatedAt: string | null;
+  registeredAt: string;
+  updatedAt: string;
+}
+
+// Changing stacksAddress needs a secret key; restricted keys are refused
+export type MerchantProfileUpdate = Partial<Pick<MerchantProfile,
+  'businessName' | 'email' | 'stacksAddress' | 'logoUrl' | 'supportUrl' | 'statementDescriptor'
+>>;
+
 export interface ApiKeyValidation {
   apiKey: string;
 }
 
+export type ApiKeyScope =
+  | 'payments:read'
+  | 'payments:write'
+  | 'webhooks:manage'
+  | 'contracts:call'
+  | 'keys:manage'
+  | 'account:write';
+
+// A stored key; the key itself is only ever returned when it is created
+export interface ApiKey {
+  id: string;
+  name: string;
+  type: 'publishable' | 'secret' | 'restricted';
+  // First characters of the key, to tell keys apart
+  prefix: string;
+  scopes: ApiKeyScope[];
+  livemode: boolean;
+  createdAt: string;
+  lastUsedAt: string | null;
+  // Set on a rolled key still in its grace period
+  expiresAt: string | null;
+}
+
+export interface ApiKeyList {
+  data: ApiKey[];
+}
+
+export interface RestrictedKeyRequest {
+  name: string;
+  // Only scopes the calling key holds can be granted
+  scopes: ApiKeyScope[];
+}
+
+export interface RestrictedKey extends ApiKey {
+  key: string;
+}
+
+export interface ApiKeyRollRequest {
+  // First 16 characters of the key to roll; defaults to the client's own key
+  prefix?: string;
+  // How long the old key keeps working, up to 7 days; 0 (the default) stops it at once
+  gracePeriodSeconds?: number;
+}
+
+export interface RolledApiKey extends ApiKey {
+  key: string;
+  previousKey: ApiKey;
+}
+
+export interface ApiKeyRevocation {
+  id: string;
+  prefix: string;
+  revoked: true;
+}
+
+// An entry in the key audit trail; keys are named by ID and prefix only
+export interface ApiKeyEvent {
+  id: string;
+  merchantId: string;
+  action: 'created' | 'rolled' | 'revoked' | 'expired';
+  keyId: string;
+  prefix: string;
+  type: ApiKey['type'];
+  livemode: boolean;
+  // The key and IP behind the request; null for registration and expiry
+  actor: { keyId: string | null; ip?: string } | null;
+  // Set on rolled events
+  replacedBy?: string;
+  expiresAt?: string;
+  createdAt: string;
+}
+
+export interface ApiKeyEventList {
+  data: ApiKeyEvent[];
+  limit: number;
+  offset: number;
+}
+
 export interface ApiKeyValidationResponse {
   valid: boolean;
   type?: 'demo' | 'configured' | 'registered' | 'demo_fallback';
+  // Set for registered keys; publishable keys can only create payment intents
+  keyType?: ApiKey['type'];
+  livemode?: boolean;
   timestamp: string;
   error?: string;
   code?: string;
@@ -67,11 +177,17 @@ export interface ApiKeyValidationResponse {
 }
 
 export interface DashboardStats {
+  // Mode of the key the dashboard was read with; only that mode's data is included
+  livemode: boolean;
+  // False once an admin has deactivated the merchant; creating payment intents then fails with MERCHANT_INACTIVE
+  isActive: boolean;
+  deactivatedAt: string | null;
   totalProcessed: number;
   feeCollected: number;
   paymentsCount: number;
   activePayments: number;
   successfulPayments: number;
+  totalRefunded?: number;
   recentPayments: PaymentSummary[];
 }
 
@@ -90,7 +206,10 @@ export type PaymentStatus =
   | 'processing'
   | 'succeeded'
   | 'payment_failed'
-  | 'expired';
+  | 'expired'
+  | 'canceled'
+  | 'partially_refunded'
+  | 'refunded';
 
 export interface PaymentIntentRequest {
   amount: number;
@@ -106,6 +225,8 @@ export interface PaymentIntent {
   currency: string;
   description: string;
   status: PaymentStatus;
+  // Set from the key that created the intent: live intents settle on mainnet
+  livemode: boolean;
   clientSecret: string;
   createdAt: string;
   expiresAt: string;
@@ -115,9 +236,55 @@ export interface PaymentIntent {
   processingStartedAt?: string;
   succeededAt?: string;
   failedAt?: string;
+  amountRefunded?: number;
+  refundedAt?: string;
+  canceledAt?: string;
+  cancellationReason?: string | null;
+  // cancel-payment transaction, for intents canceled on-chain
+  cancellationTransactionId?: string | null;
+}
+
+// What a browser holding the client secret can read about an intent
+export interface PublicPaymentIntent {
+  id: string;
+  paymentId: string;
+  amount: number;
+  currency: string;
+  description: string;
+  status: PaymentStatus;
+  livemode: boolean;
+  createdAt: string;
+  expiresAt: string;
+  transactionId?: string;
+  confirmations?: number;
+  failureReason?: string;
+}
+
+export interface PaymentIntentListParams {
+  // One status or several; intents matching any are listed
+  status?: PaymentStatus | PaymentStatus[];
+  minAmount?: number;
+  maxAmount?: number;
+  createdAfter?: string | Date;
+  createdBefore?: string | Date;
+  customerAddress?: string;
+  // Case-insensitive text to find in the description
+  search?: string;
+  // Page size, 1-100 (default 20)
+  limit?: number;
+  // nextCursor of the previous page
+  cursor?: string;
+}
+
+export interface PaymentIntentList {
+  data: PaymentIntent[];
+  hasMore: boolean;
+  nextCursor: string | null;
 }
 
 export interface PaymentConfirmation {
+  // From the created intent; confirming needs it instead of an API key
+  clientSecret: string;
   customerAddress: string;
   transactionId: string;
 }
@@ -131,55 +298,224 @@ export interface PaymentConfirmationResponse {
   message: string;
 }
 
+// A signer also cancels the payment on the contract; only for intents mirrored with create-payment
+export type PaymentCancellationRequest = {
+  reason?: string;
+} & (ContractSigner | { merchantPrivateKey?: never; publicKey?: never; nonce?: never; fee?: never });
+
+export interface PaymentCancellationResponse extends PaymentIntent {
+  // cancel-payment for the merchant's wallet to sign, when a publicKey was given
+  unsignedTransaction?: UnsignedContractTransaction;
+}
+
+// Refund Types
+export type RefundStatus = 'pending' | 'processing' | 'succeeded' | 'failed' | 'canceled' | 'expired';
+
+export interface RefundRequest {
+  // Amount in satoshis; defaults to everything not yet refunded
+  amount?: number;
+  reason?: string;
+  // refund-payment transaction, when it was broadcast before the refund was created
+  transactionId?: string;
+}
+
+export interface Refund {
+  id: string;
+  paymentId: string;
+  amount: number;
+  currency: string;
+  reason: string | null;
+  status: RefundStatus;
+  customerAddress?: string;
+  // Contract call the merchant signs to send the sBTC back to the customer
+  contractCall: {
+    contractId: string;
+    functionName: 'refund-payment';
+    functionArgs: { paymentId: string; amount: number };
+  };
+  transactionId?: string;
+  confirmations?: number;
+  blockHeight?: number;
+  createdAt: string;
+  // Pending refunds expire at this time unless their transaction was submitted
+  expiresAt?: string;
+  succeededAt?: string;
+  failedAt?: string;
+  failureReason?: string;
+  canceledAt?: string;
+  expiredAt?: string;
+}
+
 // Smart Contract Types
 export interface ContractInfo {
   contractAddress: string;
   contractName: string;
-  network: string;
+  contractId: string;
+  network: 'devnet' | 'testnet' | 'mainnet';
+  /** Stacks node RPC the gateway builds and broadcasts transactions with */
+  nodeUrl: string;
+  /** Stacks Blockchain API the gateway verifies payments with */
+  apiUrl: string;
+  sbtcToken: string;
+  sbtcTokenAsset: string;
+  /** Transaction link, with `{txId}` where the transaction ID goes */
   explorerUrl: string;
 }
 
-export interface ContractPaymentRequest {
+/**
+ * Who signs a contract call. With publicKey the gateway returns an unsigned
+ * transaction for that wallet to sign and pass to broadcastContractTransaction;
+ * merchantPrivateKey has the gateway sign and broadcast, and is refused outside devnet.
+ */
+export type ContractSigner =
+  | { publicKey: string; nonce?: number; fee?: number; merchantPrivateKey?: never }
+  | { merchantPrivateKey: string; publicKey?: never; nonce?: never; fee?: never };
+
+/**
+ * Who signs process-payment: the contract charges and records the signer, so
+ * this is the customer's wallet, or their private key on devnet.
+ */
+export type CustomerContractSigner =
+  | { publicKey: string; nonce?: number; fee?: number; customerPrivateKey?: never }
+  | { customerPrivateKey: string; publicKey?: never; nonce?: never; fee?: never };
+
+export interface UnsignedContractTransaction {
+  // Serialized transaction, hex encoded, with its post-conditions
+  transaction: string;
+  txId: string;
+  functionName: string;
+  nonce: number;
+  // In microSTX
+  fee: number;
+  postConditionMode: 'deny' | 'allow';
+  postConditions: Array<{
+    type: 'fungible';
+    principal: string;
+    conditionCode: string;
+    amount: string;
+    asset: string;
+  }>;
+}
+
+export type ContractPaymentRequest = {
   paymentId: string;
   amount: number;
   description?: string;
   expiresInBlocks?: number;
-  merchantPrivateKey: string;
-}
+} & ContractSigner;
 
 export interface ContractPaymentResponse {
   success: boolean;
-  transactionId: string;
+  // Set when the gateway signed and broadcast the call
+  transactionId?: string;
+  // Set when a publicKey was given
+  unsignedTransaction?: UnsignedContractTransaction;
   paymentId: string;
   amount: number;
   expiresInBlocks: number;
 }
 
-export interface ContractProcessRequest {
+export type ContractProcessRequest = {
   paymentId: string;
-  customerAddress: string;
-  merchantPrivateKey: string;
-}
+  amount: number;
+} & CustomerContractSigner;
 
 export interface ContractProcessResponse {
   success: boolean;
-  transactionId: string;
+  transactionId?: string;
+  unsignedTransaction?: UnsignedContractTransaction;
   paymentId: string;
+  // Address of the signing key
   customerAddress: string;
+  amount: number;
+  // 'requires_signature' until the unsigned transaction is signed and broadcast
   status: string;
 }
 
-export interface ContractMerchantRequest {
+export type ContractMerchantRequest = {
   businessName: string;
   email: string;
-  merchantPrivateKey: string;
-}
+} & ContractSigner;
 
 export interface ContractMerchantResponse {
+  success: boolean;
+  transactionId?: string;
+  unsignedTransaction?: UnsignedContractTransaction;
+  businessName: string;
+  email: string;
+}
+
+/**
+ * process-payment call for a customer's wallet to sign, e.g. with
+ * `request('stx_callContract', ...)` from @stacks/connect
+ */
+export interface PaymentContractCall {
+  paymentIntentId: string;
+  contractAddress: string;
+  contractName: string;
+  functionName: 'process-payment';
+  // Clarity values, hex encoded
+  functionArgs: string[];
+  postConditionMode: 'deny';
+  // Serialized post-conditions, hex encoded: the customer sends exactly the intent amount in sBTC
+  postConditions: string[];
+  network: 'mainnet' | 'testnet';
+  customerAddress: string;
+  amount: number;
+}
+
+export interface ContractBroadcastResponse {
   success: boolean;
   transactionId: string;
+  functionName: string;
+}
+
+/**
+ * Read-only contract data. Integers too large for a JavaScript number to hold
+ * exactly come back as strings.
+ */
+export type ClarityInteger = number | string;
+
+/** A payment as recorded on the contract */
+export interface OnChainPayment {
+  paymentId: string;
+  merchant: string;
+  amount: ClarityInteger;
+  fee: ClarityInteger;
+  status: 'pending' | 'completed' | 'cancelled' | 'refunded' | 'partially_refunded';
+  customer: string | null;
+  description: string | null;
+  /** Block heights */
+  createdAt: number;
+  expiresAt: number;
+  processedAt: number | null;
+  expired: boolean;
+  refundedAmount: ClarityInteger;
+}
+
+/** A merchant as registered on the contract */
+export interface OnChainMerchant {
+  address: string;
   businessName: string;
   email: string;
+  isActive: boolean;
+  totalProcessed: ClarityInteger;
+  feeCollected: ClarityInteger;
+  paymentsCount: number;
+  /** Block height */
+  registeredAt: number;
+}
+
+export interface ContractPlatformStats {
+  totalPayments: ClarityInteger;
+  totalVolume: ClarityInteger;
+  /** Basis points */
+  currentFeePercentage: number;
+}
+
+export interface ContractFee {
+  feeBasisPoints: number;
+  feePercent: number;
 }
 
 // Utility Types
@@ -202,10 +538,30 @@ export type PaymentEventType =
   | 'payment.processing'
   | 'payment.succeeded'
   | 'payment.failed'
-  | 'payment.expired';
+  | 'payment.expired'
+  | 'payment.canceled'
+  | 'payment.refunded';
 
 export interface PaymentEvent {
   type: PaymentEventType;
   paymentIntent: PaymentIntent;
   timestamp: string;
-}
\ No newline at end of file
+  // Set on payment.refunded
+  refund?: Refund;
+}
+
+export type MerchantEventType = 'merchant.updated';
+
+export interface MerchantEvent {
+  type: MerchantEventType;
+  merchant: MerchantProfile;
+  // Values of the changed fields before the update
+  previousAttributes: MerchantProfileUpdate;
+  timestamp: string;
+}
+
+// Event as delivered to a webhook endpoint
+export type WebhookEvent = (PaymentEvent | MerchantEvent) & {
+  id: string;
+  test?: boolean;
+};
\ No newline at end of file
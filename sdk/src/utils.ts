@@ -306,6 +306,33 @@ export function getAddressExplorerUrl(address: string, network: 'mainnet' | 'tes
   return `${baseUrl}/address/${address}`;
 }
 
+// ==================== REQUEST UTILITIES ====================
+
+/**
+ * Generate a unique Idempotency-Key for a mutating request
+ * @returns Random UUID (v4 format)
+ */
+export function generateIdempotencyKey(): string {
+  const crypto = globalThis.crypto;
+  if (crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  const bytes = new Uint8Array(16);
+  if (crypto?.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 // ==================== DEVELOPMENT UTILITIES ====================
 
 /**
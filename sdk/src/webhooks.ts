@@ -0,0 +1,294 @@
+/**
+ * Webhook helpers for sBTC Payment Gateway SDK
+ * Verify the `x-sbtcpay-signature` header on incoming webhooks and parse the event
+ *
+ * The header has the form `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`,
+ * with one v1 per secret while a rotated secret is still valid. Signing uses the
+ * Web Crypto API, so it works in Node.js 20+, browsers and edge runtimes.
+ */
+
+import type { WebhookEvent } from './types';
+import { SBTCConfigurationError, SBTCSignatureVerificationError } from './errors';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'x-sbtcpay-signature';
+
+// Seconds a signature stays valid; older deliveries are treated as replays
+export const DEFAULT_WEBHOOK_TOLERANCE = 300;
+
+export type WebhookPayload = string | Uint8Array | ArrayBuffer;
+
+// ==================== SIGNATURES ====================
+
+function payloadToString(payload: WebhookPayload): string {
+  if (typeof payload === 'string') {
+    return payload;
+  }
+  return new TextDecoder().decode(payload);
+}
+
+async function computeSignature(payload: string, secret: string, timestamp: number): Promise<string> {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new SBTCConfigurationError('Web Crypto is not available; webhook verification needs Node.js 20+ or a modern browser');
+  }
+
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${payload}`));
+
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function parseSignatureHeader(header: string): { timestamp: number | null; signatures: string[] } {
+  let timestamp: number | null = null;
+  const signatures: string[] = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      timestamp = parseInt(value, 10) || null;
+    } else if (key === 'v1' && value) {
+      signatures.push(value);
+    }
+  }
+
+  return { timestamp, signatures };
+}
+
+// Compare without returning early so timing does not reveal the matching prefix
+function secureCompare(a: string, b: string): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let mismatch = 0;
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+export const Webhooks = {
+  /**
+   * Verify a webhook's signature and return its event
+   * @param rawBody Request body exactly as received, before any JSON parsing
+   * @param signatureHeader Value of the x-sbtcpay-signature header
+   * @param secret Endpoint signing secret (whsec_...)
+   * @param tolerance Maximum signature age in seconds; 0 disables the check
+   * @returns The verified event
+   * @throws SBTCSignatureVerificationError if the signature is missing, stale or does not match
+   */
+  async constructEvent(
+    rawBody: WebhookPayload,
+    signatureHeader: string | string[] | null | undefined,
+    secret: string,
+    tolerance: number = DEFAULT_WEBHOOK_TOLERANCE
+  ): Promise<WebhookEvent> {
+    const header = Array.isArray(signatureHeader) ? signatureHeader[0] : signatureHeader;
+    if (!header) {
+      throw new SBTCSignatureVerificationError(`Missing ${WEBHOOK_SIGNATURE_HEADER} header`);
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (!timestamp || signatures.length === 0) {
+      throw new SBTCSignatureVerificationError('Unable to parse timestamp and signatures from header', header);
+    }
+
+    if (tolerance > 0 && Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+      throw new SBTCSignatureVerificationError('Signature timestamp is outside the tolerance window', header);
+    }
+
+    const payload = payloadToString(rawBody);
+    const expected = await computeSignature(payload, secret, timestamp);
+    if (!signatures.some(signature => secureCompare(signature, expected))) {
+      throw new SBTCSignatureVerificationError('No signature matches the expected signature for the payload', header);
+    }
+
+    try {
+      return JSON.parse(payload) as WebhookEvent;
+    } catch {
+      throw new SBTCSignatureVerificationError('Webhook payload is not valid JSON', header);
+    }
+  },
+
+  /**
+   * Build a signature header for a payload, for testing webhook handlers
+   * @param payload Raw body that will be sent
+   * @param secret Endpoint signing secret
+   * @param timestamp Unix seconds (defaults to now)
+   * @returns Header value for x-sbtcpay-signature
+   */
+  async generateTestHeader(
+    payload: string,
+    secret: string,
+    timestamp: number = Math.floor(Date.now() / 1000)
+  ): Promise<string> {
+    return `t=${timestamp},v1=${await computeSignature(payload, secret, timestamp)}`;
+  },
+};
+
+// ==================== FRAMEWORK ADAPTERS ====================
+
+export interface WebhookHandlerOptions {
+  tolerance?: number;
+}
+
+// Minimal request/response shapes so the SDK does not depend on express or next
+interface NodeRequestLike {
+  headers: Record<string, string | string[] | undefined>;
+  body?: unknown;
+  rawBody?: WebhookPayload;
+  on(event: 'data', listener: (chunk: Uint8Array | string) => void): unknown;
+  on(event: 'end', listener: () => void): unknown;
+  on(event: 'error', listener: (error: Error) => void): unknown;
+  [key: string]: any;
+}
+
+interface NodeResponseLike {
+  status(code: number): { json(body: unknown): unknown };
+}
+
+function readNodeBody(req: NodeRequestLike): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks: Uint8Array[] = [];
+    req.on('data', chunk => chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk));
+    req.on('end', () => {
+      const body = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.length;
+      }
+      resolve(payloadToString(body));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Get the unparsed body Express received: `express.raw()` leaves it in req.body,
+ * and a `verify` hook on express.json() can store it on req.rawBody
+ */
+function getExpressRawBody(req: NodeRequestLike): WebhookPayload | null {
+  if (req.rawBody) {
+    return req.rawBody;
+  }
+  if (typeof req.body === 'string' || req.body instanceof Uint8Array) {
+    return req.body;
+  }
+  return null;
+}
+
+function errorBody(error: unknown) {
+  return {
+    error: error instanceof Error ? error.message : 'Invalid webhook',
+    code: error instanceof SBTCSignatureVerificationError ? error.code : 'WEBHOOK_ERROR',
+  };
+}
+
+/**
+ * Express middleware that verifies the webhook and puts the event on req.webhookEvent
+ *
+ * Mount it behind `express.raw({ type: 'application/json' })` so the body is not parsed:
+ *
+ *   app.post('/webhooks', express.raw({ type: 'application/json' }),
+ *     expressWebhookMiddleware(secret), (req, res) => { ... req.webhookEvent ... });
+ *
+ * @param secret Endpoint signing secret
+ * @param options Verification options
+ */
+export function expressWebhookMiddleware(secret: string, options: WebhookHandlerOptions = {}) {
+  return async (req: NodeRequestLike, res: NodeResponseLike, next: (error?: unknown) => void) => {
+    const rawBody = getExpressRawBody(req);
+    if (rawBody === null) {
+      res.status(400).json({
+        error: 'Webhook body was already parsed; mount express.raw({ type: "application/json" }) before this middleware',
+        code: 'WEBHOOK_RAW_BODY_REQUIRED',
+      });
+      return;
+    }
+
+    try {
+      req.webhookEvent = await Webhooks.constructEvent(rawBody, req.headers[WEBHOOK_SIGNATURE_HEADER], secret, options.tolerance);
+    } catch (error) {
+      res.status(400).json(errorBody(error));
+      return;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Wrap a Next.js App Router route handler so it only runs for verified webhooks
+ *
+ *   export const POST = nextWebhookHandler(secret, async (event) => {
+ *     if (event.type === 'payment.succeeded') { ... }
+ *     return Response.json({ received: true });
+ *   });
+ *
+ * @param secret Endpoint signing secret
+ * @param handler Called with the verified event and the original request
+ * @param options Verification options
+ */
+export function nextWebhookHandler(
+  secret: string,
+  handler: (event: WebhookEvent, request: Request) => Response | Promise<Response>,
+  options: WebhookHandlerOptions = {}
+) {
+  return async (request: Request): Promise<Response> => {
+    let event: WebhookEvent;
+    try {
+      event = await Webhooks.constructEvent(
+        await request.text(),
+        request.headers.get(WEBHOOK_SIGNATURE_HEADER),
+        secret,
+        options.tolerance
+      );
+    } catch (error) {
+      return new Response(JSON.stringify(errorBody(error)), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    return handler(event, request);
+  };
+}
+
+/**
+ * Wrap a Next.js Pages Router API route so it only runs for verified webhooks
+ *
+ * The route must turn off body parsing so the raw body can be verified:
+ *
+ *   export const config = { api: { bodyParser: false } };
+ *   export default nextApiWebhookHandler(secret, async (event, req, res) => { ... });
+ *
+ * @param secret Endpoint signing secret
+ * @param handler Called with the verified event, request and response
+ * @param options Verification options
+ */
+export function nextApiWebhookHandler<Req extends NodeRequestLike, Res extends NodeResponseLike>(
+  secret: string,
+  handler: (event: WebhookEvent, req: Req, res: Res) => unknown | Promise<unknown>,
+  options: WebhookHandlerOptions = {}
+) {
+  return async (req: Req, res: Res) => {
+    let event: WebhookEvent;
+    try {
+      let rawBody = getExpressRawBody(req);
+      if (rawBody === null) {
+        if (req.body !== undefined) {
+          throw new SBTCConfigurationError('Webhook body was already parsed; set `export const config = { api: { bodyParser: false } }`');
+        }
+        rawBody = await readNodeBody(req);
+      }
+      event = await Webhooks.constructEvent(rawBody, req.headers[WEBHOOK_SIGNATURE_HEADER], secret, options.tolerance);
+    } catch (error) {
+      res.status(400).json(errorBody(error));
+      return;
+    }
+
+    return handler(event, req, res);
+  };
+}